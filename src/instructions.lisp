@@ -1007,6 +1007,34 @@
                            (instruction-opcode instr) max-p count)))
       (t (values t nil)))))
 
+(defun validate-parameter (param-type param)
+  "Check PARAM against one :param-types entry.
+   Only address types are checked here; constants, flags, expressions
+   and subroutine names are left to the compiler."
+  (case param-type
+    (bool-addr (bool-addr-p param))
+    (word-addr (word-addr-p param))
+    (any-addr (any-addr-p param))
+    (timer-addr (and (stringp param) (cl-ppcre:scan "^T[0-9]+$" param)))
+    (counter-addr (and (stringp param) (cl-ppcre:scan "^CT[0-9]+$" param)))
+    (t t)))
+
+(defun validate-parameter-types (instr params)
+  "Check each of PARAMS against the instruction's :param-types.
+   Extra parameters of coil instructions (OUT Y1 Y2 ...) take the type
+   of the last entry. Returns (values valid-p error-message)."
+  (let ((types (instruction-param-types instr)))
+    (loop for param in params
+          for position from 1
+          for param-type = (or (nth (1- position) types)
+                               (when (eq (car (last types)) 'bool-addr)
+                                 'bool-addr))
+          unless (validate-parameter param-type param)
+            do (return-from validate-parameter-types
+                 (values nil (format nil "~A parameter ~D: ~A is not a valid ~(~A~)"
+                                     (instruction-opcode instr) position param param-type))))
+    (values t nil)))
+
 ;;; ============================================================
 ;;; Instruction Set Initialization
 ;;; ============================================================
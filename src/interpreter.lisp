@@ -121,6 +121,21 @@
    (one-second-pulse :initform nil
                      :accessor interpreter-one-second-pulse
                      :documentation "One-second clock pulse state")
+   (forced-values :initform nil
+                  :accessor interpreter-forced-values
+                  :documentation "Alist of (address . value) overrides applied every scan")
+   (scan-interval :initform nil
+                  :accessor interpreter-scan-interval
+                  :documentation "Target scan time in ms of a continuous run, NIL for full speed")
+   (breakpoints :initform nil
+                :accessor interpreter-breakpoints
+                :documentation "List of breakpoints checked at the end of every scan")
+   (next-breakpoint-id :initform 1
+                       :accessor interpreter-next-breakpoint-id
+                       :documentation "Id given to the next breakpoint")
+   (breakpoint-hit :initform nil
+                   :accessor interpreter-breakpoint-hit
+                   :documentation "Plist describing the breakpoint that stopped the last scan")
    (error-handler :initarg :error-handler
                   :accessor interpreter-error-handler
                   :initform nil
@@ -201,6 +216,159 @@
     ;; SC7 - Scan complete
     (set-bool dt "SC7" t)))
 
+;;; ============================================================
+;;; Forced Values
+;;; ============================================================
+
+;;; The forced alist is replaced, never modified in place, so the scan
+;;; thread always iterates a consistent snapshot while another thread
+;;; (e.g. the web server) adds or releases forces.
+
+(defmethod force-value ((interp plc-interpreter) address value)
+  "Force ADDRESS to VALUE. The value is written immediately and re-applied
+   before and after every scan until the force is released."
+  (set-value (interpreter-data-table interp) address value)
+  (setf (interpreter-forced-values interp)
+        (acons address value
+               (remove address (interpreter-forced-values interp)
+                       :key #'car :test #'string=)))
+  value)
+
+(defmethod release-force ((interp plc-interpreter) address)
+  "Stop forcing ADDRESS. The current value is left in place."
+  (setf (interpreter-forced-values interp)
+        (remove address (interpreter-forced-values interp)
+                :key #'car :test #'string=))
+  nil)
+
+(defmethod release-all-forces ((interp plc-interpreter))
+  "Stop forcing every address"
+  (setf (interpreter-forced-values interp) nil))
+
+(defmethod interpreter-forces ((interp plc-interpreter))
+  "Return an alist of (address . value) for all forced addresses, sorted by address"
+  (sort (copy-alist (interpreter-forced-values interp)) #'string< :key #'car))
+
+(defmethod apply-forces ((interp plc-interpreter))
+  "Write all forced values into the data table"
+  (let ((dt (interpreter-data-table interp)))
+    (loop for (address . value) in (interpreter-forced-values interp)
+          do (set-value dt address value))))
+
+;;; ============================================================
+;;; Breakpoints
+;;; ============================================================
+
+;;; A breakpoint compares an address with a value at the end of every
+;;; scan and fires when the comparison becomes true, e.g. "X1 = true"
+;;; fires on the scan where X1 turns on and "DS10 > 500" on the scan
+;;; where DS10 first exceeds 500. Like the forced values, the list is
+;;; replaced rather than modified in place.
+
+(defparameter *breakpoint-operators* '("=" "<>" ">" ">=" "<" "<=")
+  "Comparison operators a breakpoint can use")
+
+(defclass breakpoint ()
+  ((id :initarg :id
+       :reader breakpoint-id
+       :documentation "Number identifying the breakpoint")
+   (address :initarg :address
+            :reader breakpoint-address
+            :documentation "Address compared at the end of each scan")
+   (operator :initarg :operator
+             :reader breakpoint-operator
+             :documentation "Comparison operator, one of *BREAKPOINT-OPERATORS*")
+   (value :initarg :value
+          :reader breakpoint-value
+          :documentation "Value the address is compared with")
+   (last-result :initarg :last-result
+                :accessor breakpoint-last-result
+                :documentation "Whether the comparison held at the end of the last scan"))
+  (:documentation "Condition that stops the scan loop when it becomes true"))
+
+(defun breakpoint-condition-met-p (operator actual value)
+  "Compare ACTUAL with VALUE using OPERATOR.
+   Booleans and strings can only be compared for equality."
+  (cond
+    ((and (realp actual) (realp value))
+     (funcall (cond ((string= operator "=") #'=)
+                    ((string= operator "<>") #'/=)
+                    ((string= operator ">") #'>)
+                    ((string= operator ">=") #'>=)
+                    ((string= operator "<") #'<)
+                    (t #'<=))
+              actual value))
+    ((string= operator "=") (equal actual value))
+    ((string= operator "<>") (not (equal actual value)))
+    (t nil)))
+
+(defmethod breakpoint-condition-p ((interp plc-interpreter) (bp breakpoint))
+  "Check whether the condition of BP holds in the data table now"
+  (breakpoint-condition-met-p (breakpoint-operator bp)
+                              (get-value (interpreter-data-table interp)
+                                         (breakpoint-address bp))
+                              (breakpoint-value bp)))
+
+(defmethod add-breakpoint ((interp plc-interpreter) address operator value)
+  "Add a breakpoint that stops the scan loop when ADDRESS OPERATOR VALUE
+   becomes true. A condition that already holds fires only after it has
+   been false for a scan. Returns the new breakpoint."
+  (unless (member operator *breakpoint-operators* :test #'string=)
+    (error "Invalid breakpoint operator: ~A" operator))
+  (let ((bp (make-instance 'breakpoint
+                           :id (interpreter-next-breakpoint-id interp)
+                           :address address
+                           :operator operator
+                           :value value
+                           :last-result nil)))
+    (setf (breakpoint-last-result bp) (breakpoint-condition-p interp bp))
+    (incf (interpreter-next-breakpoint-id interp))
+    (setf (interpreter-breakpoints interp)
+          (append (interpreter-breakpoints interp) (list bp)))
+    bp))
+
+(defmethod remove-breakpoint ((interp plc-interpreter) id)
+  "Remove the breakpoint with ID"
+  (setf (interpreter-breakpoints interp)
+        (remove id (interpreter-breakpoints interp) :key #'breakpoint-id))
+  nil)
+
+(defmethod clear-breakpoints ((interp plc-interpreter))
+  "Remove every breakpoint"
+  (setf (interpreter-breakpoints interp) nil))
+
+(defmethod check-breakpoints ((interp plc-interpreter))
+  "Evaluate every breakpoint at the end of a scan. Records the first one
+   whose condition became true in INTERPRETER-BREAKPOINT-HIT and returns it."
+  (let ((hit nil))
+    (dolist (bp (interpreter-breakpoints interp))
+      (let ((result (breakpoint-condition-p interp bp)))
+        (when (and result (not (breakpoint-last-result bp)) (null hit))
+          (setf hit bp))
+        (setf (breakpoint-last-result bp) result)))
+    (when hit
+      (setf (interpreter-breakpoint-hit interp)
+            (list :id (breakpoint-id hit)
+                  :address (breakpoint-address hit)
+                  :operator (breakpoint-operator hit)
+                  :value (breakpoint-value hit)
+                  :actual (get-value (interpreter-data-table interp)
+                                     (breakpoint-address hit))
+                  :scan (interpreter-scan-count interp))))
+    hit))
+
+;;; ============================================================
+;;; Program Replacement
+;;; ============================================================
+
+(defmethod replace-program ((interp plc-interpreter) program)
+  "Swap in a new compiled PROGRAM. RUN-SCAN reads the program once at the
+   start of each scan, so a running interpreter switches over at the next
+   scan boundary. The data table, forces and scan count are kept."
+  (unless program
+    (error "Program required for interpreter"))
+  (setf (interpreter-program interp) program))
+
 ;;; ============================================================
 ;;; Error Handling
 ;;; ============================================================
@@ -224,14 +392,22 @@
 ;;; ============================================================
 
 (defmethod run-scan ((interp plc-interpreter))
-  "Execute one complete PLC scan cycle"
+  "Execute one complete PLC scan cycle.
+   A breakpoint firing at the end of the scan sets the exit code to
+   :BREAKPOINT, which stops RUN-CONTINUOUS."
   (let ((start-time (get-internal-real-time))
         (program (interpreter-program interp))
         (dt (interpreter-data-table interp)))
 
+    ;; A breakpoint hit describes the scan that stopped
+    (setf (interpreter-breakpoint-hit interp) nil)
+
     ;; Update system bits at start of scan
     (update-system-bits interp)
 
+    ;; Forced inputs must be visible to the logic
+    (apply-forces interp)
+
     ;; Execute the main program
     (handler-case
         (funcall (program-main-function program)
@@ -248,6 +424,9 @@
       (error (e)
         (handle-runtime-error interp e)))
 
+    ;; Forced outputs override whatever the logic wrote
+    (apply-forces interp)
+
     ;; Calculate scan time
     (let* ((end-time (get-internal-real-time))
            (elapsed (- end-time start-time))
@@ -263,6 +442,10 @@
       ;; Finalize system bits
       (finalize-system-bits interp)
 
+      ;; Stop at the end of the scan when a breakpoint fires
+      (when (check-breakpoints interp)
+        (setf (interpreter-exit-code interp) :breakpoint))
+
       ;; Return scan time
       scan-time-ms)))
 
@@ -270,11 +453,34 @@
 ;;; Continuous Execution
 ;;; ============================================================
 
-(defmethod run-continuous ((interp plc-interpreter) &key (max-scans nil) (target-scan-time nil))
+(defparameter *scan-sleep-slice* 0.05
+  "Longest sleep in seconds between checks for a stop while pacing scans")
+
+(defmethod pace-scan ((interp plc-interpreter) scan-time)
+  "Sleep out the rest of the scan interval after a scan of SCAN-TIME ms.
+   The sleep is split into short slices so that a stop request or a new
+   interval takes effect without waiting for a long interval to pass."
+  (let ((scan-end (get-internal-real-time)))
+    (loop
+      (let* ((elapsed-ms (/ (* 1000 (- (get-internal-real-time) scan-end))
+                            internal-time-units-per-second))
+             (remaining-ms (- (or (interpreter-scan-interval interp) 0)
+                              scan-time
+                              elapsed-ms)))
+        (unless (and (interpreter-running interp) (plusp remaining-ms))
+          (return))
+        (sleep (min (/ remaining-ms 1000.0) *scan-sleep-slice*))))))
+
+(defmethod run-continuous ((interp plc-interpreter) &key (max-scans nil)
+                                                          (target-scan-time nil target-scan-time-p))
   "Run PLC in continuous scan mode.
    MAX-SCANS: Stop after this many scans (nil = run forever)
-   TARGET-SCAN-TIME: Target scan time in ms (nil = run as fast as possible)"
+   TARGET-SCAN-TIME: Target scan time in ms (nil = run as fast as possible).
+   When given it replaces INTERPRETER-SCAN-INTERVAL, which can be changed
+   while the PLC runs."
 
+  (when target-scan-time-p
+    (setf (interpreter-scan-interval interp) target-scan-time))
   (setf (interpreter-running interp) t)
   (setf (interpreter-first-scan interp) t)
   (setf (interpreter-scan-count interp) 0)
@@ -297,9 +503,8 @@
                   (when (interpreter-exit-code interp)
                     (setf (interpreter-running interp) nil))
 
-                  ;; Sleep to maintain target scan time if specified
-                  (when (and target-scan-time (< scan-time target-scan-time))
-                    (sleep (/ (- target-scan-time scan-time) 1000.0)))))
+                  ;; Sleep to maintain the scan interval if one is set
+                  (pace-scan interp scan-time)))
 
     ;; Cleanup
     (setf (interpreter-running interp) nil))
@@ -323,6 +528,17 @@
     (setf (interpreter-last-second-time interp) (get-internal-real-time)))
   (run-scan interp))
 
+(defmethod step-scans ((interp plc-interpreter) count)
+  "Execute up to COUNT scans (for debugging), stopping early when the END
+   instruction or a breakpoint sets the exit code. Returns the number of
+   scans executed."
+  (setf (interpreter-exit-code interp) nil)
+  (loop for scans from 1 to count
+        do (step-scan interp)
+        when (interpreter-exit-code interp)
+          return scans
+        finally (return count)))
+
 ;;; ============================================================
 ;;; State Inspection
 ;;; ============================================================
@@ -346,6 +562,11 @@
     (format stream "  Max scan time: ~,3F ms~%" (stats-max-scan-time stats))
     (format stream "  Errors: ~D~%" (stats-errors stats))))
 
+(defmethod reset-statistics ((interp plc-interpreter))
+  "Start the scan statistics over. A scan in progress finishes on the old
+   statistics object, so the new one only sees complete scans."
+  (setf (interpreter-statistics interp) (make-scan-statistics)))
+
 (defmethod get-bool-value ((interp plc-interpreter) address)
   "Get boolean value from interpreter's data table"
   (get-bool (interpreter-data-table interp) address))
@@ -35,7 +35,10 @@
    #:instruction-monitor
    #:make-instruction-set
    #:find-instruction
+   #:validate-instruction
    #:validate-parameter
+   #:validate-parameter-types
+   #:instruction-param-types
    #:execute-instruction
    #:instruction-count
    ;; Address validation
@@ -52,6 +55,10 @@
    #:parse-line
    #:parse-il-string
    #:parse-il-file
+   #:parse-instruction-line
+   #:comment-line-p
+   #:blank-line-p
+   #:extract-comment
    #:parser-errors
    #:parser-networks
    #:parser-subroutines
@@ -97,6 +104,8 @@
    #:run-scan
    #:run-continuous
    #:step-scan
+   #:step-scans
+   #:interpreter-scan-interval
    #:stop-interpreter
    #:interpreter-running-p
    #:interpreter-scan-time
@@ -116,10 +125,27 @@
    #:set-word-value
    #:get-float-value
    #:set-float-value
+   #:force-value
+   #:release-force
+   #:release-all-forces
+   #:interpreter-forces
+   #:*breakpoint-operators*
+   #:add-breakpoint
+   #:remove-breakpoint
+   #:clear-breakpoints
+   #:interpreter-breakpoints
+   #:interpreter-breakpoint-hit
+   #:breakpoint-id
+   #:breakpoint-address
+   #:breakpoint-operator
+   #:breakpoint-value
+   #:replace-program
    #:stats-total-scans
    #:stats-min-scan-time
    #:stats-max-scan-time
+   #:stats-errors
    #:average-scan-time
+   #:reset-statistics
 
    ;; Compiled program exports
    #:compiled-program
@@ -130,7 +156,11 @@
    #:plc-end-condition
    #:plc-runtime-error
    #:plc-compile-error
+   #:compile-error-message
+   #:compile-error-line
    #:plc-parse-error
+   #:parse-error-message
+   #:parse-error-line
    
    ;; Timer/Counter exports
    #:plc-timer
@@ -49,27 +49,35 @@
 ;;; Statistics Response
 ;;; ============================================================
 
-(defun statistics-response (interpreter)
-  "Generate statistics JSON response"
+(defun statistics-plist (interpreter)
+  "Collect interpreter statistics as a plist"
   (if interpreter
       (let ((stats (mblogic-cl:interpreter-statistics interpreter)))
-        (plist-to-json
-         (list :running (mblogic-cl:interpreter-running-p interpreter)
-               :scan-count (mblogic-cl:interpreter-scan-count interpreter)
-               :scan-time (mblogic-cl:interpreter-scan-time interpreter)
-               :exit-code (when (mblogic-cl:interpreter-exit-code interpreter)
-                           (string-downcase
-                            (symbol-name (mblogic-cl:interpreter-exit-code interpreter))))
-               :total-scans (mblogic-cl:stats-total-scans stats)
-               :min-scan-time (let ((min-t (mblogic-cl:stats-min-scan-time stats)))
-                               (if (= min-t most-positive-fixnum) 0 min-t))
-               :max-scan-time (mblogic-cl:stats-max-scan-time stats)
-               :avg-scan-time (mblogic-cl:average-scan-time stats))))
-      (plist-to-json
-       (list :running nil
-             :scan-count 0
-             :scan-time 0
-             :error "No interpreter loaded"))))
+        (list :running (mblogic-cl:interpreter-running-p interpreter)
+              :scan-count (mblogic-cl:interpreter-scan-count interpreter)
+              :scan-time (mblogic-cl:interpreter-scan-time interpreter)
+              :scan-interval (mblogic-cl:interpreter-scan-interval interpreter)
+              :exit-code (when (mblogic-cl:interpreter-exit-code interpreter)
+                          (string-downcase
+                           (symbol-name (mblogic-cl:interpreter-exit-code interpreter))))
+              :total-scans (mblogic-cl:stats-total-scans stats)
+              :min-scan-time (let ((min-t (mblogic-cl:stats-min-scan-time stats)))
+                              (if (= min-t most-positive-fixnum) 0 min-t))
+              :max-scan-time (mblogic-cl:stats-max-scan-time stats)
+              :avg-scan-time (mblogic-cl:average-scan-time stats)
+              :error-count (mblogic-cl:stats-errors stats)
+              :forced-count (length (mblogic-cl:interpreter-forces interpreter))
+              :breakpoint-count (length (mblogic-cl:interpreter-breakpoints interpreter))
+              :breakpoint-hit (breakpoint-hit-plist
+                               (mblogic-cl:interpreter-breakpoint-hit interpreter))))
+      (list :running nil
+            :scan-count 0
+            :scan-time 0
+            :error "No interpreter loaded")))
+
+(defun statistics-response (interpreter)
+  "Generate statistics JSON response"
+  (plist-to-json (statistics-plist interpreter)))
 
 ;;; ============================================================
 ;;; Data Values Response
@@ -89,22 +97,120 @@
        (mblogic-cl:get-string dt address))
       (t nil))))
 
+(defun data-values (interpreter addresses)
+  "Read ADDRESSES from the interpreter's data table.
+   Returns an alist of (address . value) in request order."
+  (mapcar (lambda (addr)
+            (cons addr (get-address-value interpreter addr)))
+          addresses))
+
 (defun data-response (interpreter addresses)
   "Generate data values JSON response.
    ADDRESSES is a list of address strings."
   (if interpreter
-      (let ((result nil))
-        (dolist (addr addresses)
-          (push (cons addr (get-address-value interpreter addr)) result))
-        (alist-to-json (nreverse result)))
+      (alist-to-json (data-values interpreter addresses))
       (plist-to-json (list :error "No interpreter loaded"))))
 
+(defun changed-values (previous current)
+  "Return the entries of alist CURRENT whose value differs from alist PREVIOUS.
+   Addresses missing from PREVIOUS always count as changed."
+  (remove-if (lambda (entry)
+               (let ((old (assoc (car entry) previous :test #'string=)))
+                 (and old (equalp (cdr old) (cdr entry)))))
+             current))
+
 (defun parse-address-list (addr-string)
   "Parse comma-separated address string into list"
   (when (and addr-string (> (length addr-string) 0))
     (mapcar (lambda (s) (string-trim '(#\Space #\Tab) s))
             (cl-ppcre:split "," addr-string))))
 
+(defun body-address-list (value)
+  "Return the address list of a decoded request body field.
+   VALUE is a JSON array of address strings or a comma-separated string."
+  (if (stringp value)
+      (parse-address-list value)
+      (loop for addr in value
+            when (and (stringp addr) (plusp (length addr)))
+              collect (string-trim '(#\Space #\Tab) addr))))
+
+;;; ============================================================
+;;; Data Writing and Forcing
+;;; ============================================================
+
+(defun coerce-address-value (address value)
+  "Convert a JSON-decoded VALUE to the type stored at ADDRESS.
+   Signals an error when VALUE cannot be stored there."
+  (cond
+    ((mblogic-cl:bool-addr-p address)
+     (if (numberp value) (/= value 0) (and value t)))
+    ((mblogic-cl:word-addr-p address)
+     (cond ((integerp value) value)
+           ((realp value) (round value))
+           ((stringp value) (parse-integer value))
+           (t (error "~A needs an integer value" address))))
+    ((mblogic-cl:float-addr-p address)
+     (cond ((realp value) (float value))
+           ((stringp value) (float (parse-number:parse-number value)))
+           (t (error "~A needs a numeric value" address))))
+    ((mblogic-cl:string-addr-p address)
+     (if value (princ-to-string value) ""))
+    (t (error "Unknown address type: ~A" address))))
+
+(defun write-address-value (interpreter address value)
+  "Write VALUE to ADDRESS once. A forced address is overwritten again on the next scan."
+  (mblogic-cl:set-value (mblogic-cl:interpreter-data-table interpreter)
+                        address
+                        (coerce-address-value address value)))
+
+(defun force-address-value (interpreter address value)
+  "Force ADDRESS to VALUE until released"
+  (mblogic-cl:force-value interpreter address (coerce-address-value address value)))
+
+(defun forces-response (interpreter)
+  "Generate JSON object mapping every forced address to its forced value"
+  (if interpreter
+      (plist-to-json
+       (list :forces (mapcar (lambda (entry)
+                               (list :addr (car entry) :value (cdr entry)))
+                             (mblogic-cl:interpreter-forces interpreter))))
+      (plist-to-json (list :error "No interpreter loaded"))))
+
+;;; ============================================================
+;;; Breakpoints
+;;; ============================================================
+
+(defun breakpoint-plist (breakpoint)
+  "Describe BREAKPOINT for a JSON response"
+  (list :id (mblogic-cl:breakpoint-id breakpoint)
+        :addr (mblogic-cl:breakpoint-address breakpoint)
+        :op (mblogic-cl:breakpoint-operator breakpoint)
+        :value (mblogic-cl:breakpoint-value breakpoint)))
+
+(defun breakpoint-hit-plist (hit)
+  "Describe the breakpoint HIT recorded by the interpreter, or NIL"
+  (when hit
+    (list :id (getf hit :id)
+          :addr (getf hit :address)
+          :op (getf hit :operator)
+          :value (getf hit :value)
+          :actual (getf hit :actual)
+          :scan (getf hit :scan))))
+
+(defun set-address-breakpoint (interpreter address operator value)
+  "Add a breakpoint on ADDRESS, converting VALUE to the address type"
+  (mblogic-cl:add-breakpoint interpreter address operator
+                             (coerce-address-value address value)))
+
+(defun breakpoints-response (interpreter)
+  "Generate the breakpoint list and the last breakpoint hit"
+  (if interpreter
+      (plist-to-json
+       (list :breakpoints (mapcar #'breakpoint-plist
+                                  (mblogic-cl:interpreter-breakpoints interpreter))
+             :hit (breakpoint-hit-plist (mblogic-cl:interpreter-breakpoint-hit interpreter))))
+      (plist-to-json (list :error "No interpreter loaded"))))
+
 ;;; ============================================================
 ;;; Program Structure Response
 ;;; ============================================================
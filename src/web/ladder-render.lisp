@@ -70,6 +70,8 @@
   (params nil)        ; Original parameters
   (row 0)             ; Row position in matrix
   (col 0)             ; Column position in matrix
+  (row-span 1)        ; Rows covered, more for blocks with several inputs
+  (line 0)            ; Source line number of the instruction
   (monitor-type nil)) ; :bool, :word, :timer, :counter for live monitoring
 
 (defstruct ladder-rung
@@ -80,6 +82,10 @@
   (cols 0)              ; Number of columns
   (addresses nil)       ; All addresses for monitoring
   (comment nil)         ; Associated comment
+  (comments nil)        ; All comment lines preceding the network
+  (il nil)              ; IL source lines of the network body
+  (branches nil)        ; Branch connectors: (col start-row end-row)
+  (wires nil)           ; Horizontal wires: (row start-col end-col)
   (il-fallback nil))    ; If t, display raw IL instead
 
 (defstruct ladder-program
@@ -226,66 +232,384 @@
      :opcode opcode
      :params params
      :col col
+     :line (mblogic-cl:parsed-line-number instruction)
      :monitor-type (get-monitor-type instruction))))
 
 ;;; ============================================================
-;;; Network to Ladder Rung Conversion
+;;; Network to IL Text
 ;;; ============================================================
 
-(defun network-to-ladder-rung (network)
-  "Convert a parsed network to a ladder rung structure.
-   Handles simple linear rungs and OR branches."
-  (let ((instructions (mblogic-cl:network-instructions network))
-        (cells nil)
-        (all-addresses nil)
-        (col 0)
-        (branches nil)           ; Stack of branch points
-        (current-row 0)
-        (max-row 0))
-
-    ;; Process each instruction
-    (dolist (instr instructions)
-      (let* ((opcode (mblogic-cl:parsed-opcode instr)))
+(defun instruction-to-il (instruction)
+  "Format a parsed instruction as an IL source line"
+  (format nil "~A~{ ~A~}"
+          (mblogic-cl:parsed-opcode instruction)
+          (mblogic-cl:parsed-params instruction)))
+
+(defun comment-to-il (text)
+  "Format comment TEXT (possibly several lines) as IL comment lines"
+  (mapcar (lambda (line) (format nil "// ~A" line))
+          (cl-ppcre:split "\\r?\\n" text)))
+
+(defun network-il-lines (network)
+  "Return the IL lines of a network body: each instruction preceded by
+   the comment lines the parser attached to it"
+  (loop for instruction in (mblogic-cl:network-instructions network)
+        for comment = (mblogic-cl:parsed-comment instruction)
+        append (append (when comment (comment-to-il comment))
+                       (list (instruction-to-il instruction)))))
+
+(defun network-to-il (network)
+  "Format a network as IL text. Network comments go before the NETWORK
+   line, which is where the parser picks them up again."
+  (format nil "~{~A~%~}NETWORK ~D~%~{~A~%~}"
+          (mapcan #'comment-to-il (mblogic-cl:network-comments network))
+          (mblogic-cl:network-number network)
+          (network-il-lines network)))
+
+;;; ============================================================
+;;; Rung Logic
+;;; ============================================================
 
+;;; A network's instructions are rebuilt into the logic stack the PLC
+;;; evaluates. Logic nodes are (:cell cell), (:series . nodes) and
+;;; (:parallel . nodes); every output reads one or more stack entries.
+
+(define-condition unsupported-rung-logic (error)
+  ()
+  (:documentation "Signalled for logic a ladder rung cannot show, e.g.
+   an ANDSTR without two stack entries or an output sharing only part
+   of the logic drawn for another output"))
+
+(defparameter *stack-input-counts*
+  '(("TMRA" . 2) ("CNTU" . 2) ("CNTD" . 2) ("UDC" . 3) ("SHFRG" . 3))
+  "Outputs that read more than the top of the logic stack, e.g. the
+   count and reset inputs of a counter")
+
+(defparameter *unconditional-opcodes* '("END" "RT" "NEXT")
+  "Outputs that do not read the logic stack")
+
+(defun input-combination (opcode)
+  "How an input instruction combines with the logic stack: :str, :and
+   or :or. NIL for instructions that are not inputs."
+  (multiple-value-bind (match groups)
+      (cl-ppcre:scan-to-strings "^(STR|AND|OR)(N|PD|ND|E|NE|GT|LT|GE|LE)?$"
+                                (string-upcase opcode))
+    (when match
+      (intern (aref groups 0) :keyword))))
+
+(defun stack-input-count (opcode)
+  "Number of logic stack entries an output reads"
+  (cond ((member opcode *unconditional-opcodes* :test #'string-equal) 0)
+        (t (or (cdr (assoc opcode *stack-input-counts* :test #'string-equal)) 1))))
+
+(defun logic-members (kind node)
+  "Members of NODE as a connection of KIND (:series or :parallel)"
+  (if (eq (first node) kind) (rest node) (list node)))
+
+(defun logic-join (kind a b)
+  "Connect logic nodes A and B in series or in parallel. Runs of the
+   same connection are kept flat, so the members of a node share
+   their branch connectors."
+  (list* kind (append (logic-members kind a) (logic-members kind b))))
+
+(defun logic-cells (node)
+  "Cells of a logic node, left to right"
+  (if (eq (first node) :cell)
+      (list (second node))
+      (mapcan #'logic-cells (rest node))))
+
+(defun network-logic (cells)
+  "Rebuild the logic of a network from its cells in IL order, with a NIL
+   entry for every ANDSTR/ORSTR. Returns the outputs as a list of
+   (cell . inputs), inputs being the stack entries read bottom first,
+   and the logic left on the stack bottom first."
+  (let ((stack nil)
+        (outputs nil))
+    (dolist (entry cells)
+      (let* ((cell (cdr entry))
+             (opcode (car entry))
+             (combination (input-combination opcode)))
         (cond
-          ;; OR starts a new branch row - goes back to branch point
-          ((and (branch-start-p opcode) (not (zerop col)))
-           (incf max-row)
-           (setf current-row max-row)
-           ;; Push the current column as the merge point, branch starts at column 0
-           (push col branches)
-           ;; Create cell at the start of branch (column 0)
-           (let ((cell (instruction-to-cell instr 0)))
-             (setf (ladder-cell-row cell) current-row)
-             (dolist (addr (ladder-cell-addresses cell))
-               (pushnew addr all-addresses :test #'string-equal))
-             (push cell cells)))
-
-          ;; ANDSTR/ORSTR ends branches - merge back to main row
           ((branch-end-p opcode)
-           (setf current-row 0)
-           ;; Pop the merge point column
-           (when branches (pop branches))
-           ;; Don't add a cell for branch-end, it's structural
-           )
-
-          ;; Regular instruction
+           (unless (cdr stack)
+             (error 'unsupported-rung-logic))
+           (let ((right (pop stack))
+                 (left (pop stack)))
+             (push (logic-join (if (string-equal opcode "ANDSTR") :series :parallel)
+                               left right)
+                   stack)))
+          ((eq combination :str)
+           (push (list :cell cell) stack))
+          (combination
+           (unless stack
+             (error 'unsupported-rung-logic))
+           (setf (first stack)
+                 (logic-join (if (eq combination :and) :series :parallel)
+                             (first stack) (list :cell cell))))
+          ;; Outputs read the logic stack without removing anything
           (t
-           (let ((cell (instruction-to-cell instr col)))
-             (setf (ladder-cell-row cell) current-row)
-             (dolist (addr (ladder-cell-addresses cell))
-               (pushnew addr all-addresses :test #'string-equal))
-             (push cell cells)
-             (incf col))))))
-
-    ;; Build the rung
-    (make-ladder-rung
-     :number (mblogic-cl:network-number network)
-     :cells (nreverse cells)
-     :rows (1+ max-row)
-     :cols col
-     :addresses (nreverse all-addresses)
-     :comment (first (mblogic-cl:network-comments network)))))
+           (let ((count (min (stack-input-count opcode) (length stack))))
+             (push (cons cell (reverse (subseq stack 0 count))) outputs))))))
+    (values (nreverse outputs) (reverse stack))))
+
+;;; ============================================================
+;;; Rung Layout
+;;; ============================================================
+
+;;; Logic is drawn from the left rail: series members side by side on
+;;; their top row, parallel members stacked below each other between a
+;;; pair of branch connectors. Outputs line up in the last column. Every
+;;; output hangs off a stage: the logic it reads, drawn once and shared
+;;; with the outputs and later stages that read the same logic. A later
+;;; stage reads that logic in series with more, and branches off after it.
+
+(defstruct rung-stage
+  "Logic drawn once for the outputs that read it"
+  (key nil)             ; Logic node the outputs read
+  (logic nil)           ; Part of it drawn by this stage, nil at the rail
+  (tails nil))          ; Output cells and later stages, last first
+
+(defstruct rung-layout
+  "Connections worked out while placing the cells of a rung"
+  (branches nil)        ; (col start-row end-row), at the left of col
+  (wires nil))          ; (row start-col end-col) horizontal wire
+
+(defun add-branch (layout col start-row end-row)
+  "Record a branch connector. Column 0 is the left power rail itself."
+  (when (and (plusp col) (< start-row end-row))
+    (pushnew (list col start-row end-row) (rung-layout-branches layout)
+             :test #'equal)))
+
+(defun add-wire (layout row start-col end-col)
+  "Record a horizontal wire from START-COL up to END-COL, not included"
+  (when (< start-col end-col)
+    (push (list row start-col (1- end-col)) (rung-layout-wires layout))))
+
+(defun logic-size (node)
+  "Width and height of the grid area a logic node is drawn in"
+  (if (eq (first node) :cell)
+      (values 1 1)
+      (let ((width 0)
+            (height 0))
+        (dolist (member (rest node))
+          (multiple-value-bind (w h) (logic-size member)
+            (if (eq (first node) :series)
+                (setf width (+ width w) height (max height h))
+                (setf width (max width w) height (+ height h)))))
+        (values width height))))
+
+(defun place-cell (cell row col)
+  "Move a cell to a grid position"
+  (setf (ladder-cell-row cell) row
+        (ladder-cell-col cell) col))
+
+(defun place-logic (node row col layout)
+  "Place the cells of a logic node with its top left at ROW, COL"
+  (ecase (first node)
+    (:cell (place-cell (second node) row col))
+    (:series
+     (dolist (member (rest node))
+       (place-logic member row col layout)
+       (incf col (logic-size member))))
+    (:parallel
+     (let ((width (logic-size node))
+           (member-row row)
+           (last-row row))
+       (dolist (member (rest node))
+         (multiple-value-bind (w h) (logic-size member)
+           (place-logic member member-row col layout)
+           ;; Shorter members are wired through to the right connector
+           (add-wire layout member-row (+ col w) (+ col width))
+           (setf last-row member-row)
+           (incf member-row h)))
+       (add-branch layout col row last-row)
+       (add-branch layout (+ col width) row last-row)))))
+
+(defun series-remainder (prefix node)
+  "The members NODE adds in series after PREFIX, or NIL when NODE does
+   not start with PREFIX"
+  (let ((start (logic-members :series prefix))
+        (members (logic-members :series node)))
+    (when (and (< (length start) (length members))
+               (every #'eq start members))
+      (nthcdr (length start) members))))
+
+(defun all-stages (stages)
+  "STAGES and all the stages that branch off them"
+  (loop for stage in stages
+        when (rung-stage-p stage)
+          append (cons stage (all-stages (rung-stage-tails stage)))))
+
+(defun claim-cells (node drawn)
+  "Mark the cells of NODE as drawn. Logic cannot be drawn twice."
+  (dolist (cell (logic-cells node))
+    (when (gethash cell drawn)
+      (error 'unsupported-rung-logic))
+    (setf (gethash cell drawn) t)))
+
+(defun stage-for (node entries drawn)
+  "Find or make the stage drawing NODE. A new stage branches off the
+   stage it continues in series, or starts at the rail. Returns the
+   stage and the entries, with a stage starting at the rail added."
+  (let* ((stages (all-stages entries))
+         (stage (find node stages :key #'rung-stage-key :test #'eq)))
+    (when stage
+      (return-from stage-for (values stage entries)))
+    ;; The longest logic NODE continues
+    (let ((base nil)
+          (remainder nil))
+      (dolist (candidate stages)
+        (let ((rest (series-remainder (rung-stage-key candidate) node)))
+          (when (and rest (or (null base) (< (length rest) (length remainder))))
+            (setf base candidate
+                  remainder rest))))
+      (let ((new (make-rung-stage
+                  :key node
+                  :logic (if base
+                             (if (cdr remainder) (list* :series remainder) (first remainder))
+                             node))))
+        (claim-cells (rung-stage-logic new) drawn)
+        (if base
+            (push new (rung-stage-tails base))
+            (setf entries (append entries (list new))))
+        (values new entries)))))
+
+(defun stage-reach (stage col)
+  "Column after the logic of a stage and of the stages off it"
+  (let ((end (+ col (if (rung-stage-logic stage) (logic-size (rung-stage-logic stage)) 0))))
+    (reduce #'max (remove-if-not #'rung-stage-p (rung-stage-tails stage))
+            :key (lambda (tail) (stage-reach tail end))
+            :initial-value end)))
+
+(defun place-stage (stage row col outcol layout)
+  "Place a stage with its logic starting at ROW, COL and its outputs in
+   column OUTCOL. Returns the number of rows used."
+  (let ((logic (rung-stage-logic stage))
+        (width 0)
+        (height 1))
+    (when logic
+      (setf (values width height) (logic-size logic))
+      (place-logic logic row col layout))
+    (let ((split (+ col width))
+          (tail-row row)
+          (last-row row))
+      (dolist (tail (reverse (rung-stage-tails stage)))
+        (setf last-row tail-row)
+        (incf tail-row
+              (if (rung-stage-p tail)
+                  (place-stage tail tail-row split outcol layout)
+                  (progn
+                    (place-cell tail tail-row outcol)
+                    (add-wire layout tail-row split outcol)
+                    1))))
+      (add-branch layout split row last-row)
+      (max height (- tail-row row)))))
+
+(defun place-input-block (cell inputs row outcol layout)
+  "Place an output reading several stack entries: its inputs stacked
+   from ROW, each wired to the block, which spans their rows. Returns
+   the number of rows used."
+  (let ((input-row row)
+        (last-row row))
+    (dolist (input inputs)
+      (multiple-value-bind (width height) (logic-size input)
+        (place-logic input input-row 0 layout)
+        (add-wire layout input-row width outcol)
+        (setf last-row input-row)
+        (incf input-row height)))
+    (place-cell cell row outcol)
+    (setf (ladder-cell-row-span cell) (1+ (- last-row row)))
+    (- input-row row)))
+
+(defun layout-rung-logic (cells)
+  "Lay out the cells of a network from its logic. CELLS is the list of
+   (opcode . cell) in IL order, with NIL cells for ANDSTR/ORSTR.
+   Returns rows, cols and the rung layout; signals
+   UNSUPPORTED-RUNG-LOGIC when the logic cannot be drawn."
+  (multiple-value-bind (outputs leftover) (network-logic cells)
+    (let ((drawn (make-hash-table :test #'eq))
+          (entries nil)
+          (layout (make-rung-layout)))
+      ;; Outputs in order, then logic that nothing reads
+      (dolist (output outputs)
+        (destructuring-bind (cell . inputs) output
+          (if (cdr inputs)
+              (progn
+                (dolist (input inputs)
+                  (claim-cells input drawn))
+                (setf entries (append entries (list (list cell inputs)))))
+              (let ((stage nil))
+                (if inputs
+                    (setf (values stage entries) (stage-for (first inputs) entries drawn))
+                    (setf stage (make-rung-stage)
+                          entries (append entries (list stage))))
+                (push cell (rung-stage-tails stage))))))
+      (dolist (node leftover)
+        (unless (every (lambda (cell) (gethash cell drawn)) (logic-cells node))
+          (setf entries (nth-value 1 (stage-for node entries drawn)))))
+
+      (let ((outcol (reduce #'max entries
+                            :key (lambda (entry)
+                                   (if (rung-stage-p entry)
+                                       (stage-reach entry 0)
+                                       (reduce #'max (second entry)
+                                               :key #'logic-size)))
+                            :initial-value 0))
+            (row 0))
+        (dolist (entry entries)
+          (incf row (if (rung-stage-p entry)
+                        (place-stage entry row 0 outcol layout)
+                        (place-input-block (first entry) (second entry) row outcol layout))))
+        (values (max row 1)
+                (if outputs (1+ outcol) outcol)
+                layout)))))
+
+(defun layout-linear (cells)
+  "Lay cells out in a single row, in IL order"
+  (loop for cell in cells
+        for col from 0
+        do (place-cell cell 0 col))
+  (values 1 (length cells) (make-rung-layout)))
+
+;;; ============================================================
+;;; Network to Ladder Rung Conversion
+;;; ============================================================
+
+(defun network-to-ladder-rung (network)
+  "Convert a parsed network to a ladder rung structure. Cells are laid
+   out from the logic stack, with nested branches and several outputs;
+   a network whose logic cannot be drawn is laid out in a single row."
+  (let* ((entries (mapcar (lambda (instr)
+                            (let ((opcode (mblogic-cl:parsed-opcode instr)))
+                              (cons opcode
+                                    (unless (branch-end-p opcode)
+                                      (instruction-to-cell instr 0)))))
+                          (mblogic-cl:network-instructions network)))
+         (cells (remove nil (mapcar #'cdr entries)))
+         (all-addresses nil))
+
+    (dolist (cell cells)
+      (dolist (addr (ladder-cell-addresses cell))
+        (pushnew addr all-addresses :test #'string-equal)))
+
+    (multiple-value-bind (rows cols layout)
+        (handler-case (layout-rung-logic entries)
+          (unsupported-rung-logic ()
+            (dolist (cell cells)
+              (setf (ladder-cell-row-span cell) 1))
+            (layout-linear cells)))
+      (make-ladder-rung
+       :number (mblogic-cl:network-number network)
+       :cells cells
+       :rows rows
+       :cols cols
+       ;; Recorded last first; sorted by column and row, in the order made
+       :branches (stable-sort (reverse (rung-layout-branches layout)) #'< :key #'first)
+       :wires (stable-sort (reverse (rung-layout-wires layout)) #'< :key #'first)
+       :addresses (nreverse all-addresses)
+       :comment (first (mblogic-cl:network-comments network))
+       :comments (mblogic-cl:network-comments network)
+       :il (network-il-lines network)))))
 
 ;;; ============================================================
 ;;; Program/Subroutine to Ladder Conversion
@@ -339,6 +663,8 @@
         :params (ladder-cell-params cell)
         :row (ladder-cell-row cell)
         :col (ladder-cell-col cell)
+        :row-span (ladder-cell-row-span cell)
+        :line (ladder-cell-line cell)
         :monitor (when (ladder-cell-monitor-type cell)
                    (string-downcase (symbol-name (ladder-cell-monitor-type cell))))))
 
@@ -348,8 +674,20 @@
         :rows (ladder-rung-rows rung)
         :cols (ladder-rung-cols rung)
         :comment (ladder-rung-comment rung)
+        :comments (ladder-rung-comments rung)
+        :il (ladder-rung-il rung)
         :addrs (ladder-rung-addresses rung)
-        :cells (mapcar #'cell-to-plist (ladder-rung-cells rung))))
+        :cells (mapcar #'cell-to-plist (ladder-rung-cells rung))
+        ;; A branch connector is a vertical line at the left edge of its
+        ;; column; a wire runs across its columns
+        :branches (mapcar (lambda (branch)
+                            (destructuring-bind (col start-row end-row) branch
+                              (list :col col :start-row start-row :end-row end-row)))
+                          (ladder-rung-branches rung))
+        :wires (mapcar (lambda (wire)
+                         (destructuring-bind (row start-col end-col) wire
+                           (list :row row :start-col start-col :end-col end-col)))
+                       (ladder-rung-wires rung))))
 
 (defun ladder-program-to-plist (ladder-prog)
   "Convert a ladder program to a plist for JSON serialization"
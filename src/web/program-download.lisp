@@ -0,0 +1,132 @@
+;;;; src/web/program-download.lisp
+;;;;
+;;;; Online Program Download
+;;;; Checks a complete IL program sent from the browser with a parse and
+;;;; compile dry run, and compares it network by network with the
+;;;; running program before it is installed
+
+(in-package #:mblogic-cl-web)
+
+;;; ============================================================
+;;; Dry Run
+;;; ============================================================
+
+(defun named-network-lists (parsed)
+  "Return an alist of (name . networks) for the main program and every
+   subroutine of PARSED, subroutines sorted by name"
+  (let ((subroutines nil))
+    (when parsed
+      (maphash (lambda (name sbr)
+                 (push (cons name (mblogic-cl:subroutine-networks sbr)) subroutines))
+               (mblogic-cl:program-subroutines parsed)))
+    (cons (cons "main" (when parsed (mblogic-cl:program-main-networks parsed)))
+          (sort subroutines #'string< :key #'car))))
+
+(defun parameter-type-problems (network)
+  "Return messages for the instructions of NETWORK with parameters of the wrong type"
+  (loop for instruction in (mblogic-cl:network-instructions network)
+        for problem = (nth-value 1 (mblogic-cl:validate-parameter-types
+                                    (mblogic-cl:parsed-instruction-def instruction)
+                                    (mblogic-cl:parsed-params instruction)))
+        when problem
+          collect (format nil "Line ~D: ~A"
+                          (mblogic-cl:parsed-line-number instruction) problem)))
+
+(defun download-problems (parsed)
+  "Return the parse and code generation errors of PARSED as messages.
+   Every network is checked so that all problems are reported at once."
+  (let ((names (list-subroutine-names parsed)))
+    (append
+     (mapcar (lambda (e)
+               (format nil "Line ~D: ~A"
+                       (mblogic-cl:parse-error-line e)
+                       (mblogic-cl:parse-error-message e)))
+             (mblogic-cl:program-errors parsed))
+     (loop for (nil . networks) in (named-network-lists parsed)
+           append (loop for network in networks
+                        append (parameter-type-problems network)
+                        append (network-compile-problems network names))))))
+
+(defun check-program-download (text)
+  "Parse and compile IL program TEXT without installing it.
+   Returns the parsed program, the compiled program (NIL if there were
+   errors), a list of error messages and a list of warning messages."
+  (let* ((parsed (mblogic-cl:parse-il-string text))
+         (errors (download-problems parsed))
+         (warnings (mapcar (lambda (w) (format nil "Line ~D: ~A" (car w) (cdr w)))
+                           (mblogic-cl:program-warnings parsed)))
+         (compiled nil))
+    (unless errors
+      (handler-case
+          (setf compiled (mblogic-cl:compile-program (mblogic-cl:make-il-compiler) parsed))
+        (error (e)
+          (setf errors (list (format nil "~A" e))))))
+    (values parsed compiled errors warnings)))
+
+;;; ============================================================
+;;; Program Comparison
+;;; ============================================================
+
+(defun network-text-lines (network)
+  "Return the IL lines of NETWORK including its network comments"
+  (append (mapcan #'comment-to-il (mblogic-cl:network-comments network))
+          (network-il-lines network)))
+
+(defun network-diff (old-networks new-networks)
+  "Compare two network lists position by position.
+   Returns a plist for every network that was added, removed or changed."
+  (loop for index from 0 below (max (length old-networks) (length new-networks))
+        for old = (nth index old-networks)
+        for new = (nth index new-networks)
+        for old-lines = (when old (network-text-lines old))
+        for new-lines = (when new (network-text-lines new))
+        unless (and old new (equal old-lines new-lines))
+          collect (list :rungnum (1+ index)
+                        :status (cond ((null old) "added")
+                                      ((null new) "removed")
+                                      (t "changed"))
+                        :old old-lines
+                        :new new-lines)))
+
+(defun program-diff (old new)
+  "Compare parsed programs OLD and NEW subroutine by subroutine.
+   Returns a plist for each subroutine in either program with its status
+   (added, removed, changed or unchanged) and the networks that differ."
+  (let* ((old-lists (named-network-lists old))
+         (new-lists (named-network-lists new))
+         (names (remove-duplicates (append (mapcar #'car old-lists)
+                                           (mapcar #'car new-lists))
+                                   :test #'string=
+                                   :from-end t)))
+    (loop for name in names
+          for old-entry = (assoc name old-lists :test #'string=)
+          for new-entry = (assoc name new-lists :test #'string=)
+          for networks = (network-diff (cdr old-entry) (cdr new-entry))
+          collect (list :subrname name
+                        :status (cond ((null old-entry) "added")
+                                      ((null new-entry) "removed")
+                                      (networks "changed")
+                                      (t "unchanged"))
+                        :networks networks))))
+
+;;; ============================================================
+;;; Download Responses
+;;; ============================================================
+
+(defun download-response (action success message errors warnings diff)
+  "Generate the response to a program dry run or install"
+  (plist-to-json
+   (list :action action
+         :success success
+         :message message
+         :errors errors
+         :warnings warnings
+         :subroutines diff)))
+
+(defun running-program-source (interpreter)
+  "Return the parsed source of INTERPRETER's program, or NIL"
+  (let ((program (when interpreter (mblogic-cl:interpreter-program interpreter))))
+    (when program
+      (mblogic-cl:program-source program))))
+
+;;; End of program-download.lisp
@@ -0,0 +1,165 @@
+;;;; src/web/program-edit.lisp
+;;;;
+;;;; Online Program Editing
+;;;; Parses and checks networks edited in the browser, rung by rung, and
+;;;; builds the program that replaces the one in the interpreter
+
+(in-package #:mblogic-cl-web)
+
+;;; ============================================================
+;;; Edited Network Parsing
+;;; ============================================================
+
+(defun instruction-problem (parsed)
+  "Return a message describing what is wrong with instruction PARSED, or NIL"
+  (let ((definition (mblogic-cl:parsed-instruction-def parsed))
+        (params (mblogic-cl:parsed-params parsed)))
+    (if (null definition)
+        (format nil "Unknown instruction: ~A" (mblogic-cl:parsed-opcode parsed))
+        (multiple-value-bind (valid message)
+            (mblogic-cl:validate-instruction definition params)
+          (if valid
+              (nth-value 1 (mblogic-cl:validate-parameter-types definition params))
+              message)))))
+
+(defun comment-text-lines (text)
+  "Split a rung comment typed in the browser into network comment lines"
+  (let ((trimmed (when (stringp text)
+                   (string-trim '(#\Space #\Tab #\Return #\Newline) text))))
+    (when (plusp (length trimmed))
+      (mapcar (lambda (line) (string-trim '(#\Space #\Tab) line))
+              (cl-ppcre:split "\\r?\\n" trimmed)))))
+
+(defun parse-edited-network (number comment lines)
+  "Parse one edited network from its COMMENT text and IL LINES.
+   Instruction line numbers are positions in LINES (1-based), so errors
+   and ladder cells point back at the line the user edited.
+   Returns the parsed network and a list of error messages."
+  (let ((instructions nil)
+        (errors nil)
+        (pending-comments nil))
+    (loop for line in lines
+          for line-number from 1
+          do (cond
+               ((mblogic-cl:blank-line-p line))
+               ((mblogic-cl:comment-line-p line)
+                (push (mblogic-cl:extract-comment line) pending-comments))
+               ((cl-ppcre:scan "(?i)^\\s*(NETWORK|SBR)\\b" line)
+                (push (format nil "Line ~D: NETWORK and SBR cannot appear inside a network"
+                              line-number)
+                      errors))
+               (t
+                (let* ((parsed (mblogic-cl:parse-instruction-line line line-number))
+                       (problem (instruction-problem parsed)))
+                  (if problem
+                      (push (format nil "Line ~D: ~A" line-number problem) errors)
+                      (progn
+                        (when pending-comments
+                          (setf (mblogic-cl:parsed-comment parsed)
+                                (format nil "~{~A~^~%~}" (reverse pending-comments)))
+                          (setf pending-comments nil))
+                        (push parsed instructions)))))))
+    (values (make-instance 'mblogic-cl:parsed-network
+                           :number number
+                           :instructions (nreverse instructions)
+                           :comments (comment-text-lines comment))
+            (nreverse errors))))
+
+(defun network-compile-problems (network subroutine-names)
+  "Generate code for NETWORK on its own and return a list of error messages.
+   CALL targets must be among SUBROUTINE-NAMES."
+  (let ((problems nil))
+    (dolist (instruction (mblogic-cl:network-instructions network))
+      (when (string= (mblogic-cl:parsed-opcode instruction) "CALL")
+        (let ((target (first (mblogic-cl:parsed-params instruction))))
+          (unless (member target subroutine-names :test #'string=)
+            (push (format nil "Line ~D: Undefined subroutine: ~A"
+                          (mblogic-cl:parsed-line-number instruction) target)
+                  problems)))))
+    (handler-case
+        (mblogic-cl:compile-network (mblogic-cl:make-il-compiler) network 'subroutines)
+      (mblogic-cl:plc-compile-error (e)
+        (push (format nil "Line ~D: ~A"
+                      (mblogic-cl:compile-error-line e)
+                      (mblogic-cl:compile-error-message e))
+              problems))
+      (error (e)
+        (push (format nil "~A" e) problems)))
+    (nreverse problems)))
+
+;;; ============================================================
+;;; Edited Program Assembly
+;;; ============================================================
+
+(defun program-with-networks (source subrname networks)
+  "Return a copy of parsed program SOURCE with the networks of SUBRNAME
+   (or of the main program) replaced by NETWORKS"
+  (let ((subroutines (make-hash-table :test 'equal))
+        (main-p (string-equal subrname "main")))
+    (maphash (lambda (name sbr)
+               (setf (gethash name subroutines) sbr))
+             (mblogic-cl:program-subroutines source))
+    (unless main-p
+      (setf (gethash subrname subroutines)
+            (make-instance 'mblogic-cl:parsed-subroutine
+                           :name subrname
+                           :networks networks)))
+    (make-instance 'mblogic-cl:parsed-program
+                   :main-networks (if main-p
+                                      networks
+                                      (mblogic-cl:program-main-networks source))
+                   :subroutines subroutines)))
+
+(defun check-program-edit (source subrname rung-specs)
+  "Parse and check the edited networks of SUBRNAME in parsed program SOURCE.
+   RUNG-SPECS is the decoded request body list of alists with :comment and
+   :il (a list of IL lines). Networks are renumbered from 1 in order.
+   Returns the edited parsed program and a list holding the error messages
+   of each rung."
+  (let ((subroutine-names (list-subroutine-names source))
+        (networks nil)
+        (rung-errors nil))
+    (loop for spec in rung-specs
+          for number from 1
+          do (multiple-value-bind (network parse-errors)
+                 (parse-edited-network number
+                                       (cdr (assoc :comment spec))
+                                       (cdr (assoc :il spec)))
+               (push network networks)
+               (push (append parse-errors
+                             (network-compile-problems network subroutine-names))
+                     rung-errors)))
+    (values (program-with-networks source subrname (nreverse networks))
+            (nreverse rung-errors))))
+
+;;; ============================================================
+;;; Edit Responses
+;;; ============================================================
+
+(defun edit-response (action success message subrname edited rung-errors)
+  "Generate the response to a program check or save.
+   Includes the errors of every rung and the ladder of the edited networks."
+  (plist-to-json
+   (list :action action
+         :success success
+         :message message
+         :subrname subrname
+         :rungs (loop for errors in rung-errors
+                      for number from 1
+                      collect (list :rungnum number :errors errors))
+         :program (when edited
+                    (ladder-program-to-plist (program-to-ladder edited subrname))))))
+
+(defun edited-program-source (interpreter subrname)
+  "Return the parsed program that an edit of SUBRNAME applies to.
+   Signals an error when there is nothing to edit."
+  (let* ((program (when interpreter (mblogic-cl:interpreter-program interpreter)))
+         (source (when program (mblogic-cl:program-source program))))
+    (cond
+      ((null interpreter) (error "No interpreter loaded"))
+      ((null source) (error "No program source available"))
+      ((not (member subrname (list-subroutine-names source) :test #'string=))
+       (error "Subroutine '~A' not found" subrname))
+      (t source))))
+
+;;; End of program-edit.lisp
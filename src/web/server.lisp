@@ -24,6 +24,27 @@
 (defvar *static-directory* nil
   "Directory for static files (HTML, CSS, JS)")
 
+(defparameter *default-scan-interval* 10
+  "Target scan time in ms of the PLC thread until it is changed from the monitor")
+
+(defparameter *max-scan-interval* 60000
+  "Longest scan interval in ms that can be set from the monitor")
+
+(defparameter *max-step-scans* 10000
+  "Most scans a single step request can run")
+
+(defparameter *stream-poll-interval* 0.1
+  "Seconds between change checks on a live data stream")
+
+(defparameter *stream-keepalive-interval* 5
+  "Seconds without events before a heartbeat event is sent on a live data stream")
+
+(defvar *stream-watches* (make-hash-table :test 'equal)
+  "Address sets of the open live data streams, keyed by watch id")
+
+(defvar *stream-watch-lock* (bt:make-lock "stream-watch-lock")
+  "Lock for the live data stream address sets")
+
 ;;; ============================================================
 ;;; Static File Handling
 ;;; ============================================================
@@ -87,13 +108,15 @@
 (defun start-plc-thread ()
   "Start the PLC interpreter in a background thread"
   (bt:with-lock-held (*plc-lock*)
+    ;; A thread that stopped by itself (END or a breakpoint) is finished
+    (when (and *plc-thread* (not (bt:thread-alive-p *plc-thread*)))
+      (setf *plc-thread* nil))
     (when (and *plc-interpreter* (not *plc-thread*))
       (setf *plc-thread*
             (bt:make-thread
              (lambda ()
                (handler-case
-                   (mblogic-cl:run-continuous *plc-interpreter*
-                                              :target-scan-time 10)
+                   (mblogic-cl:run-continuous *plc-interpreter*)
                  (error (e)
                    (format *error-output* "PLC thread error: ~A~%" e))))
              :name "plc-interpreter"))
@@ -116,12 +139,12 @@
        *plc-interpreter*
        (mblogic-cl:interpreter-running-p *plc-interpreter*)))
 
-(defun step-plc ()
-  "Execute a single PLC scan"
+(defun step-plc (&optional (count 1))
+  "Execute up to COUNT PLC scans. Returns the number of scans executed,
+   fewer than COUNT when END or a breakpoint stopped the batch."
   (bt:with-lock-held (*plc-lock*)
     (when *plc-interpreter*
-      (mblogic-cl:step-scan *plc-interpreter*)
-      t)))
+      (mblogic-cl:step-scans *plc-interpreter* count))))
 
 ;;; ============================================================
 ;;; API Route Handlers
@@ -139,14 +162,33 @@
       (setf (hunchentoot:content-type*) "application/json")
       (plist-to-json (list :error (format nil "~A" e))))))
 
+(defun handle-api-statistics-reset ()
+  "Handle POST /api/statistics/reset: start the scan time statistics over
+   without stopping the PLC"
+  (setf (hunchentoot:content-type*) "application/json")
+  (handler-case
+      (if *plc-interpreter*
+          (progn
+            (mblogic-cl:reset-statistics *plc-interpreter*)
+            (control-response "reset-statistics" t))
+          (control-response "reset-statistics" nil "No interpreter loaded"))
+    (error (e)
+      (control-response "reset-statistics" nil (format nil "~A" e)))))
+
 (defun handle-api-data ()
-  "Handle GET /api/data?addr=X1,Y1,DS1"
+  "Handle GET /api/data?addr=X1,Y1,DS1 and POST /api/data with body
+   {\"addr\": [\"X1\", \"Y1\", \"DS1\"]}. Large address sets are posted
+   so they are not limited by the URL length."
   (handler-case
       (progn
         (setf (hunchentoot:content-type*) "application/json")
-        (let ((addr-param (hunchentoot:get-parameter "addr")))
-          (if addr-param
-              (data-response *plc-interpreter* (parse-address-list addr-param))
+        (let ((addr-entry (if (eq (hunchentoot:request-method*) :post)
+                              (assoc :addr (request-json-body))
+                              (let ((param (hunchentoot:get-parameter "addr")))
+                                (when param
+                                  (cons :addr param))))))
+          (if addr-entry
+              (data-response *plc-interpreter* (body-address-list (cdr addr-entry)))
               (plist-to-json (list :error "Missing 'addr' parameter")))))
     (error (e)
       (format *error-output* "Error in handle-api-data: ~A~%" e)
@@ -167,6 +209,117 @@
       (setf (hunchentoot:content-type*) "application/json")
       (plist-to-json (list :error (format nil "~A" e))))))
 
+(defun send-stream-event (stream event payload)
+  "Write one Server-Sent Event named EVENT with JSON PAYLOAD to STREAM"
+  (format stream "event: ~A~%data: ~A~%~%" event payload)
+  (finish-output stream))
+
+(defun stream-watch-addresses (id)
+  "Return the address set of the stream with watch ID"
+  (bt:with-lock-held (*stream-watch-lock*)
+    (gethash id *stream-watches*)))
+
+(defun set-stream-watch-addresses (id addresses)
+  "Replace the address set of the open stream with watch ID.
+   Returns NIL when no stream with that id is open."
+  (bt:with-lock-held (*stream-watch-lock*)
+    (when (nth-value 1 (gethash id *stream-watches*))
+      (setf (gethash id *stream-watches*) addresses)
+      t)))
+
+(defun register-stream-watch (id addresses)
+  "Record the address set of a stream opened with watch ID"
+  (bt:with-lock-held (*stream-watch-lock*)
+    (setf (gethash id *stream-watches*) addresses)))
+
+(defun unregister-stream-watch (id)
+  "Forget the address set of a closed stream"
+  (bt:with-lock-held (*stream-watch-lock*)
+    (remhash id *stream-watches*)))
+
+(defun run-data-stream (stream address-source include-stats)
+  "Push change-only updates for the addresses returned by ADDRESS-SOURCE
+   (and statistics when INCLUDE-STATS) to STREAM until the client
+   disconnects or the server stops. ADDRESS-SOURCE is called on every
+   check, so the address set can change while the stream is open.
+   The first update after connecting, and after the address set changes,
+   always carries every value."
+  (let ((watched nil)
+        (last-values nil)
+        (last-stats nil)
+        (idle-time 0))
+    (loop while (web-server-running-p)
+          do (let ((addresses (funcall address-source))
+                   (sent nil))
+               (unless (equal addresses watched)
+                 (setf watched addresses
+                       last-values nil))
+               (when (and addresses *plc-interpreter*)
+                 (let* ((current (data-values *plc-interpreter* addresses))
+                        (changes (changed-values last-values current)))
+                   (when changes
+                     (send-stream-event stream "data" (alist-to-json changes))
+                     (setf last-values current
+                           sent t))))
+               (when include-stats
+                 (let ((stats (statistics-plist *plc-interpreter*)))
+                   (unless (equalp stats last-stats)
+                     (send-stream-event stream "stats" (plist-to-json stats))
+                     (setf last-stats stats
+                           sent t))))
+               ;; Heartbeats keep proxies from closing a quiet connection and
+               ;; tell the browser the stream is still alive
+               (if sent
+                   (setf idle-time 0)
+                   (incf idle-time *stream-poll-interval*))
+               (when (>= idle-time *stream-keepalive-interval*)
+                 (send-stream-event stream "heartbeat" "{}")
+                 (setf idle-time 0))
+               (sleep *stream-poll-interval*)))))
+
+(defun handle-api-stream ()
+  "Handle GET /api/stream?addr=X1,Y1,DS1&stats=1 (Server-Sent Events).
+   With watch=ID instead of addr, the address set starts empty and is
+   replaced by posting to /api/stream/watch."
+  (setf (hunchentoot:content-type*) "text/event-stream; charset=utf-8")
+  (setf (hunchentoot:header-out :cache-control) "no-cache")
+  (let ((addresses (parse-address-list (hunchentoot:get-parameter "addr")))
+        (watch-id (hunchentoot:get-parameter "watch"))
+        (include-stats (equal (hunchentoot:get-parameter "stats") "1")))
+    ;; Registered before the headers go out, so the browser can post the
+    ;; address set as soon as the stream is open
+    (when watch-id
+      (register-stream-watch watch-id addresses))
+    (unwind-protect
+         (let ((stream (flex:make-flexi-stream
+                        (hunchentoot:send-headers)
+                        :external-format (flex:make-external-format :utf-8 :eol-style :lf))))
+           (handler-case
+               (run-data-stream stream
+                                (if watch-id
+                                    (lambda () (stream-watch-addresses watch-id))
+                                    (lambda () addresses))
+                                include-stats)
+             ;; The client going away surfaces as a write error; just end the stream
+             (error (e)
+               (declare (ignore e))
+               nil)))
+      (when watch-id
+        (unregister-stream-watch watch-id)))))
+
+(defun handle-api-stream-watch ()
+  "Handle POST /api/stream/watch with body {\"id\": \"...\", \"addr\": [\"X1\", \"Y1\"]}"
+  (setf (hunchentoot:content-type*) "application/json")
+  (handler-case
+      (let* ((body (request-json-body))
+             (id (cdr (assoc :id body))))
+        (if (and (stringp id)
+                 (set-stream-watch-addresses id (body-address-list (cdr (assoc :addr body)))))
+            (control-response "watch" t)
+            (control-response "watch" nil "No open stream with that id")))
+    (error (e)
+      (control-response "watch" nil (format nil "~A" e)))))
+
 (defun handle-api-subroutines ()
   "Handle GET /api/subroutines"
   (setf (hunchentoot:content-type*) "application/json")
@@ -193,15 +346,263 @@
       (control-response "stop" nil "No interpreter loaded")))
 
 (defun handle-api-control-step ()
-  "Handle POST /api/control/step"
+  "Handle POST /api/control/step with an optional body {\"count\": 10}"
   (setf (hunchentoot:content-type*) "application/json")
-  (if *plc-interpreter*
-      (if (plc-thread-running-p)
-          (control-response "step" nil "Stop continuous mode first")
-          (progn
-            (step-plc)
-            (control-response "step" t)))
-      (control-response "step" nil "No interpreter loaded")))
+  (handler-case
+      (let ((count (or (cdr (assoc :count (request-json-body))) 1)))
+        (cond
+          ((null *plc-interpreter*)
+           (control-response "step" nil "No interpreter loaded"))
+          ((plc-thread-running-p)
+           (control-response "step" nil "Stop continuous mode first"))
+          ((not (and (integerp count) (<= 1 count *max-step-scans*)))
+           (control-response "step" nil
+                             (format nil "Scan count must be 1 to ~D" *max-step-scans*)))
+          (t
+           (let ((scans (step-plc count)))
+             (control-response "step" t
+                               (if (< scans count)
+                                   (format nil "Stopped after ~D of ~D scans" scans count)
+                                   (format nil "Executed ~D scan~:P" scans)))))))
+    (error (e)
+      (control-response "step" nil (format nil "~A" e)))))
+
+(defun handle-api-control-interval ()
+  "Handle POST /api/control/interval with body {\"interval\": 500}.
+   The interval is the target scan time in ms and applies immediately,
+   also to a continuous run in progress."
+  (setf (hunchentoot:content-type*) "application/json")
+  (handler-case
+      (let ((interval (cdr (assoc :interval (request-json-body)))))
+        (cond
+          ((null *plc-interpreter*)
+           (control-response "interval" nil "No interpreter loaded"))
+          ((not (and (realp interval) (<= 0 interval *max-scan-interval*)))
+           (control-response "interval" nil
+                             (format nil "Scan interval must be 0 to ~D ms" *max-scan-interval*)))
+          (t
+           (setf (mblogic-cl:interpreter-scan-interval *plc-interpreter*) interval)
+           (control-response "interval" t))))
+    (error (e)
+      (control-response "interval" nil (format nil "~A" e)))))
+
+;;; ============================================================
+;;; Data Write and Force Handlers
+;;; ============================================================
+
+(defun request-json-body ()
+  "Decode the JSON body of the current request into an alist"
+  (let ((body (hunchentoot:raw-post-data :force-text t)))
+    (when (and body (> (length body) 0))
+      (cl-json:decode-json-from-string body))))
+
+(defun address-request-error (address)
+  "Return a message explaining why ADDRESS cannot be written, or NIL"
+  (cond
+    ((null *plc-interpreter*) "No interpreter loaded")
+    ((not (mblogic-cl:any-addr-p address))
+     (format nil "Invalid address: ~A" address))))
+
+(defun handle-api-write ()
+  "Handle POST /api/write with body {\"addr\": \"DS1\", \"value\": 42}"
+  (setf (hunchentoot:content-type*) "application/json")
+  (handler-case
+      (let* ((body (request-json-body))
+             (address (cdr (assoc :addr body)))
+             (problem (address-request-error address)))
+        (if problem
+            (control-response "write" nil problem)
+            (progn
+              (write-address-value *plc-interpreter* address (cdr (assoc :value body)))
+              (control-response "write" t))))
+    (error (e)
+      (control-response "write" nil (format nil "~A" e)))))
+
+(defun handle-api-force-set ()
+  "Handle POST /api/force/set with body {\"addr\": \"X1\", \"value\": true}"
+  (setf (hunchentoot:content-type*) "application/json")
+  (handler-case
+      (let* ((body (request-json-body))
+             (address (cdr (assoc :addr body)))
+             (problem (address-request-error address)))
+        (if problem
+            (control-response "force" nil problem)
+            (progn
+              (force-address-value *plc-interpreter* address (cdr (assoc :value body)))
+              (control-response "force" t))))
+    (error (e)
+      (control-response "force" nil (format nil "~A" e)))))
+
+(defun handle-api-force-release ()
+  "Handle POST /api/force/release with body {\"addr\": \"X1\"} or {\"all\": true}"
+  (setf (hunchentoot:content-type*) "application/json")
+  (handler-case
+      (let ((body (request-json-body)))
+        (cond
+          ((null *plc-interpreter*)
+           (control-response "release" nil "No interpreter loaded"))
+          ((cdr (assoc :all body))
+           (mblogic-cl:release-all-forces *plc-interpreter*)
+           (control-response "release" t))
+          (t
+           (let* ((address (cdr (assoc :addr body)))
+                  (problem (address-request-error address)))
+             (if problem
+                 (control-response "release" nil problem)
+                 (progn
+                   (mblogic-cl:release-force *plc-interpreter* address)
+                   (control-response "release" t)))))))
+    (error (e)
+      (control-response "release" nil (format nil "~A" e)))))
+
+(defun handle-api-force-list ()
+  "Handle GET /api/force/list"
+  (setf (hunchentoot:content-type*) "application/json")
+  (forces-response *plc-interpreter*))
+
+;;; ============================================================
+;;; Breakpoint Handlers
+;;; ============================================================
+
+(defun handle-api-breakpoint-set ()
+  "Handle POST /api/breakpoint/set with body {\"addr\": \"DS10\", \"op\": \">\", \"value\": 500}"
+  (setf (hunchentoot:content-type*) "application/json")
+  (handler-case
+      (let* ((body (request-json-body))
+             (address (cdr (assoc :addr body)))
+             (operator (cdr (assoc :op body)))
+             (problem (or (address-request-error address)
+                          (unless (member operator mblogic-cl:*breakpoint-operators*
+                                          :test #'equal)
+                            (format nil "Invalid operator: ~A" operator)))))
+        (if problem
+            (control-response "breakpoint" nil problem)
+            (progn
+              (set-address-breakpoint *plc-interpreter* address operator
+                                      (cdr (assoc :value body)))
+              (control-response "breakpoint" t))))
+    (error (e)
+      (control-response "breakpoint" nil (format nil "~A" e)))))
+
+(defun handle-api-breakpoint-clear ()
+  "Handle POST /api/breakpoint/clear with body {\"id\": 1} or {\"all\": true}"
+  (setf (hunchentoot:content-type*) "application/json")
+  (handler-case
+      (let ((body (request-json-body)))
+        (cond
+          ((null *plc-interpreter*)
+           (control-response "clear" nil "No interpreter loaded"))
+          ((cdr (assoc :all body))
+           (mblogic-cl:clear-breakpoints *plc-interpreter*)
+           (control-response "clear" t))
+          ((integerp (cdr (assoc :id body)))
+           (mblogic-cl:remove-breakpoint *plc-interpreter* (cdr (assoc :id body)))
+           (control-response "clear" t))
+          (t
+           (control-response "clear" nil "Missing breakpoint id"))))
+    (error (e)
+      (control-response "clear" nil (format nil "~A" e)))))
+
+(defun handle-api-breakpoint-list ()
+  "Handle GET /api/breakpoint/list"
+  (setf (hunchentoot:content-type*) "application/json")
+  (breakpoints-response *plc-interpreter*))
+
+;;; ============================================================
+;;; Program Edit Handlers
+;;; ============================================================
+
+(defun handle-api-program-check ()
+  "Handle POST /api/program/check with body
+   {\"subrname\": \"main\", \"rungs\": [{\"comment\": \"...\", \"il\": [\"STR X1\", ...]}]}"
+  (setf (hunchentoot:content-type*) "application/json")
+  (handler-case
+      (let* ((body (request-json-body))
+             (subrname (or (cdr (assoc :subrname body)) "main"))
+             (source (edited-program-source *plc-interpreter* subrname)))
+        (multiple-value-bind (edited rung-errors)
+            (check-program-edit source subrname (cdr (assoc :rungs body)))
+          (if (every #'null rung-errors)
+              (edit-response "check" t "OK" subrname edited rung-errors)
+              (edit-response "check" nil "Program has errors" subrname edited rung-errors))))
+    (error (e)
+      (control-response "check" nil (format nil "~A" e)))))
+
+(defun handle-api-program-save ()
+  "Handle POST /api/program/save with the same body as /api/program/check.
+   The edited program is compiled and replaces the running program at the
+   next scan boundary; nothing is changed if any rung has errors."
+  (setf (hunchentoot:content-type*) "application/json")
+  (handler-case
+      (let* ((body (request-json-body))
+             (subrname (or (cdr (assoc :subrname body)) "main"))
+             (source (edited-program-source *plc-interpreter* subrname)))
+        (multiple-value-bind (edited rung-errors)
+            (check-program-edit source subrname (cdr (assoc :rungs body)))
+          (if (every #'null rung-errors)
+              (let ((compiled (mblogic-cl:compile-program (mblogic-cl:make-il-compiler) edited)))
+                (bt:with-lock-held (*plc-lock*)
+                  (mblogic-cl:replace-program *plc-interpreter* compiled))
+                (edit-response "save" t "OK" subrname edited rung-errors))
+              (edit-response "save" nil "Program has errors; not saved"
+                             subrname edited rung-errors))))
+    (error (e)
+      (control-response "save" nil (format nil "~A" e)))))
+
+;;; ============================================================
+;;; Program Download Handlers
+;;; ============================================================
+
+(defun handle-api-program-validate ()
+  "Handle POST /api/program/validate with body {\"source\": \"IL program text\"}.
+   Parses and compiles the program without installing it and compares it
+   with the running program."
+  (setf (hunchentoot:content-type*) "application/json")
+  (handler-case
+      (let ((text (cdr (assoc :source (request-json-body)))))
+        (if (stringp text)
+            (multiple-value-bind (parsed compiled errors warnings)
+                (check-program-download text)
+              (declare (ignore compiled))
+              (download-response "validate" (null errors)
+                                 (if errors "Program has errors" "OK")
+                                 errors warnings
+                                 (program-diff (running-program-source *plc-interpreter*) parsed)))
+            (control-response "validate" nil "Missing 'source'")))
+    (error (e)
+      (control-response "validate" nil (format nil "~A" e)))))
+
+(defun handle-api-program-install ()
+  "Handle POST /api/program/install with body {\"source\": \"...\", \"stop\": true}.
+   The program is checked again before the swap. With stop the PLC is
+   stopped first; otherwise the new program takes over at the next scan."
+  (setf (hunchentoot:content-type*) "application/json")
+  (handler-case
+      (let* ((body (request-json-body))
+             (text (cdr (assoc :source body)))
+             (stop (cdr (assoc :stop body))))
+        (cond
+          ((null *plc-interpreter*)
+           (control-response "install" nil "No interpreter loaded"))
+          ((not (stringp text))
+           (control-response "install" nil "Missing 'source'"))
+          (t
+           (multiple-value-bind (parsed compiled errors warnings)
+               (check-program-download text)
+             (let ((diff (program-diff (running-program-source *plc-interpreter*) parsed)))
+               (if errors
+                   (download-response "install" nil "Program has errors; not installed"
+                                      errors warnings diff)
+                   (progn
+                     (when stop
+                       (stop-plc-thread))
+                     (bt:with-lock-held (*plc-lock*)
+                       (mblogic-cl:replace-program *plc-interpreter* compiled))
+                     (download-response "install" t
+                                        (if stop "Installed; PLC stopped" "Installed at the next scan")
+                                        errors warnings diff))))))))
+    (error (e)
+      (control-response "install" nil (format nil "~A" e)))))
 
 ;;; ============================================================
 ;;; Route Dispatcher
@@ -211,13 +612,28 @@
   "Create the URL dispatch table"
   (list
    ;; API routes
+   (hunchentoot:create-prefix-dispatcher "/api/statistics/reset" #'handle-api-statistics-reset)
    (hunchentoot:create-prefix-dispatcher "/api/statistics" #'handle-api-statistics)
    (hunchentoot:create-prefix-dispatcher "/api/data" #'handle-api-data)
+   (hunchentoot:create-prefix-dispatcher "/api/stream/watch" #'handle-api-stream-watch)
+   (hunchentoot:create-prefix-dispatcher "/api/stream" #'handle-api-stream)
+   (hunchentoot:create-prefix-dispatcher "/api/program/check" #'handle-api-program-check)
+   (hunchentoot:create-prefix-dispatcher "/api/program/save" #'handle-api-program-save)
+   (hunchentoot:create-prefix-dispatcher "/api/program/validate" #'handle-api-program-validate)
+   (hunchentoot:create-prefix-dispatcher "/api/program/install" #'handle-api-program-install)
    (hunchentoot:create-prefix-dispatcher "/api/program" #'handle-api-program)
    (hunchentoot:create-prefix-dispatcher "/api/subroutines" #'handle-api-subroutines)
    (hunchentoot:create-prefix-dispatcher "/api/control/start" #'handle-api-control-start)
    (hunchentoot:create-prefix-dispatcher "/api/control/stop" #'handle-api-control-stop)
    (hunchentoot:create-prefix-dispatcher "/api/control/step" #'handle-api-control-step)
+   (hunchentoot:create-prefix-dispatcher "/api/control/interval" #'handle-api-control-interval)
+   (hunchentoot:create-prefix-dispatcher "/api/write" #'handle-api-write)
+   (hunchentoot:create-prefix-dispatcher "/api/force/set" #'handle-api-force-set)
+   (hunchentoot:create-prefix-dispatcher "/api/force/release" #'handle-api-force-release)
+   (hunchentoot:create-prefix-dispatcher "/api/force/list" #'handle-api-force-list)
+   (hunchentoot:create-prefix-dispatcher "/api/breakpoint/set" #'handle-api-breakpoint-set)
+   (hunchentoot:create-prefix-dispatcher "/api/breakpoint/clear" #'handle-api-breakpoint-clear)
+   (hunchentoot:create-prefix-dispatcher "/api/breakpoint/list" #'handle-api-breakpoint-list)
 
    ;; Static file routes
    (hunchentoot:create-prefix-dispatcher "/css/"
@@ -230,6 +646,10 @@
    ;; HTML pages
    (hunchentoot:create-prefix-dispatcher "/laddermonitor.html"
     (lambda () (serve-static-file "laddermonitor.html")))
+   (hunchentoot:create-prefix-dispatcher "/ladderviewer.html"
+    (lambda () (serve-static-file "ladderviewer.html")))
+   (hunchentoot:create-prefix-dispatcher "/watchtable.html"
+    (lambda () (serve-static-file "watchtable.html")))
    (hunchentoot:create-prefix-dispatcher "/index.html"
     (lambda () (serve-static-file "index.html")))
 
@@ -259,6 +679,8 @@
     (stop-web-server))
 
   (setf *plc-interpreter* interpreter)
+  (when (and interpreter (null (mblogic-cl:interpreter-scan-interval interpreter)))
+    (setf (mblogic-cl:interpreter-scan-interval interpreter) *default-scan-interval*))
   (initialize-static-directory)
 
   ;; Install our dispatch table
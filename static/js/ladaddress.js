@@ -0,0 +1,121 @@
+/**
+ * ladaddress.js - PLC Address Helpers
+ * Classifies data table addresses the same way the server does
+ */
+
+const LadAddress = (function() {
+    'use strict';
+
+    // Address patterns (mirror the scanners in src/instructions.lisp)
+    const BOOL_PATTERN = /^(X|Y|C|SC|T|CT)[0-9]+$/;
+    const WORD_PATTERN = /^(DS|DD|DH|XD|YD|XS|YS|SD|TD|CTD)[0-9]+$/;
+    const FLOAT_PATTERN = /^DF[0-9]+$/;
+    const STRING_PATTERN = /^TXT[0-9]+$/;
+
+    // Largest range accepted by parseAddressList, to keep requests sane
+    const MAX_RANGE_SIZE = 1000;
+
+    // Range forms: DS1-DS50, C100..C120, DS1-50
+    const RANGE_PATTERN = /^([A-Z]+)([0-9]+)(?:-|\.\.)(?:([A-Z]+))?([0-9]+)$/;
+
+    /**
+     * Get the data table type of an address
+     * @param {string} address - Address string
+     * @returns {string|null} - 'bool', 'word', 'float', 'string' or null if invalid
+     */
+    function getAddressType(address) {
+        if (BOOL_PATTERN.test(address)) return 'bool';
+        if (WORD_PATTERN.test(address)) return 'word';
+        if (FLOAT_PATTERN.test(address)) return 'float';
+        if (STRING_PATTERN.test(address)) return 'string';
+        return null;
+    }
+
+    /**
+     * Check if a string is a valid address
+     * @param {string} address - Address string
+     * @returns {boolean}
+     */
+    function isAddress(address) {
+        return getAddressType(address) !== null;
+    }
+
+    /**
+     * Check if an address holds a boolean
+     * @param {string} address - Address string
+     * @returns {boolean}
+     */
+    function isBoolAddress(address) {
+        return BOOL_PATTERN.test(address);
+    }
+
+    /**
+     * Format a value for display. Bits show as ON or OFF; the server sends
+     * an off bit as null.
+     * @param {string} address - Address the value belongs to
+     * @param {*} value - Value to format
+     * @param {string} empty - Text for a word with no value
+     * @returns {string}
+     */
+    function formatValue(address, value, empty = '') {
+        if (isBoolAddress(address)) {
+            return value ? 'ON' : 'OFF';
+        }
+        if (value === null || value === undefined) {
+            return empty;
+        }
+        return String(value);
+    }
+
+    /**
+     * Parse a typed or pasted list of addresses and ranges.
+     * Entries may be separated by commas, whitespace or new lines.
+     * @param {string} text - Address list, e.g. "X1, DS1-DS50, C100..C120"
+     * @returns {Object} - {addresses: string[], errors: string[]}
+     */
+    function parseAddressList(text) {
+        const addresses = [];
+        const errors = [];
+
+        (text || '').toUpperCase().split(/[\s,;]+/).filter(t => t).forEach(token => {
+            if (isAddress(token)) {
+                addresses.push(token);
+                return;
+            }
+
+            const match = token.match(RANGE_PATTERN);
+            if (!match) {
+                errors.push(`Invalid address: ${token}`);
+                return;
+            }
+
+            const prefix = match[1];
+            const start = parseInt(match[2], 10);
+            const endPrefix = match[3] || prefix;
+            const end = parseInt(match[4], 10);
+
+            if (endPrefix !== prefix || !isAddress(prefix + start)) {
+                errors.push(`Invalid range: ${token}`);
+            } else if (end < start) {
+                errors.push(`Range end before start: ${token}`);
+            } else if (end - start + 1 > MAX_RANGE_SIZE) {
+                errors.push(`Range larger than ${MAX_RANGE_SIZE} addresses: ${token}`);
+            } else {
+                for (let i = start; i <= end; i++) {
+                    addresses.push(prefix + i);
+                }
+            }
+        });
+
+        return { addresses, errors };
+    }
+
+    // Public API
+    return {
+        getAddressType,
+        isAddress,
+        isBoolAddress,
+        formatValue,
+        parseAddressList
+    };
+})();
@@ -0,0 +1,613 @@
+/**
+ * ladalarm.js - Alarm and Event Log
+ * Watches user defined alarm conditions on live addresses and keeps a
+ * timestamped log of activations, clears and acknowledgements. Alarm
+ * definitions are kept in localStorage and can be exported and imported
+ * as a JSON file.
+ */
+
+const LadAlarm = (function() {
+    'use strict';
+
+    // localStorage key holding {alarms: [{id, addr, op, value, message, severity}]}
+    const STORAGE_KEY = 'mblogic-alarms';
+
+    // Events kept in the log; the oldest are dropped first
+    const MAX_EVENTS = 500;
+
+    // Comparison operators, the same as breakpoints use
+    const OPERATORS = ['=', '<>', '>', '>=', '<', '<='];
+
+    // Severities, most severe first
+    const SEVERITIES = ['high', 'medium', 'low'];
+
+    // Text accepted as true and false for boolean addresses
+    const TRUE_TEXT = ['1', 'on', 'true'];
+    const FALSE_TEXT = ['0', 'off', 'false'];
+
+    // Alarm definitions
+    let alarms = [];
+    let nextId = 1;
+
+    // State of every alarm by id: {active, acknowledged, value}
+    let states = new Map();
+
+    // Logged events, newest last: {time, type, alarm, value}
+    let events = [];
+
+    let subscription = null;
+
+    // DOM element IDs
+    const ELEMENTS = {
+        panel: 'alarm-panel',
+        addressInput: 'alarm-address',
+        opSelect: 'alarm-op',
+        valueInput: 'alarm-value',
+        messageInput: 'alarm-message',
+        severitySelect: 'alarm-severity',
+        btnAdd: 'btn-alarm-add',
+        btnAckAll: 'btn-alarm-ack-all',
+        btnClearLog: 'btn-alarm-clear-log',
+        btnExport: 'btn-alarm-export',
+        importFile: 'alarm-import-file',
+        messages: 'alarm-messages',
+        list: 'alarm-list',
+        log: 'alarm-log',
+        badge: 'status-alarms'
+    };
+
+    /**
+     * Initialize the alarm panel and start watching the alarm addresses
+     */
+    function init() {
+        fillSelect(ELEMENTS.opSelect, OPERATORS);
+        fillSelect(ELEMENTS.severitySelect, SEVERITIES);
+        setupHandlers();
+
+        setAlarms(loadStorage());
+    }
+
+    /**
+     * Add options to a select element that has none
+     * @param {string} id - Select element ID
+     * @param {string[]} options - Option values
+     */
+    function fillSelect(id, options) {
+        const select = document.getElementById(id);
+        if (!select || select.options.length > 0) return;
+
+        options.forEach(text => {
+            const option = document.createElement('option');
+            option.value = text;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Set up control handlers
+     */
+    function setupHandlers() {
+        const btnAdd = document.getElementById(ELEMENTS.btnAdd);
+        if (btnAdd) {
+            btnAdd.addEventListener('click', addFromInputs);
+        }
+
+        const messageInput = document.getElementById(ELEMENTS.messageInput);
+        if (messageInput) {
+            messageInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    addFromInputs();
+                }
+            });
+        }
+
+        const btnAckAll = document.getElementById(ELEMENTS.btnAckAll);
+        if (btnAckAll) {
+            btnAckAll.addEventListener('click', () => {
+                alarms.forEach(alarm => acknowledge(alarm.id));
+            });
+        }
+
+        const btnClearLog = document.getElementById(ELEMENTS.btnClearLog);
+        if (btnClearLog) {
+            btnClearLog.addEventListener('click', () => {
+                events = [];
+                renderLog();
+            });
+        }
+
+        const btnExport = document.getElementById(ELEMENTS.btnExport);
+        if (btnExport) {
+            btnExport.addEventListener('click', () => {
+                LadFiles.downloadFile('alarms.json', exportJson(), 'application/json');
+            });
+        }
+
+        const importFile = document.getElementById(ELEMENTS.importFile);
+        if (importFile) {
+            importFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    importFromFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+
+        // The status bar badge opens the panel
+        const badge = document.getElementById(ELEMENTS.badge);
+        const panel = document.getElementById(ELEMENTS.panel);
+        if (badge && panel) {
+            badge.addEventListener('click', () => {
+                panel.open = true;
+                panel.scrollIntoView({ block: 'nearest' });
+            });
+        }
+    }
+
+    // ============================================================
+    // Alarm definitions
+    // ============================================================
+
+    /**
+     * Add an alarm from the panel inputs
+     */
+    function addFromInputs() {
+        const addressInput = document.getElementById(ELEMENTS.addressInput);
+        const opSelect = document.getElementById(ELEMENTS.opSelect);
+        const valueInput = document.getElementById(ELEMENTS.valueInput);
+        const messageInput = document.getElementById(ELEMENTS.messageInput);
+        const severitySelect = document.getElementById(ELEMENTS.severitySelect);
+        if (!addressInput || !opSelect || !valueInput || !messageInput || !severitySelect) return;
+
+        // A tag name can be used instead of the address
+        const text = addressInput.value.trim();
+        const address = LadTags.findAddress(text) || text.toUpperCase();
+        const type = LadAddress.getAddressType(address);
+        if (!type) {
+            showMessage(`"${text}" is not an address or tag name`);
+            return;
+        }
+
+        // A bit alarms when it turns on unless a value is given
+        let value;
+        try {
+            const valueText = valueInput.value.trim();
+            value = type === 'bool' && !valueText ? true : parseValue(type, valueText);
+        } catch (e) {
+            showMessage(e.message);
+            return;
+        }
+
+        const alarm = {
+            id: nextId++,
+            addr: address,
+            op: opSelect.value,
+            value,
+            message: messageInput.value.trim() || `${LadTags.label(address)} alarm`,
+            severity: severitySelect.value
+        };
+        setAlarms(alarms.concat([alarm]));
+        saveStorage();
+
+        showMessage('');
+        valueInput.value = '';
+        messageInput.value = '';
+    }
+
+    /**
+     * Remove an alarm definition and its state
+     * @param {number} id - Alarm ID
+     */
+    function removeAlarm(id) {
+        setAlarms(alarms.filter(alarm => alarm.id !== id));
+        saveStorage();
+    }
+
+    /**
+     * Replace the alarm definitions, keeping the state of those that remain
+     * @param {Object[]} newAlarms - Alarm definitions
+     */
+    function setAlarms(newAlarms) {
+        alarms = newAlarms;
+        nextId = alarms.reduce((max, alarm) => Math.max(max, alarm.id + 1), nextId);
+
+        const kept = new Map();
+        alarms.forEach(alarm => {
+            kept.set(alarm.id, states.get(alarm.id) || { active: false, acknowledged: true, value: undefined });
+        });
+        states = kept;
+
+        watchAlarmAddresses();
+        renderList();
+        renderBadge();
+    }
+
+    /**
+     * Watch the alarm addresses on the page's live updates while there
+     * are alarms, and stop watching when the last one is removed
+     */
+    function watchAlarmAddresses() {
+        const addresses = alarmAddresses();
+        if (addresses.length === 0) {
+            cleanup();
+        } else if (subscription) {
+            subscription.setAddresses(addresses);
+        } else {
+            subscription = ServerComm.subscribe({
+                addresses,
+                statistics: false,
+                onData: checkAlarms
+            });
+        }
+    }
+
+    /**
+     * Addresses the alarms watch
+     * @returns {string[]}
+     */
+    function alarmAddresses() {
+        return [...new Set(alarms.map(alarm => alarm.addr))];
+    }
+
+    /**
+     * Convert value input text to a value for the address type
+     * @param {string} type - Address type from LadAddress
+     * @param {string} text - Input text
+     * @returns {boolean|number|string}
+     */
+    function parseValue(type, text) {
+        if (type === 'bool') {
+            const lower = text.toLowerCase();
+            if (TRUE_TEXT.includes(lower)) return true;
+            if (FALSE_TEXT.includes(lower)) return false;
+            throw new Error(`"${text}" is not ON or OFF`);
+        }
+        if (type === 'string') {
+            return text;
+        }
+        const value = type === 'word' ? parseInt(text, 10) : parseFloat(text);
+        if (Number.isNaN(value)) {
+            throw new Error(`"${text}" is not a number`);
+        }
+        return value;
+    }
+
+    // ============================================================
+    // Alarm state
+    // ============================================================
+
+    /**
+     * Check whether an alarm condition holds for a value
+     * @param {Object} alarm - Alarm definition
+     * @param {*} value - Current value (booleans may arrive as null for off)
+     * @returns {boolean}
+     */
+    function conditionHolds(alarm, value) {
+        const actual = LadAddress.isBoolAddress(alarm.addr) ? value === true : value;
+        if (actual === null || actual === undefined) return false;
+
+        switch (alarm.op) {
+            case '=': return actual === alarm.value;
+            case '<>': return actual !== alarm.value;
+            case '>': return actual > alarm.value;
+            case '>=': return actual >= alarm.value;
+            case '<': return actual < alarm.value;
+            default: return actual <= alarm.value;
+        }
+    }
+
+    /**
+     * Update the alarms whose addresses changed and log the transitions
+     * @param {Object} changes - Object mapping changed addresses to values
+     */
+    function checkAlarms(changes) {
+        let changed = false;
+        alarms.forEach(alarm => {
+            if (!(alarm.addr in changes)) return;
+
+            const state = states.get(alarm.id);
+            const value = changes[alarm.addr];
+            state.value = value;
+            const active = conditionHolds(alarm, value);
+            if (active === state.active) return;
+
+            state.active = active;
+            if (active) {
+                state.acknowledged = false;
+            }
+            logEvent(active ? 'active' : 'clear', alarm, value);
+            changed = true;
+        });
+
+        if (changed) {
+            renderList();
+            renderBadge();
+            renderLog();
+        }
+    }
+
+    /**
+     * Acknowledge an alarm that has not been acknowledged yet
+     * @param {number} id - Alarm ID
+     */
+    function acknowledge(id) {
+        const alarm = alarms.find(a => a.id === id);
+        const state = states.get(id);
+        if (!alarm || !state || state.acknowledged) return;
+
+        state.acknowledged = true;
+        logEvent('ack', alarm, state.value);
+        renderList();
+        renderBadge();
+        renderLog();
+    }
+
+    /**
+     * Add an event to the log
+     * @param {string} type - 'active', 'clear' or 'ack'
+     * @param {Object} alarm - Alarm definition
+     * @param {*} value - Value of the alarm address at the time
+     */
+    function logEvent(type, alarm, value) {
+        events.push({ time: new Date(), type, alarm, value });
+        if (events.length > MAX_EVENTS) {
+            events.splice(0, events.length - MAX_EVENTS);
+        }
+    }
+
+    /**
+     * Count the alarms that have not been acknowledged since they activated
+     * @returns {number}
+     */
+    function getUnacknowledgedCount() {
+        let count = 0;
+        states.forEach(state => {
+            if (!state.acknowledged) count++;
+        });
+        return count;
+    }
+
+    // ============================================================
+    // Storage and files
+    // ============================================================
+
+    /**
+     * Read the alarm definitions from localStorage
+     * @returns {Object[]}
+     */
+    function loadStorage() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored && Array.isArray(stored.alarms)) {
+                return validAlarms(stored.alarms).alarms;
+            }
+        } catch (e) {
+            console.error('Failed to read stored alarms:', e);
+        }
+        return [];
+    }
+
+    /**
+     * Write the alarm definitions to localStorage
+     */
+    function saveStorage() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ alarms }));
+        } catch (e) {
+            console.error('Failed to store alarms:', e);
+        }
+    }
+
+    /**
+     * Export the alarm definitions as JSON
+     * @returns {string}
+     */
+    function exportJson() {
+        return JSON.stringify({
+            alarms: alarms.map(({ addr, op, value, message, severity }) => ({ addr, op, value, message, severity }))
+        }, null, 2);
+    }
+
+    /**
+     * Check alarm definitions read from a file or storage
+     * @param {Object[]} items - Alarm definitions, with or without IDs
+     * @returns {Object} - {alarms, errors}
+     */
+    function validAlarms(items) {
+        const valid = [];
+        const errors = [];
+        let id = 1;
+
+        items.forEach((item, index) => {
+            const addr = String(item.addr || '').toUpperCase();
+            const type = LadAddress.getAddressType(addr);
+            const op = OPERATORS.includes(item.op) ? item.op : null;
+            if (!type || !op || item.value === undefined || item.value === null) {
+                errors.push(`Alarm ${index + 1} is not valid`);
+                return;
+            }
+            valid.push({
+                id: id++,
+                addr,
+                op,
+                value: type === 'bool' ? Boolean(item.value) : item.value,
+                message: String(item.message || `${addr} alarm`),
+                severity: SEVERITIES.includes(item.severity) ? item.severity : 'medium'
+            });
+        });
+
+        return { alarms: valid, errors };
+    }
+
+    /**
+     * Replace the alarm definitions with those of a JSON file
+     * @param {File} file - File from exportJson: {alarms} or an array of alarms
+     */
+    async function importFromFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const items = Array.isArray(data) ? data : (data.alarms || []);
+            const imported = validAlarms(items);
+
+            // Imported alarms start with a clean state
+            states = new Map();
+            nextId = 1;
+            setAlarms(imported.alarms);
+            saveStorage();
+            showMessage(imported.errors.join('; '));
+        } catch (e) {
+            showMessage(`Import failed: ${e.message}`);
+        }
+    }
+
+    // ============================================================
+    // Rendering
+    // ============================================================
+
+    /**
+     * Format an alarm condition, e.g. "DS10 > 500"
+     * @param {Object} alarm - Alarm definition
+     * @returns {string}
+     */
+    function formatCondition(alarm) {
+        const value = LadAddress.formatValue(alarm.addr, alarm.value, '-');
+        return `${LadTags.label(alarm.addr)} ${alarm.op} ${value}`;
+    }
+
+    /**
+     * Render the alarm definitions with their state
+     */
+    function renderList() {
+        const list = document.getElementById(ELEMENTS.list);
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (alarms.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'alarm-empty';
+            empty.textContent = 'No alarms defined';
+            list.appendChild(empty);
+            return;
+        }
+
+        alarms.forEach(alarm => {
+            const state = states.get(alarm.id);
+            const item = document.createElement('li');
+            item.className = `alarm-severity-${alarm.severity}`;
+            item.classList.toggle('alarm-active', state.active);
+            item.classList.toggle('alarm-unacked', !state.acknowledged);
+
+            const message = document.createElement('span');
+            message.className = 'alarm-text';
+            message.textContent = alarm.message;
+            item.appendChild(message);
+
+            const condition = document.createElement('span');
+            condition.className = 'alarm-condition';
+            condition.textContent = formatCondition(alarm);
+            condition.title = LadTags.tooltip(alarm.addr);
+            item.appendChild(condition);
+
+            const status = document.createElement('span');
+            status.className = 'alarm-status';
+            status.textContent = (state.active ? 'Active' : 'Normal') +
+                (state.acknowledged ? '' : ', unacknowledged');
+            item.appendChild(status);
+
+            if (!state.acknowledged) {
+                item.appendChild(createButton('Acknowledge', () => acknowledge(alarm.id)));
+            }
+            item.appendChild(createButton('Remove', () => removeAlarm(alarm.id)));
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Render the event log, newest first
+     */
+    function renderLog() {
+        const log = document.getElementById(ELEMENTS.log);
+        if (!log) return;
+
+        const labels = { active: 'Active', clear: 'Cleared', ack: 'Acknowledged' };
+        log.innerHTML = '';
+        events.slice().reverse().forEach(event => {
+            const row = document.createElement('tr');
+            row.className = `alarm-event-${event.type} alarm-severity-${event.alarm.severity}`;
+            const value = LadAddress.formatValue(event.alarm.addr, event.value, '-');
+            [
+                event.time.toLocaleString(),
+                labels[event.type],
+                event.alarm.severity,
+                event.alarm.message,
+                `${LadTags.label(event.alarm.addr)} = ${value}`
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            log.appendChild(row);
+        });
+    }
+
+    /**
+     * Show the number of unacknowledged alarms in the status bar
+     */
+    function renderBadge() {
+        const badge = document.getElementById(ELEMENTS.badge);
+        if (!badge) return;
+
+        const count = getUnacknowledgedCount();
+        badge.textContent = count;
+        badge.classList.toggle('alarm-badge-unacked', count > 0);
+    }
+
+    /**
+     * Create a small action button
+     * @param {string} text - Button label
+     * @param {Function} action - Click handler
+     * @returns {HTMLButtonElement}
+     */
+    function createButton(text, action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.addEventListener('click', action);
+        return button;
+    }
+
+    /**
+     * Show an error message below the inputs, or hide it
+     * @param {string} text - Message, empty to hide
+     */
+    function showMessage(text) {
+        const messages = document.getElementById(ELEMENTS.messages);
+        if (messages) {
+            messages.textContent = text;
+            messages.hidden = !text;
+        }
+    }
+
+    /**
+     * Clean up on page unload
+     */
+    function cleanup() {
+        if (subscription) {
+            subscription.close();
+            subscription = null;
+        }
+    }
+
+    window.addEventListener('beforeunload', cleanup);
+
+    // Public API
+    return {
+        init,
+        acknowledge,
+        getUnacknowledgedCount,
+        exportJson
+    };
+})();
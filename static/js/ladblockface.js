@@ -0,0 +1,313 @@
+/**
+ * ladblockface.js - Block Instruction Faces
+ * Draws timer, counter, copy, math and compare blocks with their
+ * parameters on the face: preset and accumulated value with a progress
+ * bar, source and destination, or both operands of a comparison, each
+ * with its live value while monitoring.
+ */
+
+const LadBlockFace = (function() {
+    'use strict';
+
+    // Timer preset units and their length in ms (see parse-time-value)
+    const TIME_UNITS = {
+        ms: 1,
+        sec: 1000,
+        min: 60000,
+        hour: 3600000,
+        day: 86400000
+    };
+
+    // Comparison opcodes and the operator shown on the face
+    const COMPARE_PATTERN = /^(STR|AND|OR)(E|NE|GT|LT|GE|LE)$/;
+    const COMPARE_OPERATORS = {
+        E: '=',
+        NE: '<>',
+        GT: '>',
+        LT: '<',
+        GE: '>=',
+        LE: '<='
+    };
+
+    // Longest face line that fits inside the block
+    const MAX_LINE_CHARS = 20;
+
+    // Text baselines inside the block, and the progress bar below them
+    const TITLE_Y = 15;
+    const LINE_Y = [28, 39, 50];
+    const BAR_X = 14;
+    const BAR_Y = 44;
+    const BAR_WIDTH = 92;
+    const BAR_HEIGHT = 6;
+
+    /**
+     * Describe the face of a block cell
+     * @param {Object} cell - Cell data
+     * @returns {Object|null} - {title, lines: [{label, param, scale, unit,
+     *     valueOnly}], progress: {acc, preset, scale, countDown}} or null
+     *     for blocks drawn with the plain symbol
+     */
+    function describe(cell) {
+        const opcode = (cell.opcode || '').toUpperCase();
+        const params = cell.params || [];
+
+        if (['TMR', 'TMRA', 'TMROFF'].includes(opcode) && params.length >= 2) {
+            const unit = (params[2] || 'ms').toLowerCase();
+            const scale = TIME_UNITS[unit] || 1;
+            const acc = `TD${params[0].slice(1)}`;
+            return {
+                title: `${opcode} ${params[0]}`,
+                lines: [
+                    { label: 'PRE', param: params[1], unit },
+                    { label: 'ACC', param: acc, scale, unit, valueOnly: true }
+                ],
+                progress: { acc, preset: params[1], scale }
+            };
+        }
+
+        if (['CNTU', 'CNTD', 'UDC'].includes(opcode) && params.length >= 2) {
+            const acc = `CTD${params[0].slice(2)}`;
+            return {
+                title: `${opcode} ${params[0]}`,
+                lines: [
+                    { label: 'PRE', param: params[1] },
+                    { label: 'ACC', param: acc, valueOnly: true }
+                ],
+                progress: { acc, preset: params[1], scale: 1, countDown: opcode === 'CNTD' }
+            };
+        }
+
+        if (opcode === 'COPY' && params.length >= 2) {
+            return {
+                title: 'COPY',
+                lines: [
+                    { label: 'SRC', param: params[0] },
+                    { label: 'DST', param: params[1] }
+                ]
+            };
+        }
+
+        if (['MATHDEC', 'MATHHEX'].includes(opcode) && params.length >= 3) {
+            return {
+                title: opcode,
+                lines: [
+                    { label: 'DST', param: params[0] },
+                    { label: '=', param: params.slice(2).join(' ') }
+                ]
+            };
+        }
+
+        const compare = opcode.match(COMPARE_PATTERN);
+        if (compare && params.length >= 2) {
+            return {
+                title: `${compare[1]} ${COMPARE_OPERATORS[compare[2]]}`,
+                lines: [
+                    { label: 'A', param: params[0] },
+                    { label: 'B', param: params[1] }
+                ]
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Addresses whose values are shown on the face of a block cell but
+     * are not among the cell's own addresses, e.g. a counter preset
+     * register or a compare operand the server does not monitor
+     * @param {Object} cell - Cell data
+     * @returns {string[]}
+     */
+    function addresses(cell) {
+        const spec = describe(cell);
+        if (!spec) return [];
+
+        const own = cell.addrs || [];
+        return spec.lines
+            .map(line => line.param)
+            .filter(param => LadAddress.isAddress(param) && !own.includes(param));
+    }
+
+    /**
+     * Format a value for a face line
+     * @param {*} value - Value from the data table
+     * @param {number} scale - Divisor applied to numbers, e.g. ms per unit
+     * @param {boolean} isBool - The value is of a bit address, which the
+     *     server sends as null when it is off
+     * @returns {string}
+     */
+    function formatValue(value, scale = 1, isBool = false) {
+        if (isBool || typeof value === 'boolean') {
+            return value ? 'ON' : 'OFF';
+        }
+        if (typeof value === 'number') {
+            const scaled = value / scale;
+            return Number.isInteger(scaled) ? scaled.toString() : scaled.toFixed(2);
+        }
+        if (value === null || value === undefined) {
+            return '-';
+        }
+        return String(value);
+    }
+
+    /**
+     * Shorten text to the width of the block
+     * @param {string} text - Text
+     * @returns {string}
+     */
+    function fit(text) {
+        return text.length > MAX_LINE_CHARS ? `${text.slice(0, MAX_LINE_CHARS - 1)}…` : text;
+    }
+
+    /**
+     * Text of a face line. Addresses show their value once it is known;
+     * without values the line shows the parameters as written.
+     * @param {Object} line - Line from describe
+     * @param {Object|null} values - Known values by address
+     * @returns {string} - Full text, before shortening
+     */
+    function lineText(line, values) {
+        const isAddress = LadAddress.isAddress(line.param);
+        const known = isAddress && values && line.param in values;
+
+        let text = line.param;
+        if (known) {
+            const value = formatValue(values[line.param], line.scale, LadAddress.isBoolAddress(line.param));
+            text = line.valueOnly ? value : `${line.param} = ${value}`;
+        }
+        if (line.unit && (known || !isAddress)) {
+            text += ` ${line.unit}`;
+        }
+        return line.label ? `${line.label} ${text}` : text;
+    }
+
+    /**
+     * Fraction of the progress bar that is filled
+     * @param {Object} progress - Progress from describe
+     * @param {Object|null} values - Known values by address
+     * @returns {number} - 0 to 1
+     */
+    function progressRatio(progress, values) {
+        if (!values) return 0;
+
+        const acc = values[progress.acc];
+        const preset = LadAddress.isAddress(progress.preset)
+            ? values[progress.preset]
+            : Number(progress.preset);
+        if (typeof acc !== 'number' || typeof preset !== 'number' || !(preset > 0)) {
+            return 0;
+        }
+
+        // A down counter starts at the preset and is done at zero
+        const done = progress.countDown ? preset - acc : acc / progress.scale;
+        return Math.min(Math.max(done / preset, 0), 1);
+    }
+
+    /**
+     * Width of the filled part of the progress bar
+     * @param {Object} progress - Progress from describe
+     * @param {Object|null} values - Known values by address
+     * @returns {number}
+     */
+    function barWidth(progress, values) {
+        return Math.round(BAR_WIDTH * progressRatio(progress, values) * 10) / 10;
+    }
+
+    /**
+     * Create the SVG of a block face
+     * @param {Object} cell - Cell data
+     * @param {string} stateClass - State class (MB_ladderoff or MB_ladderon)
+     * @param {Object|null} values - Known values by address, or null to
+     *     show the parameters only
+     * @returns {string|null} - SVG element string, or null when the block
+     *     has no face
+     */
+    function faceSvg(cell, stateClass = 'MB_ladderoff', values = null) {
+        const spec = describe(cell);
+        if (!spec) return null;
+
+        const width = LadSymbols.BLOCK_WIDTH;
+        const height = LadSymbols.BLOCK_HEIGHT;
+        const centerY = height / 2;
+
+        const lines = spec.lines.map((line, index) => {
+            const text = lineText(line, values);
+            const title = text.length > MAX_LINE_CHARS ? `<title>${LadMarkup.escape(text)}</title>` : '';
+            return `<text x="${BAR_X}" y="${LINE_Y[index]}" font-size="8" class="block-face-line ${stateClass}" data-face-line="${index}">${title}${LadMarkup.escape(fit(text))}</text>`;
+        }).join('');
+
+        let bar = '';
+        if (spec.progress) {
+            const fill = barWidth(spec.progress, values);
+            bar = `<rect x="${BAR_X}" y="${BAR_Y}" width="${BAR_WIDTH}" height="${BAR_HEIGHT}" class="face-bar-track"/>` +
+                `<rect x="${BAR_X}" y="${BAR_Y}" width="${fill}" height="${BAR_HEIGHT}" class="face-bar" data-face-bar="1"/>`;
+        }
+
+        return `<svg viewBox="0 0 ${width} ${height}" class="ladder-symbol block-face ${stateClass}">
+            <line x1="0" y1="${centerY}" x2="10" y2="${centerY}" class="${stateClass}"/>
+            <rect x="10" y="5" width="100" height="50" class="${stateClass}" fill="none" rx="3" ry="3"/>
+            <text x="60" y="${TITLE_Y}" text-anchor="middle" font-size="9" font-weight="bold" class="${stateClass}">${LadMarkup.escape(fit(spec.title))}</text>
+            ${lines}${bar}
+            <line x1="110" y1="${centerY}" x2="${width}" y2="${centerY}" class="${stateClass}"/>
+        </svg>`;
+    }
+
+    /**
+     * Find the live parts of a rendered block face
+     * @param {SVGElement} svg - Face SVG element from faceSvg
+     * @param {Object} cell - Cell data the face was drawn from
+     * @returns {Object|null} - Face handle for update, or null when the
+     *     block has no face
+     */
+    function bind(svg, cell) {
+        const spec = describe(cell);
+        if (!spec || !svg) return null;
+
+        return {
+            spec,
+            lines: spec.lines.map((line, index) => svg.querySelector(`[data-face-line="${index}"]`)),
+            bar: svg.querySelector('[data-face-bar]'),
+            shown: spec.lines.map(() => null),
+            barWidth: null
+        };
+    }
+
+    /**
+     * Show the current values on a rendered block face. Only text and bar
+     * widths that changed are written.
+     * @param {Object} face - Face handle from bind
+     * @param {Object} values - Known values by address
+     */
+    function update(face, values) {
+        face.spec.lines.forEach((line, index) => {
+            const el = face.lines[index];
+            const text = lineText(line, values);
+            if (!el || text === face.shown[index]) return;
+
+            face.shown[index] = text;
+            el.textContent = fit(text);
+            if (text.length > MAX_LINE_CHARS) {
+                const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+                title.textContent = text;
+                el.insertBefore(title, el.firstChild);
+            }
+        });
+
+        if (face.bar && face.spec.progress) {
+            const width = barWidth(face.spec.progress, values);
+            if (width !== face.barWidth) {
+                face.barWidth = width;
+                face.bar.setAttribute('width', width);
+            }
+        }
+    }
+
+    // Public API
+    return {
+        describe,
+        addresses,
+        faceSvg,
+        bind,
+        update
+    };
+})();
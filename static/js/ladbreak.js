@@ -0,0 +1,261 @@
+/**
+ * ladbreak.js - Scan Breakpoints
+ * Handles the breakpoint list and shows the breakpoint that stopped the
+ * PLC. The server checks breakpoints at the end of every scan and stops
+ * the scan loop when a condition becomes true.
+ */
+
+const LadBreak = (function() {
+    'use strict';
+
+    // Breakpoints set on the server, as {id, addr, op, value} objects
+    let breakpoints = [];
+
+    // Last breakpoint hit shown, as {id, addr, op, value, actual, scan} or null
+    let lastHit = null;
+
+    // Comparison operators accepted by the server
+    const OPERATORS = ['=', '<>', '>', '>=', '<', '<='];
+
+    // Text accepted as true and false for boolean addresses
+    const TRUE_TEXT = ['1', 'on', 'true'];
+    const FALSE_TEXT = ['0', 'off', 'false'];
+
+    // DOM element IDs
+    const ELEMENTS = {
+        addressInput: 'breakpoint-address',
+        opSelect: 'breakpoint-op',
+        valueInput: 'breakpoint-value',
+        btnAdd: 'btn-breakpoint-add',
+        btnClearAll: 'btn-breakpoint-clear-all',
+        list: 'breakpoint-list',
+        hit: 'breakpoint-hit',
+        messages: 'breakpoint-messages'
+    };
+
+    /**
+     * Initialize the breakpoint panel
+     */
+    function init() {
+        const opSelect = document.getElementById(ELEMENTS.opSelect);
+        if (opSelect && opSelect.options.length === 0) {
+            OPERATORS.forEach(op => {
+                const option = document.createElement('option');
+                option.value = op;
+                option.textContent = op;
+                opSelect.appendChild(option);
+            });
+        }
+
+        const btnAdd = document.getElementById(ELEMENTS.btnAdd);
+        if (btnAdd) {
+            btnAdd.addEventListener('click', addFromInputs);
+        }
+
+        const valueInput = document.getElementById(ELEMENTS.valueInput);
+        if (valueInput) {
+            valueInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    addFromInputs();
+                }
+            });
+        }
+
+        const btnClearAll = document.getElementById(ELEMENTS.btnClearAll);
+        if (btnClearAll) {
+            btnClearAll.addEventListener('click', () => {
+                runAction(() => ServerComm.clearAllBreakpoints());
+            });
+        }
+
+        refreshBreakpoints();
+    }
+
+    /**
+     * Reload the breakpoint list and the last hit from the server
+     */
+    async function refreshBreakpoints() {
+        try {
+            const data = await ServerComm.getBreakpoints();
+            breakpoints = data.breakpoints || [];
+            showHit(data.hit || null);
+        } catch (e) {
+            console.error('Failed to load breakpoints:', e);
+        }
+        renderList();
+    }
+
+    /**
+     * Follow the breakpoint state reported in the statistics
+     * @param {Object} stats - Statistics object from the server
+     */
+    function syncStats(stats) {
+        const count = stats['breakpoint-count'];
+        if (typeof count === 'number' && count !== breakpoints.length) {
+            refreshBreakpoints();
+        }
+        showHit(stats['breakpoint-hit'] || null);
+    }
+
+    /**
+     * Add a breakpoint from the panel inputs
+     */
+    function addFromInputs() {
+        const addressInput = document.getElementById(ELEMENTS.addressInput);
+        const opSelect = document.getElementById(ELEMENTS.opSelect);
+        const valueInput = document.getElementById(ELEMENTS.valueInput);
+        if (!addressInput || !opSelect || !valueInput) return;
+
+        // A tag name can be used instead of the address
+        const text = addressInput.value.trim();
+        const address = LadTags.findAddress(text) || text.toUpperCase();
+        const type = LadAddress.getAddressType(address);
+        if (!type) {
+            showMessage(`"${text}" is not an address or tag name`);
+            return;
+        }
+
+        let value;
+        try {
+            value = parseValue(type, valueInput.value.trim());
+        } catch (e) {
+            showMessage(e.message);
+            return;
+        }
+
+        runAction(() => ServerComm.setBreakpoint(address, opSelect.value, value));
+    }
+
+    /**
+     * Convert value input text to a value for the address type
+     * @param {string} type - Address type from LadAddress
+     * @param {string} text - Input text
+     * @returns {boolean|number|string}
+     */
+    function parseValue(type, text) {
+        if (type === 'bool') {
+            const lower = text.toLowerCase();
+            if (TRUE_TEXT.includes(lower)) return true;
+            if (FALSE_TEXT.includes(lower)) return false;
+            throw new Error(`"${text}" is not ON or OFF`);
+        }
+        if (type === 'string') {
+            return text;
+        }
+        const value = type === 'word' ? parseInt(text, 10) : parseFloat(text);
+        if (Number.isNaN(value)) {
+            throw new Error(`"${text}" is not a number`);
+        }
+        return value;
+    }
+
+    /**
+     * Run a breakpoint action, then reload the list
+     * @param {Function} action - Returns a Promise for the server response
+     */
+    async function runAction(action) {
+        try {
+            const result = await action();
+            if (result && result.success === false) {
+                showMessage(result.message || 'Request failed');
+                return;
+            }
+            showMessage('');
+        } catch (e) {
+            showMessage(e.message);
+            return;
+        } finally {
+            await refreshBreakpoints();
+        }
+    }
+
+    // ============================================================
+    // Rendering
+    // ============================================================
+
+    /**
+     * Format a breakpoint condition, e.g. "DS10 > 500"
+     * @param {Object} bp - Breakpoint or hit with addr, op and value
+     * @returns {string}
+     */
+    function formatCondition(bp) {
+        return `${LadTags.label(bp.addr)} ${bp.op} ${LadAddress.formatValue(bp.addr, bp.value)}`;
+    }
+
+    /**
+     * Render the breakpoint list
+     */
+    function renderList() {
+        const list = document.getElementById(ELEMENTS.list);
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (breakpoints.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'breakpoint-empty';
+            empty.textContent = 'No breakpoints';
+            list.appendChild(empty);
+            return;
+        }
+
+        breakpoints.forEach(bp => {
+            const item = document.createElement('li');
+            item.classList.toggle('breakpoint-active', Boolean(lastHit && lastHit.id === bp.id));
+
+            const label = document.createElement('span');
+            label.className = 'breakpoint-condition';
+            label.textContent = formatCondition(bp);
+            label.title = LadTags.tooltip(bp.addr);
+            item.appendChild(label);
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = 'Remove';
+            button.addEventListener('click', () => runAction(() => ServerComm.clearBreakpoint(bp.id)));
+            item.appendChild(button);
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Show the breakpoint that stopped the PLC and mark its cells
+     * @param {Object|null} hit - Breakpoint hit from the server, or null
+     */
+    function showHit(hit) {
+        const same = hit && lastHit && hit.id === lastHit.id && hit.scan === lastHit.scan;
+        if (same || (!hit && !lastHit)) return;
+
+        lastHit = hit;
+        SubrDispControl.setBreakpointAddress(hit ? hit.addr : null);
+
+        const hitEl = document.getElementById(ELEMENTS.hit);
+        if (hitEl) {
+            hitEl.hidden = !hit;
+            hitEl.textContent = hit
+                ? `Stopped at scan ${hit.scan}: ${formatCondition(hit)} ` +
+                  `(${LadTags.label(hit.addr)} = ${LadAddress.formatValue(hit.addr, hit.actual)})`
+                : '';
+        }
+        renderList();
+    }
+
+    /**
+     * Show an error message below the inputs, or hide it
+     * @param {string} text - Message, empty to hide
+     */
+    function showMessage(text) {
+        const messages = document.getElementById(ELEMENTS.messages);
+        if (messages) {
+            messages.textContent = text;
+            messages.hidden = !text;
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        refreshBreakpoints,
+        syncStats
+    };
+})();
@@ -0,0 +1,308 @@
+/**
+ * ladcalls.js - Subroutine Calls
+ * Follows CALL blocks to the subroutine they call, and shows the call
+ * tree of the whole program with the subroutines nothing calls and the
+ * ones that are called but do not exist
+ */
+
+const LadCalls = (function() {
+    'use strict';
+
+    // The program starts here; it is never unused
+    const MAIN = 'main';
+
+    // Called with (subrname, rungnum) to show a subroutine, where rungnum
+    // is null for the subroutine as a whole
+    let onNavigate = () => {};
+
+    // DOM element IDs
+    const ELEMENTS = {
+        container: 'staticrunglist',
+        panel: 'calls-panel',
+        summary: 'calls-summary',
+        tree: 'calls-tree',
+        messages: 'calls-messages'
+    };
+
+    /**
+     * Initialize call navigation and the call tree panel
+     * @param {Object} options - Options
+     * @param {Function} options.onNavigate - Called with (subrname, rungnum)
+     */
+    function init(options = {}) {
+        if (options.onNavigate) {
+            onNavigate = options.onNavigate;
+        }
+
+        // CALL cells are re-rendered on every program load, so delegate
+        const container = document.getElementById(ELEMENTS.container);
+        if (container) {
+            container.addEventListener('click', (e) => {
+                const cell = e.target.closest('.ladder-call-cell[data-call-target]');
+                if (cell) {
+                    onNavigate(cell.getAttribute('data-call-target'), null);
+                }
+            });
+        }
+
+        const tree = document.getElementById(ELEMENTS.tree);
+        if (tree) {
+            tree.addEventListener('click', (e) => {
+                const link = e.target.closest('.calls-link[data-subrname]');
+                if (link) {
+                    const rungnum = parseInt(link.getAttribute('data-rungnum'), 10);
+                    onNavigate(link.getAttribute('data-subrname'), rungnum || null);
+                }
+            });
+        }
+
+        // The tree is only built while the panel is open
+        const panel = document.getElementById(ELEMENTS.panel);
+        if (panel) {
+            panel.addEventListener('toggle', () => {
+                if (panel.open) {
+                    render();
+                }
+            });
+        }
+    }
+
+    /**
+     * Get the subroutine a cell calls
+     * @param {Object} cell - Cell data
+     * @returns {string|null}
+     */
+    function callTarget(cell) {
+        const params = cell.params || [];
+        return (cell.opcode || '').toUpperCase() === 'CALL' && params[0] ? params[0] : null;
+    }
+
+    /**
+     * Build the call graph of a program
+     * @param {Object} allPrograms - Result of LadProgram.loadAll()
+     * @returns {Object} - {defined, calls, unused, missing}: the subroutine
+     *     names, a Map from caller to a Map from callee to the rung
+     *     numbers of the calls, the subroutines main never reaches, and
+     *     the called names that are not defined
+     */
+    function buildGraph(allPrograms) {
+        const defined = Object.keys(allPrograms).sort();
+        const calls = new Map(defined.map(name => [name, new Map()]));
+
+        LadProgram.forEachRung(allPrograms, (subrname, rung) => {
+            (rung.cells || []).forEach(cell => {
+                const target = callTarget(cell);
+                if (!target) return;
+
+                const callees = calls.get(subrname);
+                if (!callees.has(target)) {
+                    callees.set(target, []);
+                }
+                const rungs = callees.get(target);
+                if (!rungs.includes(rung.rungnum)) {
+                    rungs.push(rung.rungnum);
+                }
+            });
+        });
+
+        // Everything main calls, directly or through other subroutines
+        const reached = new Set();
+        const pending = defined.includes(MAIN) ? [MAIN] : [];
+        while (pending.length > 0) {
+            const name = pending.pop();
+            if (reached.has(name)) continue;
+            reached.add(name);
+            (calls.get(name) || new Map()).forEach((rungs, callee) => pending.push(callee));
+        }
+
+        const missing = new Set();
+        calls.forEach(callees => {
+            callees.forEach((rungs, callee) => {
+                if (!calls.has(callee)) {
+                    missing.add(callee);
+                }
+            });
+        });
+
+        return {
+            defined,
+            calls,
+            unused: defined.filter(name => name !== MAIN && !reached.has(name)),
+            missing: [...missing].sort()
+        };
+    }
+
+    // ============================================================
+    // Rendering
+    // ============================================================
+
+    /**
+     * Rebuild the call tree if the panel is open, e.g. after a new
+     * program is loaded
+     */
+    function refresh() {
+        const panel = document.getElementById(ELEMENTS.panel);
+        if (panel && panel.open) {
+            render();
+        }
+    }
+
+    /**
+     * Build and show the call tree
+     */
+    async function render() {
+        const tree = document.getElementById(ELEMENTS.tree);
+        if (!tree) return;
+
+        let graph;
+        try {
+            graph = buildGraph(await LadProgram.loadAll());
+        } catch (e) {
+            console.error('Failed to build call tree:', e);
+            tree.innerHTML = '';
+            showMessage(`Failed to load program: ${e.message}`);
+            return;
+        }
+        showMessage('');
+
+        const summary = document.getElementById(ELEMENTS.summary);
+        if (summary) {
+            const count = graph.defined.length;
+            summary.textContent = `${count} ${count === 1 ? 'subroutine' : 'subroutines'}, ` +
+                `${graph.unused.length} unused, ${graph.missing.length} missing`;
+        }
+
+        // Main first, then the unused subroutines that no other unused
+        // subroutine calls; the rest of them appear beneath those
+        const calledByUnused = new Set();
+        graph.unused.forEach(name => {
+            graph.calls.get(name).forEach((rungs, callee) => {
+                if (callee !== name) {
+                    calledByUnused.add(callee);
+                }
+            });
+        });
+        const roots = graph.unused.filter(name => !calledByUnused.has(name));
+        if (graph.defined.includes(MAIN)) {
+            roots.unshift(MAIN);
+        }
+
+        tree.innerHTML = '';
+        const expanded = new Set();
+        roots.forEach(name => tree.appendChild(createNode(graph, name, null, [], expanded)));
+
+        // Unused subroutines that only call each other have no root
+        graph.unused.forEach(name => {
+            if (!expanded.has(name)) {
+                tree.appendChild(createNode(graph, name, null, [], expanded));
+            }
+        });
+
+        if (roots.length === 0 && expanded.size === 0) {
+            const item = document.createElement('li');
+            item.className = 'calls-none';
+            item.textContent = 'No program loaded';
+            tree.appendChild(item);
+        }
+    }
+
+    /**
+     * Create the tree item of a subroutine and the subroutines it calls
+     * @param {Object} graph - Result of buildGraph
+     * @param {string} name - Subroutine name
+     * @param {Object|null} caller - {subrname, rungs} of the calls that
+     *     lead here, or null for a root
+     * @param {string[]} path - Subroutines from the root down to the caller
+     * @param {Set} expanded - Subroutines whose calls are already shown
+     * @returns {HTMLElement}
+     */
+    function createNode(graph, name, caller, path, expanded) {
+        const item = document.createElement('li');
+        item.className = 'calls-node';
+
+        const isMissing = !graph.calls.has(name);
+        const label = document.createElement('span');
+        label.textContent = name;
+        if (isMissing) {
+            label.className = 'calls-name calls-missing';
+        } else {
+            label.className = 'calls-name calls-link';
+            label.setAttribute('data-subrname', name);
+        }
+        item.appendChild(label);
+
+        if (caller) {
+            caller.rungs.forEach(rungnum => {
+                const site = document.createElement('span');
+                site.className = 'calls-site calls-link';
+                site.setAttribute('data-subrname', caller.subrname);
+                site.setAttribute('data-rungnum', rungnum);
+                site.textContent = `${caller.subrname} #${rungnum}`;
+                site.title = `Network ${rungnum} of ${caller.subrname} calls ${name}`;
+                item.appendChild(site);
+            });
+        }
+
+        const recursive = path.includes(name);
+        const repeated = !recursive && expanded.has(name);
+        if (isMissing) {
+            item.appendChild(createBadge('missing'));
+        } else if (graph.unused.includes(name)) {
+            item.appendChild(createBadge('unused'));
+        }
+        if (recursive) {
+            item.appendChild(createBadge('recursive'));
+        } else if (repeated && graph.calls.get(name).size > 0) {
+            item.appendChild(createBadge('see above'));
+        }
+
+        if (isMissing || recursive || repeated) {
+            return item;
+        }
+        expanded.add(name);
+
+        const callees = graph.calls.get(name);
+        if (callees.size > 0) {
+            const children = document.createElement('ul');
+            [...callees.keys()].sort().forEach(callee => {
+                children.appendChild(createNode(graph, callee,
+                    { subrname: name, rungs: callees.get(callee) },
+                    path.concat(name), expanded));
+            });
+            item.appendChild(children);
+        }
+        return item;
+    }
+
+    /**
+     * Create a flag shown after a subroutine name
+     * @param {string} text - Flag text
+     * @returns {HTMLElement}
+     */
+    function createBadge(text) {
+        const badge = document.createElement('span');
+        badge.className = `calls-badge calls-badge-${text.replace(/\s+/g, '-')}`;
+        badge.textContent = text;
+        return badge;
+    }
+
+    /**
+     * Show an error message, or hide it
+     * @param {string} text - Message, empty to hide
+     */
+    function showMessage(text) {
+        const messages = document.getElementById(ELEMENTS.messages);
+        if (messages) {
+            messages.textContent = text;
+            messages.hidden = !text;
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        callTarget,
+        buildGraph,
+        refresh
+    };
+})();
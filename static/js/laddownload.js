@@ -0,0 +1,303 @@
+/**
+ * laddownload.js - Online Program Download
+ * Sends a complete IL program file to the server for a parse and compile
+ * dry run, shows the networks that change in each subroutine, and
+ * installs the program when the user confirms
+ */
+
+const LadDownload = (function() {
+    'use strict';
+
+    // Program text and file name of the last dry run
+    let source = null;
+    let fileName = '';
+    let lastResult = null;
+
+    // Called after a program is installed
+    let onInstalled = () => {};
+
+    // DOM element IDs
+    const ELEMENTS = {
+        btnDownload: 'btn-download',
+        panel: 'download-panel',
+        fileInput: 'download-file',
+        btnClose: 'btn-download-close',
+        summary: 'download-summary',
+        errors: 'download-errors',
+        diff: 'download-diff',
+        swapStop: 'download-swap-stop',
+        btnInstall: 'btn-download-install'
+    };
+
+    /**
+     * Initialize the download panel
+     * @param {Object} options - Options
+     * @param {Function} options.onInstalled - Called after a program is installed
+     */
+    function init(options = {}) {
+        if (options.onInstalled) {
+            onInstalled = options.onInstalled;
+        }
+
+        const btnDownload = document.getElementById(ELEMENTS.btnDownload);
+        if (btnDownload) {
+            btnDownload.addEventListener('click', () => {
+                const panel = document.getElementById(ELEMENTS.panel);
+                if (panel && panel.hidden) {
+                    open();
+                } else {
+                    close();
+                }
+            });
+        }
+
+        const btnClose = document.getElementById(ELEMENTS.btnClose);
+        if (btnClose) {
+            btnClose.addEventListener('click', close);
+        }
+
+        const fileInput = document.getElementById(ELEMENTS.fileInput);
+        if (fileInput) {
+            fileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    loadFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+
+        const btnInstall = document.getElementById(ELEMENTS.btnInstall);
+        if (btnInstall) {
+            btnInstall.addEventListener('click', install);
+        }
+    }
+
+    /**
+     * Show the panel with no program chosen
+     */
+    function open() {
+        const panel = document.getElementById(ELEMENTS.panel);
+        if (panel) {
+            panel.hidden = false;
+        }
+        reset();
+    }
+
+    /**
+     * Hide the panel and forget the chosen program
+     */
+    function close() {
+        const panel = document.getElementById(ELEMENTS.panel);
+        if (panel) {
+            panel.hidden = true;
+        }
+        reset();
+    }
+
+    /**
+     * Forget the chosen program and clear the results
+     */
+    function reset() {
+        source = null;
+        fileName = '';
+        lastResult = null;
+        render('Choose an IL program file to check it against the running program');
+    }
+
+    /**
+     * Read a program file and run the server dry run on it
+     * @param {File} file - IL program file
+     */
+    async function loadFile(file) {
+        try {
+            source = await file.text();
+            fileName = file.name;
+        } catch (e) {
+            render(`Cannot read ${file.name}: ${e.message}`);
+            return;
+        }
+
+        render(`Checking ${fileName}...`);
+        try {
+            lastResult = await ServerComm.validateProgram(source);
+        } catch (e) {
+            lastResult = null;
+            render(`Check failed: ${e.message}`);
+            return;
+        }
+        render();
+    }
+
+    /**
+     * Install the checked program, stopping the PLC first if chosen
+     */
+    async function install() {
+        if (!source || !lastResult || !lastResult.success) return;
+
+        const swapStop = document.getElementById(ELEMENTS.swapStop);
+        const stopFirst = Boolean(swapStop && swapStop.checked);
+        const installedName = fileName;
+
+        let result;
+        try {
+            result = await ServerComm.installProgram(source, stopFirst);
+        } catch (e) {
+            render(`Install failed: ${e.message}`);
+            return;
+        }
+
+        if (result.success) {
+            source = null;
+            lastResult = null;
+            render(`${installedName}: ${result.message}`);
+            onInstalled();
+        } else {
+            // The server found problems the dry run did not, e.g. the file
+            // was checked against an older running program
+            lastResult = result;
+            render();
+        }
+    }
+
+    // ============================================================
+    // Rendering
+    // ============================================================
+
+    /**
+     * Show the last dry run, or a message instead
+     * @param {string} message - Optional message to show instead of results
+     */
+    function render(message) {
+        const summary = document.getElementById(ELEMENTS.summary);
+        const errorsEl = document.getElementById(ELEMENTS.errors);
+        const diffEl = document.getElementById(ELEMENTS.diff);
+        const btnInstall = document.getElementById(ELEMENTS.btnInstall);
+
+        if (errorsEl) errorsEl.innerHTML = '';
+        if (diffEl) diffEl.innerHTML = '';
+        if (btnInstall) {
+            btnInstall.disabled = !(source && lastResult && lastResult.success && !message);
+        }
+
+        if (message || !lastResult) {
+            if (summary) summary.textContent = message || '';
+            return;
+        }
+
+        const errors = lastResult.errors || [];
+        const warnings = lastResult.warnings || [];
+        const subroutines = lastResult.subroutines || [];
+        const changed = subroutines.filter(s => s.status !== 'unchanged');
+
+        if (summary) {
+            if (errors.length > 0) {
+                summary.textContent = `${fileName}: ${errors.length} errors; it cannot be installed`;
+            } else if (!lastResult.success) {
+                summary.textContent = `${fileName}: ${lastResult.message}`;
+            } else if (changed.length === 0) {
+                summary.textContent = `${fileName}: no changes from the running program`;
+            } else {
+                const subrWord = changed.length === 1 ? 'subroutine changes' : 'subroutines change';
+                summary.textContent = `${fileName}: ${changed.length} ${subrWord}`;
+            }
+        }
+
+        if (errorsEl) {
+            errors.forEach(text => errorsEl.appendChild(createMessage(text, 'download-error')));
+            warnings.forEach(text => errorsEl.appendChild(createMessage(text, 'download-warning')));
+        }
+
+        if (diffEl) {
+            changed.forEach(subr => diffEl.appendChild(createSubroutineDiff(subr)));
+
+            const unchanged = subroutines.filter(s => s.status === 'unchanged').map(s => s.subrname);
+            if (unchanged.length > 0) {
+                const note = document.createElement('div');
+                note.className = 'status-label';
+                note.textContent = `Unchanged: ${unchanged.join(', ')}`;
+                diffEl.appendChild(note);
+            }
+        }
+    }
+
+    /**
+     * Create an error or warning list entry
+     * @param {string} text - Message
+     * @param {string} className - Entry class
+     * @returns {HTMLElement}
+     */
+    function createMessage(text, className) {
+        const item = document.createElement('li');
+        item.className = className;
+        item.textContent = text;
+        return item;
+    }
+
+    /**
+     * Create the changed networks of one subroutine
+     * @param {Object} subr - {subrname, status, networks}
+     * @returns {HTMLElement}
+     */
+    function createSubroutineDiff(subr) {
+        const details = document.createElement('details');
+        details.className = 'download-subr';
+        details.open = true;
+
+        const title = document.createElement('summary');
+        const networks = subr.networks || [];
+        const networkWord = networks.length === 1 ? 'network' : 'networks';
+        title.textContent = `${subr.subrname} (${subr.status}, ${networks.length} ${networkWord})`;
+        details.appendChild(title);
+
+        networks.forEach(network => {
+            const block = document.createElement('div');
+            block.className = 'download-network';
+
+            const header = document.createElement('div');
+            header.className = 'download-network-header';
+            header.textContent = `Network ${network.rungnum} ${network.status}`;
+            block.appendChild(header);
+
+            const oldLines = network.old || [];
+            const newLines = network.new || [];
+            const columns = document.createElement('div');
+            columns.className = 'download-columns';
+            columns.appendChild(createLines(oldLines, new Set(newLines), 'diff-removed'));
+            columns.appendChild(createLines(newLines, new Set(oldLines), 'diff-added'));
+            block.appendChild(columns);
+
+            details.appendChild(block);
+        });
+
+        return details;
+    }
+
+    /**
+     * Create one side of a network comparison
+     * @param {string[]} lines - IL lines on this side
+     * @param {Set} otherLines - IL lines on the other side
+     * @param {string} changedClass - Class for lines not on the other side
+     * @returns {HTMLElement}
+     */
+    function createLines(lines, otherLines, changedClass) {
+        const pre = document.createElement('pre');
+        pre.className = 'download-lines';
+        lines.forEach(line => {
+            const div = document.createElement('div');
+            div.textContent = line;
+            if (!otherLines.has(line)) {
+                div.className = changedClass;
+            }
+            pre.appendChild(div);
+        });
+        return pre;
+    }
+
+    // Public API
+    return {
+        init,
+        open,
+        close
+    };
+})();
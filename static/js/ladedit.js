@@ -0,0 +1,629 @@
+/**
+ * ladedit.js - Online Program Editor
+ * Edits the networks of one subroutine as IL, drawn as ladder with the
+ * LadSymbols palette, and sends them back to the server to be checked
+ * and installed. Parse and compile errors are shown on their rung.
+ */
+
+const LadEdit = (function() {
+    'use strict';
+
+    // Delay after the last change before the server checks the networks
+    const CHECK_DELAY_MS = 400;
+
+    // Instructions offered in the palette: symbol to draw and IL to insert
+    const PALETTE = [
+        { symbol: 'noc', il: 'STR X1' },
+        { symbol: 'ncc', il: 'STRN X1' },
+        { symbol: 'noc', il: 'AND X1' },
+        { symbol: 'ncc', il: 'ANDN X1' },
+        { symbol: 'noc', il: 'OR X1' },
+        { symbol: 'ncc', il: 'ORN X1' },
+        { symbol: 'nocpd', il: 'STRPD X1' },
+        { symbol: 'nocnd', il: 'STRND X1' },
+        { symbol: 'compare', il: 'STRE DS1 0' },
+        { symbol: 'out', il: 'OUT Y1' },
+        { symbol: 'set', il: 'SET C1' },
+        { symbol: 'rst', il: 'RST C1' },
+        { symbol: 'pd', il: 'PD C1' },
+        { symbol: 'tmr', il: 'TMR T1 1000 ms' },
+        { symbol: 'cntu', il: 'CNTU CT1 10' },
+        { symbol: 'copy', il: 'COPY 0 DS1' },
+        { symbol: 'mathdec', il: 'MATHDEC DS1 0 DS2 + 1' },
+        { symbol: 'call', il: 'CALL name' },
+        { symbol: 'rt', il: 'RT' },
+        { symbol: 'end', il: 'END' }
+    ];
+
+    // Editing state. Each working rung is {comment, lines}, where lines
+    // are the IL lines of the network; cells carry their 1-based line.
+    let editing = false;
+    let subrname = 'main';
+    let rungs = [];
+    let selected = null;        // {rung, line} of the selected instruction
+    let dirty = false;
+    let lastResult = null;
+    let checkTimer = null;
+    let checkSeq = 0;
+
+    // Callbacks supplied by the page
+    let getSubroutine = () => 'main';
+    let onEnter = () => {};
+    let onExit = () => {};
+
+    // DOM element IDs
+    const ELEMENTS = {
+        container: 'staticrunglist',
+        btnEdit: 'btn-edit',
+        toolbar: 'edit-toolbar',
+        palette: 'edit-palette',
+        lineInput: 'edit-line-input',
+        btnMoveLeft: 'btn-edit-move-left',
+        btnMoveRight: 'btn-edit-move-right',
+        btnDelete: 'btn-edit-delete',
+        btnAddRung: 'btn-edit-add-rung',
+        btnSave: 'btn-edit-save',
+        btnCancel: 'btn-edit-cancel',
+        status: 'edit-status'
+    };
+
+    /**
+     * Initialize the editor controls
+     * @param {Object} options - Options
+     * @param {Function} options.getSubroutine - Returns the displayed subroutine name
+     * @param {Function} options.onEnter - Called when edit mode starts
+     * @param {Function} options.onExit - Called with (saved) when edit mode ends
+     */
+    function init(options = {}) {
+        if (options.getSubroutine) {
+            getSubroutine = options.getSubroutine;
+        }
+        if (options.onEnter) {
+            onEnter = options.onEnter;
+        }
+        if (options.onExit) {
+            onExit = options.onExit;
+        }
+
+        const btnEdit = document.getElementById(ELEMENTS.btnEdit);
+        if (btnEdit) {
+            btnEdit.addEventListener('click', () => {
+                if (editing) {
+                    cancel();
+                } else {
+                    enter();
+                }
+            });
+        }
+
+        // Select cells before the force editor and cross reference see the click
+        const container = document.getElementById(ELEMENTS.container);
+        if (container) {
+            container.addEventListener('click', (e) => {
+                if (!editing) return;
+                const cell = e.target.closest('.ladder-cell');
+                const rungEl = e.target.closest('.ladder-rung');
+                if (!cell || !rungEl) return;
+                e.stopPropagation();
+                e.preventDefault();
+                const line = parseInt(cell.getAttribute('data-line'), 10);
+                if (line > 0) {
+                    select(parseInt(rungEl.getAttribute('data-rungnum'), 10) - 1, line);
+                }
+            }, true);
+        }
+
+        buildPalette();
+
+        const lineInput = document.getElementById(ELEMENTS.lineInput);
+        if (lineInput) {
+            lineInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    setSelectedLine(lineInput.value);
+                }
+            });
+            lineInput.addEventListener('change', () => setSelectedLine(lineInput.value));
+        }
+
+        bindButton(ELEMENTS.btnMoveLeft, () => moveSelected(-1));
+        bindButton(ELEMENTS.btnMoveRight, () => moveSelected(1));
+        bindButton(ELEMENTS.btnDelete, deleteSelected);
+        bindButton(ELEMENTS.btnAddRung, () => addRung(rungs.length));
+        bindButton(ELEMENTS.btnSave, save);
+        bindButton(ELEMENTS.btnCancel, cancel);
+
+        window.addEventListener('beforeunload', (e) => {
+            if (editing && dirty) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+    }
+
+    /**
+     * Attach a click handler to a button
+     * @param {string} id - Button element ID
+     * @param {Function} handler - Click handler
+     */
+    function bindButton(id, handler) {
+        const btn = document.getElementById(id);
+        if (btn) {
+            btn.addEventListener('click', handler);
+        }
+    }
+
+    /**
+     * Fill the palette with one button per instruction template
+     */
+    function buildPalette() {
+        const palette = document.getElementById(ELEMENTS.palette);
+        if (!palette) return;
+
+        palette.innerHTML = '';
+        PALETTE.forEach(entry => {
+            const btn = document.createElement('button');
+            btn.className = 'palette-item';
+            btn.title = `Insert ${entry.il}`;
+            btn.innerHTML = LadSymbols.getSymbol(entry.symbol);
+            const label = document.createElement('span');
+            label.textContent = entry.il.split(' ')[0];
+            btn.appendChild(label);
+            btn.addEventListener('click', () => insertInstruction(entry.il));
+            palette.appendChild(btn);
+        });
+    }
+
+    // ============================================================
+    // Edit mode
+    // ============================================================
+
+    /**
+     * Start editing the displayed subroutine
+     */
+    async function enter() {
+        if (editing) return;
+
+        subrname = getSubroutine();
+        let programData;
+        try {
+            programData = await ServerComm.getProgram(subrname);
+        } catch (e) {
+            showStatus(`Cannot edit: ${e.message}`, true);
+            return;
+        }
+        if (programData.error) {
+            showStatus(`Cannot edit: ${programData.error}`, true);
+            return;
+        }
+
+        rungs = (programData.subrdata || []).map(rung => ({
+            comment: (rung.comments || []).join('\n'),
+            lines: (rung.il || []).slice()
+        }));
+        editing = true;
+        dirty = false;
+        selected = null;
+        lastResult = null;
+        setEditUi(true);
+        onEnter();
+        await check();
+    }
+
+    /**
+     * Leave edit mode
+     * @param {boolean} saved - The edits were installed on the server
+     */
+    function exit(saved) {
+        if (!editing) return;
+        editing = false;
+        clearTimeout(checkTimer);
+        checkSeq++;
+        rungs = [];
+        selected = null;
+        lastResult = null;
+        setEditUi(false);
+        onExit(saved);
+    }
+
+    /**
+     * Leave edit mode without saving, confirming if there are changes
+     */
+    function cancel() {
+        if (dirty && !confirm('Discard the changes to this subroutine?')) return;
+        exit(false);
+    }
+
+    /**
+     * Show or hide the editing controls
+     * @param {boolean} on - Edit mode is on
+     */
+    function setEditUi(on) {
+        document.body.classList.toggle('editing', on);
+        const toolbar = document.getElementById(ELEMENTS.toolbar);
+        if (toolbar) {
+            toolbar.hidden = !on;
+        }
+        const btnEdit = document.getElementById(ELEMENTS.btnEdit);
+        if (btnEdit) {
+            btnEdit.textContent = on ? 'Stop Editing' : 'Edit';
+            btnEdit.classList.toggle('active', on);
+        }
+        showStatus('');
+        updateSelectionUi();
+    }
+
+    /**
+     * Check if edit mode is on
+     * @returns {boolean}
+     */
+    function isEditing() {
+        return editing;
+    }
+
+    // ============================================================
+    // Server check and save
+    // ============================================================
+
+    /**
+     * The working networks in the form the server expects
+     * @returns {Object[]} - Array of {comment, il}
+     */
+    function requestRungs() {
+        return rungs.map(rung => ({ comment: rung.comment, il: rung.lines }));
+    }
+
+    /**
+     * Note a change and check the networks once editing pauses
+     */
+    function changed() {
+        dirty = true;
+        clearTimeout(checkTimer);
+        checkTimer = setTimeout(check, CHECK_DELAY_MS);
+    }
+
+    /**
+     * Have the server parse and compile the working networks, then redraw
+     */
+    async function check() {
+        clearTimeout(checkTimer);
+        const seq = ++checkSeq;
+        let result;
+        try {
+            result = await ServerComm.checkProgramEdit(subrname, requestRungs());
+        } catch (e) {
+            showStatus(`Check failed: ${e.message}`, true);
+            return;
+        }
+        // A newer check started or editing ended while this one ran
+        if (seq !== checkSeq) return;
+        lastResult = result;
+        render();
+    }
+
+    /**
+     * Install the working networks on the server
+     */
+    async function save() {
+        clearTimeout(checkTimer);
+        const seq = ++checkSeq;
+        let result;
+        try {
+            result = await ServerComm.saveProgramEdit(subrname, requestRungs());
+        } catch (e) {
+            showStatus(`Save failed: ${e.message}`, true);
+            return;
+        }
+        if (seq !== checkSeq) return;
+
+        if (result.success) {
+            exit(true);
+        } else {
+            lastResult = result;
+            render();
+        }
+    }
+
+    // ============================================================
+    // Rendering
+    // ============================================================
+
+    /**
+     * Draw the last check result with an edit panel on every rung
+     */
+    function render() {
+        if (!editing || !lastResult) return;
+
+        const focus = saveFocus();
+        const container = document.getElementById(ELEMENTS.container);
+        const rungResults = lastResult.rungs || [];
+
+        if (container && lastResult.program) {
+            // Every rung gets an edit panel, so render them all
+            SubrDispControl.renderToContainer(ELEMENTS.container, lastResult.program, { virtual: false });
+            container.querySelectorAll('.ladder-rung').forEach(rungEl => {
+                const index = parseInt(rungEl.getAttribute('data-rungnum'), 10) - 1;
+                if (!rungs[index]) return;
+                const errors = (rungResults[index] && rungResults[index].errors) || [];
+                rungEl.classList.toggle('rung-error', errors.length > 0);
+                const grid = rungEl.querySelector('.ladder-grid');
+                rungEl.insertBefore(createRungPanel(index, errors), grid);
+            });
+        }
+
+        const errorCount = rungResults.filter(r => r.errors && r.errors.length > 0).length;
+        if (!lastResult.program) {
+            showStatus(lastResult.message || 'Check failed', true);
+        } else if (errorCount > 0) {
+            const rungWord = errorCount === 1 ? 'rung has' : 'rungs have';
+            showStatus(`${errorCount} ${rungWord} errors`, true);
+        } else {
+            showStatus(dirty ? 'No errors; not saved' : 'No changes');
+        }
+
+        updateSelectionUi();
+        restoreFocus(focus);
+    }
+
+    /**
+     * Create the edit panel shown above a rung's ladder
+     * @param {number} index - Zero-based rung index
+     * @param {string[]} errors - Errors reported for the rung
+     * @returns {HTMLElement}
+     */
+    function createRungPanel(index, errors) {
+        const rung = rungs[index];
+        const panel = document.createElement('div');
+        panel.className = 'rung-edit-panel';
+
+        if (errors.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'rung-errors';
+            errors.forEach(message => {
+                const item = document.createElement('li');
+                item.textContent = message;
+                list.appendChild(item);
+            });
+            panel.appendChild(list);
+        }
+
+        const comment = document.createElement('textarea');
+        comment.className = 'rung-comment-input';
+        comment.rows = 1;
+        comment.placeholder = 'Rung comment';
+        comment.value = rung.comment;
+        comment.setAttribute('data-rung-index', index);
+        comment.setAttribute('data-edit-field', 'comment');
+        comment.addEventListener('input', () => {
+            rung.comment = comment.value;
+            changed();
+        });
+        panel.appendChild(comment);
+
+        const il = document.createElement('textarea');
+        il.className = 'rung-il-input';
+        il.rows = Math.max(2, rung.lines.length);
+        il.spellcheck = false;
+        il.value = rung.lines.join('\n');
+        il.setAttribute('data-rung-index', index);
+        il.setAttribute('data-edit-field', 'il');
+        il.addEventListener('input', () => {
+            rung.lines = il.value.split('\n');
+            selected = null;
+            changed();
+        });
+        panel.appendChild(il);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'rung-edit-buttons';
+        buttons.appendChild(createButton('Add Rung Below', () => addRung(index + 1)));
+        buttons.appendChild(createButton('Delete Rung', () => deleteRung(index)));
+        panel.appendChild(buttons);
+
+        return panel;
+    }
+
+    /**
+     * Create a small panel button
+     * @param {string} text - Button text
+     * @param {Function} handler - Click handler
+     * @returns {HTMLElement}
+     */
+    function createButton(text, handler) {
+        const btn = document.createElement('button');
+        btn.className = 'btn-watch';
+        btn.textContent = text;
+        btn.addEventListener('click', handler);
+        return btn;
+    }
+
+    /**
+     * Remember which edit field has focus, since rendering replaces it
+     * @returns {Object|null} - {index, field, start, end}
+     */
+    function saveFocus() {
+        const el = document.activeElement;
+        if (!el || !el.hasAttribute || !el.hasAttribute('data-edit-field')) return null;
+        return {
+            index: el.getAttribute('data-rung-index'),
+            field: el.getAttribute('data-edit-field'),
+            start: el.selectionStart,
+            end: el.selectionEnd
+        };
+    }
+
+    /**
+     * Put the focus back in the field it was in before rendering
+     * @param {Object|null} focus - Result of saveFocus
+     */
+    function restoreFocus(focus) {
+        if (!focus) return;
+        const el = document.querySelector(
+            `[data-rung-index="${focus.index}"][data-edit-field="${focus.field}"]`);
+        if (el) {
+            el.focus();
+            el.setSelectionRange(focus.start, focus.end);
+        }
+    }
+
+    /**
+     * Show an editor status message
+     * @param {string} message - Message text
+     * @param {boolean} isError - Show as an error
+     */
+    function showStatus(message, isError = false) {
+        const el = document.getElementById(ELEMENTS.status);
+        if (el) {
+            el.textContent = message;
+            el.classList.toggle('edit-status-error', isError);
+        }
+    }
+
+    // ============================================================
+    // Editing operations
+    // ============================================================
+
+    /**
+     * Select an instruction
+     * @param {number} rungIndex - Zero-based rung index
+     * @param {number} line - 1-based IL line in the rung
+     */
+    function select(rungIndex, line) {
+        selected = { rung: rungIndex, line };
+        updateSelectionUi();
+    }
+
+    /**
+     * Highlight the selected cell and fill in the instruction field
+     */
+    function updateSelectionUi() {
+        const container = document.getElementById(ELEMENTS.container);
+        if (container) {
+            container.querySelectorAll('.ladder-cell.cell-selected').forEach(el => {
+                el.classList.remove('cell-selected');
+            });
+            if (editing && selected) {
+                const cell = container.querySelector(
+                    `#rung-${selected.rung + 1} .ladder-cell[data-line="${selected.line}"]`);
+                if (cell) {
+                    cell.classList.add('cell-selected');
+                }
+            }
+        }
+
+        const lineInput = document.getElementById(ELEMENTS.lineInput);
+        const hasSelection = Boolean(editing && selected);
+        if (lineInput) {
+            lineInput.value = hasSelection ? rungs[selected.rung].lines[selected.line - 1] : '';
+            lineInput.disabled = !hasSelection;
+        }
+        [ELEMENTS.btnMoveLeft, ELEMENTS.btnMoveRight, ELEMENTS.btnDelete].forEach(id => {
+            const btn = document.getElementById(id);
+            if (btn) {
+                btn.disabled = !hasSelection;
+            }
+        });
+    }
+
+    /**
+     * Check if an IL line holds an instruction (not blank or a comment)
+     * @param {string} line - IL line
+     * @returns {boolean}
+     */
+    function isInstructionLine(line) {
+        const text = (line || '').trim();
+        return text !== '' && !text.startsWith('//');
+    }
+
+    /**
+     * Insert an instruction after the selection, or at the end of the last rung
+     * @param {string} il - IL text of the instruction
+     */
+    function insertInstruction(il) {
+        if (!editing) return;
+        if (rungs.length === 0) {
+            rungs.push({ comment: '', lines: [] });
+        }
+
+        const rungIndex = selected ? selected.rung : rungs.length - 1;
+        const lines = rungs[rungIndex].lines;
+        const position = selected ? selected.line : lines.length;
+        lines.splice(position, 0, il);
+        select(rungIndex, position + 1);
+        changed();
+    }
+
+    /**
+     * Replace the selected instruction's IL
+     * @param {string} text - New IL text
+     */
+    function setSelectedLine(text) {
+        if (!selected) return;
+        const lines = rungs[selected.rung].lines;
+        const value = text.trim();
+        if (value === lines[selected.line - 1]) return;
+        lines[selected.line - 1] = value;
+        changed();
+    }
+
+    /**
+     * Delete the selected instruction
+     */
+    function deleteSelected() {
+        if (!selected) return;
+        rungs[selected.rung].lines.splice(selected.line - 1, 1);
+        selected = null;
+        updateSelectionUi();
+        changed();
+    }
+
+    /**
+     * Swap the selected instruction with the previous or next instruction
+     * in its rung, skipping comment and blank lines
+     * @param {number} direction - -1 for left (earlier), 1 for right (later)
+     */
+    function moveSelected(direction) {
+        if (!selected) return;
+        const lines = rungs[selected.rung].lines;
+        const from = selected.line - 1;
+        let to = from + direction;
+        while (to >= 0 && to < lines.length && !isInstructionLine(lines[to])) {
+            to += direction;
+        }
+        if (to < 0 || to >= lines.length) return;
+
+        [lines[from], lines[to]] = [lines[to], lines[from]];
+        select(selected.rung, to + 1);
+        changed();
+    }
+
+    /**
+     * Add an empty rung
+     * @param {number} index - Zero-based position of the new rung
+     */
+    function addRung(index) {
+        if (!editing) return;
+        rungs.splice(index, 0, { comment: '', lines: [] });
+        selected = null;
+        changed();
+    }
+
+    /**
+     * Delete a rung
+     * @param {number} index - Zero-based rung index
+     */
+    function deleteRung(index) {
+        rungs.splice(index, 1);
+        selected = null;
+        changed();
+    }
+
+    // Public API
+    return {
+        init,
+        enter,
+        exit,
+        isEditing,
+        render
+    };
+})();
@@ -0,0 +1,597 @@
+/**
+ * ladexport.js - Ladder Export
+ * Builds self-contained SVG drawings of rungs and subroutines from the
+ * LadSymbols definitions and the SubrDispControl rung layout, and
+ * turns them into PNG images or a paginated print layout
+ */
+
+const LadExport = (function() {
+    'use strict';
+
+    // Drawing geometry, in SVG user units (CSS pixels)
+    const LAYOUT = {
+        margin: 10,
+        railWidth: 4,
+        railGap: 5,
+        headerHeight: 22,
+        commentLineHeight: 15,
+        rungGap: 16
+    };
+
+    // Print layout: A4 portrait at 96 dpi less 12 mm margins
+    const PAGE = {
+        width: 704,
+        height: 1032,
+        titleHeight: 90,
+        footerHeight: 24
+    };
+
+    // Half the width of the box drawn around a block covering several
+    // rows, the same as the outline of the block symbol
+    const SPAN_BOX_HALF_WIDTH = 50;
+
+    // PNG output is drawn at this multiple of the SVG size
+    const PNG_SCALE = 2;
+
+    // Styles embedded in every SVG so it renders the same outside the page
+    const SVG_STYLE = `
+        text { font-family: sans-serif; }
+        .MB_ladderoff line, .MB_ladderoff circle, .MB_ladderoff rect { stroke: #3498db; stroke-width: 2; fill: none; }
+        .MB_ladderoff text { fill: #3498db; stroke: none; }
+        .MB_ladderon line, .MB_ladderon circle, .MB_ladderon rect { stroke: #e74c3c; stroke-width: 2.5; fill: none; }
+        .MB_ladderon text { fill: #e74c3c; stroke: none; }
+        .export-background { fill: white; }
+        .export-rail { fill: #2c3e50; }
+        .export-wire { stroke: #3498db; stroke-width: 2; }
+        .export-branch { stroke: #3498db; stroke-width: 3; }
+        .export-wire.export-live, .export-branch.export-live { stroke: #e74c3c; }
+        .export-span-box { fill: none; stroke: #3498db; stroke-width: 2; }
+        .export-span-box.export-live { stroke: #e74c3c; }
+        .export-title { font-size: 13px; font-weight: bold; fill: #2c3e50; }
+        .export-comment { font-size: 12px; font-style: italic; fill: #555; }
+        .export-address { font-family: monospace; font-size: 10px; fill: #555; }
+        .export-tag { font-size: 10px; font-weight: 600; fill: #2c3e50; }
+        .export-params { font-family: monospace; font-size: 9px; fill: #666; }
+        .export-value { font-family: monospace; font-size: 10px; fill: #c0392b; }
+        .block-face .block-face-line { font-family: monospace; }
+        .block-face rect.face-bar-track { fill: #ecf0f1; stroke: #bdc3c7; stroke-width: 0.5; }
+        .block-face rect.face-bar { fill: #27ae60; stroke: none; }
+    `;
+
+    // Styles for the print window
+    const PRINT_STYLE = `
+        @page { size: A4 portrait; margin: 12mm; }
+        body { margin: 0; font-family: sans-serif; color: #2c3e50; }
+        .print-page { width: ${PAGE.width}px; height: ${PAGE.height}px; position: relative;
+                      page-break-after: always; break-after: page; overflow: hidden; }
+        .print-page:last-child { page-break-after: auto; break-after: auto; }
+        .title-block { border: 2px solid #2c3e50; display: grid; grid-template-columns: 2fr 1fr 1fr;
+                       font-size: 12px; margin-bottom: 12px; }
+        .title-block div { padding: 6px 8px; border: 1px solid #bdc3c7; }
+        .title-block .label { display: block; font-size: 10px; color: #7f8c8d; text-transform: uppercase; }
+        .title-block .title { grid-row: span 2; font-size: 18px; font-weight: bold; }
+        .rung { margin-bottom: ${LAYOUT.rungGap}px; }
+        .rung svg { display: block; }
+        .page-footer { position: absolute; bottom: 0; left: 0; right: 0; font-size: 11px;
+                       display: flex; justify-content: space-between; color: #7f8c8d; }
+        @media screen { body { background: #ecf0f1; } .print-page { background: white; margin: 12px auto;
+                        padding: 12mm; box-sizing: content-box; } }
+    `;
+
+    // Called to get the subroutine being displayed
+    let getSubroutine = () => 'main';
+
+    // DOM element IDs
+    const ELEMENTS = {
+        rungInput: 'export-rung',
+        valuesCheckbox: 'export-values',
+        btnSvg: 'btn-export-svg',
+        btnPng: 'btn-export-png',
+        btnPrint: 'btn-export-print',
+        messages: 'export-messages'
+    };
+
+    /**
+     * Initialize the export controls
+     * @param {Object} options - Options
+     * @param {Function} options.getSubroutine - Returns the displayed subroutine name
+     */
+    function init(options = {}) {
+        if (options.getSubroutine) {
+            getSubroutine = options.getSubroutine;
+        }
+
+        bindButton(ELEMENTS.btnSvg, () => runExport(exportSvg));
+        bindButton(ELEMENTS.btnPng, () => runExport(exportPng));
+        bindButton(ELEMENTS.btnPrint, () => runExport(printLayout));
+    }
+
+    /**
+     * Attach a click handler to a button
+     * @param {string} id - Button element ID
+     * @param {Function} handler - Click handler
+     */
+    function bindButton(id, handler) {
+        const btn = document.getElementById(id);
+        if (btn) {
+            btn.addEventListener('click', handler);
+        }
+    }
+
+    // ============================================================
+    // Drawing
+    // ============================================================
+
+    /**
+     * Check if a cell is drawn as a block
+     * @param {Object} cell - Cell data
+     * @returns {boolean}
+     */
+    function isBlockCell(cell) {
+        return SubrDispControl.isBlockSymbol(cell.symbol || 'il') || cell.type === 'block';
+    }
+
+    /**
+     * Work out whether a cell is energized and which value it shows,
+     * the same way the live display does
+     * @param {Object} cell - Cell data
+     * @param {Object|null} values - Address values, or null for no snapshot
+     * @param {Map|null} cellPower - Power flow of the rung, or null when
+     *     cells are lit by their own addresses
+     * @returns {Object} - {isOn, value} where value is null if none is shown
+     */
+    function cellState(cell, values, cellPower) {
+        let isOn = false;
+        let value = null;
+        if (values) {
+            (cell.addrs || []).forEach(addr => {
+                if (!(addr in values)) return;
+                const v = values[addr];
+                if (typeof v === 'boolean') {
+                    if (v) isOn = true;
+                } else if (typeof v === 'number') {
+                    value = Number.isInteger(v) ? String(v) : v.toFixed(2);
+                    if (v !== 0) isOn = true;
+                } else if (v !== null && v !== undefined) {
+                    value = String(v);
+                }
+            });
+        }
+        const power = cellPower && cellPower.get(LadPowerFlow.cellKey(cell.row || 0, cell.col || 0));
+        if (power) {
+            isOn = power.lit;
+        }
+        return { isOn, value };
+    }
+
+    /**
+     * Place a LadSymbols SVG at a position in the drawing
+     * @param {string} symbolSvg - SVG element string from LadSymbols
+     * @param {number} x - Left edge
+     * @param {number} y - Top edge
+     * @param {number} width - Width
+     * @param {number} height - Height
+     * @returns {string}
+     */
+    function placeSymbol(symbolSvg, x, y, width, height) {
+        return symbolSvg.replace('<svg ', `<svg x="${x}" y="${y}" width="${width}" height="${height}" `);
+    }
+
+    /**
+     * Draw the address labels of a cell, following the tag view mode
+     * @param {Object} cell - Cell data
+     * @param {number} centerX - Horizontal center of the cell
+     * @param {number} bottom - Bottom edge of the cell
+     * @returns {string}
+     */
+    function drawLabels(cell, centerX, bottom) {
+        const address = cell.addr || (cell.addrs || [])[0] || '';
+        if (!address) return '';
+
+        const tagName = LadTags.getName(address);
+        const mode = LadTags.getViewMode();
+        const showTag = tagName && mode !== 'address';
+        const showAddress = !tagName || mode !== 'tag';
+        let svg = '';
+        if (showAddress) {
+            svg += `<text class="export-address" x="${centerX}" y="${bottom - 3}" text-anchor="middle">${LadMarkup.escape(address)}</text>`;
+        }
+        if (showTag) {
+            const y = showAddress ? bottom - 15 : bottom - 3;
+            svg += `<text class="export-tag" x="${centerX}" y="${y}" text-anchor="middle">${LadMarkup.escape(tagName)}</text>`;
+        }
+        return svg;
+    }
+
+    /**
+     * Draw a rung as SVG content with its top left corner at 0,0
+     * @param {Object} rung - Rung data
+     * @param {Object} options - Drawing options
+     * @param {Object|null} options.values - Address values to show, or null
+     * @param {boolean} options.allComments - Show every comment line, not just the first
+     * @returns {Object} - {content, width, height}
+     */
+    function drawRung(rung, options = {}) {
+        const layout = SubrDispControl.getRungLayout(rung);
+        const values = options.values || null;
+
+        // A snapshot of values is drawn with the power flow of the rung
+        const model = values ? LadPowerFlow.buildModel(rung) : null;
+        const cellPower = model ? LadPowerFlow.evaluate(model, values) : null;
+        const wires = cellPower ? LadPowerFlow.wirePower(layout, cellPower) : null;
+
+        // Column widths and row heights grow to fit block cells
+        const colWidths = new Array(layout.cols).fill(SubrDispControl.CELL_WIDTH);
+        const rowHeights = new Array(layout.rows).fill(SubrDispControl.CELL_HEIGHT);
+        for (let r = 0; r < layout.rows; r++) {
+            for (let c = 0; c < layout.cols; c++) {
+                const cell = layout.grid[r][c];
+                if (cell && isBlockCell(cell)) {
+                    colWidths[c] = Math.max(colWidths[c], SubrDispControl.BLOCK_CELL_WIDTH);
+                    // Blocks covering several rows fit in them
+                    if ((cell.rowSpan || 1) === 1) {
+                        rowHeights[r] = Math.max(rowHeights[r], SubrDispControl.BLOCK_CELL_HEIGHT);
+                    }
+                }
+            }
+        }
+
+        const comments = options.allComments
+            ? (rung.comments || (rung.comment ? [rung.comment] : []))
+            : (rung.comment ? [rung.comment] : []);
+        const headerHeight = LAYOUT.headerHeight + comments.length * LAYOUT.commentLineHeight;
+
+        const leftRail = LAYOUT.margin;
+        const gridLeft = leftRail + LAYOUT.railWidth + LAYOUT.railGap;
+        const gridTop = headerHeight;
+        const colX = [];
+        colWidths.reduce((x, w, c) => { colX[c] = x; return x + w; }, gridLeft);
+        const rowY = [];
+        rowHeights.reduce((y, h, r) => { rowY[r] = y; return y + h; }, gridTop);
+        const gridWidth = colWidths.reduce((a, b) => a + b, 0);
+        const gridHeight = rowHeights.reduce((a, b) => a + b, 0);
+        const rightRail = gridLeft + gridWidth + LAYOUT.railGap;
+        const width = rightRail + LAYOUT.railWidth + LAYOUT.margin;
+        const height = gridTop + gridHeight;
+
+        let content = '';
+
+        // Header: network number and comments
+        content += `<text class="export-title" x="${LAYOUT.margin}" y="15">Network ${LadMarkup.escape(rung.rungnum)}</text>`;
+        comments.forEach((line, i) => {
+            content += `<text class="export-comment" x="${LAYOUT.margin}" y="${LAYOUT.headerHeight + 11 + i * LAYOUT.commentLineHeight}">${LadMarkup.escape(line)}</text>`;
+        });
+
+        // Power rails
+        content += `<rect class="export-rail" x="${leftRail}" y="${gridTop}" width="${LAYOUT.railWidth}" height="${gridHeight}"/>`;
+        content += `<rect class="export-rail" x="${rightRail}" y="${gridTop}" width="${LAYOUT.railWidth}" height="${gridHeight}"/>`;
+
+        // Wires, symbols and labels
+        for (let r = 0; r < layout.rows; r++) {
+            const rowCenterY = rowY[r] + rowHeights[r] / 2;
+            for (let c = 0; c < layout.cols; c++) {
+                const kind = layout.kinds[r][c];
+                if (kind === 'empty') continue;
+
+                const x1 = c === 0 ? leftRail + LAYOUT.railWidth : colX[c];
+                const centerX = colX[c] + colWidths[c] / 2;
+                const cell = layout.grid[r][c];
+                const rowSpan = cell ? Math.min(cell.rowSpan || 1, layout.rows - r) : 1;
+
+                // Input rows of a block covering several rows end at its box
+                if (kind === 'span' || rowSpan > 1) {
+                    const leadLive = wires && wires.leads.has(LadPowerFlow.cellKey(r, c)) ? ' export-live' : '';
+                    content += `<line class="export-wire${leadLive}" x1="${x1}" y1="${rowCenterY}" x2="${centerX - SPAN_BOX_HALF_WIDTH}" y2="${rowCenterY}"/>`;
+                }
+                if (kind === 'span') continue;
+
+                // Wire across the whole position, so symbols join up
+                const state = kind === 'cell' ? cellState(cell, values, cellPower) : null;
+                const wireLive = state ? state.isOn : Boolean(wires && wires.spacers.has(LadPowerFlow.cellKey(r, c)));
+                const wireClass = `export-wire${wireLive ? ' export-live' : ''}`;
+                const cellBottom = rowY[r + rowSpan - 1] + rowHeights[r + rowSpan - 1];
+                const centerY = rowSpan > 1 ? (rowY[r] + cellBottom) / 2 : rowCenterY;
+                if (rowSpan > 1) {
+                    content += `<line class="${wireClass}" x1="${centerX}" y1="${centerY}" x2="${colX[c] + colWidths[c]}" y2="${centerY}"/>`;
+                    content += `<rect class="export-span-box${wireLive ? ' export-live' : ''}" x="${centerX - SPAN_BOX_HALF_WIDTH}" y="${rowY[r] + 4}" width="${SPAN_BOX_HALF_WIDTH * 2}" height="${cellBottom - rowY[r] - 8}"/>`;
+                } else {
+                    content += `<line class="${wireClass}" x1="${x1}" y1="${centerY}" x2="${colX[c] + colWidths[c]}" y2="${centerY}"/>`;
+                }
+                if (kind !== 'cell') continue;
+
+                const block = LadSymbols.isBlockSymbol(cell.symbol || 'il');
+                const symbolWidth = block ? LadSymbols.BLOCK_WIDTH : LadSymbols.WIDTH;
+                const symbolHeight = block ? LadSymbols.BLOCK_HEIGHT : LadSymbols.HEIGHT;
+                const stateClass = state.isOn ? 'MB_ladderon' : 'MB_ladderoff';
+
+                // Clear the wire behind the symbol
+                content += `<rect class="export-background" x="${centerX - symbolWidth / 2}" y="${centerY - symbolHeight / 2}" width="${symbolWidth}" height="${symbolHeight}"/>`;
+                // Block faces carry their parameters and snapshot values
+                const faceSvg = isBlockCell(cell) ? LadBlockFace.faceSvg(cell, stateClass, values) : null;
+                content += placeSymbol(faceSvg || LadSymbols.getSymbol(cell.symbol || 'il', stateClass),
+                                       centerX - symbolWidth / 2, centerY - symbolHeight / 2,
+                                       symbolWidth, symbolHeight);
+
+                if (isBlockCell(cell) && !faceSvg && (cell.params || []).length > 0) {
+                    content += `<text class="export-params" x="${centerX}" y="${cellBottom - 3}" text-anchor="middle">${LadMarkup.escape(cell.params.slice(0, 4).join(' '))}</text>`;
+                } else {
+                    content += drawLabels(cell, centerX, cellBottom);
+                }
+                if (state.value !== null && !faceSvg) {
+                    content += `<text class="export-value" x="${centerX}" y="${rowY[r] + 10}" text-anchor="middle">${LadMarkup.escape(state.value)}</text>`;
+                }
+            }
+        }
+
+        // Branch connectors, at the left edge of their column
+        layout.connectors.forEach((conn, index) => {
+            const x = conn.col < layout.cols ? colX[conn.col] : gridLeft + gridWidth;
+            const y1 = rowY[conn.startRow] + rowHeights[conn.startRow] / 2;
+            const y2 = rowY[conn.endRow] + rowHeights[conn.endRow] / 2;
+            const live = wires && wires.connectors.has(index) ? ' export-live' : '';
+            content += `<line class="export-branch${live}" x1="${x}" y1="${y1}" x2="${x}" y2="${y2}"/>`;
+        });
+
+        return { content, width, height };
+    }
+
+    /**
+     * Wrap drawing content in a standalone SVG document
+     * @param {string} content - SVG content
+     * @param {number} width - Drawing width
+     * @param {number} height - Drawing height
+     * @returns {string}
+     */
+    function wrapDocument(content, width, height) {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+            `<style>${SVG_STYLE}</style>` +
+            `<rect class="export-background" x="0" y="0" width="${width}" height="${height}"/>` +
+            content + '</svg>';
+    }
+
+    /**
+     * Build a standalone SVG of one rung
+     * @param {Object} rung - Rung data
+     * @param {Object} options - Options for drawRung
+     * @returns {Object} - {svg, width, height}
+     */
+    function rungToSvg(rung, options = {}) {
+        const drawn = drawRung(rung, options);
+        return {
+            svg: wrapDocument(drawn.content, drawn.width, drawn.height),
+            width: drawn.width,
+            height: drawn.height
+        };
+    }
+
+    /**
+     * Build a standalone SVG of rungs stacked top to bottom
+     * @param {Object[]} rungs - Rung data
+     * @param {Object} options - Options for drawRung
+     * @returns {Object} - {svg, width, height}
+     */
+    function rungsToSvg(rungs, options = {}) {
+        let content = '';
+        let width = 0;
+        let y = LAYOUT.margin;
+        rungs.forEach(rung => {
+            const drawn = drawRung(rung, options);
+            content += `<g transform="translate(0, ${y})">${drawn.content}</g>`;
+            width = Math.max(width, drawn.width);
+            y += drawn.height + LAYOUT.rungGap;
+        });
+        const height = y - LAYOUT.rungGap + LAYOUT.margin;
+        return { svg: wrapDocument(content, width, height), width, height };
+    }
+
+    // ============================================================
+    // Export actions
+    // ============================================================
+
+    /**
+     * Fetch what to export: the displayed subroutine, optionally one rung
+     * of it, and optionally a snapshot of live values
+     * @returns {Promise<Object>} - {subrname, rungnum, rungs, values, takenAt, fileBase}
+     */
+    async function loadExportData() {
+        const subrname = getSubroutine();
+        const programData = await ServerComm.getProgram(subrname);
+        if (programData.error) {
+            throw new Error(programData.error);
+        }
+
+        let rungs = programData.subrdata || [];
+        let rungnum = null;
+        let fileBase = subrname;
+        const rungInput = document.getElementById(ELEMENTS.rungInput);
+        const rungText = rungInput ? rungInput.value.trim() : '';
+        if (rungText) {
+            rungnum = parseInt(rungText, 10);
+            rungs = rungs.filter(rung => rung.rungnum === rungnum);
+            if (rungs.length === 0) {
+                throw new Error(`${subrname} has no network ${rungText}`);
+            }
+            fileBase = `${subrname}-network-${rungnum}`;
+        }
+        if (rungs.length === 0) {
+            throw new Error(`${subrname} has no networks`);
+        }
+
+        let values = null;
+        let takenAt = null;
+        const valuesCheckbox = document.getElementById(ELEMENTS.valuesCheckbox);
+        if (valuesCheckbox && valuesCheckbox.checked) {
+            const addresses = [...new Set([
+                ...(programData.addresses || []),
+                ...rungs.flatMap(rung => (rung.cells || []).flatMap(LadBlockFace.addresses))
+            ])];
+            values = addresses.length > 0 ? await ServerComm.getData(addresses) : {};
+            takenAt = new Date();
+        }
+
+        return { subrname, rungnum, rungs, values, takenAt, fileBase };
+    }
+
+    /**
+     * Run an export action, reporting failures
+     * @param {Function} action - Async function given the export data
+     */
+    async function runExport(action) {
+        showMessage('');
+        try {
+            await action(await loadExportData());
+        } catch (e) {
+            console.error('Export failed:', e);
+            showMessage(`Export failed: ${e.message}`);
+        }
+    }
+
+    /**
+     * Download the selection as an SVG file
+     * @param {Object} data - Export data
+     */
+    function exportSvg(data) {
+        const drawing = rungsToSvg(data.rungs, { values: data.values, allComments: true });
+        LadFiles.downloadFile(`${data.fileBase}.svg`, drawing.svg, 'image/svg+xml');
+    }
+
+    /**
+     * Rasterize an SVG document to a PNG image
+     * @param {Object} drawing - {svg, width, height}
+     * @param {number} scale - Output pixels per SVG unit
+     * @returns {Promise<Blob>}
+     */
+    function svgToPng(drawing, scale = PNG_SCALE) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(new Blob([drawing.svg], { type: 'image/svg+xml' }));
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.ceil(drawing.width * scale);
+                canvas.height = Math.ceil(drawing.height * scale);
+                const context = canvas.getContext('2d');
+                context.scale(scale, scale);
+                context.drawImage(image, 0, 0, drawing.width, drawing.height);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(blob => {
+                    if (blob) {
+                        resolve(blob);
+                    } else {
+                        reject(new Error('The drawing is too large for a PNG image'));
+                    }
+                }, 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('The drawing could not be rasterized'));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Download the selection as a PNG image
+     * @param {Object} data - Export data
+     */
+    async function exportPng(data) {
+        const drawing = rungsToSvg(data.rungs, { values: data.values, allComments: true });
+        const blob = await svgToPng(drawing);
+        LadFiles.downloadFile(`${data.fileBase}.png`, blob, 'image/png');
+    }
+
+    /**
+     * Split rungs into pages, scaling down any rung wider than the page
+     * @param {Object[]} rungs - Rung data
+     * @param {Object} options - Options for drawRung
+     * @returns {Object[][]} - Pages of {svg, width, height} drawings at print size
+     */
+    function paginate(rungs, options) {
+        const available = PAGE.height - PAGE.titleHeight - PAGE.footerHeight;
+        const pages = [[]];
+        let used = 0;
+
+        rungs.forEach(rung => {
+            const drawing = rungToSvg(rung, options);
+            const scale = Math.min(1, PAGE.width / drawing.width, available / drawing.height);
+            const printed = {
+                svg: drawing.svg.replace(
+                    `width="${drawing.width}" height="${drawing.height}"`,
+                    `width="${drawing.width * scale}" height="${drawing.height * scale}"`),
+                height: drawing.height * scale
+            };
+
+            const needed = printed.height + LAYOUT.rungGap;
+            if (used > 0 && used + needed > available) {
+                pages.push([]);
+                used = 0;
+            }
+            pages[pages.length - 1].push(printed);
+            used += needed;
+        });
+
+        return pages;
+    }
+
+    /**
+     * Open the paginated print layout in a new window and print it
+     * @param {Object} data - Export data
+     */
+    function printLayout(data) {
+        const pages = paginate(data.rungs, { values: data.values, allComments: true });
+        const printedAt = new Date().toLocaleString();
+        const snapshot = data.takenAt
+            ? `Live values at ${data.takenAt.toLocaleString()}`
+            : 'No live values';
+        const title = data.rungnum === null
+            ? data.subrname
+            : `${data.subrname} / Network ${data.rungnum}`;
+
+        const pagesHtml = pages.map((drawings, i) => `
+            <section class="print-page">
+                <div class="title-block">
+                    <div class="title"><span class="label">Program</span>${LadMarkup.escape(title)}</div>
+                    <div><span class="label">Printed</span>${LadMarkup.escape(printedAt)}</div>
+                    <div><span class="label">Page</span>${i + 1} of ${pages.length}</div>
+                    <div><span class="label">Server</span>${LadMarkup.escape(window.location.host)}</div>
+                    <div><span class="label">Values</span>${LadMarkup.escape(snapshot)}</div>
+                </div>
+                ${drawings.map(d => `<div class="rung">${d.svg}</div>`).join('')}
+                <div class="page-footer">
+                    <span>${LadMarkup.escape(title)}</span>
+                    <span>Page ${i + 1} of ${pages.length}</span>
+                </div>
+            </section>`).join('');
+
+        const win = window.open('', '_blank');
+        if (!win) {
+            throw new Error('The print window was blocked');
+        }
+        win.document.open();
+        win.document.write(`<!DOCTYPE html><html><head><meta charset="UTF-8">
+            <title>${LadMarkup.escape(title)} - Ladder</title><style>${PRINT_STYLE}</style></head>
+            <body>${pagesHtml}</body></html>`);
+        win.document.close();
+        win.focus();
+        win.print();
+    }
+
+    /**
+     * Show an export message
+     * @param {string} text - Message, or '' to hide
+     */
+    function showMessage(text) {
+        const el = document.getElementById(ELEMENTS.messages);
+        if (el) {
+            el.textContent = text;
+            el.hidden = !text;
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        rungToSvg,
+        rungsToSvg,
+        svgToPng
+    };
+})();
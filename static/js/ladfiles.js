@@ -0,0 +1,105 @@
+/**
+ * ladfiles.js - File Download and Upload Helpers
+ * Shared by the pages that import or export JSON, CSV and images
+ */
+
+const LadFiles = (function() {
+    'use strict';
+
+    // Firefox and Safari start a download after click() returns, so the
+    // object URL is kept this long before it is revoked
+    const REVOKE_DELAY_MS = 1000;
+
+    /**
+     * Offer data to the user as a file download
+     * @param {string} filename - Suggested file name
+     * @param {string|Blob} data - File contents
+     * @param {string} mimeType - MIME type (ignored when data is a Blob)
+     */
+    function downloadFile(filename, data, mimeType) {
+        const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), REVOKE_DELAY_MS);
+    }
+
+    /**
+     * Quote a value for a CSV field when needed
+     * @param {*} value - Field value
+     * @returns {string}
+     */
+    function csvField(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Build CSV text from rows of fields
+     * @param {Array[]} rows - Rows, each an array of field values
+     * @returns {string}
+     */
+    function toCsv(rows) {
+        return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+    }
+
+    /**
+     * Parse CSV text into rows of fields. Handles quoted fields with
+     * embedded commas, quotes and line breaks.
+     * @param {string} text - CSV text
+     * @returns {string[][]} - Rows, each an array of field strings
+     */
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === ',') {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+        }
+
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    // Public API
+    return {
+        downloadFile,
+        toCsv,
+        parseCsv
+    };
+})();
@@ -0,0 +1,301 @@
+/**
+ * ladforce.js - Online Value Writing and Forcing
+ * Handles the cell value editor and the forced addresses list
+ */
+
+const LadForce = (function() {
+    'use strict';
+
+    // Addresses currently forced, as {addr, value} objects from the server
+    let forces = [];
+
+    // Called after any write, force or release so the display can refresh
+    let onChange = () => {};
+
+    // Hex register input: 0x1F, or 1Fh as the IL writes hex constants
+    const HEX_ADDRESS = /^DH[0-9]+$/;
+    const HEX_INPUT = /^(?:0x([0-9a-f]+)|([0-9a-f]+)h)$/i;
+
+    // DOM element IDs
+    const ELEMENTS = {
+        container: 'staticrunglist',
+        editor: 'value-editor',
+        forcedList: 'forced-list',
+        btnReleaseAll: 'btn-release-all'
+    };
+
+    /**
+     * Initialize the editor and forced list
+     * @param {Object} options - Options
+     * @param {Function} options.onChange - Called after values are changed
+     */
+    function init(options = {}) {
+        if (options.onChange) {
+            onChange = options.onChange;
+        }
+
+        // Cells are re-rendered on every program load, so delegate from the container
+        const container = document.getElementById(ELEMENTS.container);
+        if (container) {
+            container.addEventListener('click', (e) => {
+                // Address labels open the cross reference instead
+                if (e.target.closest('.cell-address, .cell-tag')) return;
+                const cell = e.target.closest('.ladder-cell[data-addresses]');
+                if (cell) {
+                    const addresses = cell.getAttribute('data-addresses').split(',').filter(a => a);
+                    openEditor(addresses);
+                }
+            });
+        }
+
+        const btnReleaseAll = document.getElementById(ELEMENTS.btnReleaseAll);
+        if (btnReleaseAll) {
+            btnReleaseAll.addEventListener('click', () => {
+                runAction(() => ServerComm.releaseAllForces());
+            });
+        }
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                closeEditor();
+            }
+        });
+
+        refreshForces();
+    }
+
+    /**
+     * Reload the forced address list from the server
+     */
+    async function refreshForces() {
+        try {
+            const data = await ServerComm.getForces();
+            forces = data.forces || [];
+        } catch (e) {
+            console.error('Failed to load forced addresses:', e);
+        }
+        SubrDispControl.setForcedAddresses(forces.map(f => f.addr));
+        renderForcedList();
+    }
+
+    /**
+     * Reload the forced list if the server reports a different count
+     * @param {number} count - Forced address count from the statistics
+     */
+    function syncForcedCount(count) {
+        if (typeof count === 'number' && count !== forces.length) {
+            refreshForces();
+        }
+    }
+
+    /**
+     * Check if an address is forced
+     * @param {string} address - Address string
+     * @returns {boolean}
+     */
+    function isForced(address) {
+        return forces.some(f => f.addr === address);
+    }
+
+    /**
+     * Render the forced addresses list
+     */
+    function renderForcedList() {
+        const list = document.getElementById(ELEMENTS.forcedList);
+        if (!list) return;
+
+        list.innerHTML = '';
+        if (forces.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'forced-empty';
+            empty.textContent = 'No forced addresses';
+            list.appendChild(empty);
+            return;
+        }
+
+        forces.forEach(force => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            label.className = 'forced-address';
+            const value = LadAddress.formatValue(force.addr, force.value);
+            label.textContent = `${LadTags.label(force.addr)} = ${value}`;
+            item.appendChild(label);
+            item.appendChild(createButton('Release', () => ServerComm.releaseForce(force.addr)));
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Create a button that runs a server action when clicked
+     * @param {string} text - Button label
+     * @param {Function} action - Returns a Promise for the server response
+     * @returns {HTMLButtonElement}
+     */
+    function createButton(text, action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.addEventListener('click', () => runAction(action));
+        return button;
+    }
+
+    /**
+     * Run a write/force action, then refresh forces and the display
+     * @param {Function} action - Returns a Promise for the server response
+     */
+    async function runAction(action) {
+        try {
+            const result = await action();
+            if (result && result.success === false) {
+                showEditorMessage(result.message || 'Request failed');
+                return;
+            }
+            closeEditor();
+        } catch (e) {
+            showEditorMessage(e.message);
+            return;
+        } finally {
+            await refreshForces();
+        }
+        onChange();
+    }
+
+    /**
+     * Convert editor input text to a value for the address type. Hex
+     * registers also take hex input.
+     * @param {string} address - Address string
+     * @param {string} type - Address type from LadAddress
+     * @param {string} text - Input text
+     * @returns {number|string}
+     */
+    function parseInput(address, type, text) {
+        if (type === 'string') {
+            return text;
+        }
+        const hex = HEX_ADDRESS.test(address) ? HEX_INPUT.exec(text.trim()) : null;
+        const value = hex ? parseInt(hex[1] || hex[2], 16)
+            : type === 'word' ? parseInt(text, 10) : parseFloat(text);
+        if (Number.isNaN(value)) {
+            throw new Error(`"${text}" is not a number`);
+        }
+        return value;
+    }
+
+    /**
+     * Create the editor row for one address
+     * @param {string} address - Address string
+     * @param {*} value - Current value
+     * @returns {HTMLElement}
+     */
+    function createEditorRow(address, value) {
+        const type = LadAddress.getAddressType(address);
+        const row = document.createElement('div');
+        row.className = 'editor-row';
+
+        const label = document.createElement('span');
+        label.className = 'editor-address';
+        label.textContent = isForced(address) ? `${LadTags.label(address)} (forced)` : LadTags.label(address);
+        label.title = LadTags.tooltip(address);
+        row.appendChild(label);
+
+        const current = document.createElement('span');
+        current.className = 'editor-current';
+        current.textContent = LadAddress.formatValue(address, value);
+        row.appendChild(current);
+
+        if (type === 'bool') {
+            row.appendChild(createButton('Set On', () => ServerComm.writeValue(address, true)));
+            row.appendChild(createButton('Set Off', () => ServerComm.writeValue(address, false)));
+            row.appendChild(createButton('Force On', () => ServerComm.forceValue(address, true)));
+            row.appendChild(createButton('Force Off', () => ServerComm.forceValue(address, false)));
+        } else if (type) {
+            const input = document.createElement('input');
+            input.type = type === 'string' || HEX_ADDRESS.test(address) ? 'text' : 'number';
+            input.value = value === null || value === undefined ? '' : value;
+            row.appendChild(input);
+            const inputValue = () => parseInput(address, type, input.value);
+            row.appendChild(createButton('Write', () => ServerComm.writeValue(address, inputValue())));
+            row.appendChild(createButton('Force', () => ServerComm.forceValue(address, inputValue())));
+        }
+
+        if (isForced(address)) {
+            row.appendChild(createButton('Release', () => ServerComm.releaseForce(address)));
+        }
+
+        return row;
+    }
+
+    /**
+     * Open the value editor for a set of addresses
+     * @param {string[]} addresses - Addresses from the clicked cell
+     */
+    async function openEditor(addresses) {
+        const editor = document.getElementById(ELEMENTS.editor);
+        if (!editor || addresses.length === 0) return;
+
+        let values = {};
+        try {
+            values = await ServerComm.getData(addresses);
+        } catch (e) {
+            console.error('Failed to read values for editor:', e);
+        }
+
+        editor.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'editor-header';
+        const title = document.createElement('span');
+        title.textContent = 'Edit Values';
+        header.appendChild(title);
+        const closeBtn = document.createElement('button');
+        closeBtn.type = 'button';
+        closeBtn.className = 'editor-close';
+        closeBtn.textContent = '×';
+        closeBtn.addEventListener('click', closeEditor);
+        header.appendChild(closeBtn);
+        editor.appendChild(header);
+
+        addresses.forEach(address => {
+            editor.appendChild(createEditorRow(address, values[address]));
+        });
+
+        const message = document.createElement('div');
+        message.className = 'editor-message';
+        editor.appendChild(message);
+
+        editor.hidden = false;
+    }
+
+    /**
+     * Show an error message inside the editor
+     * @param {string} text - Message text
+     */
+    function showEditorMessage(text) {
+        const editor = document.getElementById(ELEMENTS.editor);
+        const message = editor && editor.querySelector('.editor-message');
+        if (message && !editor.hidden) {
+            message.textContent = text;
+        } else {
+            console.error(text);
+        }
+    }
+
+    /**
+     * Close the value editor
+     */
+    function closeEditor() {
+        const editor = document.getElementById(ELEMENTS.editor);
+        if (editor) {
+            editor.hidden = true;
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        refreshForces,
+        syncForcedCount,
+        openEditor,
+        closeEditor
+    };
+})();
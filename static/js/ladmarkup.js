@@ -0,0 +1,27 @@
+/**
+ * ladmarkup.js - Markup Helpers
+ * Shared by the modules that build HTML or SVG markup as strings
+ */
+
+const LadMarkup = (function() {
+    'use strict';
+
+    /**
+     * Escape text for HTML or SVG markup, in element content or in a
+     * double-quoted attribute
+     * @param {*} value - Text; null and undefined give an empty string
+     * @returns {string}
+     */
+    function escape(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Public API
+    return {
+        escape
+    };
+})();
@@ -1,6 +1,6 @@
 /**
  * ladmonitor.js - Live Ladder Diagram Monitoring
- * Handles periodic data polling and display updates
+ * Handles live data subscription and display updates
  */
 
 const LadMonitor = (function() {
@@ -8,25 +8,36 @@ const LadMonitor = (function() {
 
     // Monitoring state
     let isMonitoring = false;
-    let monitorInterval = null;
-    let statsInterval = null;
-    const MONITOR_INTERVAL_MS = 900;
-    const STATS_INTERVAL_MS = 1000;
+    let subscription = null;
+
+    // Latest known value of every monitored address. Updates only carry
+    // changes, so they are merged in here before the cells are redrawn.
+    let liveValues = {};
 
     // Current subroutine
     let currentSubroutine = 'main';
 
+    // Last connection state shown
+    let connectionState = 'connected';
+
     // DOM element IDs
     const ELEMENTS = {
         container: 'staticrunglist',
         statusRunning: 'status-running',
         statusScanCount: 'status-scan-count',
         statusScanTime: 'status-scan-time',
+        statusConnection: 'status-connection',
         subrSelect: 'subr-select',
         btnMonitor: 'btn-monitor',
         btnStart: 'btn-start',
         btnStop: 'btn-stop',
-        btnStep: 'btn-step'
+        btnStep: 'btn-step',
+        btnStepCount: 'btn-step-count',
+        stepCount: 'step-count',
+        stepResult: 'step-result',
+        scanInterval: 'scan-interval',
+        btnDownload: 'btn-download',
+        btnSaveProgram: 'btn-save-program'
     };
 
     /**
@@ -36,14 +47,127 @@ const LadMonitor = (function() {
         // Set up button handlers
         setupButtonHandlers();
 
+        // Address cross reference; the highlighted address goes in the URL
+        LadXref.init({
+            onNavigate: navigate,
+            onHighlight: syncLocation
+        });
+
+        // Program search
+        LadSearch.init({
+            onNavigate: navigate,
+            getSubroutine: () => currentSubroutine
+        });
+
+        // Cell value editor and forced address list
+        LadForce.init({
+            onChange: () => {
+                if (isMonitoring) {
+                    updateData();
+                }
+            }
+        });
+
+        // Scan breakpoints
+        LadBreak.init();
+
+        // Alarm definitions and event log
+        LadAlarm.init();
+
+        // Scan statistics dashboard
+        LadStats.init();
+
+        // Symbol table: redraw labels when tags are loaded or cleared
+        LadTags.init({
+            onChange: () => {
+                loadProgram(currentSubroutine);
+                LadForce.refreshForces();
+            },
+            onViewChange: syncLocation
+        });
+
+        // Trend recorder
+        LadTrend.init();
+
+        // CALL links and the call tree
+        LadCalls.init({ onNavigate: navigate });
+
+        // Back and forward retrace the subroutines shown through the
+        // location hash. A shared link opens the page in the state it
+        // carries: subroutine and rung, highlighted addresses, label view
+        // and, once the program is shown, monitoring.
+        window.addEventListener('hashchange', followLocation);
+        const linked = LadUrl.read();
+        if (linked.subrname) {
+            currentSubroutine = linked.subrname;
+        }
+        if (linked.view) {
+            LadTags.setViewMode(linked.view);
+        }
+        if (linked.highlight.length > 0) {
+            LadXref.highlight(linked.highlight);
+        }
+
+        // Only rungs in view are monitored; follow them as the user scrolls
+        SubrDispControl.setMonitorListener(() => {
+            if (isMonitoring) {
+                watchMonitorAddresses();
+            }
+        });
+
+        // Program editor: monitoring and subroutine changes wait until editing ends
+        LadEdit.init({
+            getSubroutine: () => currentSubroutine,
+            onEnter: () => {
+                stopMonitoring();
+                setEditLock(true);
+                syncLocation();
+            },
+            onExit: async (saved) => {
+                setEditLock(false);
+                if (saved) {
+                    LadProgram.invalidate();
+                }
+                await loadProgram(currentSubroutine);
+                if (saved) {
+                    LadSearch.refresh();
+                    LadCalls.refresh();
+                }
+            }
+        });
+
+        // Ladder export of the displayed subroutine
+        LadExport.init({ getSubroutine: () => currentSubroutine });
+
+        // Program download: show the new program once it is installed
+        LadDownload.init({ onInstalled: reloadAfterInstall });
+
         // Load initial program
         await loadProgram(currentSubroutine);
 
         // Load subroutine list
         await loadSubroutineList();
 
-        // Start stats polling (always on)
-        startStatsPolling();
+        // Connection indicator; statistics and forces are fetched again
+        // when the server comes back
+        displayConnection(ServerComm.getConnectionState());
+        ServerComm.onConnectionChange((state) => {
+            const wasOffline = connectionState === 'offline';
+            displayConnection(state);
+            if (wasOffline && state === 'connected') {
+                updateStats();
+                LadForce.refreshForces();
+                LadBreak.refreshBreakpoints();
+            }
+        });
+
+        // Subscribe to statistics (always on); addresses are added while
+        // monitoring, so a linked monitor state waits for the subscription
+        startSubscription();
+        if (linked.monitor) {
+            startMonitoring();
+        }
+        syncLocation();
     }
 
     /**
@@ -54,6 +178,10 @@ const LadMonitor = (function() {
         const btnStart = document.getElementById(ELEMENTS.btnStart);
         const btnStop = document.getElementById(ELEMENTS.btnStop);
         const btnStep = document.getElementById(ELEMENTS.btnStep);
+        const btnStepCount = document.getElementById(ELEMENTS.btnStepCount);
+        const stepCount = document.getElementById(ELEMENTS.stepCount);
+        const scanInterval = document.getElementById(ELEMENTS.scanInterval);
+        const btnSaveProgram = document.getElementById(ELEMENTS.btnSaveProgram);
         const subrSelect = document.getElementById(ELEMENTS.subrSelect);
 
         if (btnMonitor) {
@@ -83,27 +211,128 @@ const LadMonitor = (function() {
         }
 
         if (btnStep) {
-            btnStep.addEventListener('click', async () => {
+            btnStep.addEventListener('click', () => runScans(1));
+        }
+
+        if (btnStepCount && stepCount) {
+            btnStepCount.addEventListener('click', () => {
+                runScans(parseInt(stepCount.value, 10));
+            });
+        }
+
+        if (scanInterval) {
+            scanInterval.addEventListener('change', async () => {
+                const interval = parseFloat(scanInterval.value);
                 try {
-                    await ServerComm.controlStep();
-                    updateStats();
-                    if (isMonitoring) {
-                        updateData();
+                    const result = await ServerComm.setScanInterval(interval);
+                    if (!result.success) {
+                        showStepResult(result.message);
                     }
                 } catch (e) {
-                    console.error('Failed to step:', e);
+                    console.error('Failed to set scan interval:', e);
                 }
+                updateStats();
             });
         }
 
+        if (btnSaveProgram) {
+            btnSaveProgram.addEventListener('click', saveProgram);
+        }
+
         if (subrSelect) {
-            subrSelect.addEventListener('change', async (e) => {
-                currentSubroutine = e.target.value;
-                await loadProgram(currentSubroutine);
+            subrSelect.addEventListener('change', (e) => {
+                navigate(e.target.value, null);
             });
         }
     }
 
+    /**
+     * Run a batch of scans while the PLC is stopped, then show the
+     * statistics and values the batch left behind
+     * @param {number} count - Number of scans
+     */
+    async function runScans(count) {
+        if (!Number.isInteger(count) || count < 1) {
+            showStepResult('Enter the number of scans to run');
+            return;
+        }
+
+        try {
+            const result = await ServerComm.controlStep(count);
+            showStepResult(result.success && count === 1 ? '' : result.message);
+        } catch (e) {
+            console.error('Failed to step:', e);
+        }
+        updateStats();
+        if (isMonitoring) {
+            updateData();
+        }
+    }
+
+    /**
+     * Show the outcome of the last scan batch or interval change
+     * @param {string} text - Message, empty to clear
+     */
+    function showStepResult(text) {
+        const stepResult = document.getElementById(ELEMENTS.stepResult);
+        if (stepResult) {
+            stepResult.textContent = text || '';
+        }
+    }
+
+    /**
+     * Disable the controls that would replace the display while editing
+     * @param {boolean} locked - Edit mode is on
+     */
+    function setEditLock(locked) {
+        if (locked) {
+            LadDownload.close();
+        }
+        [ELEMENTS.btnMonitor, ELEMENTS.subrSelect, ELEMENTS.btnDownload].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) {
+                el.disabled = locked;
+            }
+        });
+    }
+
+    /**
+     * Reload the subroutine list and program after a new program is installed
+     */
+    async function reloadAfterInstall() {
+        LadProgram.invalidate();
+        await loadSubroutineList();
+
+        // The displayed subroutine may not exist in the new program
+        const select = document.getElementById(ELEMENTS.subrSelect);
+        if (select && !Array.from(select.options).some(o => o.value === currentSubroutine)) {
+            currentSubroutine = 'main';
+            select.value = currentSubroutine;
+        }
+
+        await loadProgram(currentSubroutine);
+        LadSearch.refresh();
+        LadCalls.refresh();
+        LadForce.refreshForces();
+        updateStats();
+        syncLocation();
+    }
+
+    /**
+     * Save every subroutine as a bundle file for the offline viewer
+     */
+    async function saveProgram() {
+        try {
+            const allPrograms = await LadProgram.loadAll();
+            const bundle = LadProgram.toBundle(allPrograms);
+            LadFiles.downloadFile('ladder-program.json',
+                                  JSON.stringify(bundle, null, 2),
+                                  'application/json');
+        } catch (e) {
+            console.error('Failed to save program:', e);
+        }
+    }
+
     /**
      * Load subroutine list and populate selector
      */
@@ -134,6 +363,12 @@ const LadMonitor = (function() {
      * @param {string} subrname - Subroutine name
      */
     async function loadProgram(subrname) {
+        // The editor draws its own working copy
+        if (LadEdit.isEditing()) {
+            LadEdit.render();
+            return;
+        }
+
         const container = document.getElementById(ELEMENTS.container);
         if (container) {
             container.innerHTML = '<div class="loading">Loading program...</div>';
@@ -142,10 +377,11 @@ const LadMonitor = (function() {
         try {
             const programData = await ServerComm.getProgram(subrname);
             SubrDispControl.renderToContainer(ELEMENTS.container, programData);
+            LadSearch.applyToContainer();
 
-            // If monitoring, do an immediate update
+            // If monitoring, switch the subscription to the new address set
             if (isMonitoring) {
-                await updateData();
+                watchMonitorAddresses();
             }
         } catch (e) {
             console.error('Failed to load program:', e);
@@ -155,6 +391,79 @@ const LadMonitor = (function() {
         }
     }
 
+    /**
+     * Show a rung, switching subroutine first if needed, and highlight it
+     * @param {string} subrname - Subroutine name
+     * @param {number|null} rungnum - Rung (network) number, or null to
+     *     only switch subroutine
+     */
+    async function showRung(subrname, rungnum) {
+        if (subrname !== currentSubroutine && !LadEdit.isEditing()) {
+            currentSubroutine = subrname;
+            const select = document.getElementById(ELEMENTS.subrSelect);
+            if (select) {
+                select.value = subrname;
+            }
+            await loadProgram(subrname);
+        }
+
+        if (rungnum) {
+            SubrDispControl.showRung(rungnum);
+        }
+    }
+
+    /**
+     * Go to a subroutine and rung through the location hash, so the
+     * browser's back and forward buttons return to it
+     * @param {string} subrname - Subroutine name
+     * @param {number|null} rungnum - Rung (network) number, or null for
+     *     the subroutine only
+     */
+    function navigate(subrname, rungnum) {
+        // Setting the same hash again does not fire hashchange
+        if (!LadUrl.write(pageState({ subrname, rungnum }), true)) {
+            showRung(subrname, rungnum);
+        }
+    }
+
+    /**
+     * Show the subroutine named by the location hash. The rendered
+     * subroutine shows the rung itself (see SubrDispControl.showHashRung).
+     * Monitoring, highlight and view stay as they are; back and forward
+     * only move between subroutines and rungs.
+     */
+    async function followLocation() {
+        const target = LadUrl.read();
+        if (target.subrname && target.subrname !== currentSubroutine) {
+            await showRung(target.subrname, null);
+        }
+        syncLocation();
+    }
+
+    /**
+     * Get the state of the page as it goes in the URL
+     * @param {Object} changes - Parts that differ from the current state
+     * @returns {Object} - State for LadUrl.build
+     */
+    function pageState(changes = {}) {
+        const shown = LadUrl.read();
+        return Object.assign({
+            subrname: currentSubroutine,
+            // A plain #rung-N is a rung of the shown subroutine
+            rungnum: !shown.subrname || shown.subrname === currentSubroutine ? shown.rungnum : null,
+            monitor: isMonitoring,
+            highlight: LadXref.getHighlighted(),
+            view: LadTags.getViewMode()
+        }, changes);
+    }
+
+    /**
+     * Bring the URL up to date with the page without adding a history entry
+     */
+    function syncLocation() {
+        LadUrl.write(pageState());
+    }
+
     /**
      * Toggle monitoring on/off
      */
@@ -164,6 +473,7 @@ const LadMonitor = (function() {
         } else {
             startMonitoring();
         }
+        syncLocation();
     }
 
     /**
@@ -181,11 +491,7 @@ const LadMonitor = (function() {
             btn.classList.add('active');
         }
 
-        // Start polling
-        monitorInterval = setInterval(updateData, MONITOR_INTERVAL_MS);
-
-        // Immediate update
-        updateData();
+        watchMonitorAddresses();
     }
 
     /**
@@ -203,48 +509,103 @@ const LadMonitor = (function() {
             btn.classList.remove('active');
         }
 
-        // Stop polling
-        if (monitorInterval) {
-            clearInterval(monitorInterval);
-            monitorInterval = null;
+        if (subscription) {
+            subscription.setAddresses([]);
         }
     }
 
     /**
-     * Start statistics polling
+     * Open the live update subscription
      */
-    function startStatsPolling() {
-        statsInterval = setInterval(updateStats, STATS_INTERVAL_MS);
-        updateStats();
+    function startSubscription() {
+        subscription = ServerComm.subscribe({
+            addresses: [],
+            statistics: true,
+            onData: handleDataChanges,
+            onStats: displayStats,
+            onModeChange: LadStatus.showUpdateMode,
+            onStale: LadStatus.showStale
+        });
     }
 
     /**
-     * Update statistics display
+     * Point the subscription at the addresses of the displayed program
+     */
+    function watchMonitorAddresses() {
+        liveValues = {};
+        if (subscription) {
+            subscription.setAddresses(SubrDispControl.getMonitorAddresses());
+        }
+    }
+
+    /**
+     * Merge changed values from the subscription and redraw cells
+     * @param {Object} changes - Object mapping changed addresses to values
+     */
+    function handleDataChanges(changes) {
+        if (!isMonitoring) return;
+        Object.assign(liveValues, changes);
+        SubrDispControl.updateCellStates(liveValues);
+    }
+
+    /**
+     * Show the connection state
+     * @param {string} state - 'connected', 'reconnecting' or 'offline'
+     */
+    function displayConnection(state) {
+        connectionState = state;
+        const el = document.getElementById(ELEMENTS.statusConnection);
+        if (el) {
+            const labels = { connected: 'Connected', reconnecting: 'Reconnecting', offline: 'Offline' };
+            el.textContent = labels[state] || state;
+            el.className = 'status-value connection-' + state;
+        }
+    }
+
+    /**
+     * Fetch and display statistics immediately
      */
     async function updateStats() {
         try {
-            const stats = await ServerComm.getStatistics();
+            displayStats(await ServerComm.getStatistics());
+        } catch (e) {
+            console.error('Failed to update stats:', e);
+        }
+    }
 
-            const runningEl = document.getElementById(ELEMENTS.statusRunning);
-            const scanCountEl = document.getElementById(ELEMENTS.statusScanCount);
-            const scanTimeEl = document.getElementById(ELEMENTS.statusScanTime);
+    /**
+     * Update statistics display
+     * @param {Object} stats - Statistics object from the server
+     */
+    function displayStats(stats) {
+        const runningEl = document.getElementById(ELEMENTS.statusRunning);
+        const scanCountEl = document.getElementById(ELEMENTS.statusScanCount);
+        const scanTimeEl = document.getElementById(ELEMENTS.statusScanTime);
+
+        if (runningEl) {
+            runningEl.textContent = stats.running ? 'Running' : 'Stopped';
+            runningEl.className = 'status-value ' + (stats.running ? 'running' : 'stopped');
+        }
 
-            if (runningEl) {
-                runningEl.textContent = stats.running ? 'Running' : 'Stopped';
-                runningEl.className = 'status-value ' + (stats.running ? 'running' : 'stopped');
-            }
+        if (scanCountEl) {
+            scanCountEl.textContent = stats['scan-count'] || 0;
+        }
 
-            if (scanCountEl) {
-                scanCountEl.textContent = stats['scan-count'] || 0;
-            }
+        if (scanTimeEl) {
+            const scanTime = stats['scan-time'] || 0;
+            scanTimeEl.textContent = scanTime.toFixed(2) + ' ms';
+        }
 
-            if (scanTimeEl) {
-                const scanTime = stats['scan-time'] || 0;
-                scanTimeEl.textContent = scanTime.toFixed(2) + ' ms';
-            }
-        } catch (e) {
-            console.error('Failed to update stats:', e);
+        // Leave the interval alone while the user is typing a new one
+        const scanIntervalEl = document.getElementById(ELEMENTS.scanInterval);
+        if (scanIntervalEl && typeof stats['scan-interval'] === 'number' &&
+            document.activeElement !== scanIntervalEl) {
+            scanIntervalEl.value = stats['scan-interval'];
         }
+
+        LadForce.syncForcedCount(stats['forced-count']);
+        LadBreak.syncStats(stats);
+        LadStats.syncStats(stats);
     }
 
     /**
@@ -255,8 +616,8 @@ const LadMonitor = (function() {
         if (!addresses || addresses.length === 0) return;
 
         try {
-            const data = await ServerComm.getData(addresses);
-            SubrDispControl.updateCellStates(data);
+            liveValues = await ServerComm.getData(addresses);
+            SubrDispControl.updateCellStates(liveValues);
         } catch (e) {
             console.error('Failed to update data:', e);
         }
@@ -267,9 +628,9 @@ const LadMonitor = (function() {
      */
     function cleanup() {
         stopMonitoring();
-        if (statsInterval) {
-            clearInterval(statsInterval);
-            statsInterval = null;
+        if (subscription) {
+            subscription.close();
+            subscription = null;
         }
     }
 
@@ -280,6 +641,7 @@ const LadMonitor = (function() {
     return {
         init,
         loadProgram,
+        showRung,
         startMonitoring,
         stopMonitoring,
         toggleMonitoring,
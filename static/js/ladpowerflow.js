@@ -0,0 +1,292 @@
+/**
+ * ladpowerflow.js - Ladder Power Flow
+ * Works out which parts of a rung carry power from the live values, the
+ * way the PLC evaluates it: contacts pass power by their own semantics
+ * (a normally closed contact on an off bit conducts), series contacts
+ * and parallel branches combine as the IL logic stack does, and outputs
+ * are energized by the logic that feeds them.
+ */
+
+const LadPowerFlow = (function() {
+    'use strict';
+
+    // Contact opcodes: how the contact combines with the logic before it,
+    // and which condition lets it pass power
+    const CONTACT_PATTERN = /^(STR|AND|OR)(N|PD|ND)?$/;
+    const COMPARE_PATTERN = /^(STR|AND|OR)(E|NE|GT|LT|GE|LE)$/;
+
+    // Logic stack combinations that have no cell of their own
+    const STACK_OPCODES = ['ANDSTR', 'ORSTR'];
+
+    // Outputs that read more than the top of the logic stack, e.g. the
+    // count and reset inputs of a counter
+    const STACK_INPUTS = {
+        TMRA: 2,
+        CNTU: 2,
+        CNTD: 2,
+        UDC: 3,
+        SHFRG: 3
+    };
+
+    // Outputs that do not read the logic stack
+    const UNCONDITIONAL = ['END', 'RT', 'NEXT'];
+
+    /**
+     * Key of a cell position in a rung
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {string}
+     */
+    function cellKey(row, col) {
+        return `${row},${col}`;
+    }
+
+    /**
+     * Build the power flow model of a rung: the logic feeding every output
+     * as a tree of series and parallel connections between input cells.
+     * The structure comes from the rung's IL, which also holds the
+     * ANDSTR/ORSTR instructions that have no cell.
+     * @param {Object} rung - Rung data from the API
+     * @returns {Object|null} - {outputs: [{cell, inputs}], roots, hasEdges}
+     *     or null when the rung cannot be matched up with its IL
+     */
+    function buildModel(rung) {
+        const cells = rung.cells || [];
+        const opcodes = (rung.il || [])
+            .filter(line => !line.trim().startsWith('//'))
+            .map(line => line.trim().split(/\s+/)[0].toUpperCase())
+            .filter(opcode => opcode);
+
+        if (opcodes.filter(op => !STACK_OPCODES.includes(op)).length !== cells.length) {
+            return null;
+        }
+
+        const stack = [];
+        const outputs = [];
+        let hasEdges = false;
+        let cellIndex = 0;
+
+        for (const opcode of opcodes) {
+            if (STACK_OPCODES.includes(opcode)) {
+                if (stack.length < 2) return null;
+                const right = stack.pop();
+                const left = stack.pop();
+                stack.push({ kind: opcode === 'ANDSTR' ? 'series' : 'parallel', left, right });
+                continue;
+            }
+
+            const cell = cells[cellIndex++];
+            const contact = opcode.match(CONTACT_PATTERN) || opcode.match(COMPARE_PATTERN);
+            if (contact) {
+                const leaf = { kind: 'input', cell, opcode };
+                const combine = contact[1];
+                if (contact[2] === 'PD' || contact[2] === 'ND') {
+                    hasEdges = true;
+                }
+                if (combine === 'STR') {
+                    stack.push(leaf);
+                } else if (stack.length === 0) {
+                    return null;
+                } else {
+                    const top = stack.pop();
+                    stack.push({ kind: combine === 'AND' ? 'series' : 'parallel', left: top, right: leaf });
+                }
+            } else {
+                // Outputs read the logic stack without removing anything
+                const count = UNCONDITIONAL.includes(opcode) ? 0 : (STACK_INPUTS[opcode] || 1);
+                outputs.push({ cell, inputs: count > 0 ? stack.slice(-count) : [] });
+            }
+        }
+
+        // Logic left on the stack is shown even when nothing uses it
+        const roots = new Set(stack);
+        outputs.forEach(output => output.inputs.forEach(input => roots.add(input)));
+
+        return { outputs, roots: [...roots], hasEdges };
+    }
+
+    /**
+     * Look up an operand of a comparison: an address value or a number
+     * @param {string} param - Address or constant
+     * @param {Object} values - Known values by address
+     * @returns {number|string|undefined}
+     */
+    function operandValue(param, values) {
+        if (param in values) {
+            return values[param];
+        }
+        const number = Number(param);
+        if (param !== '' && !Number.isNaN(number)) {
+            return number;
+        }
+        if (/^".*"$/.test(param)) {
+            return param.slice(1, -1);
+        }
+        return undefined;
+    }
+
+    /**
+     * Check whether an input cell conducts with the current values
+     * @param {Object} leaf - Input leaf of the model
+     * @param {Object} values - Known values by address
+     * @param {Object} edges - 'rising' or 'falling' for addresses that
+     *     changed in the latest update
+     * @returns {boolean}
+     */
+    function conducts(leaf, values, edges) {
+        const cell = leaf.cell;
+        const compare = leaf.opcode.match(COMPARE_PATTERN);
+        if (compare) {
+            const params = cell.params || [];
+            const a = operandValue(params[0], values);
+            const b = operandValue(params[1], values);
+            if (a === undefined || b === undefined) return false;
+            switch (compare[2]) {
+                case 'E': return a === b;
+                case 'NE': return a !== b;
+                case 'GT': return a > b;
+                case 'LT': return a < b;
+                case 'GE': return a >= b;
+                default: return a <= b;
+            }
+        }
+
+        // An off bit comes as null; an address with no value yet is
+        // unknown and passes no power
+        const address = cell.addr;
+        const known = Object.prototype.hasOwnProperty.call(values, address);
+        switch (leaf.opcode.match(CONTACT_PATTERN)[2]) {
+            case 'N': return known && !values[address];
+            case 'PD': return edges[address] === 'rising';
+            case 'ND': return edges[address] === 'falling';
+            default: return known && Boolean(values[address]);
+        }
+    }
+
+    /**
+     * Pass power through a logic tree, recording the power at every input
+     * @param {Object} node - Tree node
+     * @param {boolean} powerIn - Power at the left of the node
+     * @param {Object} context - {values, edges, cells}
+     * @returns {boolean} - Power at the right of the node
+     */
+    function energize(node, powerIn, context) {
+        if (node.kind === 'input') {
+            const powerOut = powerIn && conducts(node, context.values, context.edges);
+            context.cells.set(cellKey(node.cell.row || 0, node.cell.col || 0), {
+                powerIn,
+                powerOut,
+                lit: powerOut
+            });
+            return powerOut;
+        }
+        if (node.kind === 'series') {
+            return energize(node.right, energize(node.left, powerIn, context), context);
+        }
+        // Both sides of a parallel branch see the same power
+        const left = energize(node.left, powerIn, context);
+        const right = energize(node.right, powerIn, context);
+        return left || right;
+    }
+
+    /**
+     * Work out the power of every cell of a rung
+     * @param {Object} model - Model from buildModel
+     * @param {Object} values - Known values by address
+     * @param {Object} edges - 'rising' or 'falling' for addresses that
+     *     changed in the latest update
+     * @returns {Map} - Cell key to {powerIn, powerOut, lit}
+     */
+    function evaluate(model, values, edges = {}) {
+        const context = { values, edges, cells: new Map() };
+
+        // Every logic tree starts at the left power rail. Later trees only
+        // add to the right of earlier ones, so a cell gets the same power
+        // from every tree it is part of.
+        const rootPower = new Map();
+        model.roots.forEach(root => {
+            rootPower.set(root, energize(root, true, context));
+        });
+
+        model.outputs.forEach(output => {
+            // Unconditional outputs have no logic in front of them
+            const powerIn = output.inputs.length === 0 ||
+                output.inputs.some(input => rootPower.get(input));
+            context.cells.set(cellKey(output.cell.row || 0, output.cell.col || 0), {
+                powerIn,
+                powerOut: powerIn,
+                lit: powerIn
+            });
+        });
+
+        return context.cells;
+    }
+
+    /**
+     * Work out which wires of a laid out rung carry power, column by
+     * column from the left rail. A wire is live when power reaches its
+     * left end: from the rail, a cell passing power or a live branch
+     * connector. A connector is live when power reaches it on any row it
+     * joins, and then passes it on to all of them.
+     * @param {Object} layout - Layout from SubrDispControl.getRungLayout
+     * @param {Map} cellPower - Cell power from evaluate
+     * @returns {Object} - {spacers: Set of cell keys, leads: Set of cell
+     *     keys of block input rows with power, connectors: Set of indexes}
+     */
+    function wirePower(layout, cellPower) {
+        const spacers = new Set();
+        const leads = new Set();
+        const connectors = new Set();
+
+        // Power at the left edge of the column, by row
+        let edge = new Array(layout.rows).fill(true);
+        for (let c = 0; c <= layout.cols; c++) {
+            // Connectors that touch share their power, so repeat until
+            // nothing changes
+            let changed = true;
+            while (changed) {
+                changed = false;
+                layout.connectors.forEach((conn, index) => {
+                    if (conn.col !== c || connectors.has(index)) return;
+                    if (edge.slice(conn.startRow, conn.endRow + 1).some(live => live)) {
+                        connectors.add(index);
+                        edge.fill(true, conn.startRow, conn.endRow + 1);
+                        changed = true;
+                    }
+                });
+            }
+            if (c === layout.cols) break;
+
+            edge = edge.map((live, r) => {
+                const key = cellKey(r, c);
+                switch (layout.kinds[r][c]) {
+                    case 'cell': {
+                        if (live && (layout.grid[r][c].rowSpan || 1) > 1) {
+                            leads.add(key);
+                        }
+                        const power = cellPower.get(key);
+                        return Boolean(power && power.powerOut);
+                    }
+                    case 'spacer':
+                        if (live) spacers.add(key);
+                        return live;
+                    case 'span':
+                        if (live) leads.add(key);
+                        return false;
+                    default:
+                        return false;
+                }
+            });
+        }
+
+        return { spacers, leads, connectors };
+    }
+
+    // Public API
+    return {
+        cellKey,
+        buildModel,
+        evaluate,
+        wirePower
+    };
+})();
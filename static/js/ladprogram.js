@@ -0,0 +1,252 @@
+/**
+ * ladprogram.js - Whole Program Access
+ * Loads and caches every subroutine's ladder data and indexes
+ * how each rung uses its addresses
+ */
+
+const LadProgram = (function() {
+    'use strict';
+
+    // Program data for every subroutine, keyed by subroutine name
+    let programs = null;
+
+    // Pending load, shared by concurrent callers
+    let loading = null;
+
+    // Bumped whenever the cached programs are replaced or dropped, so a
+    // load that started before does not store what it fetched
+    let generation = 0;
+
+    // Zero-based parameter positions written by block instructions.
+    // Address parameters in any other position are read.
+    const WRITE_PARAMS = {
+        TMR: [0], TMRA: [0], TMROFF: [0],
+        CNTU: [0], CNTD: [0], UDC: [0],
+        COPY: [1], CPYBLK: [2], FILL: [1, 2],
+        PACK: [2], UNPACK: [1, 2],
+        MATHDEC: [0], MATHHEX: [0],
+        SUM: [2], SHFRG: [0, 1]
+    };
+
+    // Search instructions write their result and found flag
+    const FIND_WRITE_PARAMS = [3, 4];
+
+    // Format marker of a saved program bundle
+    const BUNDLE_FORMAT = 'mblogic-ladder-bundle';
+    const BUNDLE_VERSION = 1;
+
+    /**
+     * Load the program data of all subroutines
+     * @returns {Promise<Object>} - Object mapping subroutine names to program data
+     */
+    async function loadAll() {
+        if (programs) return programs;
+        if (!loading) {
+            const started = generation;
+            loading = (async () => {
+                try {
+                    const list = await ServerComm.getSubroutines();
+                    const names = list.subroutines || ['main'];
+                    const result = {};
+                    for (const name of names) {
+                        result[name] = await ServerComm.getProgram(name);
+                    }
+                    if (started === generation) {
+                        programs = result;
+                    }
+                    return result;
+                } finally {
+                    if (started === generation) {
+                        loading = null;
+                    }
+                }
+            })();
+        }
+        return loading;
+    }
+
+    /**
+     * Forget the cached programs so the next load fetches them again. A
+     * load still running is left to finish for its own callers only.
+     */
+    function invalidate() {
+        programs = null;
+        loading = null;
+        generation++;
+    }
+
+    /**
+     * Use program data that did not come from the server, e.g. a file
+     * opened in the offline viewer
+     * @param {Object} allPrograms - Object mapping subroutine names to program data
+     */
+    function setAll(allPrograms) {
+        programs = allPrograms;
+        loading = null;
+        generation++;
+    }
+
+    /**
+     * Build a saved program bundle holding every subroutine
+     * @param {Object} allPrograms - Result of loadAll()
+     * @returns {Object}
+     */
+    function toBundle(allPrograms) {
+        return {
+            format: BUNDLE_FORMAT,
+            version: BUNDLE_VERSION,
+            saved: new Date().toISOString(),
+            subroutines: allPrograms
+        };
+    }
+
+    /**
+     * Check that a value looks like program data from /api/program
+     * @param {*} data - Value to check
+     * @returns {boolean}
+     */
+    function isProgramData(data) {
+        return Boolean(data) && typeof data === 'object' && Array.isArray(data.subrdata);
+    }
+
+    /**
+     * Read the subroutines out of a saved file. Accepts a bundle, the
+     * program data of a single subroutine, an array of program data or an
+     * object mapping subroutine names to program data.
+     * @param {*} data - Parsed JSON file contents
+     * @returns {Object} - Object mapping subroutine names to program data
+     */
+    function fromBundle(data) {
+        if (data && data.format === BUNDLE_FORMAT) {
+            if (data.version > BUNDLE_VERSION) {
+                throw new Error(`Unsupported bundle version ${data.version}`);
+            }
+            data = data.subroutines;
+        }
+
+        const result = {};
+        if (isProgramData(data)) {
+            result[data.subrname || 'main'] = data;
+        } else if (Array.isArray(data)) {
+            data.filter(isProgramData).forEach(program => {
+                result[program.subrname || 'main'] = program;
+            });
+        } else if (data && typeof data === 'object') {
+            Object.keys(data).forEach(name => {
+                if (isProgramData(data[name])) {
+                    result[name] = data[name];
+                }
+            });
+        }
+
+        if (Object.keys(result).length === 0) {
+            throw new Error('No ladder program data found');
+        }
+        return result;
+    }
+
+    /**
+     * Call a function for every rung of every subroutine
+     * @param {Object} allPrograms - Result of loadAll()
+     * @param {Function} fn - Called with (subrname, rung)
+     */
+    function forEachRung(allPrograms, fn) {
+        Object.keys(allPrograms).sort().forEach(subrname => {
+            const program = allPrograms[subrname];
+            (program && program.subrdata || []).forEach(rung => fn(subrname, rung));
+        });
+    }
+
+    /**
+     * Find the addresses mentioned in a parameter, including inside
+     * math expressions such as "SIN(DS100) * 100"
+     * @param {string} param - Instruction parameter
+     * @returns {string[]}
+     */
+    function addressesInParam(param) {
+        return (String(param).toUpperCase().match(/[A-Z]+[0-9]+/g) || [])
+            .filter(addr => LadAddress.isAddress(addr));
+    }
+
+    /**
+     * Work out how a cell uses each of its addresses
+     * @param {Object} cell - Cell data from the program
+     * @returns {Object[]} - Array of {addr, tags} where tags is a subset of
+     *                       'contact', 'coil', 'read', 'write'
+     */
+    function getCellUsages(cell) {
+        const opcode = (cell.opcode || '').toUpperCase();
+        const usages = new Map();
+
+        function addUsage(addr, tags) {
+            const existing = usages.get(addr) || new Set();
+            tags.forEach(tag => existing.add(tag));
+            usages.set(addr, existing);
+        }
+
+        if (cell.type === 'contact') {
+            (cell.addrs || []).forEach(addr => addUsage(addr, ['contact', 'read']));
+        } else if (cell.type === 'coil') {
+            (cell.addrs || []).forEach(addr => addUsage(addr, ['coil', 'write']));
+        } else {
+            const writeParams = WRITE_PARAMS[opcode] ||
+                (opcode.startsWith('FIND') ? FIND_WRITE_PARAMS : []);
+            // Compare blocks sit in the rung like contacts
+            const baseTags = cell.symbol === 'compare' ? ['contact'] : [];
+
+            (cell.params || []).forEach((param, index) => {
+                const access = writeParams.includes(index) ? 'write' : 'read';
+                addressesInParam(param).forEach(addr => addUsage(addr, baseTags.concat(access)));
+            });
+
+            // Data addresses derived by the server (TD1 for T1, CTD1 for CT1)
+            // are updated by the instruction
+            (cell.addrs || []).forEach(addr => {
+                if (!usages.has(addr)) {
+                    addUsage(addr, baseTags.concat(writeParams.length > 0 ? 'write' : 'read'));
+                }
+            });
+        }
+
+        return [...usages].map(([addr, tags]) => ({ addr, tags: [...tags] }));
+    }
+
+    /**
+     * Find every rung in every subroutine that uses an address
+     * @param {string} address - Address to look up
+     * @returns {Promise<Object[]>} - Array of {subrname, rungnum, opcode, tags}
+     */
+    async function findAddressUsages(address) {
+        const allPrograms = await loadAll();
+        const results = [];
+
+        forEachRung(allPrograms, (subrname, rung) => {
+            (rung.cells || []).forEach(cell => {
+                getCellUsages(cell).forEach(usage => {
+                    if (usage.addr === address) {
+                        results.push({
+                            subrname,
+                            rungnum: rung.rungnum,
+                            opcode: cell.opcode,
+                            tags: usage.tags
+                        });
+                    }
+                });
+            });
+        });
+
+        return results;
+    }
+
+    // Public API
+    return {
+        loadAll,
+        invalidate,
+        setAll,
+        toBundle,
+        fromBundle,
+        forEachRung,
+        getCellUsages,
+        findAddressUsages
+    };
+})();
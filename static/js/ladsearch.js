@@ -0,0 +1,252 @@
+/**
+ * ladsearch.js - Program Search
+ * Finds rungs by address, opcode, comment or block parameter across
+ * all subroutines, and highlights or filters matches in the display
+ */
+
+const LadSearch = (function() {
+    'use strict';
+
+    // Delay after the last keystroke before searching
+    const SEARCH_DELAY_MS = 250;
+
+    // Current query and its results: array of {subrname, rungnum, comment, cells, matched}
+    let query = '';
+    let results = [];
+    let searchTimer = null;
+
+    // Matches in the displayed subroutine keyed by rung number, and
+    // whether the other rungs are hidden
+    let rungMatches = new Map();
+    let filterOn = false;
+
+    // Callbacks supplied by the page
+    let onNavigate = () => {};
+    let getSubroutine = () => 'main';
+
+    // DOM element IDs
+    const ELEMENTS = {
+        container: 'staticrunglist',
+        input: 'search-input',
+        filter: 'search-filter',
+        results: 'search-results',
+        summary: 'search-summary',
+        list: 'search-list'
+    };
+
+    /**
+     * Initialize the search bar
+     * @param {Object} options - Options
+     * @param {Function} options.onNavigate - Called with (subrname, rungnum)
+     * @param {Function} options.getSubroutine - Returns the displayed subroutine name
+     */
+    function init(options = {}) {
+        if (options.onNavigate) {
+            onNavigate = options.onNavigate;
+        }
+        if (options.getSubroutine) {
+            getSubroutine = options.getSubroutine;
+        }
+
+        // Rungs of a virtual rung list are decorated as they are rendered
+        SubrDispControl.setRungDecorator(decorateRung);
+
+        const input = document.getElementById(ELEMENTS.input);
+        if (input) {
+            input.addEventListener('input', () => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => search(input.value), SEARCH_DELAY_MS);
+            });
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    input.value = '';
+                    search('');
+                }
+            });
+        }
+
+        const filter = document.getElementById(ELEMENTS.filter);
+        if (filter) {
+            filter.addEventListener('change', applyToContainer);
+        }
+
+        const list = document.getElementById(ELEMENTS.list);
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const entry = e.target.closest('.search-entry');
+                if (entry) {
+                    onNavigate(entry.getAttribute('data-subrname'),
+                               parseInt(entry.getAttribute('data-rungnum'), 10));
+                }
+            });
+        }
+    }
+
+    /**
+     * Check if a cell matches the query
+     * @param {Object} cell - Cell data
+     * @param {string} text - Upper-cased query
+     * @param {boolean} exactAddress - Query is an address; match it exactly
+     * @param {Set} tagMatches - Addresses whose tag name or description matches
+     * @returns {boolean}
+     */
+    function cellMatches(cell, text, exactAddress, tagMatches) {
+        const params = (cell.params || []).map(p => String(p).toUpperCase());
+        const addrs = (cell.addrs || []).map(a => a.toUpperCase());
+        const paramAddrs = p => p.match(/[A-Z]+[0-9]+/g) || [];
+
+        if (exactAddress) {
+            return addrs.includes(text) ||
+                params.some(p => paramAddrs(p).includes(text));
+        }
+        return (cell.opcode || '').toUpperCase().includes(text) ||
+            addrs.some(a => a.includes(text) || tagMatches.has(a)) ||
+            params.some(p => p.includes(text) || paramAddrs(p).some(a => tagMatches.has(a)));
+    }
+
+    /**
+     * Search every subroutine for the query
+     * @param {string} text - Search text
+     */
+    async function search(text) {
+        query = (text || '').trim();
+        results = [];
+
+        if (query) {
+            // A tag name searches for its address; otherwise tag names and
+            // descriptions are matched along with the program text
+            const tagAddress = LadTags.findAddress(query);
+            const upper = (tagAddress || query).toUpperCase();
+            const exactAddress = LadAddress.isAddress(upper);
+            const tagMatches = new Set(exactAddress ? [] : LadTags.matchAddresses(query));
+            const currentQuery = query;
+
+            let allPrograms;
+            try {
+                allPrograms = await LadProgram.loadAll();
+            } catch (e) {
+                console.error('Failed to load program for search:', e);
+                renderResults(`Search failed: ${e.message}`);
+                return;
+            }
+
+            // A newer search started while the programs were loading
+            if (currentQuery !== query) return;
+
+            LadProgram.forEachRung(allPrograms, (subrname, rung) => {
+                const cells = (rung.cells || []).filter(cell => cellMatches(cell, upper, exactAddress, tagMatches));
+                const commentMatch = !exactAddress &&
+                    (rung.comment || '').toUpperCase().includes(upper);
+                if (cells.length > 0 || commentMatch) {
+                    results.push({
+                        subrname,
+                        rungnum: rung.rungnum,
+                        comment: rung.comment || '',
+                        cells,
+                        matched: cells.map(cell => [cell.opcode].concat(cell.params || []).join(' '))
+                            .concat(commentMatch ? ['comment'] : [])
+                    });
+                }
+            });
+        }
+
+        renderResults();
+        applyToContainer();
+    }
+
+    /**
+     * Run the current query again, e.g. after the program changed
+     */
+    function refresh() {
+        if (query) {
+            search(query);
+        }
+    }
+
+    /**
+     * Render the results list
+     * @param {string} error - Optional error message to show instead
+     */
+    function renderResults(error) {
+        const panel = document.getElementById(ELEMENTS.results);
+        const summary = document.getElementById(ELEMENTS.summary);
+        const list = document.getElementById(ELEMENTS.list);
+        if (!panel || !list) return;
+
+        panel.hidden = !query;
+        list.innerHTML = '';
+
+        if (summary) {
+            const rungWord = results.length === 1 ? 'rung' : 'rungs';
+            summary.textContent = error || `${results.length} ${rungWord} match "${query}"`;
+        }
+
+        results.forEach(result => {
+            const item = document.createElement('li');
+            item.className = 'search-entry';
+            item.setAttribute('data-subrname', result.subrname);
+            item.setAttribute('data-rungnum', result.rungnum);
+
+            const location = document.createElement('span');
+            location.className = 'search-location';
+            location.textContent = `${result.subrname} / Network ${result.rungnum}`;
+            item.appendChild(location);
+
+            const detail = document.createElement('span');
+            detail.className = 'search-detail';
+            detail.textContent = result.matched.join(', ');
+            item.appendChild(detail);
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Highlight matching rungs and cells in the displayed subroutine,
+     * hiding the other rungs when the filter option is on.
+     * Called again after every program render.
+     */
+    function applyToContainer() {
+        const container = document.getElementById(ELEMENTS.container);
+        if (!container) return;
+
+        const filter = document.getElementById(ELEMENTS.filter);
+        filterOn = Boolean(filter && filter.checked && query);
+        const subrname = getSubroutine();
+        rungMatches = new Map();
+        results.filter(r => r.subrname === subrname).forEach(r => rungMatches.set(String(r.rungnum), r));
+
+        // A virtual rung list leaves filtered rungs out instead of hiding them
+        SubrDispControl.setRungFilter(filterOn ? (rungnum) => rungMatches.has(String(rungnum)) : null);
+        container.querySelectorAll('.ladder-rung').forEach(decorateRung);
+    }
+
+    /**
+     * Highlight one rendered rung and its matching cells
+     * @param {HTMLElement} rungEl - Rung element
+     */
+    function decorateRung(rungEl) {
+        const result = rungMatches.get(rungEl.getAttribute('data-rungnum'));
+        rungEl.classList.toggle('rung-match', Boolean(result));
+        rungEl.classList.toggle('rung-filtered', filterOn && !result);
+
+        rungEl.querySelectorAll('.ladder-cell.cell-match').forEach(el => el.classList.remove('cell-match'));
+        if (result) {
+            result.cells.forEach(cell => {
+                const cellEl = rungEl.querySelector(
+                    `.ladder-cell[data-row="${cell.row || 0}"][data-col="${cell.col || 0}"]`);
+                if (cellEl) {
+                    cellEl.classList.add('cell-match');
+                }
+            });
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        search,
+        refresh,
+        applyToContainer
+    };
+})();
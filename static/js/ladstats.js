@@ -0,0 +1,345 @@
+/**
+ * ladstats.js - Scan Statistics Dashboard
+ * Shows every field of the statistics payload, the exit code of the last
+ * run with an explanation, and a histogram and timeline of scan times
+ * collected from the statistics updates
+ */
+
+const LadStats = (function() {
+    'use strict';
+
+    // Scan time samples kept for the charts; the oldest are dropped first
+    const MAX_SAMPLES = 600;
+
+    // Histogram bars
+    const BIN_COUNT = 20;
+
+    // Chart layout in pixels
+    const LAYOUT = {
+        left: 60,
+        right: 15,
+        top: 10,
+        bottom: 25,
+        height: 140
+    };
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // What each exit code means
+    const EXIT_CODES = {
+        'normal-end': 'An END instruction ended the program',
+        'stopped': 'Stopped by the Stop control',
+        'breakpoint': 'A breakpoint condition became true',
+        'max-scans-reached': 'The requested number of scans ran'
+    };
+
+    // Scan time samples as {t, ms}, oldest first
+    let samples = [];
+
+    // Scan count of the last sample, to record each scan count once
+    let lastScanCount = null;
+
+    // Latest statistics shown
+    let lastStats = null;
+
+    // DOM element IDs
+    const ELEMENTS = {
+        panel: 'stats-panel',
+        btnReset: 'btn-stats-reset',
+        fields: 'stats-fields',
+        exitCode: 'stats-exit-code',
+        histogram: 'stats-histogram',
+        timeline: 'stats-timeline',
+        messages: 'stats-messages'
+    };
+
+    /**
+     * Initialize the statistics dashboard
+     */
+    function init() {
+        const btnReset = document.getElementById(ELEMENTS.btnReset);
+        if (btnReset) {
+            btnReset.addEventListener('click', resetStatistics);
+        }
+
+        // Charts are only drawn while the panel is open
+        const panel = document.getElementById(ELEMENTS.panel);
+        if (panel) {
+            panel.addEventListener('toggle', () => {
+                if (panel.open) {
+                    render();
+                }
+            });
+        }
+    }
+
+    /**
+     * Record and show a statistics update
+     * @param {Object} stats - Statistics object from the server
+     */
+    function syncStats(stats) {
+        lastStats = stats;
+
+        const scanCount = stats['scan-count'];
+        if (typeof scanCount === 'number' && scanCount !== lastScanCount &&
+            typeof stats['scan-time'] === 'number' && scanCount > 0) {
+            samples.push({ t: Date.now(), ms: stats['scan-time'] });
+            if (samples.length > MAX_SAMPLES) {
+                samples.splice(0, samples.length - MAX_SAMPLES);
+            }
+        }
+        lastScanCount = scanCount;
+
+        const panel = document.getElementById(ELEMENTS.panel);
+        if (!panel || panel.open) {
+            render();
+        }
+    }
+
+    /**
+     * Start the statistics over on the server and drop the samples
+     */
+    async function resetStatistics() {
+        try {
+            const result = await ServerComm.resetStatistics();
+            if (result && result.success === false) {
+                showMessage(result.message || 'Reset failed');
+                return;
+            }
+            showMessage('');
+            samples = [];
+            syncStats(await ServerComm.getStatistics());
+        } catch (e) {
+            showMessage(e.message);
+        }
+    }
+
+    /**
+     * Explain an exit code
+     * @param {Object} stats - Statistics object from the server
+     * @returns {string}
+     */
+    function explainExitCode(stats) {
+        const code = stats['exit-code'];
+        if (code) {
+            return EXIT_CODES[code] || 'Unknown exit code';
+        }
+        if (stats.running) {
+            return 'Running; no exit code yet';
+        }
+        if (stats['error-count'] > 0) {
+            return 'No exit code; runtime errors may have stopped the PLC (see the server log)';
+        }
+        return 'No run has ended since the PLC was loaded';
+    }
+
+    // ============================================================
+    // Rendering
+    // ============================================================
+
+    /**
+     * Format a scan time in ms
+     * @param {*} ms - Scan time
+     * @returns {string}
+     */
+    function formatMs(ms) {
+        return typeof ms === 'number' ? `${ms.toFixed(3)} ms` : '-';
+    }
+
+    /**
+     * Redraw the fields and charts
+     */
+    function render() {
+        renderFields();
+        renderHistogram();
+        renderTimeline();
+    }
+
+    /**
+     * Show every statistics field
+     */
+    function renderFields() {
+        const fields = document.getElementById(ELEMENTS.fields);
+        if (!fields || !lastStats) return;
+
+        const stats = lastStats;
+        const interval = stats['scan-interval'];
+        const rows = [
+            ['Status', stats.running ? 'Running' : 'Stopped'],
+            ['Scan count', stats['scan-count'] !== undefined ? String(stats['scan-count']) : '-'],
+            ['Total scans', stats['total-scans'] !== undefined ? String(stats['total-scans']) : '-'],
+            ['Last scan', formatMs(stats['scan-time'])],
+            ['Min scan', formatMs(stats['min-scan-time'])],
+            ['Avg scan', formatMs(stats['avg-scan-time'])],
+            ['Max scan', formatMs(stats['max-scan-time'])],
+            ['Scan interval', interval > 0 ? `${interval} ms` : 'Full speed'],
+            ['Runtime errors', stats['error-count'] !== undefined ? String(stats['error-count']) : '-']
+        ];
+
+        fields.innerHTML = '';
+        rows.forEach(([label, value]) => {
+            const field = document.createElement('div');
+            const term = document.createElement('dt');
+            term.textContent = label;
+            const detail = document.createElement('dd');
+            detail.textContent = value;
+            field.appendChild(term);
+            field.appendChild(detail);
+            fields.appendChild(field);
+        });
+
+        const exitCode = document.getElementById(ELEMENTS.exitCode);
+        if (exitCode) {
+            const code = stats['exit-code'];
+            exitCode.textContent = `${code || 'none'}: ${explainExitCode(stats)}`;
+            exitCode.classList.toggle('stats-exit-breakpoint', code === 'breakpoint');
+        }
+    }
+
+    /**
+     * Create an SVG element
+     * @param {string} tag - Element name
+     * @param {Object} attrs - Attributes
+     * @returns {SVGElement}
+     */
+    function svgElement(tag, attrs) {
+        const el = document.createElementNS(SVG_NS, tag);
+        Object.keys(attrs).forEach(name => el.setAttribute(name, attrs[name]));
+        return el;
+    }
+
+    /**
+     * Add a text label to a chart
+     * @param {SVGElement} svg - Chart
+     * @param {number} x - Position
+     * @param {number} y - Baseline
+     * @param {string} text - Label
+     * @param {string} anchor - text-anchor value
+     */
+    function addLabel(svg, x, y, text, anchor = 'start') {
+        const label = svgElement('text', { x, y, 'text-anchor': anchor, class: 'stats-axis-label' });
+        label.textContent = text;
+        svg.appendChild(label);
+    }
+
+    /**
+     * Start a chart in its container, or show why it is empty
+     * @param {string} id - Container element ID
+     * @returns {Object|null} - {svg, plotWidth, plotHeight}, or null when
+     *     there is nothing to draw
+     */
+    function startChart(id) {
+        const container = document.getElementById(id);
+        if (!container) return null;
+
+        container.innerHTML = '';
+        if (samples.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'stats-empty';
+            empty.textContent = 'Scan times appear here while the PLC runs';
+            container.appendChild(empty);
+            return null;
+        }
+
+        const width = container.clientWidth || 600;
+        const svg = svgElement('svg', { width, height: LAYOUT.height, class: 'stats-svg' });
+        container.appendChild(svg);
+        return {
+            svg,
+            plotWidth: width - LAYOUT.left - LAYOUT.right,
+            plotHeight: LAYOUT.height - LAYOUT.top - LAYOUT.bottom
+        };
+    }
+
+    /**
+     * Draw the histogram of the collected scan times
+     */
+    function renderHistogram() {
+        const chart = startChart(ELEMENTS.histogram);
+        if (!chart) return;
+
+        const times = samples.map(s => s.ms);
+        const max = Math.max(...times) || 1;
+        const binWidth = max / BIN_COUNT;
+        const bins = new Array(BIN_COUNT).fill(0);
+        times.forEach(ms => {
+            bins[Math.min(Math.floor(ms / binWidth), BIN_COUNT - 1)]++;
+        });
+        const tallest = Math.max(...bins);
+
+        const { svg, plotWidth, plotHeight } = chart;
+        const barWidth = plotWidth / BIN_COUNT;
+        bins.forEach((count, i) => {
+            if (count === 0) return;
+            const height = (count / tallest) * plotHeight;
+            const bar = svgElement('rect', {
+                x: LAYOUT.left + i * barWidth + 1,
+                y: LAYOUT.top + plotHeight - height,
+                width: Math.max(barWidth - 2, 1),
+                height,
+                class: 'stats-bar'
+            });
+            const title = svgElement('title', {});
+            title.textContent = `${(i * binWidth).toFixed(3)}-${((i + 1) * binWidth).toFixed(3)} ms: ${count}`;
+            bar.appendChild(title);
+            svg.appendChild(bar);
+        });
+
+        const baseline = LAYOUT.top + plotHeight;
+        svg.appendChild(svgElement('line', {
+            x1: LAYOUT.left, y1: baseline, x2: LAYOUT.left + plotWidth, y2: baseline, class: 'stats-axis'
+        }));
+        addLabel(svg, LAYOUT.left, baseline + 15, '0 ms');
+        addLabel(svg, LAYOUT.left + plotWidth, baseline + 15, formatMs(max), 'end');
+        addLabel(svg, LAYOUT.left - 5, LAYOUT.top + 10, String(tallest), 'end');
+        addLabel(svg, LAYOUT.left - 5, baseline, '0', 'end');
+    }
+
+    /**
+     * Draw the collected scan times over time
+     */
+    function renderTimeline() {
+        const chart = startChart(ELEMENTS.timeline);
+        if (!chart) return;
+
+        const { svg, plotWidth, plotHeight } = chart;
+        const start = samples[0].t;
+        const end = Math.max(samples[samples.length - 1].t, start + 1);
+        const max = Math.max(...samples.map(s => s.ms)) || 1;
+        const xOf = t => LAYOUT.left + ((t - start) / (end - start)) * plotWidth;
+        const yOf = ms => LAYOUT.top + plotHeight - (ms / max) * plotHeight;
+
+        const baseline = LAYOUT.top + plotHeight;
+        svg.appendChild(svgElement('rect', {
+            x: LAYOUT.left, y: LAYOUT.top, width: plotWidth, height: plotHeight, class: 'stats-plot'
+        }));
+        svg.appendChild(svgElement('polyline', {
+            points: samples.map(s => `${xOf(s.t)},${yOf(s.ms)}`).join(' '),
+            class: 'stats-trace'
+        }));
+
+        addLabel(svg, LAYOUT.left - 5, LAYOUT.top + 10, formatMs(max), 'end');
+        addLabel(svg, LAYOUT.left - 5, baseline, '0', 'end');
+        addLabel(svg, LAYOUT.left, baseline + 15, new Date(start).toTimeString().slice(0, 8));
+        addLabel(svg, LAYOUT.left + plotWidth, baseline + 15, new Date(end).toTimeString().slice(0, 8), 'end');
+    }
+
+    /**
+     * Show an error message, or hide it
+     * @param {string} text - Message, empty to hide
+     */
+    function showMessage(text) {
+        const messages = document.getElementById(ELEMENTS.messages);
+        if (messages) {
+            messages.textContent = text;
+            messages.hidden = !text;
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        syncStats,
+        explainExitCode
+    };
+})();
@@ -0,0 +1,49 @@
+/**
+ * ladstatus.js - Status Bar Updates Field
+ * Shows how live values reach the page and greys the page out while they
+ * have stopped; shared by the pages with a live update subscription
+ */
+
+const LadStatus = (function() {
+    'use strict';
+
+    // Last update mode reported by the subscription
+    let updateMode = null;
+
+    // DOM element IDs
+    const ELEMENTS = {
+        statusUpdates: 'status-updates'
+    };
+
+    /**
+     * Show whether updates arrive over the live stream or by polling
+     * @param {string} mode - 'stream' or 'polling'
+     */
+    function showUpdateMode(mode) {
+        updateMode = mode;
+        const el = document.getElementById(ELEMENTS.statusUpdates);
+        if (el) {
+            el.textContent = mode === 'stream' ? 'Live' : 'Polling';
+        }
+    }
+
+    /**
+     * Grey out the page while updates have stopped
+     * @param {boolean} stale - Displayed values are no longer live
+     */
+    function showStale(stale) {
+        document.body.classList.toggle('data-stale', stale);
+        const el = document.getElementById(ELEMENTS.statusUpdates);
+        if (el && stale) {
+            el.textContent = 'Stale';
+        } else if (updateMode) {
+            showUpdateMode(updateMode);
+        }
+    }
+
+    // Public API
+    return {
+        showUpdateMode,
+        showStale
+    };
+})();
@@ -10,6 +10,77 @@ const SubrDispControl = (function() {
     let currentProgram = null;
     let currentAddresses = [];
 
+    // Addresses currently forced on the server
+    let forcedAddresses = new Set();
+
+    // Address of the breakpoint that stopped the PLC, or null
+    let breakpointAddress = null;
+
+    // Addresses picked out for the reader, e.g. from the cross reference
+    let highlightedAddresses = new Set();
+
+    // Cells of the rendered rungs, indexed once per render. Each entry is
+    // {el, svg, parts, valueEl, addresses, face, faceAddresses, rungnum, key,
+    // powered, isOn, display}; block faces also follow faceAddresses.
+    let cellsByRung = new Map();
+    let cellsByAddress = new Map();
+
+    // Power flow of the rendered rungs: the model, layout and wire elements
+    // of each rung, and the rung data and models of the current program
+    let rungWiring = new Map();
+    let rungDataByNum = new Map();
+    let powerModels = new Map();
+
+    // Addresses that turned on or off in the latest update, and the rungs
+    // whose differential contacts were shown with those edges
+    let currentEdges = {};
+    let edgeRungs = new Set();
+
+    // Last value applied to the cells for each address
+    let appliedValues = {};
+
+    // Rungs in or near the viewport; only their addresses are monitored
+    let visibleRungs = new Set();
+    let rungObserver = null;
+    let monitorTimer = null;
+
+    // Called when the set of monitored addresses changes
+    let onMonitorChange = () => {};
+
+    // Rungs this close to the viewport are monitored before they scroll in
+    const VISIBLE_MARGIN = '200px 0px';
+
+    // Called with each rung element as it is rendered
+    let rungDecorator = () => {};
+
+    // Rung filter of the virtual list, and the highlighted rung
+    let rungFilter = null;
+    let highlightedRung = null;
+    let hashListening = false;
+    let shownHash = '';
+
+    // Subroutine of the latest render, which location hashes naming a
+    // rung in another subroutine must wait for
+    let shownSubroutine = null;
+
+    // Virtual list state while a long subroutine is shown, and the
+    // measured rung heights of the subroutine, kept across renders
+    let virtualList = null;
+    let heightCache = new Map();
+    let heightCacheSubroutine = null;
+
+    // Subroutines with more rungs than this are shown as a virtual list
+    const VIRTUAL_MIN_RUNGS = 100;
+
+    // The virtual list renders this far above and below the viewport
+    const VIRTUAL_OVERSCAN_PX = 800;
+
+    // Rung header, padding and border around the ladder grid
+    const RUNG_CHROME_HEIGHT = 85;
+
+    // Scrolling changes the visible rungs often; wait until it settles
+    const MONITOR_CHANGE_DELAY_MS = 150;
+
     // Cell dimensions for layout
     const CELL_WIDTH = 80;
     const CELL_HEIGHT = 60;
@@ -22,17 +93,43 @@ const SubrDispControl = (function() {
      */
     function setProgram(programData) {
         currentProgram = programData;
+        const rungs = (programData && programData.subrdata) || [];
         if (programData && programData.addresses) {
-            currentAddresses = programData.addresses;
+            // Block faces also show presets and operands held elsewhere
+            const faceAddresses = rungs.flatMap(rung => (rung.cells || []).flatMap(LadBlockFace.addresses));
+            currentAddresses = [...new Set([...programData.addresses, ...faceAddresses])];
         }
+        rungDataByNum = new Map(rungs.map(rung => [rung.rungnum, rung]));
+        powerModels = new Map();
     }
 
     /**
-     * Get all addresses that need monitoring
+     * Get the addresses that need monitoring: those of the rungs in or
+     * near the viewport, or of every rung where visibility is not known
      * @returns {string[]} - Array of address strings
      */
     function getMonitorAddresses() {
-        return currentAddresses;
+        if (!rungObserver) {
+            return currentAddresses;
+        }
+
+        const addresses = new Set();
+        visibleRungs.forEach(rungnum => {
+            (cellsByRung.get(rungnum) || []).forEach(entry => {
+                entry.addresses.forEach(addr => addresses.add(addr));
+                entry.faceAddresses.forEach(addr => addresses.add(addr));
+            });
+        });
+        return [...addresses];
+    }
+
+    /**
+     * Set the function called when the monitored addresses change
+     * because rungs scrolled into or out of view
+     * @param {Function} listener - Called with no arguments
+     */
+    function setMonitorListener(listener) {
+        onMonitorChange = listener || (() => {});
     }
 
     /**
@@ -59,43 +156,76 @@ const SubrDispControl = (function() {
         const isBlock = isBlockSymbol(symbol) || cellType === 'block';
         const row = cell.row || 0;
         const col = cell.col || 0;
+        const rowSpan = cell.rowSpan || 1;
+        const line = cell.line || 0;
 
         // Create unique ID for monitoring
         const cellId = `cell-${row}-${col}`;
 
+        // CALL blocks link to the subroutine they call
+        const callTarget = opcode.toUpperCase() === 'CALL' && params[0] ? params[0] : '';
+
         // Determine cell class and dimensions
-        const cellClass = isBlock ? 'ladder-cell ladder-block-cell' : 'ladder-cell';
+        let cellClass = isBlock ? 'ladder-cell ladder-block-cell' : 'ladder-cell';
+        if (callTarget) {
+            cellClass += ' ladder-call-cell';
+        }
+        // Blocks with several inputs cover the rows of their inputs
+        if (rowSpan > 1) {
+            cellClass += ' ladder-span-cell';
+        }
 
-        // Get SVG symbol
-        const svgHtml = LadSymbols.getSymbol(symbol, 'MB_ladderoff');
+        // Get SVG symbol; timers, counters, copy, math and compare blocks
+        // draw their parameters on the block face
+        const faceHtml = isBlock ? LadBlockFace.faceSvg(cell, 'MB_ladderoff') : null;
+        const svgHtml = faceHtml || LadSymbols.getSymbol(symbol, 'MB_ladderoff');
 
-        // Create address display
+        // Create address display, with the tag name above it when the
+        // symbol table has one (which labels show depends on the view mode)
+        const shownAddress = address || addresses[0] || '';
         let addressDisplay = '';
-        if (address) {
-            addressDisplay = `<span class="cell-address">${escapeHtml(address)}</span>`;
-        } else if (addresses.length > 0) {
-            addressDisplay = `<span class="cell-address">${escapeHtml(addresses[0])}</span>`;
+        if (shownAddress) {
+            const tagName = LadTags.getName(shownAddress);
+            const tagClass = tagName ? ' has-tag' : '';
+            addressDisplay = `<span class="cell-address${tagClass}" data-addr="${LadMarkup.escape(shownAddress)}">${LadMarkup.escape(shownAddress)}</span>`;
+            if (tagName) {
+                addressDisplay = `<span class="cell-tag" data-addr="${LadMarkup.escape(shownAddress)}">${LadMarkup.escape(tagName)}</span>` +
+                    addressDisplay;
+            }
         }
 
-        // For block types, show parameters below the symbol
+        // Tooltip with the tag name and description of every address
+        let tooltip = addresses.map(addr => LadTags.tooltip(addr)).filter(t => t).join('\n\n');
+        if (callTarget) {
+            tooltip = `Go to subroutine ${callTarget}`;
+        }
+        const titleAttr = tooltip ? `title="${LadMarkup.escape(tooltip)}"` : '';
+
+        // For other block types, show parameters below the symbol
         let paramsDisplay = '';
-        if (isBlock && params.length > 0) {
+        if (isBlock && !faceHtml && params.length > 0) {
             const displayParams = params.slice(0, 4).join(' ');
-            paramsDisplay = `<span class="block-params">${escapeHtml(displayParams)}</span>`;
+            paramsDisplay = `<span class="block-params">${LadMarkup.escape(displayParams)}</span>`;
         }
 
         // Data attributes for monitoring
-        const dataAttrs = addresses.length > 0
-            ? `data-addresses="${escapeHtml(addresses.join(','))}"`
+        let dataAttrs = addresses.length > 0
+            ? `data-addresses="${LadMarkup.escape(addresses.join(','))}"`
             : '';
+        if (callTarget) {
+            dataAttrs += ` data-call-target="${LadMarkup.escape(callTarget)}"`;
+        }
 
         return `
             <div id="${cellId}" class="${cellClass} MB_ladderoff"
                  ${dataAttrs}
-                 data-opcode="${escapeHtml(opcode)}"
-                 data-symbol="${escapeHtml(symbol)}"
+                 ${titleAttr}
+                 data-opcode="${LadMarkup.escape(opcode)}"
+                 data-symbol="${LadMarkup.escape(symbol)}"
                  data-row="${row}"
-                 data-col="${col}">
+                 data-col="${col}"
+                 data-line="${line}"
+                 style="${gridArea(row, col, rowSpan)}">
                 <div class="cell-symbol">
                     ${svgHtml}
                 </div>
@@ -107,64 +237,178 @@ const SubrDispControl = (function() {
     }
 
     /**
-     * Create an empty spacer cell for alignment
+     * Grid placement of an element in a rung
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @param {number} rowSpan - Rows covered
+     * @returns {string} - Inline style
+     */
+    function gridArea(row, col, rowSpan = 1) {
+        return `grid-row: ${row + 1} / span ${rowSpan}; grid-column: ${col + 1};`;
+    }
+
+    /**
+     * Create a horizontal wire filling a grid position
      * @param {number} row - Row index
      * @param {number} col - Column index
      * @returns {string} - HTML string
      */
     function createSpacerHtml(row, col) {
-        return `<div class="ladder-spacer" data-row="${row}" data-col="${col}">
-            ${LadSymbols.getSymbol('hline', 'MB_ladderoff')}
+        // The wire stretches across the whole column
+        const wire = LadSymbols.getSymbol('hline', 'MB_ladderoff')
+            .replace('<svg ', '<svg preserveAspectRatio="none" ');
+        return `<div class="ladder-spacer" data-row="${row}" data-col="${col}" style="${gridArea(row, col)}">
+            ${wire}
         </div>`;
     }
 
     /**
-     * Create a vertical branch connector
-     * @param {number} col - Column where branch connects
-     * @param {number} startRow - Start row (usually 0)
-     * @param {number} endRow - End row
+     * Create the input wire of a block covering several rows, from the
+     * left of its column to the block
+     * @param {number} row - Row index
+     * @param {number} col - Column index
+     * @returns {string} - HTML string
+     */
+    function createLeadHtml(row, col) {
+        return `<div class="ladder-lead" data-row="${row}" data-col="${col}" style="${gridArea(row, col)}"></div>`;
+    }
+
+    /**
+     * Create a vertical branch connector: one segment per row it crosses,
+     * from the middle of its first row to the middle of its last
+     * @param {number} col - Column at whose left edge the rows join; the
+     *     column count for the right edge of the rung
+     * @param {number} startRow - First row joined
+     * @param {number} endRow - Last row joined
+     * @param {number} cols - Columns of the rung
      * @returns {string} - HTML string
      */
-    function createBranchConnector(col, startRow, endRow) {
-        return `<div class="branch-connector"
+    function createBranchConnector(col, startRow, endRow, cols) {
+        const right = col >= cols;
+        const gridCol = right ? cols - 1 : col;
+        let segments = '';
+        for (let r = startRow; r <= endRow; r++) {
+            const part = r === startRow ? 'start' : (r === endRow ? 'end' : 'middle');
+            segments += `<div class="branch-segment branch-segment-${part}" style="${gridArea(r, gridCol)}"></div>`;
+        }
+        return `<div class="branch-connector${right ? ' branch-connector-right' : ''}"
                      data-col="${col}"
                      data-start-row="${startRow}"
-                     data-end-row="${endRow}"
-                     style="--col: ${col}; --start-row: ${startRow}; --end-row: ${endRow};"></div>`;
+                     data-end-row="${endRow}">${segments}</div>`;
     }
 
     /**
-     * Create HTML for a single rung with proper branch handling
+     * Lay out a rung on its grid. Every position holds a cell, a spacer
+     * (horizontal wire), the lower rows of a block covering several rows
+     * or nothing, and branch connectors join rows at column edges.
+     * Servers send the wires and connectors with the rung; rung data
+     * without them (saved before they were sent) gets them worked out
+     * from the cell positions, which only suits simple OR branches.
      * @param {Object} rung - Rung data
-     * @returns {string} - HTML string
+     * @returns {Object} - {rows, cols, grid, kinds, connectors} where grid[r][c]
+     *     is the cell data or null, kinds[r][c] is 'cell', 'spacer', 'span'
+     *     (below a block covering several rows) or 'empty', and connectors
+     *     are {col, startRow, endRow}, col being the column at whose left
+     *     edge they are drawn (the column count for the right edge)
      */
-    function createRungHtml(rung) {
-        const rungNum = rung.rungnum;
+    function getRungLayout(rung) {
         const cells = rung.cells || [];
-        const comment = rung.comment || '';
         const rows = rung.rows || 1;
         const cols = rung.cols || 1;
 
-        // Build a 2D grid of cells
         const grid = [];
+        const kinds = [];
         for (let r = 0; r < rows; r++) {
             grid[r] = new Array(cols).fill(null);
+            kinds[r] = new Array(cols).fill('empty');
         }
 
-        // Place cells in grid and track branch points
-        const branchCols = new Set();
         cells.forEach(cell => {
             const row = cell.row || 0;
             const col = cell.col || 0;
             if (row < rows && col < cols) {
                 grid[row][col] = cell;
-                // Track columns where branches occur (non-zero rows)
-                if (row > 0) {
-                    branchCols.add(col);
+                kinds[row][col] = 'cell';
+                for (let r = row + 1; r < Math.min(row + (cell.rowSpan || 1), rows); r++) {
+                    kinds[r][col] = 'span';
+                }
+            }
+        });
+
+        if (!('branches' in rung)) {
+            return legacyRungLayout(rows, cols, grid, kinds);
+        }
+
+        (rung.wires || []).forEach(wire => {
+            if (wire.row >= rows) return;
+            for (let c = wire.startCol; c <= Math.min(wire.endCol, cols - 1); c++) {
+                if (kinds[wire.row][c] === 'empty') {
+                    kinds[wire.row][c] = 'spacer';
+                }
+            }
+        });
+
+        const connectors = (rung.branches || [])
+            .filter(branch => branch.col <= cols && branch.endRow < rows)
+            .map(branch => ({ col: branch.col, startRow: branch.startRow, endRow: branch.endRow }));
+
+        return { rows, cols, grid, kinds, connectors };
+    }
+
+    /**
+     * Wires and connectors of rung data that does not carry them: the
+     * main row is wired throughout, and every column with cells below the
+     * main row joins them to it at its right edge
+     * @param {number} rows - Rows of the rung
+     * @param {number} cols - Columns of the rung
+     * @param {Array} grid - Cells by position
+     * @param {Array} kinds - Kinds by position, cells already placed
+     * @returns {Object} - Layout as from getRungLayout
+     */
+    function legacyRungLayout(rows, cols, grid, kinds) {
+        const branchCols = new Set();
+        for (let r = 1; r < rows; r++) {
+            grid[r].forEach((cell, c) => {
+                if (cell) branchCols.add(c);
+            });
+        }
+
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                if (kinds[r][c] !== 'empty') continue;
+                // Branch rows are wired up to their last cell
+                const hasLaterContent = grid[r].slice(c + 1).some(cell => cell);
+                if (r === 0 || hasLaterContent || branchCols.has(c)) {
+                    kinds[r][c] = 'spacer';
+                }
+            }
+        }
+
+        const connectors = [];
+        branchCols.forEach(col => {
+            let maxRow = 0;
+            for (let r = 0; r < rows; r++) {
+                if (grid[r][col]) {
+                    maxRow = r;
                 }
             }
+            connectors.push({ col: col + 1, startRow: 0, endRow: maxRow });
         });
 
+        return { rows, cols, grid, kinds, connectors };
+    }
+
+    /**
+     * Create the contents of a rung element: its cells and wires placed
+     * on a CSS grid, with the branch connectors over them
+     * @param {Object} rung - Rung data
+     * @returns {string} - HTML string
+     */
+    function createRungInnerHtml(rung) {
+        const rungNum = rung.rungnum;
+        const comment = rung.comment || '';
+        const { rows, cols, grid, kinds, connectors } = getRungLayout(rung);
+
         // Render rows
         let rowsHtml = '';
         for (let r = 0; r < rows; r++) {
@@ -172,28 +416,18 @@ const SubrDispControl = (function() {
             let rowCellsHtml = '';
 
             for (let c = 0; c < cols; c++) {
-                const cell = grid[r][c];
-                if (cell) {
-                    rowCellsHtml += createCellHtml(cell);
-                } else if (r === 0) {
-                    // Main row: empty cells get horizontal lines
+                if (kinds[r][c] === 'cell') {
+                    rowCellsHtml += createCellHtml(grid[r][c]);
+                    if ((grid[r][c].rowSpan || 1) > 1) {
+                        rowCellsHtml += createLeadHtml(r, c);
+                    }
+                } else if (kinds[r][c] === 'span') {
+                    rowCellsHtml += createLeadHtml(r, c);
+                } else if (kinds[r][c] === 'spacer') {
                     rowCellsHtml += createSpacerHtml(r, c);
                 } else {
-                    // Branch row: only show spacer if there's content later in this row
-                    // or if this column has a branch that needs vertical connection
-                    let hasLaterContent = false;
-                    for (let cc = c + 1; cc < cols; cc++) {
-                        if (grid[r][cc]) {
-                            hasLaterContent = true;
-                            break;
-                        }
-                    }
-                    if (hasLaterContent || branchCols.has(c)) {
-                        rowCellsHtml += createSpacerHtml(r, c);
-                    } else {
-                        // Empty placeholder to maintain grid
-                        rowCellsHtml += `<div class="ladder-empty" data-row="${r}" data-col="${c}"></div>`;
-                    }
+                    // Empty placeholder to keep the row and column sizes
+                    rowCellsHtml += `<div class="ladder-empty" data-row="${r}" data-col="${c}" style="${gridArea(r, c)}"></div>`;
                 }
             }
 
@@ -201,27 +435,14 @@ const SubrDispControl = (function() {
         }
 
         // Create branch connectors (vertical lines)
-        let connectorsHtml = '';
-        branchCols.forEach(col => {
-            // Find the range of rows that have cells at this column
-            let minRow = 0;
-            let maxRow = 0;
-            for (let r = 0; r < rows; r++) {
-                if (grid[r][col]) {
-                    maxRow = r;
-                }
-            }
-            if (maxRow > minRow) {
-                connectorsHtml += createBranchConnector(col, minRow, maxRow);
-            }
-        });
+        const connectorsHtml = connectors
+            .map(conn => createBranchConnector(conn.col, conn.startRow, conn.endRow, cols))
+            .join('');
 
-        // Build complete rung HTML
         return `
-            <div class="ladder-rung" id="rung-${rungNum}" data-rungnum="${rungNum}" data-rows="${rows}" data-cols="${cols}">
                 <div class="rung-header">
                     <span class="rung-number">Network ${rungNum}</span>
-                    ${comment ? `<span class="rung-comment">${escapeHtml(comment)}</span>` : ''}
+                    ${comment ? `<span class="rung-comment">${LadMarkup.escape(comment)}</span>` : ''}
                 </div>
                 <div class="ladder-grid" style="--cols: ${cols}; --rows: ${rows};">
                     <div class="power-rail left"></div>
@@ -231,10 +452,38 @@ const SubrDispControl = (function() {
                     </div>
                     <div class="power-rail right"></div>
                 </div>
+        `;
+    }
+
+    /**
+     * Create HTML for a single rung
+     * @param {Object} rung - Rung data
+     * @returns {string} - HTML string
+     */
+    function createRungHtml(rung) {
+        const rows = rung.rows || 1;
+        const cols = rung.cols || 1;
+        return `
+            <div class="ladder-rung" id="rung-${rung.rungnum}" data-rungnum="${rung.rungnum}" data-rows="${rows}" data-cols="${cols}">
+                ${createRungInnerHtml(rung)}
             </div>
         `;
     }
 
+    /**
+     * Turn an element (new or recycled) into the element of a rung
+     * @param {HTMLElement} el - Element to fill
+     * @param {Object} rung - Rung data
+     */
+    function fillRungElement(el, rung) {
+        el.className = 'ladder-rung';
+        el.id = `rung-${rung.rungnum}`;
+        el.setAttribute('data-rungnum', rung.rungnum);
+        el.setAttribute('data-rows', rung.rows || 1);
+        el.setAttribute('data-cols', rung.cols || 1);
+        el.innerHTML = createRungInnerHtml(rung);
+    }
+
     /**
      * Create the complete rung list from program data
      * @param {Object} programData - Program data from API
@@ -254,7 +503,7 @@ const SubrDispControl = (function() {
         }
 
         if (programData.error) {
-            return `<div class="error-message">${escapeHtml(programData.error)}</div>`;
+            return `<div class="error-message">${LadMarkup.escape(programData.error)}</div>`;
         }
 
         const rungs = programData.subrdata;
@@ -271,76 +520,756 @@ const SubrDispControl = (function() {
     }
 
     /**
-     * Render the program to the display container
+     * Render the program to the display container. Long subroutines are
+     * shown as a virtual list that only renders the rungs near the viewport.
      * @param {string} containerId - ID of container element
      * @param {Object} programData - Program data from API
+     * @param {Object} options - Options
+     * @param {boolean} options.virtual - Allow the virtual list (default: true);
+     *     callers that decorate every rung element turn it off
      */
-    function renderToContainer(containerId, programData) {
+    function renderToContainer(containerId, programData, options = {}) {
         const container = document.getElementById(containerId);
-        if (container) {
+        if (!container) return;
+
+        stopVirtualList();
+        resetTracking();
+
+        const subrname = programData && programData.subrname;
+        shownSubroutine = subrname || null;
+        if (subrname !== heightCacheSubroutine) {
+            heightCache = new Map();
+            heightCacheSubroutine = subrname;
+        }
+
+        const rungs = (programData && !programData.error && programData.subrdata) || [];
+        if (options.virtual !== false && rungs.length > VIRTUAL_MIN_RUNGS) {
+            setProgram(programData);
+            startVirtualList(container, rungs);
+        } else {
             container.innerHTML = createRungList(programData);
+            container.querySelectorAll('.ladder-rung').forEach(attachRung);
+        }
+
+        if (!hashListening) {
+            hashListening = true;
+            window.addEventListener('hashchange', () => showHashRung(true));
         }
+        showHashRung(false);
     }
 
     /**
-     * Update cell states based on data values
-     * @param {Object} dataValues - Object mapping addresses to values
+     * Set the function called for every rung element as it is rendered,
+     * e.g. to add search highlighting
+     * @param {Function} decorator - Called with the rung element
      */
-    function updateCellStates(dataValues) {
-        // Find all cells with monitored addresses
-        document.querySelectorAll('.ladder-cell').forEach(cell => {
-            const addressesStr = cell.getAttribute('data-addresses');
-            if (!addressesStr) return;
-
-            const addresses = addressesStr.split(',').filter(a => a);
-            if (addresses.length === 0) return;
-
-            // Check if any address is "on"
-            let isOn = false;
-            let displayValue = null;
-
-            addresses.forEach(addr => {
-                if (addr in dataValues) {
-                    const value = dataValues[addr];
-                    if (typeof value === 'boolean') {
-                        if (value) isOn = true;
-                    } else if (typeof value === 'number') {
-                        displayValue = value;
-                        if (value !== 0) isOn = true;
-                    } else if (value !== null && value !== undefined) {
-                        displayValue = value;
-                    }
+    function setRungDecorator(decorator) {
+        rungDecorator = decorator || (() => {});
+    }
+
+    /**
+     * Hide the rungs a filter rejects. Only the virtual list uses this;
+     * rendered rungs are hidden with the rung-filtered class instead.
+     * @param {Function} filter - Called with a rung number, returns true to
+     *     show the rung; null shows every rung
+     */
+    function setRungFilter(filter) {
+        rungFilter = filter || null;
+        if (virtualList) {
+            layoutVirtualList();
+            updateVirtualList();
+        }
+    }
+
+    /**
+     * Get the element of a rung, rendering and scrolling to it first when
+     * it is outside the virtual list's window
+     * @param {number} rungnum - Rung (network) number
+     * @returns {HTMLElement|null}
+     */
+    function revealRung(rungnum) {
+        if (!virtualList) {
+            return document.getElementById(`rung-${rungnum}`);
+        }
+
+        const v = virtualList;
+        const position = v.order.findIndex(index => v.rungs[index].rungnum === rungnum);
+        if (position < 0) return null;
+
+        window.scrollTo(0, listTop() + v.offsets[position]);
+        updateVirtualList();
+        return v.rendered.get(v.order[position]) || null;
+    }
+
+    /**
+     * Scroll a rung into view and highlight it
+     * @param {number} rungnum - Rung (network) number
+     * @returns {boolean} - The rung was found
+     */
+    function showRung(rungnum) {
+        highlightedRung = rungnum;
+        document.querySelectorAll('.ladder-rung.rung-highlight').forEach(el => {
+            el.classList.remove('rung-highlight');
+        });
+
+        const rungEl = revealRung(rungnum);
+        if (!rungEl) return false;
+
+        rungEl.classList.add('rung-highlight');
+        rungEl.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        return true;
+    }
+
+    /**
+     * Build the location hash of a subroutine and rung, e.g.
+     * #subr=Conveyor&rung=12
+     * @param {string} subrname - Subroutine name
+     * @param {number|null} rungnum - Rung (network) number, or null for
+     *     the subroutine only
+     * @returns {string}
+     */
+    function locationHash(subrname, rungnum = null) {
+        const hash = `#subr=${encodeURIComponent(subrname)}`;
+        return rungnum ? `${hash}&rung=${rungnum}` : hash;
+    }
+
+    /**
+     * Read the subroutine and rung from a location hash. Both the
+     * #subr=name&rung=N form and a plain #rung-N are understood.
+     * @param {string} hash - Location hash, including the #
+     * @returns {Object|null} - {subrname, rungnum}, either of which may be
+     *     null, or null when the hash names neither
+     */
+    function parseLocationHash(hash) {
+        const plain = /^#rung-(\d+)$/.exec(hash || '');
+        if (plain) {
+            return { subrname: null, rungnum: parseInt(plain[1], 10) };
+        }
+
+        const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+        const subrname = params.get('subr') || null;
+        const rungnum = parseInt(params.get('rung'), 10) || null;
+        if (!subrname && !rungnum) return null;
+        return { subrname, rungnum };
+    }
+
+    /**
+     * Show the rung named by the location hash, which the browser cannot
+     * find by itself when the rung is not rendered. A rung of another
+     * subroutine is left for the page to load; rendering it shows the rung.
+     * @param {boolean} changed - The hash just changed; otherwise a rung
+     *     that was already shown is left alone so re-renders do not scroll
+     */
+    function showHashRung(changed) {
+        const target = parseLocationHash(window.location.hash);
+        if (!target || !target.rungnum) return;
+        if (target.subrname && shownSubroutine && target.subrname !== shownSubroutine) return;
+
+        // Other page state in the hash does not make the rung new
+        const shown = `${target.subrname || ''}/${target.rungnum}`;
+        if ((changed || shown !== shownHash) && showRung(target.rungnum)) {
+            shownHash = shown;
+        }
+    }
+
+    // ============================================================
+    // Rendered Rung Tracking
+    // ============================================================
+
+    /**
+     * Forget the rungs of the previous render and start tracking visibility
+     */
+    function resetTracking() {
+        cellsByRung = new Map();
+        cellsByAddress = new Map();
+        rungWiring = new Map();
+        appliedValues = {};
+        currentEdges = {};
+        edgeRungs = new Set();
+        highlightedRung = null;
+
+        if (rungObserver) {
+            rungObserver.disconnect();
+            rungObserver = null;
+        }
+        visibleRungs = new Set();
+        if (typeof IntersectionObserver === 'undefined') return;
+
+        rungObserver = new IntersectionObserver((entries) => {
+            let changed = false;
+            entries.forEach(entry => {
+                const rungnum = parseInt(entry.target.getAttribute('data-rungnum'), 10);
+                if (entry.isIntersecting && !visibleRungs.has(rungnum)) {
+                    visibleRungs.add(rungnum);
+                    changed = true;
+                } else if (!entry.isIntersecting && visibleRungs.delete(rungnum)) {
+                    changed = true;
                 }
             });
-
-            // Update CSS class on the cell
-            cell.classList.remove('MB_ladderoff', 'MB_ladderon');
-            cell.classList.add(isOn ? 'MB_ladderon' : 'MB_ladderoff');
-
-            // Update SVG elements inside - find the svg and update all elements with state classes
-            const svg = cell.querySelector('svg');
-            if (svg) {
-                svg.classList.remove('MB_ladderoff', 'MB_ladderon');
-                svg.classList.add(isOn ? 'MB_ladderon' : 'MB_ladderoff');
-
-                // Update all child elements (lines, circles, rects, text)
-                svg.querySelectorAll('line, circle, rect, text').forEach(el => {
-                    el.classList.remove('MB_ladderoff', 'MB_ladderon');
-                    el.classList.add(isOn ? 'MB_ladderon' : 'MB_ladderoff');
-                });
+            if (changed) {
+                scheduleMonitorChange();
             }
+        }, { rootMargin: VISIBLE_MARGIN });
+    }
+
+    /**
+     * Start tracking a rendered rung element: index its cells and wires,
+     * show the values already known for them and watch its visibility
+     * @param {HTMLElement} rungEl - Rung element
+     */
+    function attachRung(rungEl) {
+        const rungnum = parseInt(rungEl.getAttribute('data-rungnum'), 10);
+        const rung = rungDataByNum.get(rungnum);
+        const cellData = new Map(((rung && rung.cells) || []).map(cell =>
+            [LadPowerFlow.cellKey(cell.row || 0, cell.col || 0), cell]));
+        const entries = [];
 
-            // Update value display if applicable
-            const valueEl = cell.querySelector('.cell-value');
-            if (valueEl) {
-                if (displayValue !== null) {
-                    valueEl.textContent = formatValue(displayValue);
-                    valueEl.style.display = 'block';
+        // Cells without addresses are indexed too; power flow lights them
+        rungEl.querySelectorAll('.ladder-cell').forEach(el => {
+            const addresses = (el.getAttribute('data-addresses') || '').split(',').filter(a => a);
+            const svg = el.querySelector('svg');
+            const key = LadPowerFlow.cellKey(parseInt(el.getAttribute('data-row'), 10),
+                                             parseInt(el.getAttribute('data-col'), 10));
+            const cell = cellData.get(key);
+            const face = cell && svg && svg.classList.contains('block-face')
+                ? LadBlockFace.bind(svg, cell)
+                : null;
+            const entry = {
+                el,
+                svg,
+                parts: svg ? Array.from(svg.querySelectorAll('line, circle, rect, text')) : [],
+                valueEl: el.querySelector('.cell-value'),
+                addresses,
+                face,
+                faceAddresses: face ? LadBlockFace.addresses(cell) : [],
+                rungnum,
+                key,
+                powered: undefined,
+                isOn: false,
+                display: undefined
+            };
+            entries.push(entry);
+
+            [...addresses, ...entry.faceAddresses].forEach(addr => {
+                if (!cellsByAddress.has(addr)) {
+                    cellsByAddress.set(addr, []);
+                }
+                cellsByAddress.get(addr).push(entry);
+            });
+
+            el.classList.toggle('MB_ladderforced', addresses.some(addr => forcedAddresses.has(addr)));
+            el.classList.toggle('cell-breakpoint-hit', addresses.includes(breakpointAddress));
+            el.classList.toggle('cell-highlight', addresses.some(addr => highlightedAddresses.has(addr)));
+        });
+
+        cellsByRung.set(rungnum, entries);
+        attachWiring(rungEl, rungnum);
+        if (entries.some(entry => [...entry.addresses, ...entry.faceAddresses]
+            .some(addr => addr in appliedValues))) {
+            applyRungState(rungnum);
+        }
+        rungEl.classList.toggle('rung-highlight', rungnum === highlightedRung);
+        rungDecorator(rungEl);
+
+        if (rungObserver) {
+            rungObserver.observe(rungEl);
+        }
+    }
+
+    /**
+     * Stop tracking a rung element that is about to be recycled
+     * @param {HTMLElement} rungEl - Rung element
+     */
+    function detachRung(rungEl) {
+        const rungnum = parseInt(rungEl.getAttribute('data-rungnum'), 10);
+        const entries = cellsByRung.get(rungnum) || [];
+
+        entries.forEach(entry => {
+            [...entry.addresses, ...entry.faceAddresses].forEach(addr => {
+                const remaining = (cellsByAddress.get(addr) || []).filter(e => e !== entry);
+                if (remaining.length > 0) {
+                    cellsByAddress.set(addr, remaining);
                 } else {
-                    valueEl.style.display = 'none';
+                    cellsByAddress.delete(addr);
                 }
+            });
+        });
+        cellsByRung.delete(rungnum);
+        rungWiring.delete(rungnum);
+        edgeRungs.delete(rungnum);
+
+        if (rungObserver) {
+            rungObserver.unobserve(rungEl);
+        }
+        // A removed element gets no further observer callbacks
+        if (visibleRungs.delete(rungnum)) {
+            scheduleMonitorChange();
+        }
+    }
+
+    /**
+     * Index the wires of a rendered rung for power flow, when its logic
+     * can be worked out from the rung data
+     * @param {HTMLElement} rungEl - Rung element
+     * @param {number} rungnum - Rung number
+     */
+    function attachWiring(rungEl, rungnum) {
+        const rung = rungDataByNum.get(rungnum);
+        if (!rung) return;
+
+        if (!powerModels.has(rungnum)) {
+            powerModels.set(rungnum, LadPowerFlow.buildModel(rung));
+        }
+        const model = powerModels.get(rungnum);
+        if (!model) return;
+
+        const spacers = Array.from(rungEl.querySelectorAll('.ladder-spacer')).map(el => {
+            const svg = el.querySelector('svg');
+            return {
+                el,
+                svg,
+                parts: svg ? Array.from(svg.querySelectorAll('line')) : [],
+                key: LadPowerFlow.cellKey(parseInt(el.getAttribute('data-row'), 10),
+                                          parseInt(el.getAttribute('data-col'), 10)),
+                isOn: false
+            };
+        });
+
+        const leads = Array.from(rungEl.querySelectorAll('.ladder-lead')).map(el => ({
+            el,
+            key: LadPowerFlow.cellKey(parseInt(el.getAttribute('data-row'), 10),
+                                      parseInt(el.getAttribute('data-col'), 10))
+        }));
+
+        rungWiring.set(rungnum, {
+            model,
+            layout: getRungLayout(rung),
+            spacers,
+            leads,
+            // Connectors are rendered in layout order
+            connectors: Array.from(rungEl.querySelectorAll('.branch-connector'))
+        });
+    }
+
+    /**
+     * Tell the listener about new monitored addresses once scrolling settles
+     */
+    function scheduleMonitorChange() {
+        if (monitorTimer) {
+            clearTimeout(monitorTimer);
+        }
+        monitorTimer = setTimeout(() => {
+            monitorTimer = null;
+            onMonitorChange();
+        }, MONITOR_CHANGE_DELAY_MS);
+    }
+
+    // ============================================================
+    // Virtual Rung List
+    // ============================================================
+
+    /**
+     * Estimate the height of a rung that has not been rendered yet
+     * @param {Object} rung - Rung data
+     * @returns {number} - Pixels, including the gap below the rung
+     */
+    function estimateRungHeight(rung) {
+        const rows = rung.rows || 1;
+        // Blocks covering several rows fit in them
+        const blockRows = new Set((rung.cells || [])
+            .filter(cell => (cell.rowSpan || 1) === 1 &&
+                (isBlockSymbol(cell.symbol || 'il') || cell.type === 'block'))
+            .map(cell => cell.row || 0));
+        return RUNG_CHROME_HEIGHT +
+            rows * CELL_HEIGHT +
+            blockRows.size * (BLOCK_CELL_HEIGHT - CELL_HEIGHT);
+    }
+
+    /**
+     * Document position of the top of the virtual list
+     * @returns {number} - Pixels
+     */
+    function listTop() {
+        return virtualList.top.getBoundingClientRect().top + window.scrollY;
+    }
+
+    /**
+     * Show a long rung list as a virtual list
+     * @param {HTMLElement} container - Rung list container
+     * @param {Object[]} rungs - Rung data
+     */
+    function startVirtualList(container, rungs) {
+        container.innerHTML = '<div class="rung-spacer"></div><div class="rung-spacer"></div>';
+        const key = rung => String(rung.rungnum);
+
+        virtualList = {
+            container,
+            rungs,
+            top: container.firstElementChild,
+            bottom: container.lastElementChild,
+            heights: rungs.map(rung => heightCache.get(key(rung)) || estimateRungHeight(rung)),
+            order: [],
+            offsets: [],
+            total: 0,
+            rendered: new Map(),
+            pool: [],
+            gap: null,
+            frame: null
+        };
+        container.classList.add('virtual-rung-list');
+
+        window.addEventListener('scroll', scheduleVirtualUpdate, { passive: true });
+        window.addEventListener('resize', scheduleVirtualUpdate);
+
+        layoutVirtualList();
+        updateVirtualList();
+    }
+
+    /**
+     * Stop the virtual list of the previous render
+     */
+    function stopVirtualList() {
+        if (!virtualList) return;
+        window.removeEventListener('scroll', scheduleVirtualUpdate);
+        window.removeEventListener('resize', scheduleVirtualUpdate);
+        if (virtualList.frame) {
+            cancelAnimationFrame(virtualList.frame);
+        }
+        virtualList.container.classList.remove('virtual-rung-list');
+        virtualList = null;
+    }
+
+    /**
+     * Update the virtual list once per animation frame while scrolling
+     */
+    function scheduleVirtualUpdate() {
+        if (!virtualList || virtualList.frame) return;
+        virtualList.frame = requestAnimationFrame(() => {
+            if (virtualList) {
+                virtualList.frame = null;
+                updateVirtualList();
+            }
+        });
+    }
+
+    /**
+     * Work out which rungs the filter shows and where each one starts
+     */
+    function layoutVirtualList() {
+        const v = virtualList;
+        v.order = [];
+        v.rungs.forEach((rung, index) => {
+            if (!rungFilter || rungFilter(rung.rungnum)) {
+                v.order.push(index);
+            }
+        });
+
+        v.offsets = [];
+        let offset = 0;
+        v.order.forEach(index => {
+            v.offsets.push(offset);
+            offset += v.heights[index];
+        });
+        v.total = offset;
+    }
+
+    /**
+     * Render the rungs near the viewport, recycling the elements of the
+     * rungs that left it, and size the spacers for the rest
+     */
+    function updateVirtualList() {
+        const v = virtualList;
+        const top = listTop();
+        const viewTop = window.scrollY - top - VIRTUAL_OVERSCAN_PX;
+        const viewBottom = window.scrollY + window.innerHeight - top + VIRTUAL_OVERSCAN_PX;
+
+        // First rung ending below the top of the window (binary search)
+        let low = 0;
+        let high = v.order.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (v.offsets[mid] + v.heights[v.order[mid]] <= viewTop) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        const first = low;
+        let last = first;
+        while (last < v.order.length && v.offsets[last] < viewBottom) {
+            last++;
+        }
+
+        const wanted = new Set(v.order.slice(first, last));
+        v.rendered.forEach((el, index) => {
+            if (!wanted.has(index)) {
+                detachRung(el);
+                el.remove();
+                v.rendered.delete(index);
+                v.pool.push(el);
             }
         });
+
+        let previous = v.top;
+        for (let position = first; position < last; position++) {
+            const index = v.order[position];
+            let el = v.rendered.get(index);
+            if (!el) {
+                el = v.pool.pop() || document.createElement('div');
+                fillRungElement(el, v.rungs[index]);
+                v.rendered.set(index, el);
+                v.container.insertBefore(el, previous.nextSibling);
+                attachRung(el);
+            } else if (previous.nextSibling !== el) {
+                v.container.insertBefore(el, previous.nextSibling);
+            }
+            previous = el;
+        }
+
+        sizeSpacers(first, last);
+        measureVirtualList(first, last, top);
+    }
+
+    /**
+     * Set the spacer heights around the rendered rungs
+     * @param {number} first - Position of the first rendered rung
+     * @param {number} last - Position after the last rendered rung
+     */
+    function sizeSpacers(first, last) {
+        const v = virtualList;
+        const renderedTop = first < v.order.length ? v.offsets[first] : v.total;
+        const renderedBottom = last < v.order.length ? v.offsets[last] : v.total;
+        v.top.style.height = `${renderedTop}px`;
+        v.bottom.style.height = `${v.total - renderedBottom}px`;
+    }
+
+    /**
+     * Replace estimated heights with measured ones, keeping the content
+     * in view still when rungs above it change height
+     * @param {number} first - Position of the first rendered rung
+     * @param {number} last - Position after the last rendered rung
+     * @param {number} top - Document position of the top of the list
+     */
+    function measureVirtualList(first, last, top) {
+        const v = virtualList;
+        if (first >= last) return;
+
+        if (v.gap === null) {
+            const style = window.getComputedStyle(v.rendered.get(v.order[first]));
+            v.gap = parseFloat(style.marginBottom) || 0;
+        }
+
+        const viewStart = window.scrollY - top;
+        let scrollShift = 0;
+        let changed = false;
+        for (let position = first; position < last; position++) {
+            const index = v.order[position];
+            const height = v.rendered.get(index).offsetHeight + v.gap;
+            if (Math.abs(height - v.heights[index]) > 1) {
+                if (v.offsets[position] + v.heights[index] <= viewStart) {
+                    scrollShift += height - v.heights[index];
+                }
+                v.heights[index] = height;
+                changed = true;
+            }
+            heightCache.set(String(v.rungs[index].rungnum), height);
+        }
+
+        if (changed) {
+            layoutVirtualList();
+            sizeSpacers(first, last);
+            if (scrollShift) {
+                window.scrollBy(0, scrollShift);
+            }
+        }
+    }
+
+    /**
+     * Set the list of forced addresses and mark the affected cells
+     * @param {string[]} addresses - Forced address strings
+     */
+    function setForcedAddresses(addresses) {
+        forcedAddresses = new Set(addresses || []);
+        markForcedCells();
+    }
+
+    /**
+     * Apply the forced state class to every cell using a forced address
+     */
+    function markForcedCells() {
+        // Only rendered rungs are indexed; the rest are marked as they render
+        cellsByRung.forEach(entries => {
+            entries.forEach(entry => {
+                const isForced = entry.addresses.some(addr => forcedAddresses.has(addr));
+                entry.el.classList.toggle('MB_ladderforced', isForced);
+            });
+        });
+    }
+
+    /**
+     * Set the address of the breakpoint that stopped the PLC and mark the
+     * cells using it
+     * @param {string|null} address - Breakpoint address, or null to clear
+     */
+    function setBreakpointAddress(address) {
+        breakpointAddress = address || null;
+        cellsByRung.forEach(entries => {
+            entries.forEach(entry => {
+                entry.el.classList.toggle('cell-breakpoint-hit',
+                    entry.addresses.includes(breakpointAddress));
+            });
+        });
+    }
+
+    /**
+     * Set the highlighted addresses and mark the cells using them
+     * @param {string[]} addresses - Addresses to highlight; empty to clear
+     */
+    function setHighlightedAddresses(addresses) {
+        highlightedAddresses = new Set(addresses || []);
+        cellsByRung.forEach(entries => {
+            entries.forEach(entry => {
+                entry.el.classList.toggle('cell-highlight',
+                    entry.addresses.some(addr => highlightedAddresses.has(addr)));
+            });
+        });
+    }
+
+    /**
+     * Update cell states based on data values. Only the rungs using an
+     * address whose value changed are looked at, and the DOM is only
+     * touched when a cell's state or shown value changes.
+     * @param {Object} dataValues - Object mapping addresses to values
+     */
+    function updateCellStates(dataValues) {
+        // Differential contacts shown with the previous edges go dark again
+        const changedRungs = edgeRungs;
+        edgeRungs = new Set();
+        currentEdges = {};
+
+        Object.keys(dataValues).forEach(addr => {
+            const value = dataValues[addr];
+            const known = addr in appliedValues;
+            if (known && appliedValues[addr] === value) return;
+            // An off bit comes as null, so only a bit that was already
+            // known can change edge
+            if (known && LadAddress.isBoolAddress(addr) &&
+                Boolean(appliedValues[addr]) !== Boolean(value)) {
+                currentEdges[addr] = value ? 'rising' : 'falling';
+            }
+            appliedValues[addr] = value;
+            (cellsByAddress.get(addr) || []).forEach(entry => changedRungs.add(entry.rungnum));
+        });
+
+        changedRungs.forEach(applyRungState);
+    }
+
+    /**
+     * Redraw the cells and wires of a rendered rung from the last applied
+     * values. Rungs whose logic is known show power flow; the cells of
+     * other rungs are lit by their own addresses.
+     * @param {number} rungnum - Rung number
+     */
+    function applyRungState(rungnum) {
+        const entries = cellsByRung.get(rungnum) || [];
+        const wiring = rungWiring.get(rungnum);
+        if (!wiring) {
+            entries.forEach(applyCellState);
+            return;
+        }
+
+        const cellPower = LadPowerFlow.evaluate(wiring.model, appliedValues, currentEdges);
+        entries.forEach(entry => {
+            const power = cellPower.get(entry.key);
+            entry.powered = power ? power.lit : undefined;
+            applyCellState(entry);
+        });
+
+        const wires = LadPowerFlow.wirePower(wiring.layout, cellPower);
+        wiring.spacers.forEach(spacer => {
+            const isOn = wires.spacers.has(spacer.key);
+            if (isOn !== spacer.isOn) {
+                spacer.isOn = isOn;
+                setStateClass([spacer.svg, ...spacer.parts], isOn);
+            }
+        });
+        wiring.leads.forEach(lead => {
+            lead.el.classList.toggle('MB_ladderon', wires.leads.has(lead.key));
+        });
+        wiring.connectors.forEach((el, index) => {
+            el.classList.toggle('MB_ladderon', wires.connectors.has(index));
+        });
+
+        if (wiring.model.hasEdges) {
+            edgeRungs.add(rungnum);
+        }
+    }
+
+    /**
+     * Set the on or off state class of some elements
+     * @param {Element[]} elements - Elements, null entries are skipped
+     * @param {boolean} isOn - On state
+     */
+    function setStateClass(elements, isOn) {
+        const stateClass = isOn ? 'MB_ladderon' : 'MB_ladderoff';
+        elements.forEach(el => {
+            if (el) {
+                el.classList.remove('MB_ladderoff', 'MB_ladderon');
+                el.classList.add(stateClass);
+            }
+        });
+    }
+
+    /**
+     * Redraw one indexed cell from the last applied values
+     * @param {Object} entry - Cell index entry
+     */
+    function applyCellState(entry) {
+        // Check if any address is "on"
+        let isOn = false;
+        let displayValue = null;
+
+        entry.addresses.forEach(addr => {
+            if (addr in appliedValues) {
+                const value = appliedValues[addr];
+                if (typeof value === 'boolean') {
+                    if (value) isOn = true;
+                } else if (typeof value === 'number') {
+                    displayValue = value;
+                    if (value !== 0) isOn = true;
+                } else if (value !== null && value !== undefined) {
+                    displayValue = value;
+                }
+            }
+        });
+
+        // Power flow decides when the rung's logic is known
+        if (entry.powered !== undefined) {
+            isOn = entry.powered;
+        }
+
+        if (isOn !== entry.isOn) {
+            entry.isOn = isOn;
+            // The cell, its SVG and every SVG child carry the state class
+            setStateClass([entry.el, entry.svg, ...entry.parts], isOn);
+        }
+
+        // Block faces show their values in place of the value label
+        if (entry.face) {
+            LadBlockFace.update(entry.face, appliedValues);
+            return;
+        }
+
+        const display = displayValue !== null ? formatValue(displayValue) : null;
+        if (display !== entry.display && entry.valueEl) {
+            entry.display = display;
+            if (display !== null) {
+                entry.valueEl.textContent = display;
+                entry.valueEl.style.display = 'block';
+            } else {
+                entry.valueEl.style.display = 'none';
+            }
+        }
     }
 
     /**
@@ -358,25 +1287,28 @@ const SubrDispControl = (function() {
         return String(value);
     }
 
-    /**
-     * Escape HTML special characters
-     * @param {string} str - Input string
-     * @returns {string} - Escaped string
-     */
-    function escapeHtml(str) {
-        if (!str) return '';
-        const div = document.createElement('div');
-        div.textContent = str;
-        return div.innerHTML;
-    }
-
     // Public API
     return {
         setProgram,
         getMonitorAddresses,
+        setMonitorListener,
         createRungList,
         renderToContainer,
+        setRungDecorator,
+        setRungFilter,
+        revealRung,
+        showRung,
+        locationHash,
+        parseLocationHash,
         updateCellStates,
-        isBlockSymbol
+        setForcedAddresses,
+        setBreakpointAddress,
+        setHighlightedAddresses,
+        isBlockSymbol,
+        getRungLayout,
+        CELL_WIDTH,
+        CELL_HEIGHT,
+        BLOCK_CELL_WIDTH,
+        BLOCK_CELL_HEIGHT
     };
 })();
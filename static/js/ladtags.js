@@ -0,0 +1,340 @@
+/**
+ * ladtags.js - Symbol Table
+ * Tag names and descriptions for addresses, loaded from a CSV or JSON
+ * tag file and kept in localStorage, with the ladder view mode
+ * (address, tag or both)
+ */
+
+const LadTags = (function() {
+    'use strict';
+
+    // localStorage key holding {view, tags: {address: {name, description}}}
+    const STORAGE_KEY = 'mblogic-tags';
+
+    // Ladder label view modes; each sets a tagview-<mode> class on the body
+    const VIEW_MODES = ['address', 'tag', 'both'];
+    const DEFAULT_VIEW = 'both';
+
+    // Symbol table: address -> {name, description}
+    let tags = {};
+    let viewMode = DEFAULT_VIEW;
+
+    // Called after the table changes, and with the mode after the view
+    // mode changes
+    let onChange = () => {};
+    let onViewChange = () => {};
+
+    // DOM element IDs
+    const ELEMENTS = {
+        importFile: 'tag-import-file',
+        btnClear: 'btn-tags-clear',
+        viewSelect: 'tag-view',
+        status: 'tag-status'
+    };
+
+    /**
+     * Initialize the tag file and view controls
+     * @param {Object} options - Options
+     * @param {Function} options.onChange - Called after the table changes
+     * @param {Function} options.onViewChange - Called with the mode after
+     *     the view mode changes
+     */
+    function init(options = {}) {
+        if (options.onChange) {
+            onChange = options.onChange;
+        }
+        if (options.onViewChange) {
+            onViewChange = options.onViewChange;
+        }
+
+        const importFile = document.getElementById(ELEMENTS.importFile);
+        if (importFile) {
+            importFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    loadFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+
+        const btnClear = document.getElementById(ELEMENTS.btnClear);
+        if (btnClear) {
+            btnClear.addEventListener('click', () => {
+                setTags({});
+                showStatus();
+            });
+        }
+
+        const viewSelect = document.getElementById(ELEMENTS.viewSelect);
+        if (viewSelect) {
+            viewSelect.value = viewMode;
+            viewSelect.addEventListener('change', (e) => setViewMode(e.target.value));
+        }
+
+        applyViewClass();
+        showStatus();
+    }
+
+    // ============================================================
+    // Storage
+    // ============================================================
+
+    /**
+     * Read the stored table and view mode
+     */
+    function loadStorage() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored) {
+                tags = stored.tags || {};
+                viewMode = VIEW_MODES.includes(stored.view) ? stored.view : DEFAULT_VIEW;
+            }
+        } catch (e) {
+            console.error('Failed to read stored tags:', e);
+        }
+    }
+
+    /**
+     * Write the table and view mode to localStorage
+     */
+    function saveStorage() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ view: viewMode, tags }));
+        } catch (e) {
+            console.error('Failed to store tags:', e);
+        }
+    }
+
+    // ============================================================
+    // Tag files
+    // ============================================================
+
+    /**
+     * Normalize one tag file entry
+     * @param {string} addr - Address
+     * @param {string} name - Tag name
+     * @param {string} description - Description
+     * @param {Object} result - {tags, errors} being filled in
+     */
+    function addEntry(addr, name, description, result) {
+        const address = String(addr || '').trim().toUpperCase();
+        const tagName = String(name || '').trim();
+        if (!LadAddress.isAddress(address)) {
+            result.errors.push(`Invalid address: ${address || '(blank)'}`);
+        } else if (!tagName && !description) {
+            result.errors.push(`No name or description for ${address}`);
+        } else {
+            result.tags[address] = {
+                name: tagName,
+                description: String(description || '').trim()
+            };
+        }
+    }
+
+    /**
+     * Parse a tag file.
+     * JSON may be an object mapping addresses to a name or to
+     * {name, description}, or an array of {address, name, description}.
+     * CSV has address,name,description columns with an optional header.
+     * @param {string} text - File contents
+     * @param {boolean} isJson - Parse as JSON rather than CSV
+     * @returns {Object} - {tags, errors}
+     */
+    function parseTagFile(text, isJson) {
+        const result = { tags: {}, errors: [] };
+
+        if (isJson) {
+            const data = JSON.parse(text);
+            if (Array.isArray(data)) {
+                data.forEach(entry => addEntry(entry.address || entry.addr,
+                                               entry.name || entry.tag, entry.description, result));
+            } else if (data && typeof data === 'object') {
+                Object.keys(data).forEach(addr => {
+                    const entry = data[addr];
+                    if (typeof entry === 'string') {
+                        addEntry(addr, entry, '', result);
+                    } else {
+                        addEntry(addr, entry && entry.name, entry && entry.description, result);
+                    }
+                });
+            } else {
+                throw new Error('Expected an object or array of tags');
+            }
+        } else {
+            LadFiles.parseCsv(text).forEach(([addr, name, description]) => {
+                const address = (addr || '').trim();
+                if (!address || address.toLowerCase() === 'address') return;
+                addEntry(address, name, description, result);
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Load a tag file, replacing the current table
+     * @param {File} file - JSON or CSV file
+     */
+    async function loadFile(file) {
+        try {
+            const text = await file.text();
+            const isJson = /\.json$/i.test(file.name) || /^\s*[[{]/.test(text);
+            const parsed = parseTagFile(text, isJson);
+            setTags(parsed.tags);
+            showStatus(parsed.errors);
+        } catch (e) {
+            showStatus([`Tag file not loaded: ${e.message}`]);
+        }
+    }
+
+    /**
+     * Replace the symbol table
+     * @param {Object} newTags - Object mapping addresses to {name, description}
+     */
+    function setTags(newTags) {
+        tags = newTags || {};
+        saveStorage();
+        onChange();
+    }
+
+    /**
+     * Show the table size and any load errors
+     * @param {string[]} errors - Errors from the last load
+     */
+    function showStatus(errors = []) {
+        const el = document.getElementById(ELEMENTS.status);
+        if (!el) return;
+        const count = Object.keys(tags).length;
+        el.textContent = count > 0 ? `${count} tags` : 'No tags';
+        if (errors.length > 0) {
+            el.textContent += ` (${errors.length} skipped)`;
+            el.title = errors.join('\n');
+        } else {
+            el.title = '';
+        }
+    }
+
+    // ============================================================
+    // Lookups
+    // ============================================================
+
+    /**
+     * Get the tag for an address
+     * @param {string} address - Address
+     * @returns {Object|null} - {name, description} or null
+     */
+    function getTag(address) {
+        return tags[address] || null;
+    }
+
+    /**
+     * Get the tag name of an address
+     * @param {string} address - Address
+     * @returns {string} - Name, or '' if the address has none
+     */
+    function getName(address) {
+        const tag = tags[address];
+        return tag ? tag.name : '';
+    }
+
+    /**
+     * Label an address for lists and tables, e.g. "X1 (StartButton)"
+     * @param {string} address - Address
+     * @returns {string}
+     */
+    function label(address) {
+        const name = getName(address);
+        return name ? `${address} (${name})` : address;
+    }
+
+    /**
+     * Build tooltip text for an address
+     * @param {string} address - Address
+     * @returns {string} - Text, or '' if the address has no tag
+     */
+    function tooltip(address) {
+        const tag = tags[address];
+        if (!tag) return '';
+        return [tag.name ? `${address} - ${tag.name}` : address, tag.description]
+            .filter(line => line).join('\n');
+    }
+
+    /**
+     * Find the address with a tag name
+     * @param {string} name - Tag name (case-insensitive)
+     * @returns {string|null}
+     */
+    function findAddress(name) {
+        const upper = String(name || '').trim().toUpperCase();
+        if (!upper) return null;
+        return Object.keys(tags).find(addr => tags[addr].name.toUpperCase() === upper) || null;
+    }
+
+    /**
+     * Find addresses whose tag name or description contains some text
+     * @param {string} text - Search text (case-insensitive)
+     * @returns {string[]}
+     */
+    function matchAddresses(text) {
+        const upper = String(text || '').trim().toUpperCase();
+        if (!upper) return [];
+        return Object.keys(tags).filter(addr =>
+            tags[addr].name.toUpperCase().includes(upper) ||
+            tags[addr].description.toUpperCase().includes(upper));
+    }
+
+    // ============================================================
+    // View mode
+    // ============================================================
+
+    /**
+     * Get the ladder label view mode
+     * @returns {string} - 'address', 'tag' or 'both'
+     */
+    function getViewMode() {
+        return viewMode;
+    }
+
+    /**
+     * Set the ladder label view mode
+     * @param {string} mode - 'address', 'tag' or 'both'
+     */
+    function setViewMode(mode) {
+        if (!VIEW_MODES.includes(mode)) return;
+        viewMode = mode;
+        saveStorage();
+        applyViewClass();
+        const viewSelect = document.getElementById(ELEMENTS.viewSelect);
+        if (viewSelect) {
+            viewSelect.value = mode;
+        }
+        onViewChange(mode);
+    }
+
+    /**
+     * Set the tagview-<mode> class on the body so CSS shows the right labels
+     */
+    function applyViewClass() {
+        VIEW_MODES.forEach(mode => {
+            document.body.classList.toggle(`tagview-${mode}`, mode === viewMode);
+        });
+    }
+
+    loadStorage();
+
+    // Public API
+    return {
+        init,
+        parseTagFile,
+        setTags,
+        getTag,
+        getName,
+        label,
+        tooltip,
+        findAddress,
+        matchAddresses,
+        getViewMode,
+        setViewMode
+    };
+})();
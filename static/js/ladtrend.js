@@ -0,0 +1,706 @@
+/**
+ * ladtrend.js - Trend Recorder
+ * Records live values of selected addresses and draws them as a
+ * multi-pen strip chart, with pause, zoom, a time cursor and CSV export
+ */
+
+const LadTrend = (function() {
+    'use strict';
+
+    // Samples kept per pen; the oldest are dropped first
+    const BUFFER_SIZE = 5000;
+
+    // Most pens shown at once
+    const MAX_PENS = 8;
+
+    // Visible time spans, in seconds, stepped through by zooming
+    const ZOOM_LEVELS = [5, 10, 30, 60, 120, 300, 600, 1800];
+    const DEFAULT_ZOOM = 2;
+
+    // Redraw period while the chart is scrolling
+    const REDRAW_INTERVAL_MS = 500;
+
+    // Pen colours, assigned in order
+    const PEN_COLORS = ['#2196F3', '#f44336', '#4CAF50', '#FF9800',
+                        '#9C27B0', '#00BCD4', '#795548', '#607D8B'];
+
+    // Chart layout in pixels
+    const LAYOUT = {
+        left: 90,
+        right: 15,
+        top: 10,
+        axis: 25,
+        gap: 10,
+        boolLane: 40,
+        numberLane: 110
+    };
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // Pens in display order: array of {addr, color, isBool, buffer}
+    let pens = [];
+
+    let zoomIndex = DEFAULT_ZOOM;
+    let paused = false;
+
+    // Right edge of the chart while paused, in ms since the epoch
+    let pausedAt = 0;
+
+    // Time under the mouse, or null when the cursor is off the chart
+    let cursorTime = null;
+
+    let subscription = null;
+    let redrawTimer = null;
+
+    // DOM element IDs
+    const ELEMENTS = {
+        addressInput: 'trend-address-input',
+        btnAdd: 'btn-trend-add',
+        btnPause: 'btn-trend-pause',
+        btnZoomIn: 'btn-trend-zoom-in',
+        btnZoomOut: 'btn-trend-zoom-out',
+        btnClear: 'btn-trend-clear',
+        btnExport: 'btn-trend-export',
+        span: 'trend-span',
+        pens: 'trend-pens',
+        chart: 'trend-chart',
+        messages: 'trend-messages'
+    };
+
+    /**
+     * Create a fixed size ring buffer
+     * @param {number} capacity - Most items kept
+     * @returns {Object} - {push, toArray, last, clear}
+     */
+    function createRingBuffer(capacity) {
+        const items = new Array(capacity);
+        let start = 0;
+        let count = 0;
+
+        return {
+            push(item) {
+                items[(start + count) % capacity] = item;
+                if (count < capacity) {
+                    count++;
+                } else {
+                    start = (start + 1) % capacity;
+                }
+            },
+            toArray() {
+                const result = [];
+                for (let i = 0; i < count; i++) {
+                    result.push(items[(start + i) % capacity]);
+                }
+                return result;
+            },
+            last() {
+                return count > 0 ? items[(start + count - 1) % capacity] : undefined;
+            },
+            clear() {
+                start = 0;
+                count = 0;
+            }
+        };
+    }
+
+    /**
+     * Initialize the trend recorder
+     */
+    function init() {
+        setupHandlers();
+        renderPens();
+        render();
+    }
+
+    /**
+     * Set up control handlers
+     */
+    function setupHandlers() {
+        const input = document.getElementById(ELEMENTS.addressInput);
+        const btnAdd = document.getElementById(ELEMENTS.btnAdd);
+        const btnPause = document.getElementById(ELEMENTS.btnPause);
+        const btnZoomIn = document.getElementById(ELEMENTS.btnZoomIn);
+        const btnZoomOut = document.getElementById(ELEMENTS.btnZoomOut);
+        const btnClear = document.getElementById(ELEMENTS.btnClear);
+        const btnExport = document.getElementById(ELEMENTS.btnExport);
+        const pensEl = document.getElementById(ELEMENTS.pens);
+        const chart = document.getElementById(ELEMENTS.chart);
+
+        if (btnAdd && input) {
+            btnAdd.addEventListener('click', () => {
+                if (addPens(input.value)) {
+                    input.value = '';
+                }
+            });
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' && addPens(input.value)) {
+                    input.value = '';
+                }
+            });
+        }
+
+        if (btnPause) {
+            btnPause.addEventListener('click', () => setPaused(!paused));
+        }
+
+        if (btnZoomIn) {
+            btnZoomIn.addEventListener('click', () => zoom(-1));
+        }
+
+        if (btnZoomOut) {
+            btnZoomOut.addEventListener('click', () => zoom(1));
+        }
+
+        if (btnClear) {
+            btnClear.addEventListener('click', clearSamples);
+        }
+
+        if (btnExport) {
+            btnExport.addEventListener('click', () => {
+                LadFiles.downloadFile('trend.csv', exportCsv(), 'text/csv');
+            });
+        }
+
+        // Pen chips are re-rendered whenever pens change, so delegate
+        if (pensEl) {
+            pensEl.addEventListener('click', (e) => {
+                const remove = e.target.closest('.trend-pen-remove');
+                if (remove) {
+                    removePen(remove.getAttribute('data-addr'));
+                }
+            });
+        }
+
+        if (chart) {
+            chart.addEventListener('mousemove', (e) => {
+                cursorTime = timeAtPosition(chart, e.clientX);
+                render();
+            });
+            chart.addEventListener('mouseleave', () => {
+                cursorTime = null;
+                render();
+            });
+            chart.addEventListener('wheel', (e) => {
+                e.preventDefault();
+                zoom(e.deltaY < 0 ? -1 : 1);
+            }, { passive: false });
+        }
+    }
+
+    // ============================================================
+    // Pens and samples
+    // ============================================================
+
+    /**
+     * Add pens for a typed address list
+     * @param {string} text - Addresses, e.g. "X1, DS10"
+     * @returns {boolean} - True if every address was added
+     */
+    function addPens(text) {
+        const parsed = LadAddress.parseAddressList(text);
+        const errors = parsed.errors.slice();
+
+        parsed.addresses.forEach(addr => {
+            if (pens.some(pen => pen.addr === addr)) return;
+            if (LadAddress.getAddressType(addr) === 'string') {
+                errors.push(`Text addresses cannot be trended: ${addr}`);
+            } else if (pens.length >= MAX_PENS) {
+                errors.push(`At most ${MAX_PENS} pens: ${addr} not added`);
+            } else {
+                pens.push({
+                    addr,
+                    color: nextColor(),
+                    isBool: LadAddress.isBoolAddress(addr),
+                    buffer: createRingBuffer(BUFFER_SIZE)
+                });
+            }
+        });
+
+        showMessages(errors);
+        penListChanged();
+        return errors.length === 0;
+    }
+
+    /**
+     * Remove a pen and its samples
+     * @param {string} address - Pen address
+     */
+    function removePen(address) {
+        pens = pens.filter(pen => pen.addr !== address);
+        penListChanged();
+    }
+
+    /**
+     * Pick the first colour not used by another pen
+     * @returns {string}
+     */
+    function nextColor() {
+        const used = pens.map(pen => pen.color);
+        return PEN_COLORS.find(color => !used.includes(color)) || PEN_COLORS[0];
+    }
+
+    /**
+     * Watch the pen addresses on the page's live updates while there are
+     * pens, and stop watching when the last one is removed
+     */
+    function watchPenAddresses() {
+        const addresses = pens.map(pen => pen.addr);
+        if (addresses.length === 0) {
+            if (subscription) {
+                subscription.close();
+                subscription = null;
+            }
+        } else if (subscription) {
+            subscription.setAddresses(addresses);
+        } else {
+            subscription = ServerComm.subscribe({
+                addresses,
+                statistics: false,
+                onData: recordChanges
+            });
+        }
+    }
+
+    /**
+     * Update the subscription, pen list and chart after pens change
+     */
+    function penListChanged() {
+        watchPenAddresses();
+        renderPens();
+        updateRedrawTimer();
+        render();
+    }
+
+    /**
+     * Record changed values as samples
+     * @param {Object} changes - Object mapping changed addresses to values
+     */
+    function recordChanges(changes) {
+        const now = Date.now();
+        pens.forEach(pen => {
+            if (!(pen.addr in changes)) return;
+            const value = sampleValue(pen, changes[pen.addr]);
+            const last = pen.buffer.last();
+            if (!last || last.v !== value) {
+                pen.buffer.push({ t: now, v: value });
+            }
+        });
+        if (!paused) {
+            render();
+        }
+    }
+
+    /**
+     * Convert a data table value to a number for plotting
+     * @param {Object} pen - Pen
+     * @param {*} value - Value from the server (booleans arrive as true or null)
+     * @returns {number|null}
+     */
+    function sampleValue(pen, value) {
+        if (pen.isBool) {
+            return value ? 1 : 0;
+        }
+        const number = Number(value);
+        return value === null || Number.isNaN(number) ? null : number;
+    }
+
+    /**
+     * Drop all recorded samples
+     */
+    function clearSamples() {
+        pens.forEach(pen => pen.buffer.clear());
+        if (paused) {
+            pausedAt = Date.now();
+        }
+        render();
+    }
+
+    // ============================================================
+    // Pause and zoom
+    // ============================================================
+
+    /**
+     * Freeze or resume the chart. Recording continues while paused.
+     * @param {boolean} value - True to pause
+     */
+    function setPaused(value) {
+        paused = value;
+        if (paused) {
+            pausedAt = Date.now();
+        }
+        const btn = document.getElementById(ELEMENTS.btnPause);
+        if (btn) {
+            btn.textContent = paused ? 'Resume' : 'Pause';
+            btn.classList.toggle('active', paused);
+        }
+        updateRedrawTimer();
+        render();
+    }
+
+    /**
+     * Step the visible time span
+     * @param {number} direction - -1 to zoom in, 1 to zoom out
+     */
+    function zoom(direction) {
+        zoomIndex = Math.min(ZOOM_LEVELS.length - 1, Math.max(0, zoomIndex + direction));
+        render();
+    }
+
+    /**
+     * Keep the chart scrolling while it is live and has pens
+     */
+    function updateRedrawTimer() {
+        const wanted = !paused && pens.length > 0;
+        if (wanted && !redrawTimer) {
+            redrawTimer = setInterval(render, REDRAW_INTERVAL_MS);
+        } else if (!wanted && redrawTimer) {
+            clearInterval(redrawTimer);
+            redrawTimer = null;
+        }
+    }
+
+    /**
+     * Get the visible time window
+     * @returns {Object} - {start, end} in ms since the epoch
+     */
+    function getWindow() {
+        const end = paused ? pausedAt : Date.now();
+        return { start: end - ZOOM_LEVELS[zoomIndex] * 1000, end };
+    }
+
+    /**
+     * Convert a mouse position to a time on the chart
+     * @param {HTMLElement} chart - Chart container
+     * @param {number} clientX - Mouse x position
+     * @returns {number|null} - Time, or null left or right of the plot
+     */
+    function timeAtPosition(chart, clientX) {
+        const rect = chart.getBoundingClientRect();
+        const plotWidth = rect.width - LAYOUT.left - LAYOUT.right;
+        const x = clientX - rect.left - LAYOUT.left;
+        if (plotWidth <= 0 || x < 0 || x > plotWidth) return null;
+        const win = getWindow();
+        return win.start + (x / plotWidth) * (win.end - win.start);
+    }
+
+    // ============================================================
+    // Rendering
+    // ============================================================
+
+    /**
+     * Render the pen chips
+     */
+    function renderPens() {
+        const pensEl = document.getElementById(ELEMENTS.pens);
+        if (!pensEl) return;
+        pensEl.innerHTML = '';
+
+        pens.forEach(pen => {
+            const chip = document.createElement('span');
+            chip.className = 'trend-pen';
+            chip.style.borderColor = pen.color;
+            chip.title = LadTags.tooltip(pen.addr);
+
+            const label = document.createElement('span');
+            label.textContent = pen.addr;
+            label.style.color = pen.color;
+            chip.appendChild(label);
+
+            const remove = document.createElement('button');
+            remove.className = 'trend-pen-remove';
+            remove.setAttribute('data-addr', pen.addr);
+            remove.title = `Remove ${pen.addr}`;
+            remove.textContent = '×';
+            chip.appendChild(remove);
+
+            pensEl.appendChild(chip);
+        });
+    }
+
+    /**
+     * Create an SVG element
+     * @param {string} tag - Element name
+     * @param {Object} attrs - Attributes
+     * @returns {SVGElement}
+     */
+    function svgElement(tag, attrs) {
+        const el = document.createElementNS(SVG_NS, tag);
+        Object.keys(attrs).forEach(name => el.setAttribute(name, attrs[name]));
+        return el;
+    }
+
+    /**
+     * Get the samples that affect a time window: the last sample before
+     * the window (the value held at its start) and every sample inside it
+     * @param {Object} pen - Pen
+     * @param {Object} win - {start, end}
+     * @returns {Object[]} - Samples of {t, v}
+     */
+    function visibleSamples(pen, win) {
+        const samples = pen.buffer.toArray();
+        let first = 0;
+        while (first < samples.length - 1 && samples[first + 1].t <= win.start) {
+            first++;
+        }
+        return samples.slice(first).filter(s => s.t <= win.end);
+    }
+
+    /**
+     * Get the value of a pen at a time
+     * @param {Object} pen - Pen
+     * @param {number} time - Time in ms since the epoch
+     * @returns {number|null|undefined} - undefined if nothing was recorded yet
+     */
+    function valueAt(pen, time) {
+        let value;
+        pen.buffer.toArray().forEach(sample => {
+            if (sample.t <= time) {
+                value = sample.v;
+            }
+        });
+        return value;
+    }
+
+    /**
+     * Format a time as HH:MM:SS
+     * @param {number} time - Time in ms since the epoch
+     * @returns {string}
+     */
+    function formatTime(time) {
+        return new Date(time).toTimeString().slice(0, 8);
+    }
+
+    /**
+     * Format a pen value for labels
+     * @param {Object} pen - Pen
+     * @param {number|null|undefined} value - Value
+     * @returns {string}
+     */
+    function formatValue(pen, value) {
+        if (value === undefined || value === null) return '-';
+        if (pen.isBool) return value ? 'ON' : 'OFF';
+        return Number.isInteger(value) ? String(value) : value.toFixed(3);
+    }
+
+    /**
+     * Redraw the chart
+     */
+    function render() {
+        const chart = document.getElementById(ELEMENTS.chart);
+        if (!chart) return;
+
+        const span = document.getElementById(ELEMENTS.span);
+        if (span) {
+            span.textContent = `${ZOOM_LEVELS[zoomIndex]} s`;
+        }
+
+        chart.innerHTML = '';
+        if (pens.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'trend-empty';
+            empty.textContent = 'Add addresses to start recording';
+            chart.appendChild(empty);
+            return;
+        }
+
+        const width = chart.clientWidth || 800;
+        const plotWidth = width - LAYOUT.left - LAYOUT.right;
+        const height = LAYOUT.top + LAYOUT.axis + pens.reduce((sum, pen) =>
+            sum + (pen.isBool ? LAYOUT.boolLane : LAYOUT.numberLane) + LAYOUT.gap, 0);
+        const win = getWindow();
+        const xOf = t => LAYOUT.left + ((t - win.start) / (win.end - win.start)) * plotWidth;
+
+        const svg = svgElement('svg', { width, height, class: 'trend-svg' });
+        let laneTop = LAYOUT.top;
+
+        pens.forEach(pen => {
+            const laneHeight = pen.isBool ? LAYOUT.boolLane : LAYOUT.numberLane;
+            drawLane(svg, pen, win, xOf, laneTop, laneHeight, plotWidth);
+            laneTop += laneHeight + LAYOUT.gap;
+        });
+
+        drawTimeAxis(svg, win, xOf, laneTop);
+
+        if (cursorTime !== null) {
+            const x = xOf(cursorTime);
+            svg.appendChild(svgElement('line', {
+                x1: x, y1: LAYOUT.top, x2: x, y2: laneTop, class: 'trend-cursor'
+            }));
+            const label = svgElement('text', {
+                x, y: laneTop + 20, 'text-anchor': 'middle', class: 'trend-cursor-label'
+            });
+            label.textContent = formatTime(cursorTime);
+            svg.appendChild(label);
+        }
+
+        chart.appendChild(svg);
+    }
+
+    /**
+     * Draw one pen's lane: frame, scale labels and trace
+     * @param {SVGElement} svg - Chart
+     * @param {Object} pen - Pen
+     * @param {Object} win - Visible time window
+     * @param {Function} xOf - Maps a time to an x position
+     * @param {number} top - Lane top
+     * @param {number} height - Lane height
+     * @param {number} plotWidth - Width of the plot area
+     */
+    function drawLane(svg, pen, win, xOf, top, height, plotWidth) {
+        const samples = visibleSamples(pen, win).filter(s => s.v !== null);
+
+        let min = 0;
+        let max = 1;
+        if (!pen.isBool && samples.length > 0) {
+            min = Math.min(...samples.map(s => s.v));
+            max = Math.max(...samples.map(s => s.v));
+            if (min === max) {
+                min -= 1;
+                max += 1;
+            }
+        }
+        const margin = 4;
+        const yOf = v => top + height - margin - ((v - min) / (max - min)) * (height - 2 * margin);
+
+        svg.appendChild(svgElement('rect', {
+            x: LAYOUT.left, y: top, width: plotWidth, height, class: 'trend-lane'
+        }));
+
+        const name = svgElement('text', { x: 5, y: top + 14, fill: pen.color, class: 'trend-pen-label' });
+        name.textContent = pen.addr;
+        const tagName = LadTags.getName(pen.addr);
+        if (tagName) {
+            const tagLabel = svgElement('text', { x: 5, y: top + 44, class: 'trend-tag-label' });
+            tagLabel.textContent = tagName;
+            svg.appendChild(tagLabel);
+        }
+        svg.appendChild(name);
+
+        const shown = cursorTime !== null ? valueAt(pen, cursorTime) : (pen.buffer.last() || {}).v;
+        const value = svgElement('text', { x: 5, y: top + 30, class: 'trend-value-label' });
+        value.textContent = formatValue(pen, shown);
+        svg.appendChild(value);
+
+        if (!pen.isBool) {
+            const maxLabel = svgElement('text', {
+                x: LAYOUT.left - 4, y: top + 10, 'text-anchor': 'end', class: 'trend-scale-label'
+            });
+            maxLabel.textContent = formatValue(pen, max);
+            svg.appendChild(maxLabel);
+            const minLabel = svgElement('text', {
+                x: LAYOUT.left - 4, y: top + height - 2, 'text-anchor': 'end', class: 'trend-scale-label'
+            });
+            minLabel.textContent = formatValue(pen, min);
+            svg.appendChild(minLabel);
+        }
+
+        if (samples.length === 0) return;
+
+        // Booleans hold their state until the next change, so they are
+        // drawn as steps; numbers are joined point to point. Either way the
+        // last value is carried on to the right edge.
+        const clampX = t => xOf(Math.max(t, win.start));
+        let path = `M ${clampX(samples[0].t)} ${yOf(samples[0].v)}`;
+        samples.slice(1).forEach(sample => {
+            path += pen.isBool
+                ? ` H ${clampX(sample.t)} V ${yOf(sample.v)}`
+                : ` L ${clampX(sample.t)} ${yOf(sample.v)}`;
+        });
+        path += ` H ${xOf(win.end)}`;
+
+        svg.appendChild(svgElement('path', {
+            d: path, stroke: pen.color, class: 'trend-trace'
+        }));
+    }
+
+    /**
+     * Draw the time axis with a tick every fifth of the window
+     * @param {SVGElement} svg - Chart
+     * @param {Object} win - Visible time window
+     * @param {Function} xOf - Maps a time to an x position
+     * @param {number} top - Axis position
+     */
+    function drawTimeAxis(svg, win, xOf, top) {
+        const ticks = 5;
+        for (let i = 0; i <= ticks; i++) {
+            const t = win.start + (i / ticks) * (win.end - win.start);
+            const x = xOf(t);
+            svg.appendChild(svgElement('line', {
+                x1: x, y1: LAYOUT.top, x2: x, y2: top, class: 'trend-grid'
+            }));
+            const label = svgElement('text', {
+                x, y: top + 12, 'text-anchor': i === ticks ? 'end' : 'middle', class: 'trend-axis-label'
+            });
+            label.textContent = formatTime(t);
+            svg.appendChild(label);
+        }
+    }
+
+    // ============================================================
+    // Export
+    // ============================================================
+
+    /**
+     * Build CSV text of all recorded samples. Each row is a time at which
+     * any pen changed; every column holds that pen's value at that time.
+     * @returns {string}
+     */
+    function exportCsv() {
+        const times = new Set();
+        const sampleLists = pens.map(pen => pen.buffer.toArray());
+        sampleLists.forEach(samples => samples.forEach(s => times.add(s.t)));
+
+        const indexes = pens.map(() => 0);
+        const current = pens.map(() => '');
+        const rows = [['time'].concat(pens.map(pen => pen.addr))];
+
+        [...times].sort((a, b) => a - b).forEach(time => {
+            sampleLists.forEach((samples, i) => {
+                while (indexes[i] < samples.length && samples[indexes[i]].t <= time) {
+                    const v = samples[indexes[i]].v;
+                    current[i] = v === null ? '' : v;
+                    indexes[i]++;
+                }
+            });
+            rows.push([new Date(time).toISOString()].concat(current));
+        });
+
+        return LadFiles.toCsv(rows);
+    }
+
+    /**
+     * Show validation messages
+     * @param {string[]} messages - Messages, empty to clear
+     */
+    function showMessages(messages) {
+        const el = document.getElementById(ELEMENTS.messages);
+        if (el) {
+            el.textContent = messages.join('; ');
+            el.hidden = messages.length === 0;
+        }
+    }
+
+    /**
+     * Clean up on page unload
+     */
+    function cleanup() {
+        if (redrawTimer) {
+            clearInterval(redrawTimer);
+            redrawTimer = null;
+        }
+        if (subscription) {
+            subscription.close();
+            subscription = null;
+        }
+    }
+
+    window.addEventListener('beforeunload', cleanup);
+
+    // Public API
+    return {
+        init,
+        removePen,
+        setPaused,
+        exportCsv
+    };
+})();
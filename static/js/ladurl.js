@@ -0,0 +1,93 @@
+/**
+ * ladurl.js - Page State in the URL
+ * Reads and writes the page state carried in the location hash, e.g.
+ * #subr=Conveyor&rung=57&monitor=1&hl=X1,DS10&view=tag, so a link opens
+ * the page as it was shared
+ */
+
+const LadUrl = (function() {
+    'use strict';
+
+    // Label view modes a link may ask for (see LadTags)
+    const VIEW_MODES = ['address', 'tag', 'both'];
+
+    /**
+     * Read the page state from a location hash
+     * @param {string} hash - Location hash, including the #; defaults to
+     *     the current one
+     * @returns {Object} - {subrname, rungnum, monitor, highlight, view};
+     *     subrname, rungnum and view are null when the hash has none
+     */
+    function read(hash = window.location.hash) {
+        const target = SubrDispControl.parseLocationHash(hash) || {};
+        const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+        const view = params.get('view');
+
+        return {
+            subrname: target.subrname || null,
+            rungnum: target.rungnum || null,
+            monitor: params.get('monitor') === '1',
+            highlight: (params.get('hl') || '').split(',')
+                .map(addr => addr.trim().toUpperCase())
+                .filter(addr => LadAddress.isAddress(addr)),
+            view: VIEW_MODES.includes(view) ? view : null
+        };
+    }
+
+    /**
+     * Build the location hash of a page state
+     * @param {Object} state - {subrname, rungnum, monitor, highlight, view};
+     *     missing parts are left out
+     * @returns {string} - Hash, or an empty string for an empty state
+     */
+    function build(state) {
+        let hash = '#';
+        if (state.subrname) {
+            hash = SubrDispControl.locationHash(state.subrname, state.rungnum);
+        } else if (state.rungnum) {
+            hash = `#rung=${state.rungnum}`;
+        }
+        const add = (name, value) => {
+            hash += `${hash.length > 1 ? '&' : ''}${name}=${value}`;
+        };
+
+        if (state.monitor) {
+            add('monitor', '1');
+        }
+        if (state.highlight && state.highlight.length > 0) {
+            // Commas are left as they are so the list stays readable
+            add('hl', state.highlight.map(encodeURIComponent).join(','));
+        }
+        if (state.view) {
+            add('view', state.view);
+        }
+        return hash === '#' ? '' : hash;
+    }
+
+    /**
+     * Put a page state in the URL
+     * @param {Object} state - Page state, as for build
+     * @param {boolean} push - Add a history entry, so back returns to the
+     *     previous state; otherwise the current entry is replaced, which
+     *     does not fire hashchange
+     * @returns {boolean} - The URL changed
+     */
+    function write(state, push = false) {
+        const hash = build(state);
+        if (hash === window.location.hash) return false;
+
+        if (push) {
+            window.location.hash = hash;
+        } else {
+            history.replaceState(null, '', hash || window.location.pathname + window.location.search);
+        }
+        return true;
+    }
+
+    // Public API
+    return {
+        read,
+        build,
+        write
+    };
+})();
@@ -0,0 +1,278 @@
+/**
+ * ladviewer.js - Offline Ladder Viewer
+ * Shows a saved program file (program JSON from /api/program or a bundle
+ * of all subroutines) without a server, for code review and archived
+ * projects
+ */
+
+const LadViewer = (function() {
+    'use strict';
+
+    // Program data of the opened file, keyed by subroutine name
+    let programs = {};
+
+    // Current subroutine
+    let currentSubroutine = 'main';
+
+    // DOM element IDs
+    const ELEMENTS = {
+        container: 'staticrunglist',
+        fileInput: 'viewer-file',
+        fileStatus: 'viewer-file-status',
+        subrSelect: 'subr-select'
+    };
+
+    /**
+     * Initialize the viewer
+     */
+    function init() {
+        // Address cross reference, search and the call tree work from the
+        // opened file, which is empty until one is opened
+        LadProgram.setAll(programs);
+        LadXref.init({
+            onNavigate: navigate,
+            onHighlight: syncLocation
+        });
+        LadSearch.init({
+            onNavigate: navigate,
+            getSubroutine: () => currentSubroutine
+        });
+        LadCalls.init({ onNavigate: navigate });
+
+        // Back and forward retrace the subroutines shown through the
+        // location hash
+        window.addEventListener('hashchange', followLocation);
+
+        // Symbol table: redraw labels when tags are loaded or cleared
+        LadTags.init({
+            onChange: () => showSubroutine(currentSubroutine),
+            onViewChange: syncLocation
+        });
+
+        // A shared link brings its highlighted addresses and label view;
+        // the subroutine and rung wait for the file to be opened
+        const linked = LadUrl.read();
+        if (linked.view) {
+            LadTags.setViewMode(linked.view);
+        }
+        if (linked.highlight.length > 0) {
+            LadXref.highlight(linked.highlight);
+        }
+
+        const fileInput = document.getElementById(ELEMENTS.fileInput);
+        if (fileInput) {
+            fileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    openFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+
+        const subrSelect = document.getElementById(ELEMENTS.subrSelect);
+        if (subrSelect) {
+            subrSelect.addEventListener('change', (e) => {
+                navigate(e.target.value, null);
+            });
+        }
+
+        // A file can be dropped anywhere on the page
+        document.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            document.body.classList.add('viewer-drop');
+        });
+        document.addEventListener('dragleave', (e) => {
+            if (!e.relatedTarget) {
+                document.body.classList.remove('viewer-drop');
+            }
+        });
+        document.addEventListener('drop', (e) => {
+            e.preventDefault();
+            document.body.classList.remove('viewer-drop');
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (file) {
+                openFile(file);
+            }
+        });
+    }
+
+    /**
+     * Read a saved program file and show its main program. IL source is
+     * turned away: only the server can compile it into ladder.
+     * @param {File} file - Program JSON or bundle file
+     */
+    async function openFile(file) {
+        let loaded;
+        try {
+            const text = await file.text();
+            if (/\.il$/i.test(file.name) || !/^\s*[[{]/.test(text)) {
+                showStatus(`Cannot open ${file.name}: the viewer opens program JSON or bundles. ` +
+                           'IL source needs the server to build the ladder; open it with Download ' +
+                           'in the Ladder Monitor.');
+                return;
+            }
+            loaded = LadProgram.fromBundle(JSON.parse(text));
+        } catch (e) {
+            showStatus(`Cannot open ${file.name}: ${e.message}`);
+            return;
+        }
+
+        programs = loaded;
+        LadProgram.setAll(programs);
+
+        const names = subroutineNames();
+        populateSubroutines(names);
+        showStatus(`${file.name}: ${names.length} ${names.length === 1 ? 'subroutine' : 'subroutines'}`);
+
+        // A location hash naming a subroutine of the file picks the first one
+        const target = LadUrl.read();
+        showSubroutine(programs[target.subrname] ? target.subrname : names[0]);
+        LadSearch.refresh();
+        LadCalls.refresh();
+        syncLocation();
+    }
+
+    /**
+     * Subroutine names of the opened file, main program first
+     * @returns {string[]}
+     */
+    function subroutineNames() {
+        const names = Object.keys(programs).sort();
+        const mainIndex = names.indexOf('main');
+        if (mainIndex > 0) {
+            names.splice(mainIndex, 1);
+            names.unshift('main');
+        }
+        return names;
+    }
+
+    /**
+     * Fill the subroutine selector
+     * @param {string[]} names - Subroutine names
+     */
+    function populateSubroutines(names) {
+        const select = document.getElementById(ELEMENTS.subrSelect);
+        if (!select) return;
+
+        select.innerHTML = '';
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.disabled = names.length === 0;
+    }
+
+    /**
+     * Display a subroutine of the opened file
+     * @param {string} subrname - Subroutine name
+     */
+    function showSubroutine(subrname) {
+        const programData = programs[subrname];
+        if (!programData) return;
+
+        currentSubroutine = subrname;
+        const select = document.getElementById(ELEMENTS.subrSelect);
+        if (select) {
+            select.value = subrname;
+        }
+
+        SubrDispControl.renderToContainer(ELEMENTS.container, programData);
+        LadSearch.applyToContainer();
+    }
+
+    /**
+     * Show a rung, switching subroutine first if needed, and highlight it
+     * @param {string} subrname - Subroutine name
+     * @param {number|null} rungnum - Rung (network) number, or null to
+     *     only switch subroutine
+     */
+    function showRung(subrname, rungnum) {
+        if (subrname !== currentSubroutine) {
+            showSubroutine(subrname);
+        }
+
+        if (rungnum) {
+            SubrDispControl.showRung(rungnum);
+        }
+    }
+
+    /**
+     * Go to a subroutine and rung through the location hash, so the
+     * browser's back and forward buttons return to it
+     * @param {string} subrname - Subroutine name
+     * @param {number|null} rungnum - Rung (network) number, or null for
+     *     the subroutine only
+     */
+    function navigate(subrname, rungnum) {
+        // Setting the same hash again does not fire hashchange
+        if (!LadUrl.write(pageState({ subrname, rungnum }), true)) {
+            showRung(subrname, rungnum);
+        }
+    }
+
+    /**
+     * Show the subroutine named by the location hash. The rendered
+     * subroutine shows the rung itself (see SubrDispControl.showHashRung).
+     */
+    function followLocation() {
+        const target = LadUrl.read();
+        if (target.subrname && target.subrname !== currentSubroutine &&
+            programs[target.subrname]) {
+            showSubroutine(target.subrname);
+        }
+        syncLocation();
+    }
+
+    /**
+     * Get the state of the page as it goes in the URL
+     * @param {Object} changes - Parts that differ from the current state
+     * @returns {Object} - State for LadUrl.build
+     */
+    function pageState(changes = {}) {
+        const shown = LadUrl.read();
+
+        // Until a file is opened, a linked subroutine and rung wait for it
+        const subrname = Object.keys(programs).length > 0 ? currentSubroutine : shown.subrname;
+        return Object.assign({
+            subrname,
+            // A plain #rung-N is a rung of the shown subroutine
+            rungnum: !shown.subrname || shown.subrname === subrname ? shown.rungnum : null,
+            highlight: LadXref.getHighlighted(),
+            view: LadTags.getViewMode()
+        }, changes);
+    }
+
+    /**
+     * Bring the URL up to date with the page without adding a history entry
+     */
+    function syncLocation() {
+        LadUrl.write(pageState());
+    }
+
+    /**
+     * Show the file status message
+     * @param {string} text - Message
+     */
+    function showStatus(text) {
+        const status = document.getElementById(ELEMENTS.fileStatus);
+        if (status) {
+            status.textContent = text;
+        }
+    }
+
+    // Public API
+    return {
+        init,
+        openFile,
+        showSubroutine,
+        showRung
+    };
+})();
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    LadViewer.init();
+});
@@ -0,0 +1,583 @@
+/**
+ * ladwatch.js - Watch Table
+ * Live values for user-entered address lists, with named lists
+ * persisted in localStorage and JSON/CSV import and export
+ */
+
+const LadWatch = (function() {
+    'use strict';
+
+    // localStorage key holding {active, lists: {name: rows}}
+    const STORAGE_KEY = 'mblogic-watchlists';
+    const DEFAULT_LIST = 'default';
+
+    // Display formats selectable per row
+    const FORMATS = ['decimal', 'hex', 'binary', 'float', 'ascii'];
+
+    // Active watch list: name and rows of {addr, format}
+    let currentList = DEFAULT_LIST;
+    let rows = [];
+
+    // Latest value of every watched address
+    let values = {};
+
+    let subscription = null;
+
+    // DOM element IDs
+    const ELEMENTS = {
+        addressInput: 'watch-address-input',
+        btnAdd: 'btn-watch-add',
+        btnClear: 'btn-watch-clear',
+        listSelect: 'watch-list-select',
+        listName: 'watch-list-name',
+        btnSaveAs: 'btn-watch-save-as',
+        btnDelete: 'btn-watch-delete',
+        btnExportJson: 'btn-watch-export-json',
+        btnExportCsv: 'btn-watch-export-csv',
+        importFile: 'watch-import-file',
+        messages: 'watch-messages',
+        tableBody: 'watch-table-body'
+    };
+
+    /**
+     * Initialize the watch table
+     */
+    function init() {
+        setupHandlers();
+
+        const stored = loadStorage();
+        currentList = stored.lists[stored.active] ? stored.active : DEFAULT_LIST;
+        rows = (stored.lists[currentList] || []).slice();
+
+        subscription = ServerComm.subscribe({
+            addresses: getWatchedAddresses(),
+            statistics: false,
+            onData: handleDataChanges,
+            onModeChange: LadStatus.showUpdateMode,
+            onStale: LadStatus.showStale
+        });
+
+        renderListSelect();
+        renderTable();
+    }
+
+    /**
+     * Set up control handlers
+     */
+    function setupHandlers() {
+        const input = document.getElementById(ELEMENTS.addressInput);
+        const btnAdd = document.getElementById(ELEMENTS.btnAdd);
+        const btnClear = document.getElementById(ELEMENTS.btnClear);
+        const listSelect = document.getElementById(ELEMENTS.listSelect);
+        const btnSaveAs = document.getElementById(ELEMENTS.btnSaveAs);
+        const btnDelete = document.getElementById(ELEMENTS.btnDelete);
+        const btnExportJson = document.getElementById(ELEMENTS.btnExportJson);
+        const btnExportCsv = document.getElementById(ELEMENTS.btnExportCsv);
+        const importFile = document.getElementById(ELEMENTS.importFile);
+        const tableBody = document.getElementById(ELEMENTS.tableBody);
+
+        if (btnAdd && input) {
+            btnAdd.addEventListener('click', () => {
+                if (addAddresses(input.value)) {
+                    input.value = '';
+                }
+            });
+        }
+
+        if (btnClear) {
+            btnClear.addEventListener('click', () => {
+                setRows([]);
+            });
+        }
+
+        if (listSelect) {
+            listSelect.addEventListener('change', (e) => {
+                switchList(e.target.value);
+            });
+        }
+
+        if (btnSaveAs) {
+            btnSaveAs.addEventListener('click', () => {
+                const nameInput = document.getElementById(ELEMENTS.listName);
+                const name = nameInput ? nameInput.value.trim() : '';
+                if (!name) {
+                    showMessages(['Enter a name for the watch list']);
+                    return;
+                }
+                currentList = name;
+                saveCurrentList();
+                renderListSelect();
+                if (nameInput) {
+                    nameInput.value = '';
+                }
+            });
+        }
+
+        if (btnDelete) {
+            btnDelete.addEventListener('click', deleteCurrentList);
+        }
+
+        if (btnExportJson) {
+            btnExportJson.addEventListener('click', () => {
+                LadFiles.downloadFile(`${currentList}.json`, exportJson(), 'application/json');
+            });
+        }
+
+        if (btnExportCsv) {
+            btnExportCsv.addEventListener('click', () => {
+                LadFiles.downloadFile(`${currentList}.csv`, exportCsv(), 'text/csv');
+            });
+        }
+
+        if (importFile) {
+            importFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    importFromFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+
+        // Row controls are re-rendered with the table, so delegate from the body
+        if (tableBody) {
+            tableBody.addEventListener('change', (e) => {
+                if (e.target.classList.contains('watch-format')) {
+                    const index = parseInt(e.target.getAttribute('data-index'), 10);
+                    rows[index].format = e.target.value;
+                    saveCurrentList();
+                    // A float across two registers needs the second one too
+                    subscription.setAddresses(getWatchedAddresses());
+                    updateValueCells();
+                }
+            });
+            tableBody.addEventListener('click', (e) => {
+                if (e.target.classList.contains('watch-remove')) {
+                    const index = parseInt(e.target.getAttribute('data-index'), 10);
+                    setRows(rows.filter((row, i) => i !== index));
+                }
+            });
+        }
+    }
+
+    // ============================================================
+    // Watch list storage
+    // ============================================================
+
+    /**
+     * Read all watch lists from localStorage
+     * @returns {Object} - {active, lists}
+     */
+    function loadStorage() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored && stored.lists) {
+                return stored;
+            }
+        } catch (e) {
+            console.error('Failed to read stored watch lists:', e);
+        }
+        return { active: DEFAULT_LIST, lists: {} };
+    }
+
+    /**
+     * Write all watch lists to localStorage
+     * @param {Object} stored - {active, lists}
+     */
+    function saveStorage(stored) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+        } catch (e) {
+            console.error('Failed to store watch lists:', e);
+        }
+    }
+
+    /**
+     * Save the active list under its current name
+     */
+    function saveCurrentList() {
+        const stored = loadStorage();
+        stored.lists[currentList] = rows;
+        stored.active = currentList;
+        saveStorage(stored);
+    }
+
+    /**
+     * Make another stored list the active one
+     * @param {string} name - List name
+     */
+    function switchList(name) {
+        const stored = loadStorage();
+        currentList = name;
+        stored.active = name;
+        saveStorage(stored);
+        rows = (stored.lists[name] || []).slice();
+        values = {};
+        subscription.setAddresses(getWatchedAddresses());
+        renderTable();
+    }
+
+    /**
+     * Delete the active list and fall back to another one
+     */
+    function deleteCurrentList() {
+        const stored = loadStorage();
+        delete stored.lists[currentList];
+        const remaining = Object.keys(stored.lists);
+        stored.active = remaining.length > 0 ? remaining[0] : DEFAULT_LIST;
+        saveStorage(stored);
+        switchList(stored.active);
+        renderListSelect();
+    }
+
+    // ============================================================
+    // Rows and addresses
+    // ============================================================
+
+    /**
+     * Replace the rows of the active list
+     * @param {Object[]} newRows - Rows of {addr, format}
+     */
+    function setRows(newRows) {
+        rows = newRows;
+        saveCurrentList();
+        subscription.setAddresses(getWatchedAddresses());
+        renderTable();
+    }
+
+    /**
+     * Add typed or pasted addresses and ranges to the active list
+     * @param {string} text - Address list text
+     * @returns {boolean} - True if the text had no errors
+     */
+    function addAddresses(text) {
+        const parsed = LadAddress.parseAddressList(text);
+        showMessages(parsed.errors);
+        if (parsed.addresses.length > 0) {
+            setRows(rows.concat(parsed.addresses.map(addr => ({
+                addr,
+                format: defaultFormat(addr)
+            }))));
+        }
+        return parsed.errors.length === 0;
+    }
+
+    /**
+     * Get the unique addresses of the active list
+     * @returns {string[]}
+     */
+    function getWatchedAddresses() {
+        return [...new Set(rows.flatMap(row => {
+            const high = floatHighAddress(row);
+            return high ? [row.addr, high] : [row.addr];
+        }))];
+    }
+
+    /**
+     * Get the natural display format for an address
+     * @param {string} address - Address string
+     * @returns {string}
+     */
+    function defaultFormat(address) {
+        const type = LadAddress.getAddressType(address);
+        if (type === 'float') return 'float';
+        if (type === 'string') return 'ascii';
+        return 'decimal';
+    }
+
+    // ============================================================
+    // Value formatting
+    // ============================================================
+
+    /**
+     * Get the register width in bits used for hex, binary and ASCII display
+     * @param {string} address - Address string
+     * @returns {number}
+     */
+    function registerBits(address) {
+        return /^(DD|DF)/.test(address) ? 32 : 16;
+    }
+
+    /**
+     * Get the register holding the high word of a row shown as a float.
+     * A 16-bit register holds the low word of a float that goes on into
+     * the next register, e.g. DS10 and DS11.
+     * @param {Object} row - Row of {addr, format}
+     * @returns {string|null} - Address, or null when the row needs no second register
+     */
+    function floatHighAddress(row) {
+        const match = row.addr.match(/^([A-Z]+)([0-9]+)$/);
+        if (row.format !== 'float' || !match || LadAddress.getAddressType(row.addr) !== 'word' ||
+            registerBits(row.addr) !== 16) {
+            return null;
+        }
+        return match[1] + (parseInt(match[2], 10) + 1);
+    }
+
+    /**
+     * Read 32 register bits as an IEEE 754 single precision float
+     * @param {number} bits - Unsigned 32-bit value
+     * @returns {string} - The float, to the 7 digits it holds
+     */
+    function float32Text(bits) {
+        const view = new DataView(new ArrayBuffer(4));
+        view.setUint32(0, bits >>> 0);
+        return String(Number(view.getFloat32(0).toPrecision(7)));
+    }
+
+    /**
+     * Format a value in the selected display format
+     * @param {string} address - Address string
+     * @param {*} value - Raw value from the server
+     * @param {string} format - One of FORMATS
+     * @param {*} high - Value of the next register, the high word of a
+     *     float shown across two 16-bit registers
+     * @returns {string}
+     */
+    function formatValue(address, value, format, high) {
+        const type = LadAddress.getAddressType(address);
+
+        if (type === 'bool') {
+            return LadAddress.formatValue(address, value);
+        }
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (typeof value !== 'number') {
+            return String(value);
+        }
+
+        const bits = registerBits(address);
+        const unsigned = bits === 32 ? (Math.trunc(value) >>> 0) : (Math.trunc(value) & 0xFFFF);
+
+        switch (format) {
+            case 'hex':
+                return '0x' + unsigned.toString(16).toUpperCase().padStart(bits / 4, '0');
+            case 'binary':
+                return unsigned.toString(2).padStart(bits, '0').replace(/(.{4})(?=.)/g, '$1 ');
+            case 'float':
+                // Float registers hold the value itself; words hold its bits
+                if (type === 'float') {
+                    return Number.isInteger(value) ? value.toFixed(1) : String(value);
+                }
+                if (bits === 32) {
+                    return float32Text(unsigned);
+                }
+                if (typeof high !== 'number') {
+                    return '';
+                }
+                return float32Text(((Math.trunc(high) & 0xFFFF) << 16) | unsigned);
+            case 'ascii': {
+                let text = '';
+                for (let shift = bits - 8; shift >= 0; shift -= 8) {
+                    const code = (unsigned >>> shift) & 0xFF;
+                    text += code >= 32 && code < 127 ? String.fromCharCode(code) : '.';
+                }
+                return text;
+            }
+            default:
+                return String(value);
+        }
+    }
+
+    // ============================================================
+    // Display
+    // ============================================================
+
+    /**
+     * Populate the watch list selector
+     */
+    function renderListSelect() {
+        const select = document.getElementById(ELEMENTS.listSelect);
+        if (!select) return;
+
+        const names = Object.keys(loadStorage().lists);
+        if (!names.includes(currentList)) {
+            names.push(currentList);
+        }
+
+        select.innerHTML = '';
+        names.sort().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            option.selected = name === currentList;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Render the watch table rows
+     */
+    function renderTable() {
+        const tableBody = document.getElementById(ELEMENTS.tableBody);
+        if (!tableBody) return;
+
+        if (rows.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="6" class="watch-empty">No addresses in this watch list</td></tr>';
+            return;
+        }
+
+        tableBody.innerHTML = rows.map((row, index) => {
+            const type = LadAddress.getAddressType(row.addr) || 'unknown';
+            const options = FORMATS.map(format =>
+                `<option value="${format}"${format === row.format ? ' selected' : ''}>${format}</option>`
+            ).join('');
+            // Booleans and strings have a single natural format
+            const disabled = type === 'bool' || type === 'string' ? ' disabled' : '';
+
+            return `
+                <tr data-addr="${LadMarkup.escape(row.addr)}">
+                    <td class="watch-address">${LadMarkup.escape(row.addr)}</td>
+                    <td class="watch-tag" title="${LadMarkup.escape(LadTags.tooltip(row.addr))}">${LadMarkup.escape(LadTags.getName(row.addr))}</td>
+                    <td>${type}</td>
+                    <td><select class="watch-format" data-index="${index}"${disabled}>${options}</select></td>
+                    <td class="watch-value" data-index="${index}"></td>
+                    <td><button type="button" class="watch-remove" data-index="${index}" title="Remove">×</button></td>
+                </tr>
+            `;
+        }).join('');
+
+        updateValueCells();
+    }
+
+    /**
+     * Refresh the value column from the latest values
+     */
+    function updateValueCells() {
+        document.querySelectorAll(`#${ELEMENTS.tableBody} .watch-value`).forEach(cell => {
+            const row = rows[parseInt(cell.getAttribute('data-index'), 10)];
+            if (row) {
+                const high = floatHighAddress(row);
+                cell.textContent = formatValue(row.addr, values[row.addr], row.format,
+                                               high ? values[high] : undefined);
+            }
+        });
+    }
+
+    /**
+     * Merge changed values from the subscription
+     * @param {Object} changes - Object mapping changed addresses to values
+     */
+    function handleDataChanges(changes) {
+        Object.assign(values, changes);
+        updateValueCells();
+    }
+
+    /**
+     * Show parse or import problems under the input
+     * @param {string[]} messages - Messages to show (empty clears)
+     */
+    function showMessages(messages) {
+        const el = document.getElementById(ELEMENTS.messages);
+        if (el) {
+            el.textContent = messages.join('; ');
+        }
+    }
+
+    // ============================================================
+    // Import / Export
+    // ============================================================
+
+    /**
+     * Export the active list as JSON
+     * @returns {string}
+     */
+    function exportJson() {
+        return JSON.stringify({ name: currentList, rows }, null, 2);
+    }
+
+    /**
+     * Export the active list as CSV with address and format columns
+     * @returns {string}
+     */
+    function exportCsv() {
+        return LadFiles.toCsv([['address', 'format']].concat(rows.map(row => [row.addr, row.format])));
+    }
+
+    /**
+     * Parse imported JSON into rows
+     * @param {string} text - JSON text: {name, rows} or an array of rows
+     * @returns {Object} - {name, rows}
+     */
+    function parseJsonImport(text) {
+        const data = JSON.parse(text);
+        const importedRows = Array.isArray(data) ? data : (data.rows || []);
+        return {
+            name: Array.isArray(data) ? null : data.name,
+            rows: importedRows.map(row => ({
+                addr: String(row.addr || '').toUpperCase(),
+                format: row.format
+            }))
+        };
+    }
+
+    /**
+     * Parse imported CSV into rows. The address column may hold ranges.
+     * @param {string} text - CSV text with address[,format] lines
+     * @returns {Object} - {name, rows}
+     */
+    function parseCsvImport(text) {
+        const importedRows = [];
+        text.split(/\r?\n/).forEach(line => {
+            const [addrText, format] = line.split(',').map(field => field.trim());
+            if (!addrText || addrText.toLowerCase() === 'address') return;
+            LadAddress.parseAddressList(addrText).addresses.forEach(addr => {
+                importedRows.push({ addr, format });
+            });
+        });
+        return { name: null, rows: importedRows };
+    }
+
+    /**
+     * Import a watch list file as a new named list
+     * @param {File} file - JSON or CSV file
+     */
+    async function importFromFile(file) {
+        try {
+            const text = await file.text();
+            const isJson = /\.json$/i.test(file.name) || /^\s*[[{]/.test(text);
+            const imported = isJson ? parseJsonImport(text) : parseCsvImport(text);
+
+            const invalid = imported.rows.filter(row => !LadAddress.isAddress(row.addr));
+            const valid = imported.rows
+                .filter(row => LadAddress.isAddress(row.addr))
+                .map(row => ({
+                    addr: row.addr,
+                    format: FORMATS.includes(row.format) ? row.format : defaultFormat(row.addr)
+                }));
+
+            showMessages(invalid.map(row => `Invalid address: ${row.addr}`));
+            currentList = imported.name || file.name.replace(/\.[^.]+$/, '');
+            setRows(valid);
+            renderListSelect();
+        } catch (e) {
+            showMessages([`Import failed: ${e.message}`]);
+        }
+    }
+
+    /**
+     * Clean up on page unload
+     */
+    function cleanup() {
+        if (subscription) {
+            subscription.close();
+            subscription = null;
+        }
+    }
+
+    // Set up cleanup on page unload
+    window.addEventListener('beforeunload', cleanup);
+
+    // Public API
+    return {
+        init,
+        addAddresses,
+        formatValue
+    };
+})();
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    LadWatch.init();
+});
@@ -0,0 +1,189 @@
+/**
+ * ladxref.js - Address Cross Reference
+ * Lists every rung in every subroutine that uses a clicked address
+ */
+
+const LadXref = (function() {
+    'use strict';
+
+    // Called with (subrname, rungnum) when an entry is clicked
+    let onNavigate = () => {};
+
+    // Called with the highlighted addresses when they change
+    let onHighlight = () => {};
+
+    // Addresses whose cells are highlighted in the ladder
+    let highlighted = [];
+
+    // Bumped for every lookup, so a slower earlier one cannot overwrite
+    // the list of the address now shown
+    let showSeq = 0;
+
+    // DOM element IDs
+    const ELEMENTS = {
+        container: 'staticrunglist',
+        panel: 'xref-panel',
+        title: 'xref-title',
+        list: 'xref-list',
+        btnClose: 'btn-xref-close'
+    };
+
+    /**
+     * Initialize cross reference handling
+     * @param {Object} options - Options
+     * @param {Function} options.onNavigate - Called with (subrname, rungnum)
+     * @param {Function} options.onHighlight - Called with the highlighted
+     *     addresses when they change
+     */
+    function init(options = {}) {
+        if (options.onNavigate) {
+            onNavigate = options.onNavigate;
+        }
+        if (options.onHighlight) {
+            onHighlight = options.onHighlight;
+        }
+
+        // Address labels are re-rendered on every program load, so delegate
+        const container = document.getElementById(ELEMENTS.container);
+        if (container) {
+            container.addEventListener('click', (e) => {
+                const label = e.target.closest('.cell-address[data-addr], .cell-tag[data-addr]');
+                if (label) {
+                    show(label.getAttribute('data-addr'));
+                }
+            });
+        }
+
+        const btnClose = document.getElementById(ELEMENTS.btnClose);
+        if (btnClose) {
+            btnClose.addEventListener('click', hide);
+        }
+
+        const list = document.getElementById(ELEMENTS.list);
+        if (list) {
+            list.addEventListener('click', (e) => {
+                const entry = e.target.closest('.xref-entry');
+                if (entry) {
+                    onNavigate(entry.getAttribute('data-subrname'),
+                               parseInt(entry.getAttribute('data-rungnum'), 10));
+                }
+            });
+        }
+    }
+
+    /**
+     * Show the cross reference for an address
+     * @param {string} address - Address to look up
+     */
+    async function show(address) {
+        const panel = document.getElementById(ELEMENTS.panel);
+        const title = document.getElementById(ELEMENTS.title);
+        const list = document.getElementById(ELEMENTS.list);
+        if (!panel || !list) return;
+
+        if (title) {
+            title.textContent = `Cross Reference: ${LadTags.label(address)}`;
+        }
+        list.innerHTML = '<li class="loading">Searching program...</li>';
+        panel.hidden = false;
+        highlight([address]);
+
+        const seq = ++showSeq;
+        try {
+            const usages = await LadProgram.findAddressUsages(address);
+            if (seq !== showSeq) return;
+            renderUsages(list, usages);
+        } catch (e) {
+            if (seq !== showSeq) return;
+            console.error('Failed to build cross reference:', e);
+            list.innerHTML = '';
+            const item = document.createElement('li');
+            item.className = 'error-message';
+            item.textContent = `Failed to load program: ${e.message}`;
+            list.appendChild(item);
+        }
+    }
+
+    /**
+     * Render the usage list
+     * @param {HTMLElement} list - List element
+     * @param {Object[]} usages - Result of LadProgram.findAddressUsages
+     */
+    function renderUsages(list, usages) {
+        list.innerHTML = '';
+
+        if (usages.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'xref-none';
+            item.textContent = 'Not used in the program';
+            list.appendChild(item);
+            return;
+        }
+
+        usages.forEach(usage => {
+            const item = document.createElement('li');
+            item.className = 'xref-entry';
+            item.setAttribute('data-subrname', usage.subrname);
+            item.setAttribute('data-rungnum', usage.rungnum);
+
+            const location = document.createElement('span');
+            location.className = 'xref-location';
+            location.textContent = `${usage.subrname} / Network ${usage.rungnum}`;
+            item.appendChild(location);
+
+            const opcode = document.createElement('span');
+            opcode.className = 'xref-opcode';
+            opcode.textContent = usage.opcode || '';
+            item.appendChild(opcode);
+
+            usage.tags.forEach(tag => {
+                const badge = document.createElement('span');
+                badge.className = `xref-tag xref-tag-${tag}`;
+                badge.textContent = tag;
+                item.appendChild(badge);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Hide the cross reference panel and clear the highlight
+     */
+    function hide() {
+        showSeq++;
+        const panel = document.getElementById(ELEMENTS.panel);
+        if (panel) {
+            panel.hidden = true;
+        }
+        highlight([]);
+    }
+
+    /**
+     * Highlight the cells using some addresses, e.g. the address shown in
+     * the panel or the addresses of a shared link
+     * @param {string[]} addresses - Addresses; empty to clear
+     */
+    function highlight(addresses) {
+        highlighted = addresses.slice();
+        SubrDispControl.setHighlightedAddresses(highlighted);
+        onHighlight(highlighted.slice());
+    }
+
+    /**
+     * Get the highlighted addresses
+     * @returns {string[]}
+     */
+    function getHighlighted() {
+        return highlighted.slice();
+    }
+
+    // Public API
+    return {
+        init,
+        show,
+        hide,
+        highlight,
+        getHighlighted
+    };
+})();
@@ -9,21 +9,180 @@ const ServerComm = (function() {
     // Base URL for API endpoints
     const API_BASE = '';
 
+    // Polling intervals used when the live stream is unavailable
+    const POLL_DATA_INTERVAL_MS = 900;
+    const POLL_STATS_INTERVAL_MS = 1000;
+
+    // Requests that get no response in time are aborted
+    const REQUEST_TIMEOUT_MS = 5000;
+    // Program checks and installs parse and compile the whole program
+    const PROGRAM_REQUEST_TIMEOUT_MS = 30000;
+
+    // Failed reads are retried with exponential backoff
+    const MAX_RETRIES = 3;
+    const RETRY_BASE_MS = 250;
+    const RETRY_MAX_MS = 8000;
+
+    // The server sends a heartbeat on a quiet stream every few seconds,
+    // so a stream this long without any event has stopped
+    const STREAM_SILENCE_MS = 12000;
+
+    // Connection state: 'connected', 'reconnecting' (retrying a failed
+    // request) or 'offline' (retries used up; probing until it is back)
+    let connectionState = 'connected';
+    const connectionListeners = new Set();
+    let healthTimer = null;
+    let healthAttempt = 0;
+
+    // ============================================================
+    // Connection Health
+    // ============================================================
+
     /**
-     * Make an API request
-     * @param {string} endpoint - API endpoint path
+     * Delay before a retry, doubling with each attempt
+     * @param {number} attempt - Zero-based attempt number
+     * @returns {number} - Milliseconds
+     */
+    function backoffDelay(attempt) {
+        return Math.min(RETRY_BASE_MS * Math.pow(2, attempt), RETRY_MAX_MS);
+    }
+
+    /**
+     * Wait for a time
+     * @param {number} ms - Milliseconds
+     * @returns {Promise}
+     */
+    function delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * fetch() that gives up after a time limit
+     * @param {string} url - Request URL
      * @param {Object} options - fetch options
+     * @param {number} timeoutMs - Time limit in milliseconds
+     * @returns {Promise<Response>}
+     */
+    async function fetchWithTimeout(url, options, timeoutMs) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        try {
+            return await fetch(url, { ...options, signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`Request timed out after ${timeoutMs} ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Record the connection state and tell the listeners when it changes
+     * @param {string} state - 'connected', 'reconnecting' or 'offline'
+     */
+    function setConnectionState(state) {
+        if (state === 'offline') {
+            scheduleHealthCheck();
+        } else if (state === 'connected') {
+            healthAttempt = 0;
+            if (healthTimer) {
+                clearTimeout(healthTimer);
+                healthTimer = null;
+            }
+        }
+
+        if (connectionState === state) return;
+        connectionState = state;
+        connectionListeners.forEach(listener => {
+            try {
+                listener(state);
+            } catch (e) {
+                console.error('Connection listener failed:', e);
+            }
+        });
+    }
+
+    /**
+     * Probe the server with backoff until it answers again
+     */
+    function scheduleHealthCheck() {
+        if (healthTimer) return;
+        healthTimer = setTimeout(async () => {
+            try {
+                // Any HTTP response means the server is reachable
+                await fetchWithTimeout(API_BASE + '/api/statistics', {}, REQUEST_TIMEOUT_MS);
+                healthTimer = null;
+                setConnectionState('connected');
+            } catch (e) {
+                healthTimer = null;
+                scheduleHealthCheck();
+            }
+        }, backoffDelay(healthAttempt++));
+    }
+
+    /**
+     * Get the current connection state
+     * @returns {string} - 'connected', 'reconnecting' or 'offline'
+     */
+    function getConnectionState() {
+        return connectionState;
+    }
+
+    /**
+     * Register a function called with the new state whenever the
+     * connection state changes
+     * @param {Function} listener - Called with 'connected', 'reconnecting' or 'offline'
+     * @returns {Function} - Call to remove the listener
+     */
+    function onConnectionChange(listener) {
+        connectionListeners.add(listener);
+        return () => connectionListeners.delete(listener);
+    }
+
+    // ============================================================
+    // Requests
+    // ============================================================
+
+    /**
+     * Make an API request.
+     * Requests time out, and reads that get no response are retried with
+     * exponential backoff. Writes are not retried by default, since a
+     * request that timed out may still have been carried out.
+     * @param {string} endpoint - API endpoint path
+     * @param {Object} options - fetch options, plus:
+     * @param {number} options.timeout - Time limit in milliseconds
+     * @param {number} options.retries - Retries after a connection failure
+     *     (default: 3 for GET, 0 otherwise)
      * @returns {Promise<Object>} - JSON response
      */
     async function apiRequest(endpoint, options = {}) {
+        const { timeout, retries, ...fetchOptions } = options;
+        const method = (fetchOptions.method || 'GET').toUpperCase();
+        const maxRetries = retries !== undefined ? retries : (method === 'GET' ? MAX_RETRIES : 0);
+
         try {
-            const response = await fetch(API_BASE + endpoint, {
-                ...options,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...options.headers
+            let response = null;
+            for (let attempt = 0; !response; attempt++) {
+                try {
+                    response = await fetchWithTimeout(API_BASE + endpoint, {
+                        ...fetchOptions,
+                        headers: {
+                            'Content-Type': 'application/json',
+                            ...fetchOptions.headers
+                        }
+                    }, timeout || REQUEST_TIMEOUT_MS);
+                } catch (error) {
+                    if (attempt >= maxRetries) {
+                        setConnectionState('offline');
+                        throw error;
+                    }
+                    setConnectionState('reconnecting');
+                    await delay(backoffDelay(attempt));
                 }
-            });
+            }
+            setConnectionState('connected');
 
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
@@ -44,6 +203,14 @@ const ServerComm = (function() {
         return apiRequest('/api/statistics');
     }
 
+    /**
+     * Start the scan time statistics over; the PLC keeps running
+     * @returns {Promise<Object>} - Control response
+     */
+    async function resetStatistics() {
+        return apiRequest('/api/statistics/reset', { method: 'POST' });
+    }
+
     /**
      * Get data values for specified addresses
      * @param {string[]} addresses - Array of address strings
@@ -53,8 +220,35 @@ const ServerComm = (function() {
         if (!addresses || addresses.length === 0) {
             return {};
         }
-        const addrParam = addresses.join(',');
-        return apiRequest(`/api/data?addr=${encodeURIComponent(addrParam)}`);
+        // Posted so that large address sets are not limited by the URL
+        // length; still a read, so it is retried like one
+        return apiRequest('/api/data', {
+            method: 'POST',
+            body: JSON.stringify({ addr: addresses }),
+            retries: MAX_RETRIES
+        });
+    }
+
+    /**
+     * Replace the address set of an open live data stream
+     * @param {string} watchId - Watch id the stream was opened with
+     * @param {string[]} addresses - Addresses to watch
+     * @returns {Promise<Object>} - Control response
+     */
+    async function setStreamAddresses(watchId, addresses) {
+        return apiRequest('/api/stream/watch', {
+            method: 'POST',
+            body: JSON.stringify({ id: watchId, addr: addresses }),
+            retries: MAX_RETRIES
+        });
+    }
+
+    /**
+     * Make an id for a live data stream
+     * @returns {string}
+     */
+    function newWatchId() {
+        return Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
     }
 
     /**
@@ -91,21 +285,669 @@ const ServerComm = (function() {
     }
 
     /**
-     * Execute single scan step
+     * Execute scans one batch at a time while the PLC is stopped.
+     * The batch ends early when END or a breakpoint stops the PLC.
+     * @param {number} count - Number of scans to run (default: 1)
+     * @returns {Promise<Object>} - Control response
+     */
+    async function controlStep(count = 1) {
+        return apiRequest('/api/control/step', {
+            method: 'POST',
+            body: JSON.stringify({ count })
+        });
+    }
+
+    /**
+     * Set the target scan time of a continuous run. It applies
+     * immediately, also while the PLC is running.
+     * @param {number} interval - Scan interval in ms, 0 to run at full speed
+     * @returns {Promise<Object>} - Control response
+     */
+    async function setScanInterval(interval) {
+        return apiRequest('/api/control/interval', {
+            method: 'POST',
+            body: JSON.stringify({ interval })
+        });
+    }
+
+    /**
+     * Write a value to an address once
+     * @param {string} address - Address to write
+     * @param {*} value - New value (boolean, number or string)
      * @returns {Promise<Object>} - Control response
      */
-    async function controlStep() {
-        return apiRequest('/api/control/step', { method: 'POST' });
+    async function writeValue(address, value) {
+        return apiRequest('/api/write', {
+            method: 'POST',
+            body: JSON.stringify({ addr: address, value })
+        });
+    }
+
+    /**
+     * Force an address to a value until released
+     * @param {string} address - Address to force
+     * @param {*} value - Forced value (boolean, number or string)
+     * @returns {Promise<Object>} - Control response
+     */
+    async function forceValue(address, value) {
+        return apiRequest('/api/force/set', {
+            method: 'POST',
+            body: JSON.stringify({ addr: address, value })
+        });
+    }
+
+    /**
+     * Release the force on an address
+     * @param {string} address - Forced address
+     * @returns {Promise<Object>} - Control response
+     */
+    async function releaseForce(address) {
+        return apiRequest('/api/force/release', {
+            method: 'POST',
+            body: JSON.stringify({ addr: address })
+        });
+    }
+
+    /**
+     * Release every forced address
+     * @returns {Promise<Object>} - Control response
+     */
+    async function releaseAllForces() {
+        return apiRequest('/api/force/release', {
+            method: 'POST',
+            body: JSON.stringify({ all: true })
+        });
+    }
+
+    /**
+     * Get all forced addresses
+     * @returns {Promise<Object>} - Object with forces array of {addr, value}
+     */
+    async function getForces() {
+        return apiRequest('/api/force/list');
+    }
+
+    /**
+     * Set a breakpoint that stops the PLC at the end of the scan in which
+     * the condition becomes true
+     * @param {string} address - Address to test
+     * @param {string} op - Comparison: =, <>, >, >=, < or <=
+     * @param {*} value - Value to compare with (boolean, number or string)
+     * @returns {Promise<Object>} - Control response
+     */
+    async function setBreakpoint(address, op, value) {
+        return apiRequest('/api/breakpoint/set', {
+            method: 'POST',
+            body: JSON.stringify({ addr: address, op, value })
+        });
+    }
+
+    /**
+     * Remove a breakpoint
+     * @param {number} id - Breakpoint id
+     * @returns {Promise<Object>} - Control response
+     */
+    async function clearBreakpoint(id) {
+        return apiRequest('/api/breakpoint/clear', {
+            method: 'POST',
+            body: JSON.stringify({ id })
+        });
+    }
+
+    /**
+     * Remove every breakpoint
+     * @returns {Promise<Object>} - Control response
+     */
+    async function clearAllBreakpoints() {
+        return apiRequest('/api/breakpoint/clear', {
+            method: 'POST',
+            body: JSON.stringify({ all: true })
+        });
+    }
+
+    /**
+     * Get the breakpoints and the last breakpoint hit
+     * @returns {Promise<Object>} - Object with breakpoints array of
+     *     {id, addr, op, value} and hit ({id, addr, op, value, actual, scan} or null)
+     */
+    async function getBreakpoints() {
+        return apiRequest('/api/breakpoint/list');
+    }
+
+    /**
+     * Parse and check edited networks without changing the running program
+     * @param {string} subrname - Subroutine being edited
+     * @param {Object[]} rungs - Networks as {comment, il: [IL lines]}
+     * @returns {Promise<Object>} - {success, message, rungs: [{rungnum, errors}], program}
+     */
+    async function checkProgramEdit(subrname, rungs) {
+        return apiRequest('/api/program/check', {
+            method: 'POST',
+            body: JSON.stringify({ subrname, rungs }),
+            timeout: PROGRAM_REQUEST_TIMEOUT_MS
+        });
+    }
+
+    /**
+     * Check edited networks and, if there are no errors, replace the
+     * running program with them at the next scan
+     * @param {string} subrname - Subroutine being edited
+     * @param {Object[]} rungs - Networks as {comment, il: [IL lines]}
+     * @returns {Promise<Object>} - Same as checkProgramEdit
+     */
+    async function saveProgramEdit(subrname, rungs) {
+        return apiRequest('/api/program/save', {
+            method: 'POST',
+            body: JSON.stringify({ subrname, rungs }),
+            timeout: PROGRAM_REQUEST_TIMEOUT_MS
+        });
+    }
+
+    /**
+     * Parse and compile a complete IL program without installing it
+     * @param {string} source - IL program text
+     * @returns {Promise<Object>} - {success, message, errors, warnings, subroutines}
+     *     where subroutines compares each subroutine with the running program
+     */
+    async function validateProgram(source) {
+        return apiRequest('/api/program/validate', {
+            method: 'POST',
+            body: JSON.stringify({ source }),
+            timeout: PROGRAM_REQUEST_TIMEOUT_MS
+        });
+    }
+
+    /**
+     * Check and install a complete IL program
+     * @param {string} source - IL program text
+     * @param {boolean} stopFirst - Stop the PLC before the swap; otherwise
+     *     the new program takes over at the next scan
+     * @returns {Promise<Object>} - Same as validateProgram
+     */
+    async function installProgram(source, stopFirst) {
+        return apiRequest('/api/program/install', {
+            method: 'POST',
+            body: JSON.stringify({ source, stop: stopFirst }),
+            timeout: PROGRAM_REQUEST_TIMEOUT_MS
+        });
+    }
+
+    // ============================================================
+    // Live Updates
+    // ============================================================
+
+    // Every subscription on the page shares one stream, or one set of
+    // polling timers, that watches the union of their address sets
+    const subscribers = new Set();
+    let updateMode = null;
+    let updatesStale = false;
+    let eventSource = null;
+    let watchId = null;
+    let streamStats = false;
+    let streamAddressKey = null;
+    let posting = false;
+    let repost = false;
+    let streamWorked = false;
+    let lastEventTime = 0;
+    let watchdogTimer = null;
+    let dataTimer = null;
+    let statsTimer = null;
+    // Latest values and statistics, handed to subscribers that join later
+    let currentValues = {};
+    let currentStats = null;
+
+    /**
+     * Addresses watched by any subscription, each once
+     * @returns {string[]}
+     */
+    function watchedAddresses() {
+        const addresses = new Set();
+        subscribers.forEach(subscriber => {
+            subscriber.addresses.forEach(addr => addresses.add(addr));
+        });
+        return [...addresses];
+    }
+
+    /**
+     * Whether any subscription wants statistics
+     * @returns {boolean}
+     */
+    function statsWanted() {
+        return [...subscribers].some(subscriber => subscriber.wantStats);
+    }
+
+    function setMode(newMode) {
+        updateMode = newMode;
+        subscribers.forEach(subscriber => subscriber.setMode(newMode));
+    }
+
+    function setStale(newStale) {
+        updatesStale = newStale;
+        subscribers.forEach(subscriber => subscriber.setStale(newStale));
+    }
+
+    function deliverData(values) {
+        Object.assign(currentValues, values);
+        subscribers.forEach(subscriber => subscriber.deliverData(values));
+    }
+
+    function deliverStats(stats) {
+        currentStats = stats;
+        subscribers.forEach(subscriber => subscriber.deliverStats(stats));
+    }
+
+    function openStream() {
+        if (typeof EventSource === 'undefined') {
+            startPolling();
+            return;
+        }
+
+        // The address set is posted once the stream is open, and again
+        // whenever it changes, instead of travelling in the URL
+        const params = new URLSearchParams();
+        watchId = newWatchId();
+        params.set('watch', watchId);
+        streamStats = statsWanted();
+        if (streamStats) {
+            params.set('stats', '1');
+        }
+        streamAddressKey = null;
+
+        let opened = false;
+        eventSource = new EventSource(`${API_BASE}/api/stream?${params}`);
+        eventSource.onopen = () => {
+            opened = true;
+            streamWorked = true;
+            lastEventTime = Date.now();
+            setMode('stream');
+            setConnectionState('connected');
+            setStale(false);
+            updateStreamAddresses();
+        };
+        eventSource.addEventListener('data', (e) => {
+            streamAlive();
+            deliverData(JSON.parse(e.data));
+        });
+        eventSource.addEventListener('stats', (e) => {
+            streamAlive();
+            deliverStats(JSON.parse(e.data));
+        });
+        eventSource.addEventListener('heartbeat', streamAlive);
+        eventSource.onerror = () => {
+            // Failing before the first open, while the server answers
+            // other requests, means the stream is not available at all.
+            // Otherwise the connection was lost: wait for the server.
+            if (!opened && (!streamWorked || connectionState === 'connected')) {
+                closeStream();
+                startPolling();
+            } else {
+                streamLost();
+            }
+        };
+
+        if (!watchdogTimer) {
+            watchdogTimer = setInterval(() => {
+                if (eventSource && eventSource.readyState === 1 &&
+                    Date.now() - lastEventTime > STREAM_SILENCE_MS) {
+                    streamLost();
+                }
+            }, STREAM_SILENCE_MS / 4);
+        }
+    }
+
+    /**
+     * Post the watched addresses to the open stream if they changed
+     */
+    function updateStreamAddresses() {
+        const key = watchedAddresses().join(',');
+        if (key !== streamAddressKey) {
+            streamAddressKey = key;
+            postStreamAddresses();
+        }
+    }
+
+    // One post at a time, so the server never ends up with an older set
+    async function postStreamAddresses() {
+        if (posting) {
+            repost = true;
+            return;
+        }
+        posting = true;
+        try {
+            do {
+                repost = false;
+                const id = watchId;
+                if (!id) break;
+                const result = await setStreamAddresses(id, watchedAddresses());
+                // The server forgot the stream, e.g. it restarted
+                if (!result.success && id === watchId) {
+                    streamLost();
+                    break;
+                }
+            } while (repost);
+        } catch (e) {
+            console.error('Setting stream addresses failed:', e);
+        } finally {
+            posting = false;
+        }
+    }
+
+    function closeStream() {
+        watchId = null;
+        if (eventSource) {
+            eventSource.close();
+            eventSource = null;
+        }
+        if (watchdogTimer) {
+            clearInterval(watchdogTimer);
+            watchdogTimer = null;
+        }
+    }
+
+    function streamAlive() {
+        lastEventTime = Date.now();
+        setStale(false);
+    }
+
+    function streamLost() {
+        // Reopened by the connection listener once the server answers
+        closeStream();
+        setStale(true);
+        setConnectionState('offline');
+    }
+
+    async function pollData() {
+        const addresses = watchedAddresses();
+        if (addresses.length === 0) return;
+        try {
+            const values = await getData(addresses);
+            setStale(false);
+            deliverData(values);
+        } catch (e) {
+            setStale(true);
+            console.error('Polling data failed:', e);
+        }
+    }
+
+    async function pollStats() {
+        try {
+            const stats = await getStatistics();
+            setStale(false);
+            deliverStats(stats);
+        } catch (e) {
+            setStale(true);
+            console.error('Polling statistics failed:', e);
+        }
+    }
+
+    // Poll only while connected; the health check finds the server again
+    function pollWhenConnected(poll) {
+        if (connectionState === 'connected') {
+            poll();
+        }
+    }
+
+    function startPolling() {
+        if (subscribers.size === 0) return;
+        setMode('polling');
+        dataTimer = setInterval(() => pollWhenConnected(pollData), POLL_DATA_INTERVAL_MS);
+        pollData();
+        startStatsPolling();
+    }
+
+    function startStatsPolling() {
+        if (statsTimer || !statsWanted()) return;
+        statsTimer = setInterval(() => pollWhenConnected(pollStats), POLL_STATS_INTERVAL_MS);
+        pollStats();
+    }
+
+    function stopPolling() {
+        if (dataTimer) {
+            clearInterval(dataTimer);
+            dataTimer = null;
+        }
+        if (statsTimer) {
+            clearInterval(statsTimer);
+            statsTimer = null;
+        }
+    }
+
+    /**
+     * Start watching the union of the address sets again after it changed
+     */
+    function addressesChanged() {
+        const addresses = new Set(watchedAddresses());
+        Object.keys(currentValues).forEach(addr => {
+            if (!addresses.has(addr)) {
+                delete currentValues[addr];
+            }
+        });
+
+        if (updateMode === 'polling') {
+            pollData();
+        } else if (eventSource && eventSource.readyState === 1) {
+            updateStreamAddresses();
+        }
+        // Otherwise the address set is posted when the stream opens
+    }
+
+    /**
+     * Add statistics to the updates once a subscription wants them
+     */
+    function statisticsChanged() {
+        if (!statsWanted()) return;
+        if (updateMode === 'polling') {
+            startStatsPolling();
+        } else if (eventSource && !streamStats) {
+            closeStream();
+            openStream();
+        }
+    }
+
+    /**
+     * Stop every update once the last subscription has closed
+     */
+    function stopUpdates() {
+        closeStream();
+        stopPolling();
+        updateMode = null;
+        updatesStale = false;
+        currentValues = {};
+        currentStats = null;
+    }
+
+    function handleConnectionChange(state) {
+        if (subscribers.size === 0) return;
+        if (state === 'offline') {
+            setStale(true);
+        } else if (state === 'connected' && updatesStale) {
+            // Start again from a full set of values
+            currentValues = {};
+            currentStats = null;
+            subscribers.forEach(subscriber => subscriber.reset());
+            if (updateMode === 'polling') {
+                pollData();
+                if (statsWanted()) {
+                    pollStats();
+                }
+            } else if (!eventSource) {
+                openStream();
+            }
+        }
+    }
+
+    onConnectionChange(handleConnectionChange);
+
+    /**
+     * Subscribe to live data and statistics updates.
+     * Uses the /api/stream Server-Sent Events channel and falls back to
+     * polling getData/getStatistics when the stream cannot be opened.
+     * The subscriptions of a page share one stream, so each page holds
+     * one connection however many modules watch values; each subscription
+     * still receives only its own addresses, and only values that changed.
+     * When the connection is lost the values already delivered are stale;
+     * updates resume by themselves once the server answers again, starting
+     * with a full set of values.
+     * @param {Object} options - Subscription options
+     * @param {string[]} options.addresses - Addresses to watch
+     * @param {boolean} options.statistics - Deliver statistics updates (default: true)
+     * @param {Function} options.onData - Called with an object of changed address values
+     * @param {Function} options.onStats - Called with the statistics object when it changes
+     * @param {Function} options.onModeChange - Called with 'stream' or 'polling'
+     * @param {Function} options.onStale - Called with true when updates stop
+     *     and with false when they resume
+     * @returns {Object} - Subscription handle with setAddresses(), getMode(),
+     *     isStale() and close()
+     */
+    function subscribe(options = {}) {
+        const onData = options.onData || (() => {});
+        const onStats = options.onStats || (() => {});
+        const onModeChange = options.onModeChange || (() => {});
+        const onStale = options.onStale || (() => {});
+
+        let closed = false;
+        let mode = null;
+        let stale = false;
+        let lastValues = {};
+        let lastStatsJson = null;
+
+        const subscriber = {
+            addresses: new Set(options.addresses || []),
+            wantStats: options.statistics !== false,
+
+            setMode(newMode) {
+                if (mode !== newMode && !closed) {
+                    mode = newMode;
+                    onModeChange(mode);
+                }
+            },
+
+            setStale(newStale) {
+                if (stale !== newStale && !closed) {
+                    stale = newStale;
+                    onStale(stale);
+                }
+            },
+
+            deliverData(values) {
+                const changes = {};
+                let changed = false;
+                Object.keys(values).forEach(addr => {
+                    if (subscriber.addresses.has(addr) &&
+                        (!(addr in lastValues) || lastValues[addr] !== values[addr])) {
+                        lastValues[addr] = values[addr];
+                        changes[addr] = values[addr];
+                        changed = true;
+                    }
+                });
+                if (changed && !closed) {
+                    onData(changes);
+                }
+            },
+
+            deliverStats(stats) {
+                const statsJson = JSON.stringify(stats);
+                if (subscriber.wantStats && statsJson !== lastStatsJson && !closed) {
+                    lastStatsJson = statsJson;
+                    onStats(stats);
+                }
+            },
+
+            // Deliver everything again with the next updates
+            reset() {
+                lastValues = {};
+                lastStatsJson = null;
+            }
+        };
+
+        /**
+         * Hand over what the shared updates already know, once the
+         * caller has its subscription handle
+         */
+        function catchUp() {
+            queueMicrotask(() => {
+                subscriber.deliverData(currentValues);
+                if (currentStats) {
+                    subscriber.deliverStats(currentStats);
+                }
+                if (updateMode) {
+                    subscriber.setMode(updateMode);
+                }
+                subscriber.setStale(updatesStale);
+            });
+        }
+
+        /**
+         * Replace the watched address set
+         * @param {string[]} newAddresses - Addresses to watch
+         */
+        function setAddresses(newAddresses) {
+            if (closed) return;
+            subscriber.addresses = new Set(newAddresses || []);
+            lastValues = {};
+            addressesChanged();
+            catchUp();
+        }
+
+        /**
+         * Stop all updates for this subscription
+         */
+        function close() {
+            if (closed) return;
+            closed = true;
+            subscribers.delete(subscriber);
+            if (subscribers.size === 0) {
+                stopUpdates();
+            } else {
+                addressesChanged();
+            }
+        }
+
+        subscribers.add(subscriber);
+        if (subscribers.size === 1) {
+            openStream();
+        } else {
+            addressesChanged();
+            if (subscriber.wantStats) {
+                statisticsChanged();
+            }
+            catchUp();
+        }
+
+        return {
+            setAddresses,
+            getMode: () => mode,
+            isStale: () => stale,
+            close
+        };
     }
 
     // Public API
     return {
         getStatistics,
+        resetStatistics,
         getData,
         getProgram,
         getSubroutines,
         controlStart,
         controlStop,
-        controlStep
+        controlStep,
+        setScanInterval,
+        writeValue,
+        forceValue,
+        releaseForce,
+        releaseAllForces,
+        getForces,
+        setBreakpoint,
+        clearBreakpoint,
+        clearAllBreakpoints,
+        getBreakpoints,
+        checkProgramEdit,
+        saveProgramEdit,
+        validateProgram,
+        installProgram,
+        subscribe,
+        getConnectionState,
+        onConnectionChange
     };
 })();
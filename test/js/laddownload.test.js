@@ -0,0 +1,141 @@
+/**
+ * laddownload.test.js - Program Download Tests
+ * Dry run of a program file on the monitor page against the fake server:
+ * the networks shown as changed, errors that stop an install, and the
+ * install itself
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./support/page');
+const { createFakeServer } = require('./support/fake-server');
+
+const SOURCE = 'STR X1\nOUT Y2\n';
+
+// Dry run of SOURCE as the Lisp server answers it: network 1 of main
+// changes and network 2 is new; TankSim is unchanged
+const DIFF = [
+    {
+        subrname: 'main',
+        status: 'changed',
+        networks: [
+            { rungnum: 1, status: 'changed', old: ['STR X1', 'OUT Y1'], new: ['STR X1', 'OUT Y2'] },
+            { rungnum: 2, status: 'added', old: null, new: ['STR X2', 'OUT Y3'] }
+        ]
+    },
+    { subrname: 'TankSim', status: 'unchanged', networks: null }
+];
+
+/**
+ * Load the monitor page and open the download panel
+ * @param {Object} result - Fields of the dry run and install responses
+ * @returns {Promise<Object>} - {page, server, document}
+ */
+async function openDownload(result = {}) {
+    const answer = (action) => (body) => Object.assign({
+        action,
+        success: true,
+        message: action === 'validate' ? 'OK'
+            : body.stop ? 'Installed; PLC stopped' : 'Installed at the next scan',
+        errors: null,
+        warnings: null,
+        subroutines: DIFF
+    }, result);
+    const server = createFakeServer({
+        routes: {
+            'POST /api/program/validate': answer('validate'),
+            'POST /api/program/install': answer('install')
+        }
+    });
+
+    const page = loadPage({ page: 'laddermonitor.html', server });
+    await page.settle();
+    page.document.getElementById('btn-download').click();
+    await page.settle();
+    return { page, server, document: page.document };
+}
+
+/**
+ * Choose a program file in the panel and wait for the dry run
+ * @param {Object} page - Loaded page
+ * @param {string} text - File contents
+ */
+async function chooseFile(page, text) {
+    const input = page.document.getElementById('download-file');
+    input.files = [{ name: 'new.il', text: () => Promise.resolve(text) }];
+    input.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+    await page.settle();
+}
+
+/**
+ * Text and class of every line on one side of a network comparison
+ * @param {Element} block - .download-network element
+ * @param {number} side - 0 for the running program, 1 for the file
+ * @returns {string[][]}
+ */
+function sideLines(block, side) {
+    const pre = block.querySelectorAll('.download-lines')[side];
+    return Array.from(pre.children, div => [div.textContent, div.className]);
+}
+
+describe('Program download', () => {
+    it('sends the chosen file for a dry run and shows what changes', async () => {
+        const { page, server, document } = await openDownload();
+        await chooseFile(page, SOURCE);
+
+        assert.deepEqual(server.requestsTo('/api/program/validate')[0].body, { source: SOURCE });
+        assert.equal(document.getElementById('download-summary').textContent, 'new.il: 1 subroutine changes');
+
+        const subroutines = document.querySelectorAll('#download-diff .download-subr');
+        assert.equal(subroutines.length, 1);
+        assert.equal(subroutines[0].querySelector('summary').textContent, 'main (changed, 2 networks)');
+        assert.match(document.getElementById('download-diff').textContent, /Unchanged: TankSim/);
+
+        const [changed, added] = subroutines[0].querySelectorAll('.download-network');
+        assert.equal(changed.querySelector('.download-network-header').textContent, 'Network 1 changed');
+        assert.deepEqual(sideLines(changed, 0), [['STR X1', ''], ['OUT Y1', 'diff-removed']]);
+        assert.deepEqual(sideLines(changed, 1), [['STR X1', ''], ['OUT Y2', 'diff-added']]);
+        assert.deepEqual(sideLines(added, 0), []);
+        assert.deepEqual(sideLines(added, 1), [['STR X2', 'diff-added'], ['OUT Y3', 'diff-added']]);
+
+        assert.equal(document.getElementById('btn-download-install').disabled, false);
+    });
+
+    it('lists errors and does not offer to install', async () => {
+        const { page, document } = await openDownload({
+            success: null,
+            message: 'Program has errors',
+            errors: ['Line 2: Unknown instruction: OUTT'],
+            warnings: ['Line 1: Unused address'],
+            subroutines: null
+        });
+        await chooseFile(page, 'STR X1\nOUTT Y2\n');
+
+        assert.equal(document.getElementById('download-summary').textContent,
+                     'new.il: 1 errors; it cannot be installed');
+        const messages = Array.from(document.querySelectorAll('#download-errors li'),
+                                    item => [item.className, item.textContent]);
+        assert.deepEqual(messages, [['download-error', 'Line 2: Unknown instruction: OUTT'],
+                                    ['download-warning', 'Line 1: Unused address']]);
+        assert.equal(document.getElementById('btn-download-install').disabled, true);
+    });
+
+    it('installs the checked file and loads the new program', async () => {
+        const { page, server, document } = await openDownload();
+        await chooseFile(page, SOURCE);
+        const subroutineLoads = server.requestsTo('/api/subroutines').length;
+
+        document.getElementById('download-swap-scan').checked = true;
+        document.getElementById('download-swap-stop').checked = false;
+        document.getElementById('btn-download-install').click();
+        await page.settle();
+
+        assert.deepEqual(server.requestsTo('/api/program/install')[0].body, { source: SOURCE, stop: false });
+        assert.equal(document.getElementById('download-summary').textContent, 'new.il: Installed at the next scan');
+        assert.equal(document.getElementById('btn-download-install').disabled, true);
+        assert.equal(server.requestsTo('/api/subroutines').length, subroutineLoads + 1);
+    });
+});
@@ -0,0 +1,150 @@
+/**
+ * ladedit.test.js - Program Editor Tests
+ * Edits on the monitor page against the fake server: the IL sent back for
+ * checking and saving, and the errors the server reports on a rung
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./support/page');
+const { createFakeServer } = require('./support/fake-server');
+
+// Delay after the last change before the editor checks the networks
+const CHECK_DELAY_MS = 400;
+
+/**
+ * A fixture subroutine as the server sends back an edit of it: cell
+ * lines count from the first line of their network
+ * @param {Object} program - /api/program response
+ * @returns {Object}
+ */
+function editedProgram(program) {
+    const copy = JSON.parse(JSON.stringify(program));
+    copy.subrdata.forEach(rung => {
+        const lines = [];
+        rung.il.forEach((text, index) => {
+            const line = text.trim();
+            if (line && !line.startsWith('//') && !/^(ANDSTR|ORSTR)$/.test(line)) {
+                lines.push(index + 1);
+            }
+        });
+        rung.cells.forEach((cell, index) => {
+            cell.line = lines[index];
+        });
+    });
+    return copy;
+}
+
+/**
+ * Load the monitor page with a server that answers program checks and
+ * saves the way the Lisp server does when nothing is wrong, or with the
+ * errors given for a rung
+ * @param {Object} rungErrors - 1-based rung number to its error messages
+ * @returns {Promise<Object>} - {page, server, document}
+ */
+async function openEditor(rungErrors = {}) {
+    let server = null;
+    const answer = (action) => (body) => {
+        const rungs = body.rungs.map((rung, index) => ({
+            rungnum: index + 1,
+            errors: rungErrors[index + 1] || null
+        }));
+        const failed = rungs.some(rung => rung.errors);
+        return {
+            action,
+            success: !failed || null,
+            message: failed ? 'Program has errors' : 'OK',
+            subrname: body.subrname,
+            rungs,
+            program: editedProgram(server.programs[body.subrname])
+        };
+    };
+    server = createFakeServer({
+        routes: {
+            'POST /api/program/check': answer('check'),
+            'POST /api/program/save': answer('save')
+        }
+    });
+
+    const page = loadPage({ page: 'laddermonitor.html', server });
+    await page.settle();
+    page.document.getElementById('btn-edit').click();
+    await page.settle();
+    return { page, server, document: page.document };
+}
+
+/**
+ * The networks of a fixture subroutine as the editor sends them
+ * @param {Object} program - /api/program response
+ * @returns {Object[]} - Array of {comment, il}
+ */
+function fixtureRungs(program) {
+    return program.subrdata.map(rung => ({
+        comment: (rung.comments || []).join('\n'),
+        il: rung.il
+    }));
+}
+
+describe('Program editor', () => {
+    it('sends the networks back as they were loaded', async () => {
+        const { server, document } = await openEditor();
+        const check = server.requestsTo('/api/program/check')[0];
+        assert.equal(check.body.subrname, 'main');
+        assert.deepEqual(check.body.rungs, fixtureRungs(server.programs.main));
+
+        assert.ok(document.body.classList.contains('editing'));
+        assert.equal(document.querySelectorAll('.rung-edit-panel').length, server.programs.main.subrdata.length);
+        assert.equal(document.getElementById('edit-status').textContent, 'No changes');
+    });
+
+    it('checks and saves an edited network with the others unchanged', async () => {
+        const { page, server, document } = await openEditor();
+        const il = document.querySelector('.rung-il-input[data-rung-index="1"]');
+        il.value = 'STR X3\nOUT Y3';
+        il.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+
+        const expected = fixtureRungs(server.programs.main);
+        expected[1].il = ['STR X3', 'OUT Y3'];
+        await page.clock.tick(CHECK_DELAY_MS);
+        assert.deepEqual(server.requestsTo('/api/program/check').pop().body.rungs, expected);
+        assert.equal(document.getElementById('edit-status').textContent, 'No errors; not saved');
+
+        document.getElementById('btn-edit-save').click();
+        await page.settle();
+        assert.deepEqual(server.requestsTo('/api/program/save')[0].body.rungs, expected);
+        assert.ok(!document.body.classList.contains('editing'));
+        assert.equal(document.querySelectorAll('.rung-edit-panel').length, 0);
+    });
+
+    it('edits the selected instruction from the instruction field', async () => {
+        const { page, server, document } = await openEditor();
+        // Rung 1 is STR X1 / OUT Y1 after two comment lines
+        document.querySelector('#rung-1 .ladder-cell[data-line="3"]').click();
+        const lineInput = document.getElementById('edit-line-input');
+        assert.equal(lineInput.value, 'STR X1');
+
+        lineInput.value = 'STRN X1';
+        lineInput.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+        document.getElementById('btn-edit-move-right').click();
+        await page.clock.tick(CHECK_DELAY_MS);
+
+        const rungs = server.requestsTo('/api/program/check').pop().body.rungs;
+        assert.deepEqual(rungs[0].il.slice(2), ['OUT Y1', 'STRN X1']);
+    });
+
+    it('shows the errors the server reports on their rung and does not save', async () => {
+        const { page, server, document } = await openEditor({ 2: ['Line 1: Unknown instruction'] });
+        const rung = document.getElementById('rung-2');
+        assert.ok(rung.classList.contains('rung-error'));
+        assert.equal(rung.querySelector('.rung-errors li').textContent, 'Line 1: Unknown instruction');
+        assert.equal(document.getElementById('edit-status').textContent, '1 rung has errors');
+
+        document.getElementById('btn-edit-save').click();
+        await page.settle();
+        assert.equal(server.requestsTo('/api/program/save').length, 1);
+        assert.ok(document.body.classList.contains('editing'));
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * ladfiles.test.js - LadFiles Tests
+ * File downloads, and CSV written and read back
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./support/page');
+
+/**
+ * Load LadFiles on an empty page
+ * @returns {Object} - {page, LadFiles}
+ */
+function load() {
+    const page = loadPage({ html: '<html><body></body></html>', scripts: ['js/ladfiles.js'] });
+    return { page, LadFiles: page.get('LadFiles') };
+}
+
+describe('LadFiles.downloadFile', () => {
+    it('keeps the object URL until the browser has started the download', async () => {
+        const { page, LadFiles } = load();
+        const revoked = [];
+        const clicks = [];
+        page.window.URL = {
+            createObjectURL: () => 'blob:watch',
+            revokeObjectURL: (url) => revoked.push(url)
+        };
+        page.document.addEventListener('click', (e) => {
+            clicks.push([e.target.getAttribute('href'), e.target.getAttribute('download')]);
+        });
+
+        LadFiles.downloadFile('watch.csv', 'X1,ON\n', 'text/csv');
+        assert.deepEqual(clicks, [['blob:watch', 'watch.csv']]);
+        assert.deepEqual(revoked, []);
+        assert.equal(page.document.querySelectorAll('a').length, 0);
+
+        await page.clock.tick(1000);
+        assert.deepEqual(revoked, ['blob:watch']);
+    });
+});
+
+describe('LadFiles CSV', () => {
+    it('reads back the fields it quotes', () => {
+        const { LadFiles } = load();
+        const rows = [['Address', 'Comment'], ['X1', 'Start, "main" pump'], ['DS1', 'Two\nlines']];
+        const text = LadFiles.toCsv(rows);
+        assert.equal(text, 'Address,Comment\nX1,"Start, ""main"" pump"\nDS1,"Two\nlines"\n');
+        assert.deepEqual(JSON.parse(JSON.stringify(LadFiles.parseCsv(text))), rows);
+    });
+});
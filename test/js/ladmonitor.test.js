@@ -0,0 +1,249 @@
+/**
+ * ladmonitor.test.js - Monitor Page Tests
+ * Loads laddermonitor.html with all of its scripts against the fake
+ * server: program display, subroutine switching and live monitoring
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./support/page');
+const { createFakeServer } = require('./support/fake-server');
+
+/**
+ * Load the monitor page and let it finish starting up
+ * @param {string} hash - Location hash to open the page with
+ * @param {boolean} eventSource - Give the page a live data stream
+ *     instead of polling
+ * @returns {Promise<Object>} - {page, server, document}
+ */
+async function openMonitor(hash = '', eventSource = false) {
+    const server = createFakeServer();
+    const page = loadPage({
+        page: 'laddermonitor.html',
+        url: `http://localhost/laddermonitor.html${hash}`,
+        server,
+        eventSource
+    });
+    await page.settle();
+    return { page, server, document: page.document };
+}
+
+/**
+ * Addresses of the latest data poll
+ * @param {Object} server - Fake server
+ * @returns {string[]|null}
+ */
+function lastPolledAddresses(server) {
+    const request = server.requestsTo('/api/data').pop();
+    return request ? [...request.body.addr].sort() : null;
+}
+
+describe('Monitor page', () => {
+    it('shows the main program and lists the subroutines', async () => {
+        const { page, server, document } = await openMonitor();
+        const rungs = document.querySelectorAll('#staticrunglist .ladder-rung');
+        assert.equal(rungs.length, server.programs.main.subrdata.length);
+
+        const options = Array.from(document.getElementById('subr-select').options).map(o => o.value);
+        assert.deepEqual(options, Object.keys(server.programs).sort());
+        assert.equal(document.getElementById('subr-select').value, 'main');
+        assert.equal(page.window.location.hash, '#subr=main&view=both');
+        assert.deepEqual(page.errors, []);
+    });
+
+    it('shows the statistics', async () => {
+        const { document } = await openMonitor();
+        assert.equal(document.getElementById('status-updates').textContent, 'Polling');
+        assert.equal(document.getElementById('status-scan-count').textContent, '1234');
+    });
+
+    it('shows stale updates while the server is lost', async () => {
+        const { page, server, document } = await openMonitor();
+        const updates = document.getElementById('status-updates');
+        server.setOnline(false);
+        await page.clock.tick(5000);
+        assert.equal(updates.textContent, 'Stale');
+        assert.ok(document.body.classList.contains('data-stale'));
+
+        server.setOnline(true);
+        await page.clock.tick(10000);
+        assert.equal(updates.textContent, 'Polling');
+        assert.ok(!document.body.classList.contains('data-stale'));
+    });
+
+    it('reads no values until monitoring starts', async () => {
+        const { page, server } = await openMonitor();
+        await page.clock.tick(3000);
+        assert.equal(server.requestsTo('/api/data').length, 0);
+    });
+
+    it('monitors the addresses of the program', async () => {
+        const { page, server, document } = await openMonitor();
+        document.getElementById('btn-monitor').click();
+        await page.settle();
+
+        assert.deepEqual(lastPolledAddresses(server), [...server.programs.main.addresses].sort());
+        assert.equal(document.getElementById('btn-monitor').textContent, 'Stop Monitor');
+        assert.match(page.window.location.hash, /monitor=1/);
+
+        const contact = document.querySelector('#rung-1 .ladder-cell[data-col="0"]');
+        assert.ok(contact.classList.contains('MB_ladderon'));
+
+        server.values.X1 = null;
+        await page.clock.tick(900);
+        assert.ok(contact.classList.contains('MB_ladderoff'));
+    });
+
+    it('stops reading values when monitoring stops', async () => {
+        const { page, server, document } = await openMonitor();
+        const button = document.getElementById('btn-monitor');
+        button.click();
+        await page.settle();
+        button.click();
+        await page.settle();
+        const count = server.requestsTo('/api/data').length;
+
+        await page.clock.tick(3000);
+        assert.equal(server.requestsTo('/api/data').length, count);
+        assert.equal(button.textContent, 'Monitor');
+        assert.doesNotMatch(page.window.location.hash, /monitor=1/);
+    });
+
+    it('switches subroutine from the list', async () => {
+        const { page, server, document } = await openMonitor();
+        const select = document.getElementById('subr-select');
+        select.value = 'PickAndPlace';
+        select.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+        await page.settle();
+
+        assert.equal(server.requestsTo('/api/program').pop().query.get('subrname'), 'PickAndPlace');
+        assert.equal(document.querySelectorAll('#staticrunglist .ladder-rung').length,
+                     server.programs.PickAndPlace.subrdata.length);
+        assert.match(page.window.location.hash, /subr=PickAndPlace/);
+    });
+
+    it('opens a link in the state it carries', async () => {
+        const { server, document } = await openMonitor('#subr=TankSim&monitor=1');
+        assert.equal(server.requestsTo('/api/program')[0].query.get('subrname'), 'TankSim');
+        assert.equal(document.getElementById('subr-select').value, 'TankSim');
+        assert.equal(document.getElementById('btn-monitor').textContent, 'Stop Monitor');
+        assert.deepEqual(lastPolledAddresses(server), [...server.programs.TankSim.addresses].sort());
+    });
+
+    it('watches the alarm addresses on the page stream while there are alarms', async () => {
+        const { page, server, document } = await openMonitor('', true);
+        assert.equal(server.streams.length, 1);
+        assert.deepEqual(server.streams[0].addresses, []);
+
+        document.getElementById('alarm-address').value = 'DS10';
+        document.getElementById('alarm-op').value = '>';
+        document.getElementById('alarm-value').value = '40';
+        document.getElementById('btn-alarm-add').click();
+        await page.settle();
+        assert.deepEqual(server.streams[0].addresses, ['DS10']);
+
+        server.pushStreams();
+        assert.equal(document.getElementById('status-alarms').textContent, '1');
+
+        const remove = Array.from(document.querySelectorAll('#alarm-list button'))
+            .find(button => button.textContent === 'Remove');
+        remove.click();
+        await page.settle();
+        assert.deepEqual(server.streams[0].addresses, []);
+        assert.equal(server.requestsTo('/api/stream').length, 1);
+    });
+
+    it('watches the trend pens on the page stream while there are pens', async () => {
+        const { page, server, document } = await openMonitor('', true);
+        document.getElementById('trend-address-input').value = 'X1, DS10';
+        document.getElementById('btn-trend-add').click();
+        await page.settle();
+        assert.deepEqual(server.streams[0].addresses, ['X1', 'DS10']);
+
+        document.querySelector('.trend-pen-remove[data-addr="X1"]').click();
+        await page.settle();
+        assert.deepEqual(server.streams[0].addresses, ['DS10']);
+        document.querySelector('.trend-pen-remove[data-addr="DS10"]').click();
+        await page.settle();
+        assert.deepEqual(server.streams[0].addresses, []);
+        assert.equal(server.requestsTo('/api/stream').length, 1);
+    });
+});
+
+describe('Cross reference', () => {
+    it('keeps the list of the last address clicked when an earlier lookup ends later', async () => {
+        const { page, document } = await openMonitor();
+        const lookups = {};
+        page.get('LadProgram').findAddressUsages = (address) => new Promise(resolve => {
+            lookups[address] = resolve;
+        });
+        const LadXref = page.get('LadXref');
+        LadXref.show('X1');
+        LadXref.show('Y1');
+
+        lookups.Y1([{ subrname: 'main', rungnum: 2, opcode: 'OUT', tags: ['write'] }]);
+        await page.settle();
+        lookups.X1([{ subrname: 'main', rungnum: 1, opcode: 'STR', tags: ['read'] }]);
+        await page.settle();
+
+        assert.match(document.getElementById('xref-title').textContent, /Y1/);
+        const entries = Array.from(document.querySelectorAll('#xref-list .xref-location'), el => el.textContent);
+        assert.deepEqual(entries, ['main / Network 2']);
+    });
+});
+
+describe('Value editor', () => {
+    /**
+     * Open the value editor for one address
+     * @param {string} address - Address
+     * @returns {Promise<Object>} - {page, server, editor}
+     */
+    async function openEditor(address) {
+        const { page, server, document } = await openMonitor();
+        const cell = document.createElement('div');
+        cell.className = 'ladder-cell';
+        cell.setAttribute('data-addresses', address);
+        document.getElementById('staticrunglist').appendChild(cell);
+        cell.click();
+        await page.settle();
+        return { page, server, editor: document.getElementById('value-editor') };
+    }
+
+    /**
+     * Type into the editor and press one of its buttons
+     * @param {Object} page - Loaded page
+     * @param {Element} editor - Editor element
+     * @param {string} text - Input text
+     * @param {string} label - Button text
+     */
+    async function enter(page, editor, text, label) {
+        editor.querySelector('input').value = text;
+        Array.from(editor.querySelectorAll('button')).find(b => b.textContent === label).click();
+        await page.settle();
+    }
+
+    it('takes hex input for a hex register', async () => {
+        const { page, server, editor } = await openEditor('DH1');
+        assert.equal(editor.querySelector('input').type, 'text');
+        await enter(page, editor, '0x1F', 'Write');
+        assert.deepEqual(server.requestsTo('/api/write').pop().body, { addr: 'DH1', value: 31 });
+
+        const again = await openEditor('DH1');
+        await enter(again.page, again.editor, '1fh', 'Force');
+        assert.deepEqual(again.server.requestsTo('/api/force/set').pop().body, { addr: 'DH1', value: 31 });
+
+        const decimal = await openEditor('DH1');
+        await enter(decimal.page, decimal.editor, '31', 'Write');
+        assert.deepEqual(decimal.server.requestsTo('/api/write').pop().body, { addr: 'DH1', value: 31 });
+    });
+
+    it('takes decimal input for other registers', async () => {
+        const { page, server, editor } = await openEditor('DS1');
+        assert.equal(editor.querySelector('input').type, 'number');
+        await enter(page, editor, '-42', 'Write');
+        assert.deepEqual(server.requestsTo('/api/write').pop().body, { addr: 'DS1', value: -42 });
+    });
+});
@@ -0,0 +1,177 @@
+/**
+ * ladpowerflow.test.js - LadPowerFlow Tests
+ * Logic models built from the rung IL, power through contacts, branches
+ * and block inputs, and the wires and connectors that carry it
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./support/page');
+
+/**
+ * Load the power flow module, with the display library for rung layouts
+ * @returns {Object} - {LadPowerFlow, SubrDispControl}
+ */
+function load() {
+    const page = loadPage({
+        html: '<html><body></body></html>',
+        scripts: ['js/ladmarkup.js', 'js/ladsymbols.js', 'js/ladblockface.js', 'js/ladpowerflow.js',
+                  'js/ladsubrdisplib.js', 'js/ladaddress.js']
+    });
+    return { LadPowerFlow: page.get('LadPowerFlow'), SubrDispControl: page.get('SubrDispControl') };
+}
+
+/**
+ * A rung from its IL and the position of each instruction's cell
+ * @param {Array[]} instructions - [il, row, col] or [il, row, col, rowSpan];
+ *     ANDSTR and ORSTR have no position
+ * @param {Object} extra - Other rung fields, e.g. rows, cols and branches
+ * @returns {Object}
+ */
+function rung(instructions, extra = {}) {
+    const cells = instructions
+        .filter(([il]) => !/^(ANDSTR|ORSTR)$/.test(il))
+        .map(([il, row, col, rowSpan]) => {
+            const [opcode, ...params] = il.split(' ');
+            return { opcode, addr: params[0] || null, params, row, col, rowSpan: rowSpan || 1 };
+        });
+    return Object.assign({ cells, il: instructions.map(([il]) => il) }, extra);
+}
+
+/**
+ * Whether each cell passes power on, by cell key
+ * @param {Map} cellPower - Result of evaluate
+ * @returns {Object}
+ */
+function lit(cellPower) {
+    const result = {};
+    cellPower.forEach((power, key) => {
+        result[key] = power.lit;
+    });
+    return result;
+}
+
+// STR X1 / OR X2 / AND X3 / OUT Y1
+const OR_BRANCH = rung([['STR X1', 0, 0], ['OR X2', 1, 0], ['AND X3', 0, 1], ['OUT Y1', 0, 2]],
+                       { rows: 2, cols: 3, branches: [{ col: 1, startRow: 0, endRow: 1 }], wires: [] });
+
+describe('LadPowerFlow.buildModel', () => {
+    it('combines contacts as the logic stack does', () => {
+        const { LadPowerFlow } = load();
+        const model = LadPowerFlow.buildModel(OR_BRANCH);
+        assert.equal(model.outputs.length, 1);
+        assert.equal(model.outputs[0].cell.addr, 'Y1');
+
+        const logic = model.outputs[0].inputs[0];
+        assert.equal(logic.kind, 'series');
+        assert.equal(logic.left.kind, 'parallel');
+        assert.deepEqual([logic.left.left.cell.addr, logic.left.right.cell.addr], ['X1', 'X2']);
+        assert.equal(logic.right.cell.addr, 'X3');
+        assert.equal(model.hasEdges, false);
+    });
+
+    it('gives multi-input blocks one input per stacked rung and END none', () => {
+        const { LadPowerFlow } = load();
+        const model = LadPowerFlow.buildModel(rung([
+            ['STR X1', 0, 0], ['STRPD X2', 1, 0], ['CNTU CT1 10', 0, 1, 2], ['END', 2, 1]
+        ]));
+        assert.deepEqual(Array.from(model.outputs, output => output.inputs.length), [2, 0]);
+        assert.equal(model.hasEdges, true);
+    });
+
+    it('gives up on a rung whose IL does not match its cells', () => {
+        const { LadPowerFlow } = load();
+        const broken = rung([['STR X1', 0, 0], ['OUT Y1', 0, 1]]);
+        broken.il.push('OUT Y2');
+        assert.equal(LadPowerFlow.buildModel(broken), null);
+        assert.equal(LadPowerFlow.buildModel(rung([['ANDSTR'], ['OUT Y1', 0, 0]])), null);
+    });
+});
+
+describe('LadPowerFlow.evaluate', () => {
+    it('passes power through the branch that conducts', () => {
+        const { LadPowerFlow } = load();
+        const model = LadPowerFlow.buildModel(OR_BRANCH);
+        const cellPower = LadPowerFlow.evaluate(model, { X1: null, X2: true, X3: true });
+        assert.deepEqual(lit(cellPower), { '0,0': false, '1,0': true, '0,1': true, '0,2': true });
+        assert.equal(cellPower.get('0,0').powerIn, true);
+    });
+
+    it('reads an off bit sent as null as off', () => {
+        const { LadPowerFlow } = load();
+        const model = LadPowerFlow.buildModel(rung([['STRN X1', 0, 0], ['ANDN X2', 0, 1], ['OUT Y1', 0, 2]]));
+        assert.equal(LadPowerFlow.evaluate(model, { X1: null, X2: false }).get('0,2').lit, true);
+        assert.equal(LadPowerFlow.evaluate(model, { X1: true, X2: null }).get('0,2').lit, false);
+        // X2 has no value yet
+        assert.equal(LadPowerFlow.evaluate(model, { X1: null }).get('0,1').lit, false);
+    });
+
+    it('passes power through edge contacts only on their edge', () => {
+        const { LadPowerFlow } = load();
+        const model = LadPowerFlow.buildModel(rung([['STRPD X1', 0, 0], ['ANDND X2', 0, 1], ['OUT Y1', 0, 2]]));
+        const values = { X1: true, X2: null };
+        assert.equal(LadPowerFlow.evaluate(model, values).get('0,2').lit, false);
+        assert.equal(LadPowerFlow.evaluate(model, values, { X1: 'rising', X2: 'falling' }).get('0,2').lit, true);
+        assert.equal(LadPowerFlow.evaluate(model, values, { X1: 'falling', X2: 'falling' }).get('0,2').lit, false);
+    });
+
+    it('compares words and constants', () => {
+        const { LadPowerFlow } = load();
+        const model = LadPowerFlow.buildModel(rung([['STRGT DS1 10', 0, 0], ['OUT Y1', 0, 1]]));
+        assert.equal(LadPowerFlow.evaluate(model, { DS1: 11 }).get('0,1').lit, true);
+        assert.equal(LadPowerFlow.evaluate(model, { DS1: 10 }).get('0,1').lit, false);
+        assert.equal(LadPowerFlow.evaluate(model, {}).get('0,0').lit, false);
+    });
+
+    it('energizes END whatever the values', () => {
+        const { LadPowerFlow } = load();
+        const model = LadPowerFlow.buildModel(rung([['END', 0, 0]]));
+        assert.equal(LadPowerFlow.evaluate(model, {}).get('0,0').lit, true);
+    });
+});
+
+describe('LadPowerFlow.wirePower', () => {
+    /**
+     * Wire power of a rung with some values
+     * @param {Object} data - Rung data
+     * @param {Object} values - Values by address
+     * @returns {Object} - {spacers, leads, connectors} as sorted arrays
+     */
+    function wires(data, values) {
+        const { LadPowerFlow, SubrDispControl } = load();
+        const layout = SubrDispControl.getRungLayout(data);
+        const cellPower = LadPowerFlow.evaluate(LadPowerFlow.buildModel(data), values);
+        const result = LadPowerFlow.wirePower(layout, cellPower);
+        return {
+            spacers: [...result.spacers].sort(),
+            leads: [...result.leads].sort(),
+            connectors: [...result.connectors].sort()
+        };
+    }
+
+    it('lights a connector reached from any row it joins', () => {
+        assert.deepEqual(wires(OR_BRANCH, { X1: null, X2: true, X3: null }).connectors, [0]);
+        assert.deepEqual(wires(OR_BRANCH, { X1: null, X2: null, X3: true }).connectors, []);
+    });
+
+    it('carries power along wires to the branch after an output', () => {
+        // STR X1 / OUT Y1 / AND X2 / OUT Y2
+        const data = rung([['STR X1', 0, 0], ['OUT Y1', 0, 2], ['AND X2', 1, 1], ['OUT Y2', 1, 2]], {
+            rows: 2, cols: 3,
+            branches: [{ col: 1, startRow: 0, endRow: 1 }],
+            wires: [{ row: 0, startCol: 1, endCol: 1 }]
+        });
+        assert.deepEqual(wires(data, { X1: true, X2: null }), { spacers: ['0,1'], leads: [], connectors: [0] });
+        assert.deepEqual(wires(data, { X1: null, X2: true }), { spacers: [], leads: [], connectors: [] });
+    });
+
+    it('lights the input leads of a block covering several rows', () => {
+        const data = rung([['STR X1', 0, 0], ['STR X2', 1, 0], ['CNTU CT1 10', 0, 1, 2]],
+                          { rows: 2, cols: 2, branches: null, wires: null });
+        assert.deepEqual(wires(data, { X1: true, X2: null }).leads, ['0,1']);
+        assert.deepEqual(wires(data, { X1: null, X2: true }).leads, ['1,1']);
+    });
+});
@@ -0,0 +1,53 @@
+/**
+ * ladprogram.test.js - LadProgram Tests
+ * Loading and caching every subroutine, and dropping the cache when the
+ * program changes on the server
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./support/page');
+const { createFakeServer } = require('./support/fake-server');
+
+/**
+ * Load LadProgram against the fake server
+ * @returns {Object} - {page, server, LadProgram}
+ */
+function load() {
+    const server = createFakeServer();
+    const page = loadPage({
+        html: '<html><body></body></html>',
+        scripts: ['js/servercomm.js', 'js/ladaddress.js', 'js/ladprogram.js'],
+        server
+    });
+    return { page, server, LadProgram: page.get('LadProgram') };
+}
+
+describe('LadProgram.loadAll', () => {
+    it('loads every subroutine once', async () => {
+        const { server, LadProgram } = load();
+        const [first, second] = await Promise.all([LadProgram.loadAll(), LadProgram.loadAll()]);
+        assert.equal(first, second);
+        assert.deepEqual(Object.keys(first).sort(), Object.keys(server.programs).sort());
+
+        await LadProgram.loadAll();
+        assert.equal(server.requestsTo('/api/subroutines').length, 1);
+    });
+
+    it('does not keep a load that started before the cache was dropped', async () => {
+        const { server, LadProgram } = load();
+        const before = LadProgram.loadAll();
+        LadProgram.invalidate();
+        server.programs.main = Object.assign({}, server.programs.main, { subrdata: [] });
+
+        const after = LadProgram.loadAll();
+        assert.notEqual(after, before);
+        assert.equal((await after).main.subrdata.length, 0);
+        await before;
+        assert.equal((await LadProgram.loadAll()).main.subrdata.length, 0);
+        assert.equal(server.requestsTo('/api/subroutines').length, 2);
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * ladsymbols.test.js - LadSymbols Tests
+ * Symbol lookup, the IL fallback and block symbol classification
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./support/page');
+
+/**
+ * Load LadSymbols on an empty page
+ * @returns {Object} - {page, LadSymbols}
+ */
+function load() {
+    const page = loadPage({ html: '<html><body></body></html>', scripts: ['js/ladsymbols.js'] });
+    return { page, LadSymbols: page.get('LadSymbols') };
+}
+
+/**
+ * Parse a symbol's SVG string into an element
+ * @param {Object} page - Page from loadPage
+ * @param {string} svg - SVG markup
+ * @returns {Element}
+ */
+function parseSvg(page, svg) {
+    const div = page.document.createElement('div');
+    div.innerHTML = svg;
+    return div.querySelector('svg');
+}
+
+describe('LadSymbols.getSymbol', () => {
+    it('draws every named symbol as an SVG with the state class', () => {
+        const { page, LadSymbols } = load();
+        LadSymbols.getSymbolNames().forEach(name => {
+            const svg = parseSvg(page, LadSymbols.getSymbol(name, 'MB_ladderon'));
+            assert.ok(svg, `${name} has an svg element`);
+            assert.ok(svg.classList.contains('MB_ladderon'), `${name} carries the state class`);
+            assert.ok(svg.classList.contains('ladder-symbol'), `${name} is a ladder symbol`);
+        });
+    });
+
+    it('defaults to the off state', () => {
+        const { page, LadSymbols } = load();
+        const svg = parseSvg(page, LadSymbols.getSymbol('noc'));
+        assert.ok(svg.classList.contains('MB_ladderoff'));
+    });
+
+    it('falls back to the IL symbol for unknown names', () => {
+        const { LadSymbols } = load();
+        const il = LadSymbols.getSymbol('il', 'MB_ladderoff');
+        assert.match(il, />IL</);
+        assert.equal(LadSymbols.getSymbol('no-such-symbol', 'MB_ladderoff'), il);
+        assert.equal(LadSymbols.getSymbol(undefined, 'MB_ladderoff'), il);
+        assert.equal(LadSymbols.getSymbol(null, 'MB_ladderoff'), il);
+        assert.equal(LadSymbols.getSymbol('', 'MB_ladderoff'), il);
+    });
+
+    it('labels blocks with their instruction', () => {
+        const { page, LadSymbols } = load();
+        const svg = parseSvg(page, LadSymbols.getSymbol('tmr'));
+        assert.ok(Array.from(svg.querySelectorAll('text')).some(text => text.textContent === 'TMR'));
+    });
+});
+
+describe('LadSymbols.isBlockSymbol', () => {
+    it('tells blocks from contacts and coils', () => {
+        const { LadSymbols } = load();
+        ['compare', 'tmr', 'cntu', 'copy', 'mathdec', 'call', 'end'].forEach(name => {
+            assert.equal(LadSymbols.isBlockSymbol(name), true, name);
+        });
+        ['noc', 'ncc', 'nocpd', 'out', 'set', 'rst', 'hline', 'il', 'unknown'].forEach(name => {
+            assert.equal(LadSymbols.isBlockSymbol(name), false, name);
+        });
+    });
+});
@@ -0,0 +1,83 @@
+/**
+ * ladurl.test.js - LadUrl Tests
+ * Page state written to the location hash and read back from it
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./support/page');
+
+/**
+ * Load LadUrl with the modules it reads hashes and addresses with
+ * @param {string} url - Page URL
+ * @returns {Object} - {page, LadUrl}
+ */
+function load(url = 'http://localhost/laddermonitor.html') {
+    const page = loadPage({
+        html: '<html><body></body></html>',
+        url,
+        scripts: ['js/ladmarkup.js', 'js/ladsymbols.js', 'js/ladblockface.js', 'js/ladpowerflow.js',
+                  'js/ladsubrdisplib.js', 'js/ladaddress.js', 'js/ladurl.js']
+    });
+    return { page, LadUrl: page.get('LadUrl') };
+}
+
+/**
+ * Copy a value made in the page into this realm
+ * @param {*} value - JSON value
+ * @returns {*}
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+describe('LadUrl', () => {
+    it('reads back the state it builds', () => {
+        const { LadUrl } = load();
+        const state = { subrname: 'Tank Sim', rungnum: 57, monitor: true,
+                        highlight: ['X1', 'DS10'], view: 'tag' };
+        const hash = LadUrl.build(state);
+        assert.equal(hash, '#subr=Tank%20Sim&rung=57&monitor=1&hl=X1,DS10&view=tag');
+        assert.deepEqual(plain(LadUrl.read(hash)), state);
+    });
+
+    it('leaves out what the state does not have', () => {
+        const { LadUrl } = load();
+        assert.equal(LadUrl.build({}), '');
+        assert.equal(LadUrl.build({ rungnum: 3, monitor: false, highlight: [] }), '#rung=3');
+        assert.deepEqual(plain(LadUrl.read('')),
+                         { subrname: null, rungnum: null, monitor: false, highlight: [], view: null });
+    });
+
+    it('drops highlights and views it does not know', () => {
+        const { LadUrl } = load();
+        const state = LadUrl.read('#subr=main&hl=x1,nope,DS10&view=huge');
+        assert.deepEqual(plain(state.highlight), ['X1', 'DS10']);
+        assert.equal(state.view, null);
+    });
+
+    it('reads the plain rung anchors of older links', () => {
+        const { LadUrl } = load();
+        assert.equal(LadUrl.read('#rung-12').rungnum, 12);
+    });
+
+    it('replaces the current history entry unless asked to push', async () => {
+        const { page, LadUrl } = load('http://localhost/laddermonitor.html#subr=main');
+        const changes = [];
+        page.window.addEventListener('hashchange', () => changes.push(page.window.location.hash));
+
+        assert.equal(LadUrl.write({ subrname: 'main' }), false);
+        assert.equal(LadUrl.write({ subrname: 'main', monitor: true }), true);
+        assert.equal(page.window.location.hash, '#subr=main&monitor=1');
+        await page.settle();
+        assert.deepEqual(changes, []);
+
+        assert.equal(LadUrl.write({ subrname: 'Alarms', rungnum: 2 }, true), true);
+        await page.settle();
+        assert.deepEqual(changes, ['#subr=Alarms&rung=2']);
+        assert.equal(LadUrl.read().subrname, 'Alarms');
+    });
+});
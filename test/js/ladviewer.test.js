@@ -0,0 +1,52 @@
+/**
+ * ladviewer.test.js - Offline Viewer Tests
+ * Opening program files on ladderviewer.html without a server
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./support/page');
+const { loadFixturePrograms } = require('./support/fake-server');
+
+/**
+ * Load the viewer page and choose a file in it
+ * @param {string} name - File name
+ * @param {string} text - File contents
+ * @returns {Promise<Object>} - {page, document}
+ */
+async function openFile(name, text) {
+    const page = loadPage({ page: 'ladderviewer.html' });
+    await page.settle();
+    const input = page.document.getElementById('viewer-file');
+    input.files = [{ name, text: () => Promise.resolve(text) }];
+    input.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+    await page.settle();
+    return { page, document: page.document };
+}
+
+describe('Ladder viewer', () => {
+    it('shows a program JSON file', async () => {
+        const programs = loadFixturePrograms();
+        const { page, document } = await openFile('main.json', JSON.stringify(programs.main));
+        assert.equal(document.getElementById('viewer-file-status').textContent, 'main.json: 1 subroutine');
+        assert.equal(document.querySelectorAll('#staticrunglist .ladder-rung').length,
+                     programs.main.subrdata.length);
+        assert.deepEqual(page.errors, []);
+    });
+
+    it('turns away IL source with what to do instead', async () => {
+        const { document } = await openFile('tank.il', 'STR X1\nOUT Y1\n');
+        const status = document.getElementById('viewer-file-status').textContent;
+        assert.match(status, /^Cannot open tank\.il: the viewer opens program JSON or bundles\./);
+        assert.match(status, /IL source needs the server/);
+        assert.ok(document.querySelector('#staticrunglist .viewer-empty'));
+    });
+
+    it('turns away IL source whatever the file is called', async () => {
+        const { document } = await openFile('program.txt', '// Tank\nNETWORK 1\nSTR X1\nOUT Y1\n');
+        assert.match(document.getElementById('viewer-file-status').textContent, /IL source needs the server/);
+    });
+});
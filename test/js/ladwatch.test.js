@@ -0,0 +1,66 @@
+/**
+ * ladwatch.test.js - Watch Table Tests
+ * Value display formats, and floats read from the bits of word registers
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./support/page');
+const { createFakeServer } = require('./support/fake-server');
+
+/**
+ * Load the watch table page and let it finish starting up
+ * @returns {Promise<Object>} - {page, server, document, LadWatch}
+ */
+async function openWatch() {
+    const server = createFakeServer();
+    const page = loadPage({ page: 'watchtable.html', server });
+    await page.settle();
+    return { page, server, document: page.document, LadWatch: page.get('LadWatch') };
+}
+
+describe('LadWatch.formatValue', () => {
+    it('shows words in hex, binary and ASCII', async () => {
+        const { LadWatch } = await openWatch();
+        assert.equal(LadWatch.formatValue('DS1', -1, 'hex'), '0xFFFF');
+        assert.equal(LadWatch.formatValue('DS1', 5, 'binary'), '0000 0000 0000 0101');
+        assert.equal(LadWatch.formatValue('DD1', 0x41424344, 'ascii'), 'ABCD');
+        assert.equal(LadWatch.formatValue('C1', null, 'decimal'), 'OFF');
+    });
+
+    it('reads the bits of a 32-bit register as a float', async () => {
+        const { LadWatch } = await openWatch();
+        assert.equal(LadWatch.formatValue('DD1', 0x3FC00000, 'float'), '1.5');
+        assert.equal(LadWatch.formatValue('DD1', -1071644672, 'float'), '-2.5');
+        assert.equal(LadWatch.formatValue('DF1', 3, 'float'), '3.0');
+    });
+
+    it('reads a float across a 16-bit register and the next one', async () => {
+        const { LadWatch } = await openWatch();
+        assert.equal(LadWatch.formatValue('DS1', 0, 'float', 0x3FC0), '1.5');
+        assert.equal(LadWatch.formatValue('DS1', 0, 'float', -16352), '-2.5');
+        assert.equal(LadWatch.formatValue('DS1', 0, 'float'), '');
+    });
+});
+
+describe('Watch table', () => {
+    it('watches the next register of a word shown as a float', async () => {
+        const { page, server, document } = await openWatch();
+        server.values.DS10 = 0;
+        server.values.DS11 = 0x3FC0;
+        document.getElementById('watch-address-input').value = 'DS10';
+        document.getElementById('btn-watch-add').click();
+        await page.settle();
+
+        const select = document.querySelector('.watch-format');
+        select.value = 'float';
+        select.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+        await page.settle();
+
+        assert.deepEqual(server.requestsTo('/api/data').pop().body.addr, ['DS10', 'DS11']);
+        assert.equal(document.querySelector('.watch-value').textContent, '1.5');
+    });
+});
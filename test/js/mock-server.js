@@ -0,0 +1,323 @@
+/**
+ * mock-server.js - Mock PLC Server
+ * Stand-in for the Lisp web server when working on the web client: serves
+ * the static files and answers the /api requests from the fixture program,
+ * with a simulated PLC whose values and scan counts change while it runs.
+ * Needs only Node 18 or later:
+ *
+ *     node test/js/mock-server.js [--port 8080]
+ *
+ * There is no live stream, so pages fall back to polling; program checks,
+ * saves and installs are not available.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const { createFakeServer } = require('./support/fake-server');
+
+const STATIC = path.join(__dirname, '..', '..', 'static');
+
+const DEFAULT_PORT = 8080;
+
+// A running PLC is advanced in steps of at least this long
+const MIN_STEP_MS = 100;
+// Scans per step when the scan interval is 0 (full speed)
+const FULL_SPEED_SCANS = 100;
+
+// System addresses keep their fixture values (SC1 is always on)
+const SYSTEM_ADDRESS = /^(SC|SD)[0-9]+$/;
+const BOOL_ADDRESS = /^(X|Y|C|T|CT)[0-9]+$/;
+const FLOAT_ADDRESS = /^DF[0-9]+$/;
+const STRING_ADDRESS = /^TXT[0-9]+$/;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png'
+};
+
+/**
+ * Small number that tells addresses apart, so they change at different
+ * rates
+ * @param {string} address - Address
+ * @returns {number} - 0 to 96
+ */
+function addressSeed(address) {
+    let seed = 0;
+    for (const ch of address) {
+        seed = (seed * 31 + ch.charCodeAt(0)) % 97;
+    }
+    return seed;
+}
+
+/**
+ * Simulated value of an address after a number of scans: bits switch on
+ * and off, words count and floats follow a sine wave, each address at its
+ * own rate
+ * @param {string} address - Address
+ * @param {number} scan - Scans run so far
+ * @returns {boolean|number}
+ */
+function simulatedValue(address, scan) {
+    const seed = addressSeed(address);
+    if (BOOL_ADDRESS.test(address)) {
+        const period = 20 + (seed % 10) * 10;
+        return Math.floor((scan + seed) / period) % 2 === 1;
+    }
+    if (FLOAT_ADDRESS.test(address)) {
+        return Math.round(Math.sin(scan / 40 + seed) * 10000) / 100;
+    }
+    return (Math.floor(scan / (1 + seed % 5)) + seed) % 1000;
+}
+
+/**
+ * Create a mock server
+ * @param {Object} options - Options
+ * @param {string} options.staticDir - Directory of the static files
+ *     (default: static/ of the repository)
+ * @param {Object} options.fake - Fake server answering /api requests
+ *     (default: one serving the fixture program)
+ * @param {boolean} options.realTime - Run scans by themselves while the
+ *     PLC is running (default: true); otherwise only runScans() and step
+ *     requests run scans
+ * @returns {Object} - Server with listen(), close(), runScans() and the
+ *     fake server it answers from
+ */
+function createMockServer(options = {}) {
+    const staticDir = path.resolve(options.staticDir || STATIC);
+    const fake = options.fake || createFakeServer();
+    const stats = fake.statistics;
+    const realTime = options.realTime !== false;
+
+    // Every address of the program, except system and text addresses
+    const simulated = [...new Set(Object.values(fake.programs).flatMap(p => p.addresses || []))]
+        .filter(addr => !SYSTEM_ADDRESS.test(addr) && !STRING_ADDRESS.test(addr));
+
+    let scan = 0;
+    let scanTimer = null;
+    const httpServer = http.createServer(handleRequest);
+
+    // ============================================================
+    // PLC Simulation
+    // ============================================================
+
+    /**
+     * Move the simulated values on to a later scan. Written values hold
+     * until the simulation next changes the address.
+     * @param {number} count - Scans run
+     */
+    function changeValues(count) {
+        const before = scan;
+        scan += count;
+        simulated.forEach(addr => {
+            const value = simulatedValue(addr, scan);
+            if (value !== simulatedValue(addr, before) || !(addr in fake.values)) {
+                fake.values[addr] = value;
+            }
+        });
+    }
+
+    /**
+     * Run scans of the simulated PLC: values, scan counts and scan times
+     * @param {number} count - Number of scans
+     */
+    function runScans(count) {
+        changeValues(count);
+        const scanTime = Math.round((0.03 + 0.02 * Math.abs(Math.sin(scan / 50))) * 1000) / 1000;
+        const total = stats['total-scans'] || 0;
+        stats['scan-count'] += count;
+        stats['total-scans'] = total + count;
+        stats['scan-time'] = scanTime;
+        stats['min-scan-time'] = total > 0 ? Math.min(stats['min-scan-time'], scanTime) : scanTime;
+        stats['max-scan-time'] = total > 0 ? Math.max(stats['max-scan-time'], scanTime) : scanTime;
+        stats['avg-scan-time'] = Math.round(((stats['avg-scan-time'] || 0) * total + scanTime * count) /
+                                            (total + count) * 1000) / 1000;
+    }
+
+    /**
+     * Advance a running PLC, at the scan interval it has been given
+     */
+    function scheduleScans() {
+        const interval = stats['scan-interval'] || 0;
+        const stepMs = Math.max(interval, MIN_STEP_MS);
+        scanTimer = setTimeout(() => {
+            if (stats.running) {
+                runScans(interval > 0 ? Math.max(1, Math.round(stepMs / interval)) : FULL_SPEED_SCANS);
+            }
+            scheduleScans();
+        }, stepMs);
+    }
+
+    // ============================================================
+    // HTTP
+    // ============================================================
+
+    /**
+     * Send a response
+     * @param {http.ServerResponse} res - Response
+     * @param {number} status - HTTP status
+     * @param {string} contentType - Content type
+     * @param {string|Buffer} body - Body
+     */
+    function send(res, status, contentType, body) {
+        res.writeHead(status, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+        res.end(body);
+    }
+
+    /**
+     * Answer an /api request from the fake server; steps also move the
+     * simulated values on
+     * @param {string} method - HTTP method
+     * @param {URL} url - Request URL
+     * @param {string} text - Request body
+     * @param {http.ServerResponse} res - Response
+     */
+    function handleApi(method, url, text, res) {
+        let body = null;
+        try {
+            body = text ? JSON.parse(text) : null;
+        } catch (e) {
+            send(res, 400, 'text/plain; charset=utf-8', `Invalid JSON: ${e.message}`);
+            return;
+        }
+
+        const result = fake.handle(method, url.pathname, url.searchParams, body);
+        if (url.pathname === '/api/control/step' && result.body.success) {
+            changeValues(body && body.count !== undefined ? body.count : 1);
+        }
+        if (typeof result.body === 'string') {
+            send(res, result.status, 'text/plain; charset=utf-8', result.body);
+        } else {
+            send(res, result.status, 'application/json; charset=utf-8', JSON.stringify(result.body));
+        }
+    }
+
+    /**
+     * Serve a file from the static directory
+     * @param {URL} url - Request URL
+     * @param {http.ServerResponse} res - Response
+     */
+    function handleStatic(url, res) {
+        if (url.pathname === '/') {
+            res.writeHead(302, { Location: '/laddermonitor.html' });
+            res.end('Redirecting...');
+            return;
+        }
+
+        let relative;
+        try {
+            relative = decodeURIComponent(url.pathname).slice(1);
+        } catch (e) {
+            relative = '';
+        }
+        const file = path.resolve(staticDir, relative);
+        // Nothing outside the static directory
+        if (!relative || !file.startsWith(staticDir + path.sep)) {
+            send(res, 404, 'text/plain; charset=utf-8', `File not found: ${relative}`);
+            return;
+        }
+
+        fs.readFile(file, (error, data) => {
+            if (error) {
+                send(res, 404, 'text/plain; charset=utf-8', `File not found: ${relative}`);
+            } else {
+                send(res, 200, CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream', data);
+            }
+        });
+    }
+
+    /**
+     * Answer a request
+     * @param {http.IncomingMessage} req - Request
+     * @param {http.ServerResponse} res - Response
+     */
+    function handleRequest(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            try {
+                if (url.pathname.startsWith('/api/')) {
+                    handleApi(req.method, url, Buffer.concat(chunks).toString('utf8'), res);
+                } else {
+                    handleStatic(url, res);
+                }
+            } catch (e) {
+                console.error(`Error answering ${req.method} ${url.pathname}:`, e);
+                send(res, 500, 'text/plain; charset=utf-8', 'Internal server error');
+            }
+        });
+    }
+
+    /**
+     * Start listening and running the simulated PLC
+     * @param {number} port - Port; 0 picks a free one
+     * @returns {Promise<number>} - Port listened on
+     */
+    function listen(port = DEFAULT_PORT) {
+        return new Promise((resolve, reject) => {
+            httpServer.once('error', reject);
+            httpServer.listen(port, () => {
+                httpServer.off('error', reject);
+                if (realTime) {
+                    scheduleScans();
+                }
+                resolve(httpServer.address().port);
+            });
+        });
+    }
+
+    /**
+     * Stop the simulated PLC and the server
+     * @returns {Promise}
+     */
+    function close() {
+        clearTimeout(scanTimer);
+        scanTimer = null;
+        return new Promise(resolve => {
+            httpServer.close(() => resolve());
+            httpServer.closeAllConnections();
+        });
+    }
+
+    // Start from the fixture data; addresses it has no value for get
+    // their simulated one
+    changeValues(0);
+
+    return {
+        fake,
+        listen,
+        close,
+        runScans
+    };
+}
+
+module.exports = {
+    createMockServer,
+    simulatedValue
+};
+
+if (require.main === module) {
+    const portArg = process.argv.indexOf('--port');
+    const port = portArg >= 0 ? parseInt(process.argv[portArg + 1], 10) : DEFAULT_PORT;
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        console.error('Usage: node test/js/mock-server.js [--port 8080]');
+        process.exit(1);
+    }
+
+    createMockServer().listen(port).then(actualPort => {
+        console.log(`MBLogic-CL mock server started on port ${actualPort}`);
+        console.log(`Open http://localhost:${actualPort}/laddermonitor.html in your browser`);
+        console.log(`Static files from: ${STATIC}`);
+    }, error => {
+        console.error(`Could not start the mock server: ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,153 @@
+/**
+ * mock-server.test.js - Mock PLC Server Tests
+ * Static files, /api requests over HTTP and the simulated PLC
+ */
+
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMockServer, simulatedValue } = require('./mock-server');
+
+describe('Mock server', () => {
+    let mock;
+    let base;
+
+    // Scans only run when a test runs them
+    before(async () => {
+        mock = createMockServer({ realTime: false });
+        const port = await mock.listen(0);
+        base = `http://127.0.0.1:${port}`;
+    });
+
+    after(() => mock.close());
+
+    /**
+     * Post JSON to the mock server
+     * @param {string} pathname - Path
+     * @param {Object} body - Request body
+     * @returns {Promise<Object>} - Decoded response
+     */
+    async function post(pathname, body) {
+        const response = await fetch(base + pathname, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return response.json();
+    }
+
+    it('serves the pages and their scripts', async () => {
+        const page = await fetch(`${base}/laddermonitor.html`);
+        assert.equal(page.status, 200);
+        assert.match(page.headers.get('content-type'), /^text\/html/);
+        assert.match(await page.text(), /js\/ladmonitor\.js/);
+
+        const script = await fetch(`${base}/js/servercomm.js`);
+        assert.match(script.headers.get('content-type'), /^application\/javascript/);
+        assert.match(await script.text(), /const ServerComm/);
+    });
+
+    it('sends the root to the monitor page', async () => {
+        const response = await fetch(`${base}/`, { redirect: 'manual' });
+        assert.equal(response.status, 302);
+        assert.equal(response.headers.get('location'), '/laddermonitor.html');
+    });
+
+    it('serves nothing outside the static files', async () => {
+        assert.equal((await fetch(`${base}/js/nope.js`)).status, 404);
+        assert.equal((await fetch(`${base}/js/..%2F..%2Fwarp.md`)).status, 404);
+        assert.equal((await fetch(`${base}/api/nope`)).status, 404);
+    });
+
+    it('answers program and subroutine requests from the fixtures', async () => {
+        const subroutines = await (await fetch(`${base}/api/subroutines`)).json();
+        assert.ok(subroutines.subroutines.includes('main'));
+        assert.ok(subroutines.subroutines.includes('TankSim'));
+
+        const program = await (await fetch(`${base}/api/program?subrname=TankSim`)).json();
+        assert.equal(program.subrname, 'TankSim');
+        assert.deepEqual(program.subrdata, mock.fake.programs.TankSim.subrdata);
+    });
+
+    it('reads values by query and by post', async () => {
+        const query = await (await fetch(`${base}/api/data?addr=SC1,DS1`)).json();
+        const posted = await post('/api/data', { addr: ['SC1', 'DS1'] });
+        assert.deepEqual(query, posted);
+        assert.equal(query.SC1, true);
+        assert.equal(typeof query.DS1, 'number');
+    });
+
+    it('rejects a body that is not JSON', async () => {
+        const response = await fetch(`${base}/api/write`, { method: 'POST', body: '{' });
+        assert.equal(response.status, 400);
+    });
+
+    it('simulates scans', async () => {
+        const before = await (await fetch(`${base}/api/statistics`)).json();
+        assert.equal(before.running, true);
+        mock.runScans(500);
+        const after = await (await fetch(`${base}/api/statistics`)).json();
+        assert.equal(after['scan-count'], before['scan-count'] + 500);
+        assert.ok(after['min-scan-time'] <= after['scan-time']);
+        assert.ok(after['scan-time'] <= after['max-scan-time']);
+    });
+
+    it('changes values as scans run', async () => {
+        const addresses = mock.fake.programs.main.addresses.filter(addr => !/^SC/.test(addr));
+        const first = await post('/api/data', { addr: addresses });
+        mock.runScans(200);
+        const second = await post('/api/data', { addr: addresses });
+        assert.notDeepEqual(first, second);
+    });
+
+    it('steps a stopped PLC', async () => {
+        assert.equal((await post('/api/control/stop', {})).success, true);
+        const before = await (await fetch(`${base}/api/statistics`)).json();
+        assert.equal(before.running, null);
+
+        const step = await post('/api/control/step', { count: 10 });
+        assert.equal(step.success, true);
+        const after = await (await fetch(`${base}/api/statistics`)).json();
+        assert.equal(after['scan-count'], before['scan-count'] + 10);
+
+        assert.equal((await post('/api/control/start', {})).success, true);
+    });
+
+    it('holds forced values', async () => {
+        await post('/api/force/set', { addr: 'X1', value: false });
+        mock.runScans(1000);
+        assert.equal((await post('/api/data', { addr: ['X1'] })).X1, null);
+        await post('/api/force/release', { all: true });
+    });
+});
+
+describe('Mock server in real time', () => {
+    it('runs scans by itself while the PLC is running', async () => {
+        const mock = createMockServer();
+        await mock.listen(0);
+        const before = mock.fake.statistics['scan-count'];
+        await new Promise(resolve => setTimeout(resolve, 350));
+        await mock.close();
+        assert.ok(mock.fake.statistics['scan-count'] > before);
+    });
+});
+
+describe('simulatedValue', () => {
+    it('gives bits, words and floats', () => {
+        assert.equal(typeof simulatedValue('X1', 10), 'boolean');
+        assert.ok(Number.isInteger(simulatedValue('DS1', 10)));
+        assert.equal(typeof simulatedValue('DF1', 10), 'number');
+    });
+
+    it('switches every bit on and off', () => {
+        ['X1', 'Y2', 'C100', 'T5', 'CT7'].forEach(addr => {
+            const seen = new Set();
+            for (let scan = 0; scan < 400; scan++) {
+                seen.add(simulatedValue(addr, scan));
+            }
+            assert.deepEqual([...seen].sort(), [false, true], addr);
+        });
+    });
+});
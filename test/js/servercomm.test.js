@@ -0,0 +1,327 @@
+/**
+ * servercomm.test.js - ServerComm Tests
+ * API requests, live stream and polling subscriptions and connection
+ * loss handling, against the fake server with fake timers
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./support/page');
+const { createFakeServer } = require('./support/fake-server');
+
+/**
+ * Load ServerComm on an empty page. Without an EventSource,
+ * subscriptions poll.
+ * @param {boolean} eventSource - Give the page an EventSource
+ * @returns {Object} - {page, server, ServerComm}
+ */
+function load(eventSource = false) {
+    const server = createFakeServer();
+    const page = loadPage({ html: '<html><body></body></html>', scripts: ['js/servercomm.js'],
+                            server, eventSource });
+    return { page, server, ServerComm: page.get('ServerComm') };
+}
+
+/**
+ * Copy a value made in the page into this realm
+ * @param {*} value - JSON value
+ * @returns {*}
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+describe('ServerComm requests', () => {
+    it('loads a program', async () => {
+        const { server, ServerComm } = load();
+        const program = await ServerComm.getProgram('PickAndPlace');
+        assert.equal(program.subrname, 'PickAndPlace');
+        assert.equal(program.subrdata.length, server.programs.PickAndPlace.subrdata.length);
+        assert.equal(server.requestsTo('/api/program')[0].query.get('subrname'), 'PickAndPlace');
+    });
+
+    it('posts the addresses to read', async () => {
+        const { server, ServerComm } = load();
+        const values = await ServerComm.getData(['X1', 'X2', 'DS10']);
+        assert.deepEqual(plain(values), { X1: true, X2: null, DS10: 42 });
+        const request = server.requestsTo('/api/data')[0];
+        assert.equal(request.method, 'POST');
+        assert.deepEqual(request.body, { addr: ['X1', 'X2', 'DS10'] });
+    });
+
+    it('does not ask for no addresses', async () => {
+        const { server, ServerComm } = load();
+        assert.deepEqual(plain(await ServerComm.getData([])), {});
+        assert.equal(server.requestsTo('/api/data').length, 0);
+    });
+
+    it('rejects on an HTTP error without retrying', async () => {
+        const { page, server, ServerComm } = load();
+        // The fake server does not check programs
+        await assert.rejects(ServerComm.validateProgram('STR X1\nOUT Y1'), /status: 404/);
+        assert.equal(server.requestsTo('/api/program/validate').length, 1);
+        assert.equal(ServerComm.getConnectionState(), 'connected');
+        assert.equal(page.errors.length, 1);
+    });
+});
+
+/**
+ * Subscribe and record what is delivered
+ * @param {Object} ServerComm - Module of the page
+ * @param {string[]} addresses - Addresses to watch
+ * @param {boolean} statistics - Deliver statistics
+ * @returns {Object} - {subscription, data, stats, stale, modes}
+ */
+function record(ServerComm, addresses, statistics = true) {
+    const seen = { data: [], stats: [], stale: [], modes: [] };
+    seen.subscription = ServerComm.subscribe({
+        addresses,
+        statistics,
+        onData: (values) => seen.data.push(plain(values)),
+        onStats: (stats) => seen.stats.push(plain(stats)),
+        onStale: (stale) => seen.stale.push(stale),
+        onModeChange: (mode) => seen.modes.push(mode)
+    });
+    return seen;
+}
+
+describe('ServerComm.subscribe', () => {
+    it('polls when there is no live stream', async () => {
+        const { page, server, ServerComm } = load();
+        const seen = record(ServerComm, ['X1', 'DS10']);
+        await page.settle();
+
+        assert.deepEqual(seen.modes, ['polling']);
+        assert.deepEqual(seen.data, [{ X1: true, DS10: 42 }]);
+        assert.equal(seen.stats.length, 1);
+        assert.equal(seen.stats[0]['scan-count'], 1234);
+
+        await page.clock.tick(900);
+        assert.equal(server.requestsTo('/api/data').length, 2);
+        assert.equal(server.requestsTo('/api/statistics').length, 1);
+        await page.clock.tick(100);
+        assert.equal(server.requestsTo('/api/statistics').length, 2);
+        seen.subscription.close();
+    });
+
+    it('delivers only values and statistics that changed', async () => {
+        const { page, server, ServerComm } = load();
+        const seen = record(ServerComm, ['X1', 'DS10']);
+        await page.settle();
+        await page.clock.tick(1000);
+        assert.equal(seen.data.length, 1);
+        assert.equal(seen.stats.length, 1);
+
+        server.values.DS10 = 43;
+        server.statistics['scan-count'] = 1300;
+        await page.clock.tick(1000);
+        assert.deepEqual(seen.data, [{ X1: true, DS10: 42 }, { DS10: 43 }]);
+        assert.equal(seen.stats.length, 2);
+        assert.equal(seen.stats[1]['scan-count'], 1300);
+        seen.subscription.close();
+    });
+
+    it('reads a new address set at once', async () => {
+        const { page, server, ServerComm } = load();
+        const seen = record(ServerComm, ['X1']);
+        await page.settle();
+
+        seen.subscription.setAddresses(['Y1', 'YS10']);
+        await page.settle();
+        assert.deepEqual(server.requestsTo('/api/data').pop().body, { addr: ['Y1', 'YS10'] });
+        assert.deepEqual(seen.data.pop(), { Y1: true, YS10: 42 });
+        seen.subscription.close();
+    });
+
+    it('stops polling when closed', async () => {
+        const { page, server, ServerComm } = load();
+        const seen = record(ServerComm, ['X1']);
+        await page.settle();
+        seen.subscription.close();
+        const count = server.requests.length;
+
+        await page.clock.tick(5000);
+        assert.equal(server.requests.length, count);
+        assert.equal(page.clock.intervals(), 0);
+    });
+
+    it('goes stale when the server is lost and resumes when it is back', async () => {
+        const { page, server, ServerComm } = load();
+        const states = [];
+        ServerComm.onConnectionChange(state => states.push(state));
+        const seen = record(ServerComm, ['X1']);
+        await page.settle();
+
+        server.setOnline(false);
+        // One failed poll with its three retries
+        await page.clock.tick(900 + 250 + 500 + 1000);
+        assert.equal(ServerComm.getConnectionState(), 'offline');
+        assert.deepEqual(states, ['reconnecting', 'offline']);
+        assert.equal(seen.subscription.isStale(), true);
+        assert.deepEqual(seen.stale, [true]);
+
+        // Polls wait for the health check
+        const failed = server.requestsTo('/api/data').length;
+        await page.clock.tick(2000);
+        assert.equal(server.requestsTo('/api/data').length, failed);
+        assert.ok(server.requestsTo('/api/statistics').length > 1);
+
+        server.setOnline(true);
+        await page.clock.tick(10000);
+        assert.equal(ServerComm.getConnectionState(), 'connected');
+        assert.deepEqual(seen.stale, [true, false]);
+        // A full set of values again, not just the changes
+        assert.deepEqual(seen.data, [{ X1: true }, { X1: true }]);
+        seen.subscription.close();
+        assert.ok(page.errors.length > 0);
+    });
+});
+
+describe('ServerComm.subscribe over the live stream', () => {
+    /**
+     * Open a stream with its first subscription and post its addresses
+     * @param {string[]} addresses - Addresses of the first subscription
+     * @returns {Promise<Object>} - {page, server, ServerComm, seen}
+     */
+    async function openStream(addresses) {
+        const loaded = load(true);
+        const seen = record(loaded.ServerComm, addresses);
+        await loaded.page.settle();
+        return Object.assign(loaded, { seen });
+    }
+
+    it('opens the stream and posts the addresses to watch', async () => {
+        const { server, seen } = await openStream(['X1', 'DS10']);
+        assert.deepEqual(seen.modes, ['stream']);
+        assert.equal(server.streams.length, 1);
+        const stream = server.streams[0];
+        assert.equal(stream.stats, true);
+        assert.deepEqual(server.requestsTo('/api/stream/watch')[0].body, { id: stream.watch, addr: ['X1', 'DS10'] });
+        assert.deepEqual(stream.addresses, ['X1', 'DS10']);
+        assert.equal(server.requestsTo('/api/data').length, 0);
+        seen.subscription.close();
+    });
+
+    it('delivers only values and statistics that changed', async () => {
+        const { page, server, seen } = await openStream(['X1', 'DS10']);
+        server.pushStreams();
+        assert.deepEqual(seen.data, [{ X1: true, DS10: 42 }]);
+        assert.equal(seen.stats.length, 1);
+
+        server.pushStreams();
+        server.values.DS10 = 43;
+        server.pushStreams();
+        server.streams[0].source.receive('data', { X1: true });
+        assert.deepEqual(seen.data, [{ X1: true, DS10: 42 }, { DS10: 43 }]);
+        assert.equal(seen.stats.length, 1);
+        assert.equal(page.clock.intervals(), 1);
+        seen.subscription.close();
+    });
+
+    it('shares one stream between the subscriptions of a page', async () => {
+        const { page, server, ServerComm, seen } = await openStream(['X1', 'DS10']);
+        server.pushStreams();
+        const other = record(ServerComm, ['DS10', 'Y1'], false);
+        await page.settle();
+
+        assert.equal(server.streams.length, 1);
+        assert.equal(server.requestsTo('/api/stream').length, 1);
+        assert.deepEqual(server.streams[0].addresses, ['X1', 'DS10', 'Y1']);
+        assert.deepEqual(other.modes, ['stream']);
+        // DS10 from the values already received, then Y1 from the server
+        server.pushStreams();
+        assert.deepEqual(other.data, [{ DS10: 42 }, { Y1: true }]);
+        assert.deepEqual(seen.data, [{ X1: true, DS10: 42 }]);
+        assert.deepEqual(other.stats, []);
+
+        server.values.DS10 = 7;
+        server.pushStreams();
+        assert.deepEqual(seen.data.pop(), { DS10: 7 });
+        assert.deepEqual(other.data.pop(), { DS10: 7 });
+
+        other.subscription.close();
+        await page.settle();
+        assert.deepEqual(server.streams[0].addresses, ['X1', 'DS10']);
+        seen.subscription.close();
+        assert.equal(server.streams.length, 0);
+        assert.equal(page.clock.intervals(), 0);
+    });
+
+    it('reopens the stream with statistics for a subscription that wants them', async () => {
+        const { page, server, ServerComm } = load(true);
+        const first = record(ServerComm, ['X1'], false);
+        await page.settle();
+        assert.equal(server.streams[0].stats, false);
+
+        const second = record(ServerComm, [], true);
+        await page.settle();
+        assert.equal(server.streams.length, 1);
+        assert.equal(server.streams[0].stats, true);
+        assert.deepEqual(server.streams[0].addresses, ['X1']);
+        server.pushStreams();
+        assert.equal(second.stats.length, 1);
+        assert.deepEqual(first.data, [{ X1: true }]);
+        first.subscription.close();
+        second.subscription.close();
+    });
+
+    it('declares a silent stream lost and opens a new one', async () => {
+        const { page, server, ServerComm, seen } = await openStream(['X1']);
+        server.pushStreams();
+        const lost = server.streams[0].source;
+
+        // Heartbeats keep a quiet stream alive
+        for (let i = 0; i < 4; i++) {
+            await page.clock.tick(5000);
+            server.pushStreams();
+        }
+        assert.equal(seen.subscription.isStale(), false);
+
+        // The stream stalls without closing
+        await page.clock.tick(15000);
+        assert.equal(lost.readyState, 2);
+        assert.deepEqual(seen.stale, [true, false]);
+        assert.equal(ServerComm.getConnectionState(), 'connected');
+
+        // Opened again once the health check reached the server
+        assert.equal(server.requestsTo('/api/stream').length, 2);
+        assert.equal(server.streams.length, 1);
+        assert.deepEqual(server.streams[0].addresses, ['X1']);
+        server.pushStreams();
+        // A full set of values again, not just the changes
+        assert.deepEqual(seen.data, [{ X1: true }, { X1: true }]);
+        seen.subscription.close();
+    });
+
+    it('waits for the server after losing the connection', async () => {
+        const { page, server, ServerComm, seen } = await openStream(['X1']);
+        server.setOnline(false);
+        await page.settle();
+        assert.equal(ServerComm.getConnectionState(), 'offline');
+        assert.deepEqual(seen.stale, [true]);
+        assert.equal(server.streams.length, 0);
+
+        await page.clock.tick(2000);
+        assert.equal(server.requestsTo('/api/stream').length, 1);
+
+        server.setOnline(true);
+        await page.clock.tick(10000);
+        assert.deepEqual(seen.stale, [true, false]);
+        assert.deepEqual(seen.modes, ['stream']);
+        assert.equal(server.streams.length, 1);
+        seen.subscription.close();
+    });
+
+    it('polls when the stream cannot be opened', async () => {
+        const { page, server, ServerComm } = load(true);
+        server.openStream = () => false;
+        const seen = record(ServerComm, ['X1']);
+        await page.settle();
+        assert.deepEqual(seen.modes, ['polling']);
+        assert.deepEqual(seen.data, [{ X1: true }]);
+        seen.subscription.close();
+    });
+});
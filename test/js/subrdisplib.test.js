@@ -0,0 +1,438 @@
+/**
+ * subrdisplib.test.js - SubrDispControl Tests
+ * Rung layout, rendering of the fixture program, escaping of program
+ * text and cell states from monitored values
+ */
+
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./support/page');
+const { loadFixturePrograms, readFixture } = require('./support/fake-server');
+
+const DISPLAY_SCRIPTS = [
+    'js/ladmarkup.js',
+    'js/ladsymbols.js',
+    'js/ladblockface.js',
+    'js/ladpowerflow.js',
+    'js/ladsubrdisplib.js',
+    'js/ladaddress.js',
+    'js/ladfiles.js',
+    'js/ladtags.js'
+];
+
+/**
+ * Copy a value made in the page into this realm, so deepEqual compares
+ * it by structure alone
+ * @param {*} value - JSON value
+ * @returns {*}
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Load the display library on a page with an empty rung list
+ * @returns {Object} - {page, SubrDispControl}
+ */
+function load() {
+    const page = loadPage({
+        html: '<html><body><div id="staticrunglist"></div></body></html>',
+        scripts: DISPLAY_SCRIPTS
+    });
+    return { page, SubrDispControl: page.get('SubrDispControl') };
+}
+
+/**
+ * A program of hand-made rungs. Rungs without IL get one instruction
+ * per cell, which is enough for power flow when there are no branches.
+ * @param {Object[]} rungs - Rung data
+ * @returns {Object} - /api/program response
+ */
+function program(rungs) {
+    const addresses = new Set();
+    rungs.forEach(rung => {
+        rung.cells.forEach(cell => (cell.addrs || []).forEach(a => addresses.add(a)));
+        rung.il = rung.il || rung.cells.map(cell => [cell.opcode, ...(cell.params || [])].join(' '));
+    });
+    return { subrname: 'main', addresses: [...addresses], subrdata: rungs };
+}
+
+/**
+ * A contact or coil cell
+ * @param {string} opcode - Instruction
+ * @param {string} symbol - Symbol name
+ * @param {string} addr - Address
+ * @param {number} row - Row
+ * @param {number} col - Column
+ * @returns {Object}
+ */
+function cell(opcode, symbol, addr, row, col) {
+    return { type: symbol === 'out' ? 'coil' : 'contact', opcode, symbol, addr, addrs: [addr],
+             params: [addr], row, col, line: 1 };
+}
+
+/**
+ * The rendered element of a cell
+ * @param {Element} container - Rung list
+ * @param {number} rungnum - Rung number
+ * @param {number} row - Row
+ * @param {number} col - Column
+ * @returns {Element}
+ */
+function cellAt(container, rungnum, row, col) {
+    return container.querySelector(`#rung-${rungnum} .ladder-cell[data-row="${row}"][data-col="${col}"]`);
+}
+
+describe('SubrDispControl.getRungLayout', () => {
+    it('draws the wires and connectors sent with the rung', () => {
+        const { SubrDispControl } = load();
+        // STR X1 OR X2 AND X3 OUT Y1 OUT Y2
+        const layout = SubrDispControl.getRungLayout({
+            rungnum: 1, rows: 2, cols: 3,
+            cells: [cell('STR', 'noc', 'X1', 0, 0), cell('OR', 'noc', 'X2', 1, 0),
+                    cell('AND', 'noc', 'X3', 0, 1), cell('OUT', 'out', 'Y1', 0, 2),
+                    cell('OUT', 'out', 'Y2', 1, 2)],
+            branches: [{ col: 1, startRow: 0, endRow: 1 }, { col: 2, startRow: 0, endRow: 1 }],
+            wires: [{ row: 1, startCol: 1, endCol: 1 }]
+        });
+        assert.deepEqual(plain(layout.kinds), [['cell', 'cell', 'cell'], ['cell', 'spacer', 'cell']]);
+        assert.deepEqual(plain(layout.connectors),
+                         [{ col: 1, startRow: 0, endRow: 1 }, { col: 2, startRow: 0, endRow: 1 }]);
+    });
+
+    it('leaves out wires the rung does not have', () => {
+        const { SubrDispControl } = load();
+        const layout = SubrDispControl.getRungLayout({
+            rungnum: 1, rows: 1, cols: 3, branches: null, wires: null,
+            cells: [cell('STR', 'noc', 'X1', 0, 0), cell('OUT', 'out', 'Y1', 0, 2)]
+        });
+        assert.deepEqual(plain(layout.kinds), [['cell', 'empty', 'cell']]);
+        assert.equal(layout.connectors.length, 0);
+    });
+
+    it('covers the input rows of a block', () => {
+        const { SubrDispControl } = load();
+        const counter = { type: 'block', opcode: 'CNTU', symbol: 'cntu', addr: 'CT1', addrs: ['CT1', 'CTD1'],
+                          params: ['CT1', '10'], row: 0, col: 1, rowSpan: 2, line: 3 };
+        const layout = SubrDispControl.getRungLayout({
+            rungnum: 1, rows: 2, cols: 2, branches: null, wires: null,
+            cells: [cell('STR', 'noc', 'X1', 0, 0), cell('STR', 'noc', 'X2', 1, 0), counter]
+        });
+        assert.deepEqual(plain(layout.kinds), [['cell', 'cell'], ['cell', 'span']]);
+    });
+
+    it('joins branch rows to the main row in rung data without connectors', () => {
+        const { SubrDispControl } = load();
+        const layout = SubrDispControl.getRungLayout({
+            rungnum: 1, rows: 2, cols: 2,
+            cells: [cell('STR', 'noc', 'X1', 0, 0), cell('OR', 'noc', 'X2', 1, 0), cell('OUT', 'out', 'Y1', 0, 1)]
+        });
+        assert.deepEqual(plain(layout.kinds), [['cell', 'cell'], ['cell', 'empty']]);
+        assert.deepEqual(plain(layout.connectors), [{ col: 1, startRow: 0, endRow: 1 }]);
+    });
+
+    it('wires branch rows up to their cells in rung data without wires', () => {
+        const { SubrDispControl } = load();
+        const layout = SubrDispControl.getRungLayout({
+            rungnum: 1, rows: 3, cols: 3,
+            cells: [cell('STR', 'noc', 'X1', 0, 0), cell('AND', 'noc', 'X2', 0, 1),
+                    cell('OR', 'noc', 'X3', 2, 1), cell('OUT', 'out', 'Y1', 0, 2)]
+        });
+        assert.deepEqual(plain(layout.kinds[1]), ['empty', 'spacer', 'empty']);
+        assert.deepEqual(plain(layout.kinds[2]), ['spacer', 'cell', 'empty']);
+        assert.deepEqual(plain(layout.connectors), [{ col: 2, startRow: 0, endRow: 2 }]);
+    });
+
+    it('defaults to a single wire', () => {
+        const { SubrDispControl } = load();
+        const layout = SubrDispControl.getRungLayout({ rungnum: 1 });
+        assert.equal(layout.rows, 1);
+        assert.equal(layout.cols, 1);
+        assert.deepEqual(plain(layout.kinds[0]), ['spacer']);
+        assert.equal(layout.connectors.length, 0);
+    });
+
+    it('ignores cells outside the grid', () => {
+        const { SubrDispControl } = load();
+        const layout = SubrDispControl.getRungLayout({
+            rungnum: 1, rows: 1, cols: 2,
+            cells: [cell('STR', 'noc', 'X1', 0, 0), cell('OUT', 'out', 'Y1', 0, 5), cell('OR', 'noc', 'X2', 3, 0)],
+            branches: [{ col: 1, startRow: 0, endRow: 3 }],
+            wires: [{ row: 2, startCol: 0, endCol: 1 }]
+        });
+        assert.equal(layout.grid.flat().filter(c => c).length, 1);
+        assert.equal(layout.connectors.length, 0);
+    });
+
+    it('places every cell of the fixture program apart', () => {
+        const { SubrDispControl } = load();
+        Object.values(loadFixturePrograms()).forEach(fixture => {
+            fixture.subrdata.forEach(rung => {
+                const layout = SubrDispControl.getRungLayout(rung);
+                const where = `${fixture.subrname} network ${rung.rungnum}`;
+                assert.equal(layout.grid.length, rung.rows, where);
+                layout.grid.forEach(row => assert.equal(row.length, rung.cols, where));
+                assert.equal(layout.grid.flat().filter(c => c).length, rung.cells.length, where);
+
+                // Wires and blocks covering several rows never run into a cell
+                const taken = [];
+                rung.cells.forEach(c => {
+                    for (let r = c.row; r < c.row + (c.rowSpan || 1); r++) {
+                        taken.push(`${r},${c.col}`);
+                    }
+                });
+                (rung.wires || []).forEach(w => {
+                    for (let c = w.startCol; c <= w.endCol; c++) {
+                        taken.push(`${w.row},${c}`);
+                    }
+                });
+                assert.equal(new Set(taken).size, taken.length, where);
+            });
+        });
+    });
+});
+
+describe('SubrDispControl.renderToContainer', () => {
+    it('renders every rung and cell of the fixture program', () => {
+        const { page, SubrDispControl } = load();
+        const container = page.document.getElementById('staticrunglist');
+        Object.values(loadFixturePrograms()).forEach(fixture => {
+            SubrDispControl.renderToContainer('staticrunglist', fixture);
+            const rungEls = container.querySelectorAll('.ladder-rung');
+            assert.equal(rungEls.length, fixture.subrdata.length, fixture.subrname);
+
+            fixture.subrdata.forEach(rung => {
+                const where = `${fixture.subrname} network ${rung.rungnum}`;
+                const rungEl = container.querySelector(`#rung-${rung.rungnum}`);
+                const cellEls = rungEl.querySelectorAll('.ladder-cell');
+                assert.equal(cellEls.length, rung.cells.length, where);
+                rung.cells.forEach(c => {
+                    const el = cellAt(container, rung.rungnum, c.row, c.col);
+                    assert.ok(el, `${where} has a cell at ${c.row},${c.col}`);
+                    assert.equal(el.getAttribute('data-opcode'), c.opcode, where);
+                });
+
+                const layout = SubrDispControl.getRungLayout(rung);
+                const connectors = Array.from(rungEl.querySelectorAll('.branch-connector')).map(el => ({
+                    col: Number(el.getAttribute('data-col')),
+                    startRow: Number(el.getAttribute('data-start-row')),
+                    endRow: Number(el.getAttribute('data-end-row'))
+                }));
+                assert.deepEqual(connectors, plain(layout.connectors), where);
+            });
+        });
+        assert.equal(page.errors.length, 0);
+    });
+
+    it('shows an error from the server', () => {
+        const { page, SubrDispControl } = load();
+        SubrDispControl.renderToContainer('staticrunglist',
+            { error: "Subroutine 'Nope' not found", subrdata: [] });
+        const container = page.document.getElementById('staticrunglist');
+        assert.equal(container.querySelector('.error-message').textContent, "Subroutine 'Nope' not found");
+    });
+
+    it('escapes program text', () => {
+        const { page, SubrDispControl } = load();
+        const container = page.document.getElementById('staticrunglist');
+        const quoted = 'X"1><img src=x>';
+        const target = 'Sub"<script>';
+        page.get('LadTags').setTags({ Y1: { name: '<script>alert(1)</script>', description: '"quoted" & <b>' } });
+
+        SubrDispControl.renderToContainer('staticrunglist', program([{
+            rungnum: 1, rows: 1, cols: 3, comment: '<b>"x" & y</b>',
+            cells: [
+                cell('STR', 'noc', quoted, 0, 0),
+                cell('OUT', 'out', 'Y1', 0, 1),
+                { type: 'block', opcode: 'CALL', symbol: 'call', addr: null, addrs: null,
+                  params: [target], row: 0, col: 2, line: 2 }
+            ]
+        }]));
+
+        assert.equal(container.querySelector('.rung-comment').textContent, '<b>"x" & y</b>');
+        assert.equal(container.querySelectorAll('b, img, script').length, 0);
+
+        const contact = cellAt(container, 1, 0, 0);
+        assert.equal(contact.getAttribute('data-addresses'), quoted);
+        assert.equal(contact.querySelector('.cell-address').textContent, quoted);
+
+        const coil = cellAt(container, 1, 0, 1);
+        assert.equal(coil.querySelector('.cell-tag').textContent, '<script>alert(1)</script>');
+        assert.equal(coil.getAttribute('title'), 'Y1 - <script>alert(1)</script>\n"quoted" & <b>');
+
+        const call = cellAt(container, 1, 0, 2);
+        assert.equal(call.getAttribute('data-call-target'), target);
+        assert.equal(call.getAttribute('title'), `Go to subroutine ${target}`);
+    });
+});
+
+describe('SubrDispControl.updateCellStates', () => {
+    /**
+     * Render the fixture main program and apply the fixture data
+     * @returns {Object} - {container}
+     */
+    function renderMain() {
+        const { page, SubrDispControl } = load();
+        SubrDispControl.renderToContainer('staticrunglist', loadFixturePrograms().main);
+        SubrDispControl.updateCellStates(readFixture('data.json'));
+        return { container: page.document.getElementById('staticrunglist'), SubrDispControl };
+    }
+
+    it('lights a rung whose contact is on', () => {
+        const { container } = renderMain();
+        assert.ok(cellAt(container, 1, 0, 0).classList.contains('MB_ladderon'));
+        assert.ok(cellAt(container, 1, 0, 1).classList.contains('MB_ladderon'));
+    });
+
+    it('leaves a rung whose contact is off dark', () => {
+        const { container } = renderMain();
+        assert.ok(cellAt(container, 2, 0, 0).classList.contains('MB_ladderoff'));
+        assert.ok(cellAt(container, 2, 0, 1).classList.contains('MB_ladderoff'));
+    });
+
+    it('does not pass power through a closed contact whose address is on', () => {
+        const { container } = renderMain();
+        assert.ok(cellAt(container, 15, 0, 0).classList.contains('MB_ladderoff'));
+    });
+
+    it('passes power through a closed contact whose address is off', () => {
+        const { page, SubrDispControl } = load();
+        const container = page.document.getElementById('staticrunglist');
+        SubrDispControl.renderToContainer('staticrunglist', program([{
+            rungnum: 1, rows: 1, cols: 2,
+            cells: [cell('STRN', 'ncc', 'X1', 0, 0), cell('OUT', 'out', 'Y1', 0, 1)]
+        }]));
+        // The server sends an off bit as null
+        SubrDispControl.updateCellStates({ X1: null, Y1: true });
+        assert.ok(cellAt(container, 1, 0, 0).classList.contains('MB_ladderon'));
+        assert.ok(cellAt(container, 1, 0, 1).classList.contains('MB_ladderon'));
+    });
+
+    it('passes no power through a contact whose address has no value yet', () => {
+        const { page, SubrDispControl } = load();
+        const container = page.document.getElementById('staticrunglist');
+        SubrDispControl.renderToContainer('staticrunglist', program([{
+            rungnum: 1, rows: 1, cols: 2,
+            cells: [cell('STRN', 'ncc', 'X1', 0, 0), cell('OUT', 'out', 'Y1', 0, 1)]
+        }]));
+        SubrDispControl.updateCellStates({ Y1: null });
+        assert.ok(cellAt(container, 1, 0, 0).classList.contains('MB_ladderoff'));
+    });
+
+    it('lights a rising edge contact for the update where its bit comes on', () => {
+        const { page, SubrDispControl } = load();
+        const container = page.document.getElementById('staticrunglist');
+        SubrDispControl.renderToContainer('staticrunglist', program([{
+            rungnum: 1, rows: 1, cols: 2,
+            cells: [cell('STRPD', 'nocpd', 'X1', 0, 0), cell('OUT', 'out', 'Y1', 0, 1)]
+        }]));
+        const contact = cellAt(container, 1, 0, 0);
+
+        // The first value is no edge
+        SubrDispControl.updateCellStates({ X1: true, Y1: null });
+        assert.ok(contact.classList.contains('MB_ladderoff'));
+        SubrDispControl.updateCellStates({ X1: null });
+        assert.ok(contact.classList.contains('MB_ladderoff'));
+        SubrDispControl.updateCellStates({ X1: true });
+        assert.ok(contact.classList.contains('MB_ladderon'));
+        SubrDispControl.updateCellStates({ Y1: true });
+        assert.ok(contact.classList.contains('MB_ladderoff'));
+    });
+
+    it('lights a falling edge contact for the update where its bit goes off', () => {
+        const { page, SubrDispControl } = load();
+        const container = page.document.getElementById('staticrunglist');
+        SubrDispControl.renderToContainer('staticrunglist', program([{
+            rungnum: 1, rows: 1, cols: 2,
+            cells: [cell('STRND', 'nocnd', 'X1', 0, 0), cell('OUT', 'out', 'Y1', 0, 1)]
+        }]));
+        const contact = cellAt(container, 1, 0, 0);
+
+        SubrDispControl.updateCellStates({ X1: true, Y1: null });
+        assert.ok(contact.classList.contains('MB_ladderoff'));
+        SubrDispControl.updateCellStates({ X1: null });
+        assert.ok(contact.classList.contains('MB_ladderon'));
+        SubrDispControl.updateCellStates({ X1: true });
+        assert.ok(contact.classList.contains('MB_ladderoff'));
+    });
+
+    it('passes power along a rung that branches after an output', () => {
+        const { page, SubrDispControl } = load();
+        const container = page.document.getElementById('staticrunglist');
+        // STR X1 OUT Y1 AND X2 OUT Y2
+        SubrDispControl.renderToContainer('staticrunglist', program([{
+            rungnum: 1, rows: 2, cols: 3,
+            cells: [cell('STR', 'noc', 'X1', 0, 0), cell('OUT', 'out', 'Y1', 0, 2),
+                    cell('AND', 'noc', 'X2', 1, 1), cell('OUT', 'out', 'Y2', 1, 2)],
+            branches: [{ col: 1, startRow: 0, endRow: 1 }],
+            wires: [{ row: 0, startCol: 1, endCol: 1 }]
+        }]));
+        SubrDispControl.updateCellStates({ X1: true, X2: null, Y1: true, Y2: null });
+
+        assert.ok(cellAt(container, 1, 0, 2).classList.contains('MB_ladderon'));
+        assert.ok(cellAt(container, 1, 1, 1).classList.contains('MB_ladderoff'));
+        assert.ok(cellAt(container, 1, 1, 2).classList.contains('MB_ladderoff'));
+        assert.ok(container.querySelector('#rung-1 .ladder-spacer svg').classList.contains('MB_ladderon'));
+        const connector = container.querySelector('#rung-1 .branch-connector');
+        assert.ok(connector.classList.contains('MB_ladderon'));
+        assert.equal(connector.querySelectorAll('.branch-segment').length, 2);
+    });
+
+    it('passes power to each input of a block covering several rows', () => {
+        const { page, SubrDispControl } = load();
+        const container = page.document.getElementById('staticrunglist');
+        SubrDispControl.renderToContainer('staticrunglist', program([{
+            rungnum: 1, rows: 2, cols: 2, branches: null, wires: null,
+            cells: [cell('STR', 'noc', 'X1', 0, 0), cell('STR', 'noc', 'X2', 1, 0),
+                    { type: 'block', opcode: 'CNTU', symbol: 'cntu', addr: 'CT1', addrs: ['CT1', 'CTD1'],
+                      params: ['CT1', '10'], row: 0, col: 1, rowSpan: 2, line: 3 }]
+        }]));
+        SubrDispControl.updateCellStates({ X1: true, X2: null, CT1: null, CTD1: 3 });
+
+        const leads = container.querySelectorAll('#rung-1 .ladder-lead');
+        assert.equal(leads.length, 2);
+        assert.ok(leads[0].classList.contains('MB_ladderon'));
+        assert.ok(!leads[1].classList.contains('MB_ladderon'));
+        assert.ok(cellAt(container, 1, 0, 1).classList.contains('ladder-span-cell'));
+    });
+
+    it('shows word values', () => {
+        const { page, SubrDispControl } = load();
+        const container = page.document.getElementById('staticrunglist');
+        SubrDispControl.renderToContainer('staticrunglist', program([{
+            rungnum: 1, rows: 1, cols: 2,
+            cells: [cell('STRE', 'compare', 'DS1', 0, 0), cell('OUT', 'out', 'Y1', 0, 1)]
+        }]));
+        SubrDispControl.updateCellStates({ DS1: 42, Y1: null });
+        const value = cellAt(container, 1, 0, 0).querySelector('.cell-value');
+        assert.equal(value.textContent, '42');
+        assert.equal(value.style.display, 'block');
+    });
+
+    it('shows an off bit on a block face as OFF', () => {
+        const { page, SubrDispControl } = load();
+        const container = page.document.getElementById('staticrunglist');
+        SubrDispControl.renderToContainer('staticrunglist', program([{
+            rungnum: 1, rows: 1, cols: 2,
+            cells: [cell('STR', 'noc', 'X1', 0, 0),
+                    { type: 'block', opcode: 'COPY', symbol: 'copy', addr: 'DS1', addrs: ['DS1'],
+                      params: ['C1', 'DS1'], row: 0, col: 1, line: 2 }]
+        }]));
+        const face = cellAt(container, 1, 0, 1).querySelector('svg');
+        assert.match(face.textContent, /SRC C1(?! =)/);
+
+        SubrDispControl.updateCellStates({ X1: true, C1: null, DS1: 0 });
+        assert.match(face.textContent, /SRC C1 = OFF/);
+        assert.match(face.textContent, /DST DS1 = 0/);
+    });
+
+    it('marks forced cells', () => {
+        const { container, SubrDispControl } = renderMain();
+        SubrDispControl.setForcedAddresses(['X2']);
+        assert.ok(cellAt(container, 2, 0, 0).classList.contains('MB_ladderforced'));
+        assert.ok(!cellAt(container, 1, 0, 0).classList.contains('MB_ladderforced'));
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * clock.js - Fake Timers for the Headless Tests
+ * setTimeout and setInterval for a page that only run when a test moves
+ * the clock forward, so polling and debouncing can be tested without
+ * waiting
+ */
+
+'use strict';
+
+/**
+ * Let pending promise callbacks run, including the ones they start
+ * @returns {Promise}
+ */
+function flushMicrotasks() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+class FakeClock {
+    constructor() {
+        this.now = 0;
+        this.nextId = 1;
+        // id -> {at, fn, args, interval}
+        this.timers = new Map();
+    }
+
+    setTimeout(fn, ms = 0, ...args) {
+        const id = this.nextId++;
+        this.timers.set(id, { at: this.now + Math.max(0, Number(ms) || 0), fn, args, interval: null });
+        return id;
+    }
+
+    setInterval(fn, ms = 0, ...args) {
+        const id = this.nextId++;
+        const interval = Math.max(1, Number(ms) || 0);
+        this.timers.set(id, { at: this.now + interval, fn, args, interval });
+        return id;
+    }
+
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    clearInterval(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Date class whose current time moves with this clock, starting from
+     * the real time when it is made
+     * @returns {Function}
+     */
+    dateClass() {
+        const clock = this;
+        const start = Date.now();
+        return class FakeDate extends Date {
+            constructor(...args) {
+                if (args.length === 0) {
+                    super(start + clock.now);
+                } else {
+                    super(...args);
+                }
+            }
+
+            static now() {
+                return start + clock.now;
+            }
+        };
+    }
+
+    /**
+     * Timers still waiting to run
+     * @returns {number}
+     */
+    pending() {
+        return this.timers.size;
+    }
+
+    /**
+     * Intervals still running
+     * @returns {number}
+     */
+    intervals() {
+        return [...this.timers.values()].filter(t => t.interval !== null).length;
+    }
+
+    /**
+     * Move the clock forward, running every timer that comes due in
+     * order, with the promise callbacks each one starts
+     * @param {number} ms - Milliseconds to advance
+     */
+    async tick(ms = 0) {
+        const end = this.now + ms;
+        await flushMicrotasks();
+        for (;;) {
+            let nextId = null;
+            let next = null;
+            this.timers.forEach((timer, id) => {
+                if (timer.at <= end && (!next || timer.at < next.at)) {
+                    nextId = id;
+                    next = timer;
+                }
+            });
+            if (!next) break;
+
+            this.now = next.at;
+            if (next.interval !== null) {
+                next.at += next.interval;
+            } else {
+                this.timers.delete(nextId);
+            }
+            next.fn(...next.args);
+            await flushMicrotasks();
+        }
+        this.now = end;
+        await flushMicrotasks();
+    }
+}
+
+module.exports = {
+    FakeClock,
+    flushMicrotasks
+};
@@ -0,0 +1,1576 @@
+/**
+ * dom.js - DOM Shim for the Headless Tests
+ * Just enough of the browser DOM for the static pages to run under Node:
+ * an HTML parser and serializer, elements with attributes, classes,
+ * selectors and bubbling events, and a window with a location hash,
+ * history and localStorage. Layout is not modelled; sizes are all 0.
+ */
+
+'use strict';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const HTML_NS = 'http://www.w3.org/1999/xhtml';
+
+// Elements that never have children or an end tag
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+                               'link', 'meta', 'param', 'source', 'track', 'wbr']);
+
+// Elements whose contents are text up to the end tag
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Start tags that close an open element of the same name
+const SELF_CLOSING_SIBLINGS = new Set(['option', 'li', 'tr', 'td', 'th', 'p']);
+
+// Boolean attributes reflected as element properties
+const BOOLEAN_PROPERTIES = ['hidden', 'disabled', 'open', 'readOnly', 'multiple', 'required'];
+
+// String attributes reflected as element properties
+const STRING_PROPERTIES = ['title', 'name', 'href', 'src', 'placeholder', 'download', 'min',
+                           'max', 'step', 'rel', 'target', 'accept', 'htmlFor', 'lang'];
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', copy: '\u00a9',
+    times: '\u00d7', hellip: '\u2026', mdash: '\u2014', ndash: '\u2013', larr: '\u2190',
+    rarr: '\u2192', uarr: '\u2191', darr: '\u2193', laquo: '\u00ab', raquo: '\u00bb',
+    middot: '\u00b7', bull: '\u2022', deg: '\u00b0', plusmn: '\u00b1', check: '\u2713'
+};
+
+// ============================================================
+// Text Helpers
+// ============================================================
+
+/**
+ * Replace character references with the characters
+ * @param {string} text - HTML text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' || name[1] === 'X'
+                ? parseInt(name.slice(2), 16)
+                : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return name in NAMED_ENTITIES ? NAMED_ENTITIES[name] : match;
+    });
+}
+
+/**
+ * Escape text content the way innerHTML serializes it
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;').replace(/\u00a0/g, '&nbsp;');
+}
+
+/**
+ * Escape an attribute value the way innerHTML serializes it
+ * @param {string} value - Attribute value
+ * @returns {string}
+ */
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/\u00a0/g, '&nbsp;');
+}
+
+/**
+ * Turn a data-* attribute name into its dataset key
+ * @param {string} name - Name after "data-"
+ * @returns {string}
+ */
+function dataKey(name) {
+    return name.replace(/-([a-z])/g, (m, c) => c.toUpperCase());
+}
+
+// ============================================================
+// Events
+// ============================================================
+
+class Event {
+    /**
+     * @param {string} type - Event type
+     * @param {Object} init - {bubbles, cancelable} and any other fields,
+     *     e.g. key or detail, which are copied onto the event
+     */
+    constructor(type, init = {}) {
+        Object.assign(this, init);
+        this.type = type;
+        this.bubbles = !!init.bubbles;
+        this.cancelable = !!init.cancelable;
+        this.defaultPrevented = false;
+        this.target = null;
+        this.currentTarget = null;
+        this.propagationStopped = false;
+    }
+
+    preventDefault() {
+        if (this.cancelable) {
+            this.defaultPrevented = true;
+        }
+    }
+
+    stopPropagation() {
+        this.propagationStopped = true;
+    }
+
+    stopImmediatePropagation() {
+        this.propagationStopped = true;
+        this.immediateStopped = true;
+    }
+}
+
+class EventTarget {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * @param {string} type - Event type
+     * @param {Function|Object} listener - Function or {handleEvent}
+     * @param {boolean|Object} options - Capture flag or {capture, once}
+     */
+    addEventListener(type, listener, options = false) {
+        if (!listener) return;
+        const capture = typeof options === 'boolean' ? options : !!options.capture;
+        const once = typeof options === 'object' && !!options.once;
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        const list = this.listeners.get(type);
+        if (!list.some(l => l.listener === listener && l.capture === capture)) {
+            list.push({ listener, capture, once });
+        }
+    }
+
+    removeEventListener(type, listener, options = false) {
+        const capture = typeof options === 'boolean' ? options : !!options.capture;
+        const list = this.listeners.get(type) || [];
+        this.listeners.set(type, list.filter(l => !(l.listener === listener && l.capture === capture)));
+    }
+
+    /**
+     * Parent in the event path; events bubble from elements to the
+     * document and then the window
+     * @returns {EventTarget|null}
+     */
+    eventParent() {
+        return null;
+    }
+
+    /**
+     * Object the listeners see as currentTarget and this
+     * @returns {Object}
+     */
+    eventThis() {
+        return this;
+    }
+
+    dispatchEvent(event) {
+        event.target = this.eventThis();
+        const path = [];
+        for (let node = this; node; node = node.eventParent()) {
+            path.push(node);
+        }
+
+        // Capture from the top down, then the target, then bubbling up
+        for (let i = path.length - 1; i > 0 && !event.propagationStopped; i--) {
+            path[i].invokeListeners(event, 'capture');
+        }
+        if (!event.propagationStopped) {
+            path[0].invokeListeners(event, 'target');
+        }
+        if (event.bubbles) {
+            for (let i = 1; i < path.length && !event.propagationStopped; i++) {
+                path[i].invokeListeners(event, 'bubble');
+            }
+        }
+        event.currentTarget = null;
+        return !event.defaultPrevented;
+    }
+
+    invokeListeners(event, phase) {
+        const list = (this.listeners.get(event.type) || []).slice();
+        event.currentTarget = this.eventThis();
+        for (const entry of list) {
+            if (phase === 'capture' && !entry.capture) continue;
+            if (phase === 'bubble' && entry.capture) continue;
+            if (entry.once) {
+                this.removeEventListener(event.type, entry.listener, entry.capture);
+            }
+            const fn = typeof entry.listener === 'function'
+                ? entry.listener
+                : entry.listener.handleEvent.bind(entry.listener);
+            try {
+                fn.call(event.currentTarget, event);
+            } catch (e) {
+                // A throwing listener does not stop the others, as in a browser
+                console.error(e);
+            }
+            if (event.immediateStopped) break;
+        }
+    }
+}
+
+// ============================================================
+// Selectors
+// ============================================================
+
+/**
+ * Parse a selector list into compound selector chains. Supports type,
+ * universal, #id, .class and [attr], [attr=v], [attr^=v], [attr$=v],
+ * [attr*=v] and [attr~=v] with descendant and child combinators.
+ * @param {string} selector - Selector list
+ * @returns {Object[][]} - Per selector, its compounds from left to right
+ *     as {tag, id, classes, attrs, combinator}
+ */
+function parseSelector(selector) {
+    const list = [];
+    let chain = [];
+    let compound = null;
+    let combinator = ' ';
+    let i = 0;
+    const s = selector.trim();
+
+    const current = () => {
+        if (!compound) {
+            compound = { tag: null, id: null, classes: [], attrs: [], combinator };
+            chain.push(compound);
+        }
+        return compound;
+    };
+    const readName = () => {
+        const match = /^[\w-]+/.exec(s.slice(i));
+        if (!match) throw new Error(`Bad selector: ${selector}`);
+        i += match[0].length;
+        return match[0];
+    };
+
+    while (i < s.length) {
+        const c = s[i];
+        if (c === ',') {
+            list.push(chain);
+            chain = [];
+            compound = null;
+            combinator = ' ';
+            i++;
+            while (s[i] === ' ') i++;
+        } else if (c === ' ' || c === '>') {
+            while (s[i] === ' ') i++;
+            if (s[i] === '>') {
+                combinator = '>';
+                i++;
+                while (s[i] === ' ') i++;
+            } else if (s[i] !== ',') {
+                combinator = ' ';
+            }
+            compound = null;
+        } else if (c === '#') {
+            i++;
+            current().id = readName();
+        } else if (c === '.') {
+            i++;
+            current().classes.push(readName());
+        } else if (c === '[') {
+            const end = s.indexOf(']', i);
+            const body = s.slice(i + 1, end);
+            i = end + 1;
+            const match = /^\s*([\w-]+)\s*(?:([~^$*]?=)\s*("[^"]*"|'[^']*'|[^\]\s]*))?\s*$/.exec(body);
+            if (!match) throw new Error(`Bad selector: ${selector}`);
+            let value = match[3];
+            if (value && /^["']/.test(value)) {
+                value = value.slice(1, -1);
+            }
+            current().attrs.push({ name: match[1], op: match[2] || null, value });
+        } else if (c === '*') {
+            i++;
+            current();
+        } else {
+            current().tag = readName().toLowerCase();
+        }
+    }
+    list.push(chain);
+    return list;
+}
+
+/**
+ * Check an element against one compound selector
+ * @param {Element} el - Element
+ * @param {Object} compound - Parsed compound selector
+ * @returns {boolean}
+ */
+function matchesCompound(el, compound) {
+    if (compound.tag && el.localName.toLowerCase() !== compound.tag) return false;
+    if (compound.id && el.getAttribute('id') !== compound.id) return false;
+    if (compound.classes.length > 0) {
+        const classes = (el.getAttribute('class') || '').split(/\s+/);
+        if (!compound.classes.every(c => classes.includes(c))) return false;
+    }
+    return compound.attrs.every(({ name, op, value }) => {
+        const actual = el.getAttribute(name);
+        if (actual === null) return false;
+        switch (op) {
+            case null: return true;
+            case '=': return actual === value;
+            case '^=': return actual.startsWith(value);
+            case '$=': return actual.endsWith(value);
+            case '*=': return actual.includes(value);
+            case '~=': return actual.split(/\s+/).includes(value);
+            default: return false;
+        }
+    });
+}
+
+/**
+ * Check an element against a compound selector chain, right to left
+ * @param {Element} el - Element
+ * @param {Object[]} chain - Parsed compounds
+ * @param {number} index - Compound to match el against
+ * @returns {boolean}
+ */
+function matchesChain(el, chain, index = chain.length - 1) {
+    if (!matchesCompound(el, chain[index])) return false;
+    if (index === 0) return true;
+
+    const combinator = chain[index].combinator;
+    let parent = el.parentNode;
+    while (parent && parent.nodeType === 1) {
+        if (matchesChain(parent, chain, index - 1)) return true;
+        if (combinator === '>') return false;
+        parent = parent.parentNode;
+    }
+    return false;
+}
+
+// ============================================================
+// Node Lists
+// ============================================================
+
+/**
+ * Static list returned by querySelectorAll. Like the browser's, it has
+ * forEach but none of the other array methods, so page code that uses
+ * them fails here as it would in the browser.
+ */
+class NodeList {
+    constructor(items) {
+        items.forEach((item, index) => { this[index] = item; });
+        Object.defineProperty(this, 'length', { value: items.length });
+    }
+
+    item(index) {
+        return this[index] || null;
+    }
+
+    forEach(fn, thisArg) {
+        Array.prototype.forEach.call(this, fn, thisArg);
+    }
+
+    entries() {
+        return Array.prototype.entries.call(this);
+    }
+
+    keys() {
+        return Array.prototype.keys.call(this);
+    }
+
+    values() {
+        return Array.prototype.values.call(this);
+    }
+
+    [Symbol.iterator]() {
+        return Array.prototype.values.call(this);
+    }
+}
+
+/**
+ * List returned by children, getElementsBy* and options; unlike a
+ * NodeList it has no forEach
+ */
+class HTMLCollection {
+    constructor(items) {
+        items.forEach((item, index) => { this[index] = item; });
+        Object.defineProperty(this, 'length', { value: items.length });
+    }
+
+    item(index) {
+        return this[index] || null;
+    }
+
+    namedItem(name) {
+        return Array.prototype.find.call(this, el =>
+            el.getAttribute('id') === name || el.getAttribute('name') === name) || null;
+    }
+
+    [Symbol.iterator]() {
+        return Array.prototype.values.call(this);
+    }
+}
+
+// ============================================================
+// Nodes
+// ============================================================
+
+class Node extends EventTarget {
+    constructor(ownerDocument, nodeType) {
+        super();
+        this.ownerDocument = ownerDocument;
+        this.nodeType = nodeType;
+        this.parentNode = null;
+        this.childNodes = [];
+    }
+
+    eventParent() {
+        return this.parentNode || null;
+    }
+
+    get parentElement() {
+        return this.parentNode && this.parentNode.nodeType === 1 ? this.parentNode : null;
+    }
+
+    get firstChild() {
+        return this.childNodes[0] || null;
+    }
+
+    get lastChild() {
+        return this.childNodes[this.childNodes.length - 1] || null;
+    }
+
+    get nextSibling() {
+        if (!this.parentNode) return null;
+        const siblings = this.parentNode.childNodes;
+        return siblings[siblings.indexOf(this) + 1] || null;
+    }
+
+    get previousSibling() {
+        if (!this.parentNode) return null;
+        const siblings = this.parentNode.childNodes;
+        return siblings[siblings.indexOf(this) - 1] || null;
+    }
+
+    /**
+     * Child elements as an array, for the shim's own use
+     * @returns {Element[]}
+     */
+    childElements() {
+        return this.childNodes.filter(node => node.nodeType === 1);
+    }
+
+    get children() {
+        return new HTMLCollection(this.childElements());
+    }
+
+    get childElementCount() {
+        return this.childElements().length;
+    }
+
+    get firstElementChild() {
+        return this.childElements()[0] || null;
+    }
+
+    get lastElementChild() {
+        const children = this.childElements();
+        return children[children.length - 1] || null;
+    }
+
+    get nextElementSibling() {
+        for (let node = this.nextSibling; node; node = node.nextSibling) {
+            if (node.nodeType === 1) return node;
+        }
+        return null;
+    }
+
+    get previousElementSibling() {
+        for (let node = this.previousSibling; node; node = node.previousSibling) {
+            if (node.nodeType === 1) return node;
+        }
+        return null;
+    }
+
+    hasChildNodes() {
+        return this.childNodes.length > 0;
+    }
+
+    /**
+     * Adopt nodes for insertion; a fragment gives up its children
+     * @param {Node} node - Node or fragment
+     * @returns {Node[]}
+     */
+    takeNodes(node) {
+        if (node.nodeType === 11) {
+            const nodes = node.childNodes.slice();
+            nodes.forEach(child => { child.parentNode = null; });
+            node.childNodes = [];
+            return nodes;
+        }
+        if (node.parentNode) {
+            node.parentNode.removeChild(node);
+        }
+        return [node];
+    }
+
+    appendChild(node) {
+        this.takeNodes(node).forEach(child => {
+            child.parentNode = this;
+            this.childNodes.push(child);
+        });
+        return node;
+    }
+
+    insertBefore(node, reference) {
+        if (!reference) return this.appendChild(node);
+        const nodes = this.takeNodes(node);
+        const index = this.childNodes.indexOf(reference);
+        if (index < 0) throw new Error('insertBefore: reference is not a child');
+        nodes.forEach(child => { child.parentNode = this; });
+        this.childNodes.splice(index, 0, ...nodes);
+        return node;
+    }
+
+    removeChild(node) {
+        const index = this.childNodes.indexOf(node);
+        if (index < 0) throw new Error('removeChild: not a child');
+        this.childNodes.splice(index, 1);
+        node.parentNode = null;
+        return node;
+    }
+
+    replaceChild(node, old) {
+        this.insertBefore(node, old);
+        return this.removeChild(old);
+    }
+
+    remove() {
+        if (this.parentNode) {
+            this.parentNode.removeChild(this);
+        }
+    }
+
+    /**
+     * Turn strings into text nodes for append() and friends
+     * @param {Array} items - Nodes and strings
+     * @returns {Node[]}
+     */
+    toNodes(items) {
+        return items.map(item => (typeof item === 'string'
+            ? this.ownerDocument.createTextNode(item)
+            : item));
+    }
+
+    append(...items) {
+        this.toNodes(items).forEach(node => this.appendChild(node));
+    }
+
+    prepend(...items) {
+        const first = this.firstChild;
+        this.toNodes(items).forEach(node => this.insertBefore(node, first));
+    }
+
+    replaceChildren(...items) {
+        this.childNodes.slice().forEach(node => this.removeChild(node));
+        this.append(...items);
+    }
+
+    before(...items) {
+        const parent = this.parentNode;
+        if (parent) {
+            this.toNodes(items).forEach(node => parent.insertBefore(node, this));
+        }
+    }
+
+    after(...items) {
+        const parent = this.parentNode;
+        if (parent) {
+            const next = this.nextSibling;
+            this.toNodes(items).forEach(node => parent.insertBefore(node, next));
+        }
+    }
+
+    replaceWith(...items) {
+        this.before(...items);
+        this.remove();
+    }
+
+    contains(node) {
+        for (let n = node; n; n = n.parentNode) {
+            if (n === this) return true;
+        }
+        return false;
+    }
+
+    get textContent() {
+        return this.childNodes.map(node => (node.nodeType === 8 ? '' : node.textContent)).join('');
+    }
+
+    set textContent(value) {
+        this.childNodes.forEach(node => { node.parentNode = null; });
+        this.childNodes = [];
+        const text = value === null || value === undefined ? '' : String(value);
+        if (text !== '') {
+            this.appendChild(this.ownerDocument.createTextNode(text));
+        }
+    }
+
+    /**
+     * Every descendant element in document order
+     * @returns {Element[]}
+     */
+    descendants() {
+        const result = [];
+        const walk = (node) => {
+            node.childNodes.forEach(child => {
+                if (child.nodeType === 1) {
+                    result.push(child);
+                    walk(child);
+                }
+            });
+        };
+        walk(this);
+        return result;
+    }
+
+    /**
+     * Descendant elements matching a selector, for the shim's own use
+     * @param {string} selector - CSS selector
+     * @returns {Element[]}
+     */
+    queryAll(selector) {
+        const chains = parseSelector(selector);
+        return this.descendants().filter(el => chains.some(chain => matchesChain(el, chain)));
+    }
+
+    querySelectorAll(selector) {
+        return new NodeList(this.queryAll(selector));
+    }
+
+    querySelector(selector) {
+        return this.queryAll(selector)[0] || null;
+    }
+
+    getElementsByTagName(name) {
+        const lower = name.toLowerCase();
+        return new HTMLCollection(this.descendants()
+            .filter(el => lower === '*' || el.localName.toLowerCase() === lower));
+    }
+
+    getElementsByClassName(names) {
+        return new HTMLCollection(this.queryAll(names.trim().split(/\s+/).map(n => `.${n}`).join('')));
+    }
+}
+
+class Text extends Node {
+    constructor(ownerDocument, data) {
+        super(ownerDocument, 3);
+        this.data = data;
+    }
+
+    get nodeName() {
+        return '#text';
+    }
+
+    get textContent() {
+        return this.data;
+    }
+
+    set textContent(value) {
+        this.data = String(value);
+    }
+
+    get nodeValue() {
+        return this.data;
+    }
+
+    cloneNode() {
+        return new Text(this.ownerDocument, this.data);
+    }
+}
+
+class Comment extends Node {
+    constructor(ownerDocument, data) {
+        super(ownerDocument, 8);
+        this.data = data;
+    }
+
+    get nodeName() {
+        return '#comment';
+    }
+
+    get textContent() {
+        return this.data;
+    }
+
+    set textContent(value) {
+        this.data = String(value);
+    }
+
+    cloneNode() {
+        return new Comment(this.ownerDocument, this.data);
+    }
+}
+
+class DocumentFragment extends Node {
+    constructor(ownerDocument) {
+        super(ownerDocument, 11);
+    }
+
+    get nodeName() {
+        return '#document-fragment';
+    }
+
+    cloneNode(deep) {
+        const copy = new DocumentFragment(this.ownerDocument);
+        if (deep) {
+            this.childNodes.forEach(child => copy.appendChild(child.cloneNode(true)));
+        }
+        return copy;
+    }
+}
+
+class ClassList {
+    constructor(el) {
+        this.el = el;
+    }
+
+    get tokens() {
+        return (this.el.getAttribute('class') || '').split(/\s+/).filter(c => c);
+    }
+
+    set tokens(list) {
+        this.el.setAttribute('class', list.join(' '));
+    }
+
+    get length() {
+        return this.tokens.length;
+    }
+
+    get value() {
+        return this.el.getAttribute('class') || '';
+    }
+
+    item(index) {
+        return this.tokens[index] || null;
+    }
+
+    contains(name) {
+        return this.tokens.includes(name);
+    }
+
+    add(...names) {
+        const list = this.tokens;
+        names.forEach(name => {
+            if (!list.includes(name)) list.push(name);
+        });
+        this.tokens = list;
+    }
+
+    remove(...names) {
+        if (!this.el.hasAttribute('class')) return;
+        this.tokens = this.tokens.filter(name => !names.includes(name));
+    }
+
+    toggle(name, force) {
+        const on = force === undefined ? !this.contains(name) : !!force;
+        if (on) {
+            this.add(name);
+        } else {
+            this.remove(name);
+        }
+        return on;
+    }
+
+    replace(oldName, newName) {
+        if (!this.contains(oldName)) return false;
+        this.tokens = this.tokens.map(name => (name === oldName ? newName : name));
+        return true;
+    }
+
+    forEach(fn) {
+        this.tokens.forEach(fn);
+    }
+
+    toString() {
+        return this.value;
+    }
+
+    [Symbol.iterator]() {
+        return this.tokens[Symbol.iterator]();
+    }
+}
+
+/**
+ * Inline style of an element. Properties are kept as set; they are not
+ * kept in step with the style attribute.
+ */
+class Style {
+    setProperty(name, value) {
+        this[name] = String(value);
+    }
+
+    getPropertyValue(name) {
+        return this[name] || '';
+    }
+
+    removeProperty(name) {
+        const value = this.getPropertyValue(name);
+        delete this[name];
+        return value;
+    }
+}
+
+class Element extends Node {
+    constructor(ownerDocument, localName, namespaceURI = HTML_NS) {
+        super(ownerDocument, 1);
+        this.namespaceURI = namespaceURI;
+        this.localName = namespaceURI === HTML_NS ? localName.toLowerCase() : localName;
+        this.attrs = new Map();
+        this.classList = new ClassList(this);
+        this.style = new Style();
+        this.dataset = new Proxy({}, {
+            get: (target, key) => {
+                const name = `data-${String(key).replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+                const value = this.getAttribute(name);
+                return value === null ? undefined : value;
+            },
+            set: (target, key, value) => {
+                this.setAttribute(`data-${String(key).replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`, value);
+                return true;
+            },
+            ownKeys: () => [...this.attrs.keys()]
+                .filter(name => name.startsWith('data-'))
+                .map(name => dataKey(name.slice(5))),
+            getOwnPropertyDescriptor: () => ({ enumerable: true, configurable: true })
+        });
+        this.scrollTop = 0;
+        this.scrollLeft = 0;
+        this.valueState = null;
+        this.checkedState = null;
+        this.selectedState = null;
+        this.files = [];
+    }
+
+    get tagName() {
+        return this.namespaceURI === HTML_NS ? this.localName.toUpperCase() : this.localName;
+    }
+
+    get nodeName() {
+        return this.tagName;
+    }
+
+    /**
+     * Attribute names are case-insensitive on HTML elements
+     * @param {string} name - Attribute name
+     * @returns {string}
+     */
+    attrName(name) {
+        return this.namespaceURI === HTML_NS ? String(name).toLowerCase() : String(name);
+    }
+
+    getAttribute(name) {
+        const key = this.attrName(name);
+        return this.attrs.has(key) ? this.attrs.get(key) : null;
+    }
+
+    setAttribute(name, value) {
+        const key = this.attrName(name);
+        const old = this.attrs.get(key);
+        this.attrs.set(key, String(value));
+        if (key === 'open' && old === undefined) {
+            this.queueToggle();
+        }
+    }
+
+    removeAttribute(name) {
+        const key = this.attrName(name);
+        const had = this.attrs.delete(key);
+        if (key === 'open' && had) {
+            this.queueToggle();
+        }
+    }
+
+    hasAttribute(name) {
+        return this.attrs.has(this.attrName(name));
+    }
+
+    toggleAttribute(name, force) {
+        const on = force === undefined ? !this.hasAttribute(name) : !!force;
+        if (on && !this.hasAttribute(name)) {
+            this.setAttribute(name, '');
+        } else if (!on) {
+            this.removeAttribute(name);
+        }
+        return on;
+    }
+
+    get attributes() {
+        return [...this.attrs].map(([name, value]) => ({ name, value }));
+    }
+
+    /**
+     * Details elements fire toggle as a task after opening or closing
+     */
+    queueToggle() {
+        if (this.localName !== 'details') return;
+        this.ownerDocument.queueTask(() => this.dispatchEvent(new Event('toggle')));
+    }
+
+    get id() {
+        return this.getAttribute('id') || '';
+    }
+
+    set id(value) {
+        this.setAttribute('id', value);
+    }
+
+    get className() {
+        return this.getAttribute('class') || '';
+    }
+
+    set className(value) {
+        this.setAttribute('class', value);
+    }
+
+    get type() {
+        return this.getAttribute('type') || (this.localName === 'button' ? 'submit' : 'text');
+    }
+
+    set type(value) {
+        this.setAttribute('type', value);
+    }
+
+    // Form control state
+
+    get value() {
+        if (this.localName === 'select') {
+            const option = this.optionList().find(o => o.selected);
+            return option ? option.value : '';
+        }
+        if (this.localName === 'option') {
+            const value = this.getAttribute('value');
+            return value !== null ? value : this.textContent.trim();
+        }
+        if (this.valueState !== null) {
+            return this.valueState;
+        }
+        if (this.localName === 'textarea') {
+            return this.textContent;
+        }
+        const value = this.getAttribute('value');
+        if (value === null && (this.type === 'checkbox' || this.type === 'radio')) {
+            return 'on';
+        }
+        return value || '';
+    }
+
+    set value(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        if (this.localName === 'select') {
+            const match = this.optionList().find(o => o.value === text);
+            this.optionList().forEach(o => { o.selectedState = o === match; });
+        } else if (this.localName === 'option') {
+            this.setAttribute('value', text);
+        } else {
+            this.valueState = text;
+        }
+    }
+
+    get checked() {
+        return this.checkedState !== null ? this.checkedState : this.hasAttribute('checked');
+    }
+
+    set checked(value) {
+        this.checkedState = !!value;
+    }
+
+    get selected() {
+        if (this.selectedState !== null) return this.selectedState;
+        if (this.hasAttribute('selected')) return true;
+        // A single select with no choice shows its first option
+        const select = this.closest('select');
+        if (select && !select.multiple) {
+            const options = select.optionList();
+            return options[0] === this && !options.some(o => o.selectedState || o.hasAttribute('selected'));
+        }
+        return false;
+    }
+
+    set selected(value) {
+        const select = this.closest('select');
+        if (value && select && !select.multiple) {
+            select.optionList().forEach(o => { o.selectedState = false; });
+        }
+        this.selectedState = !!value;
+    }
+
+    /**
+     * Options of a select as an array, for the shim's own use
+     * @returns {Element[]}
+     */
+    optionList() {
+        return this.descendants().filter(el => el.localName === 'option');
+    }
+
+    get options() {
+        return new HTMLCollection(this.optionList());
+    }
+
+    get selectedIndex() {
+        return this.optionList().findIndex(o => o.selected);
+    }
+
+    set selectedIndex(index) {
+        this.optionList().forEach((o, i) => { o.selectedState = i === index; });
+    }
+
+    get text() {
+        return this.textContent;
+    }
+
+    set text(value) {
+        this.textContent = value;
+    }
+
+    get innerText() {
+        return this.textContent;
+    }
+
+    set innerText(value) {
+        this.textContent = value;
+    }
+
+    // Markup
+
+    get innerHTML() {
+        return this.childNodes.map(node => serialize(node, this)).join('');
+    }
+
+    set innerHTML(html) {
+        this.childNodes.forEach(node => { node.parentNode = null; });
+        this.childNodes = [];
+        parseHtml(String(html), this);
+    }
+
+    get outerHTML() {
+        return serialize(this, this.parentNode);
+    }
+
+    insertAdjacentHTML(position, html) {
+        const fragment = this.ownerDocument.createDocumentFragment();
+        parseHtml(String(html), fragment, this.namespaceURI === SVG_NS);
+        switch (position) {
+            case 'beforebegin': this.before(fragment); break;
+            case 'afterbegin': this.prepend(fragment); break;
+            case 'beforeend': this.appendChild(fragment); break;
+            case 'afterend': this.after(fragment); break;
+            default: throw new Error(`Bad position: ${position}`);
+        }
+    }
+
+    cloneNode(deep) {
+        const copy = new Element(this.ownerDocument, this.localName, this.namespaceURI);
+        this.attrs.forEach((value, name) => copy.attrs.set(name, value));
+        if (deep) {
+            this.childNodes.forEach(child => copy.appendChild(child.cloneNode(true)));
+        }
+        return copy;
+    }
+
+    // Selectors
+
+    matches(selector) {
+        return parseSelector(selector).some(chain => matchesChain(this, chain));
+    }
+
+    closest(selector) {
+        const chains = parseSelector(selector);
+        for (let el = this; el && el.nodeType === 1; el = el.parentNode) {
+            if (chains.some(chain => matchesChain(el, chain))) return el;
+        }
+        return null;
+    }
+
+    // Interaction
+
+    click() {
+        if (this.disabled) return;
+        if (this.localName === 'input' && (this.type === 'checkbox' || this.type === 'radio')) {
+            this.checked = this.type === 'radio' ? true : !this.checked;
+        }
+        const notCancelled = this.dispatchEvent(new Event('click', { bubbles: true, cancelable: true }));
+        if (notCancelled && this.localName === 'summary' && this.parentNode &&
+            this.parentNode.localName === 'details') {
+            this.parentNode.open = !this.parentNode.open;
+        }
+        if (this.localName === 'input' && (this.type === 'checkbox' || this.type === 'radio')) {
+            this.dispatchEvent(new Event('input', { bubbles: true }));
+            this.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+    }
+
+    focus() {
+        this.ownerDocument.activeElement = this;
+        this.dispatchEvent(new Event('focus'));
+    }
+
+    blur() {
+        if (this.ownerDocument.activeElement === this) {
+            this.ownerDocument.activeElement = this.ownerDocument.body;
+            this.dispatchEvent(new Event('blur'));
+        }
+    }
+
+    select() {}
+
+    setSelectionRange() {}
+
+    scrollIntoView() {}
+
+    getBoundingClientRect() {
+        return { top: 0, left: 0, right: 0, bottom: 0, width: 0, height: 0, x: 0, y: 0 };
+    }
+
+    get offsetWidth() { return 0; }
+    get offsetHeight() { return 0; }
+    get offsetTop() { return 0; }
+    get offsetLeft() { return 0; }
+    get clientWidth() { return 0; }
+    get clientHeight() { return 0; }
+    get scrollHeight() { return 0; }
+    get scrollWidth() { return 0; }
+}
+
+BOOLEAN_PROPERTIES.forEach(prop => {
+    const name = prop.toLowerCase();
+    Object.defineProperty(Element.prototype, prop, {
+        get() { return this.hasAttribute(name); },
+        set(value) { this.toggleAttribute(name, !!value); }
+    });
+});
+
+STRING_PROPERTIES.forEach(prop => {
+    const name = prop === 'htmlFor' ? 'for' : prop.toLowerCase();
+    Object.defineProperty(Element.prototype, prop, {
+        get() { return this.getAttribute(name) || ''; },
+        set(value) { this.setAttribute(name, value); }
+    });
+});
+
+// ============================================================
+// HTML Parsing and Serialization
+// ============================================================
+
+/**
+ * Parse HTML into a parent node
+ * @param {string} html - Markup
+ * @param {Node} parent - Node the parsed nodes are appended to
+ * @param {boolean} inSvg - The markup is inside an SVG element
+ */
+function parseHtml(html, parent, inSvg = parent.namespaceURI === SVG_NS) {
+    const doc = parent.nodeType === 9 ? parent : parent.ownerDocument;
+    const stack = [parent];
+    const top = () => stack[stack.length - 1];
+    const isSvg = () => (stack.length > 1 ? top().namespaceURI === SVG_NS : inSvg);
+    let i = 0;
+
+    while (i < html.length) {
+        if (html.startsWith('<!--', i)) {
+            const end = html.indexOf('-->', i + 4);
+            const stop = end < 0 ? html.length : end;
+            top().appendChild(doc.createComment(html.slice(i + 4, stop)));
+            i = stop + 3;
+        } else if (html.startsWith('<!', i) || html.startsWith('<?', i)) {
+            const end = html.indexOf('>', i);
+            i = end < 0 ? html.length : end + 1;
+        } else if (html.startsWith('</', i)) {
+            const end = html.indexOf('>', i);
+            const name = html.slice(i + 2, end).trim().toLowerCase();
+            const index = stack.map(n => (n.localName || '').toLowerCase()).lastIndexOf(name);
+            if (index > 0) {
+                stack.length = index;
+            }
+            i = end + 1;
+        } else if (html[i] === '<' && /[a-zA-Z]/.test(html[i + 1] || '')) {
+            i = parseStartTag(html, i + 1, doc, stack, isSvg());
+        } else {
+            let end = html.indexOf('<', i + 1);
+            while (end >= 0 && !/[a-zA-Z/!?]/.test(html[end + 1] || '')) {
+                end = html.indexOf('<', end + 1);
+            }
+            const stop = end < 0 ? html.length : end;
+            top().appendChild(doc.createTextNode(decodeEntities(html.slice(i, stop))));
+            i = stop;
+        }
+    }
+}
+
+/**
+ * Parse a start tag, its attributes and, for raw text elements, the
+ * contents up to the end tag
+ * @param {string} html - Markup
+ * @param {number} start - Index just past the <
+ * @param {Document} doc - Owner document
+ * @param {Node[]} stack - Open elements; the new element is appended to
+ *     the last and pushed unless it has no end tag
+ * @param {boolean} inSvg - The tag is inside an SVG element
+ * @returns {number} - Index just past the tag
+ */
+function parseStartTag(html, start, doc, stack, inSvg) {
+    let i = start;
+    const nameMatch = /^[^\s/>]+/.exec(html.slice(i));
+    const rawName = nameMatch[0];
+    i += rawName.length;
+
+    const lowerName = rawName.toLowerCase();
+    const svg = inSvg || lowerName === 'svg';
+    if (!svg && SELF_CLOSING_SIBLINGS.has(lowerName) &&
+        (stack[stack.length - 1].localName || '') === lowerName) {
+        stack.pop();
+    }
+    const el = svg ? doc.createElementNS(SVG_NS, rawName) : doc.createElement(lowerName);
+
+    let selfClosing = false;
+    while (i < html.length) {
+        while (/\s/.test(html[i])) i++;
+        if (html[i] === '>') {
+            i++;
+            break;
+        }
+        if (html.startsWith('/>', i)) {
+            selfClosing = true;
+            i += 2;
+            break;
+        }
+        if (html[i] === '/') {
+            i++;
+            continue;
+        }
+        const attrMatch = /^[^\s=/>]+/.exec(html.slice(i));
+        const attrName = attrMatch[0];
+        i += attrName.length;
+        while (/\s/.test(html[i])) i++;
+        let value = '';
+        if (html[i] === '=') {
+            i++;
+            while (/\s/.test(html[i])) i++;
+            const quote = html[i];
+            if (quote === '"' || quote === "'") {
+                const end = html.indexOf(quote, i + 1);
+                value = html.slice(i + 1, end);
+                i = end + 1;
+            } else {
+                const valueMatch = /^[^\s>]+/.exec(html.slice(i));
+                value = valueMatch ? valueMatch[0] : '';
+                i += value.length;
+            }
+        }
+        el.attrs.set(el.attrName(attrName), decodeEntities(value));
+    }
+
+    stack[stack.length - 1].appendChild(el);
+
+    if (!svg && RAW_TEXT_ELEMENTS.has(lowerName) && !selfClosing) {
+        const endTag = new RegExp(`</${lowerName}\\s*>`, 'i');
+        const match = endTag.exec(html.slice(i));
+        const stop = match ? i + match.index : html.length;
+        const text = html.slice(i, stop);
+        if (text) {
+            const decoded = lowerName === 'script' || lowerName === 'style' ? text : decodeEntities(text);
+            el.appendChild(doc.createTextNode(decoded));
+        }
+        return match ? stop + match[0].length : html.length;
+    }
+
+    if (!selfClosing && !(!svg && VOID_ELEMENTS.has(lowerName))) {
+        stack.push(el);
+    }
+    return i;
+}
+
+/**
+ * Serialize a node as innerHTML does
+ * @param {Node} node - Node
+ * @param {Node} parent - Parent, which decides whether text is escaped
+ * @returns {string}
+ */
+function serialize(node, parent) {
+    if (node.nodeType === 3) {
+        const parentName = parent && parent.localName;
+        return parentName === 'script' || parentName === 'style' ? node.data : escapeText(node.data);
+    }
+    if (node.nodeType === 8) {
+        return `<!--${node.data}-->`;
+    }
+    if (node.nodeType === 11) {
+        return node.childNodes.map(child => serialize(child, node)).join('');
+    }
+
+    const attrs = [...node.attrs].map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`).join('');
+    const open = `<${node.localName}${attrs}>`;
+    if (node.namespaceURI === HTML_NS && VOID_ELEMENTS.has(node.localName)) {
+        return open;
+    }
+    return `${open}${node.innerHTML}</${node.localName}>`;
+}
+
+// ============================================================
+// Document and Window
+// ============================================================
+
+class Document extends Node {
+    /**
+     * @param {Object} window - Window the document belongs to
+     * @param {Function} queueTask - Runs a function as a later task
+     */
+    constructor(window, queueTask) {
+        super(null, 9);
+        this.ownerDocument = this;
+        this.defaultView = window;
+        this.queueTask = queueTask;
+        this.readyState = 'loading';
+        this.activeElement = null;
+    }
+
+    eventParent() {
+        return this.defaultView.windowEvents;
+    }
+
+    get nodeName() {
+        return '#document';
+    }
+
+    get documentElement() {
+        return this.childElements()[0] || null;
+    }
+
+    get head() {
+        return this.querySelector('head');
+    }
+
+    get body() {
+        return this.querySelector('body');
+    }
+
+    get title() {
+        const title = this.querySelector('title');
+        return title ? title.textContent.trim() : '';
+    }
+
+    createElement(name) {
+        return new Element(this, name);
+    }
+
+    createElementNS(namespaceURI, name) {
+        return new Element(this, name, namespaceURI);
+    }
+
+    createTextNode(text) {
+        return new Text(this, String(text));
+    }
+
+    createComment(text) {
+        return new Comment(this, String(text));
+    }
+
+    createDocumentFragment() {
+        return new DocumentFragment(this);
+    }
+
+    getElementById(id) {
+        return this.descendants().find(el => el.getAttribute('id') === id) || null;
+    }
+}
+
+/**
+ * Events sent to the window; the last stop of a bubbling event
+ */
+class WindowEvents extends EventTarget {
+    constructor(window) {
+        super();
+        this.window = window;
+    }
+
+    eventThis() {
+        return this.window;
+    }
+}
+
+class Storage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return [...this.items.keys()][index] || null;
+    }
+
+    getItem(key) {
+        return this.items.has(String(key)) ? this.items.get(String(key)) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(String(key), String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(String(key));
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+/**
+ * Fill a window object (the global of a script context) with the DOM
+ * @param {Object} window - Global object of the page
+ * @param {Object} options - Options
+ * @param {string} options.url - Page URL, which may carry a hash
+ * @param {string} options.html - Page markup
+ * @param {Function} options.queueTask - Runs a function as a later task,
+ *     e.g. the fake clock's setTimeout with no delay
+ * @returns {Document}
+ */
+function installDom(window, options) {
+    const queueTask = options.queueTask;
+    const windowEvents = new WindowEvents(window);
+    const document = new Document(window, queueTask);
+    parseHtml(options.html || '<!DOCTYPE html><html><head></head><body></body></html>', document);
+    document.activeElement = document.body;
+
+    let url = new URL(options.url || 'http://localhost/');
+    const entries = [{ state: null, url: url.href }];
+    let entryIndex = 0;
+
+    /**
+     * Move to a URL, firing hashchange as a task when only the hash changed
+     * @param {string} href - New URL
+     */
+    const moveTo = (href) => {
+        const oldHref = url.href;
+        const oldHash = url.hash;
+        url = new URL(href, url);
+        if (url.hash !== oldHash) {
+            const newHref = url.href;
+            queueTask(() => window.dispatchEvent(new Event('hashchange', { oldURL: oldHref, newURL: newHref })));
+        }
+    };
+
+    const location = {
+        get href() { return url.href; },
+        set href(value) { this.assign(value); },
+        get origin() { return url.origin; },
+        get protocol() { return url.protocol; },
+        get host() { return url.host; },
+        get hostname() { return url.hostname; },
+        get port() { return url.port; },
+        get pathname() { return url.pathname; },
+        get search() { return url.search; },
+        get hash() { return url.hash; },
+        set hash(value) {
+            const text = String(value);
+            const hash = text.startsWith('#') ? text : `#${text}`;
+            if (hash === url.hash || (hash === '#' && url.hash === '')) return;
+            const next = new URL(url);
+            next.hash = hash;
+            entries.length = entryIndex + 1;
+            entries.push({ state: null, url: next.href });
+            entryIndex++;
+            moveTo(next.href);
+        },
+        assign(value) {
+            entries.length = entryIndex + 1;
+            entries.push({ state: null, url: new URL(value, url).href });
+            entryIndex++;
+            moveTo(value);
+        },
+        replace(value) {
+            entries[entryIndex] = { state: null, url: new URL(value, url).href };
+            moveTo(value);
+        },
+        reload() {},
+        toString() { return url.href; }
+    };
+
+    const history = {
+        get length() { return entries.length; },
+        get state() { return entries[entryIndex].state; },
+        pushState(state, title, href) {
+            entries.length = entryIndex + 1;
+            url = new URL(href === undefined || href === null ? url.href : href, url);
+            entries.push({ state, url: url.href });
+            entryIndex++;
+        },
+        replaceState(state, title, href) {
+            url = new URL(href === undefined || href === null ? url.href : href, url);
+            entries[entryIndex] = { state, url: url.href };
+        },
+        go(delta = 0) {
+            const index = entryIndex + delta;
+            if (index < 0 || index >= entries.length || delta === 0) return;
+            entryIndex = index;
+            const entry = entries[index];
+            queueTask(() => window.dispatchEvent(new Event('popstate', { state: entry.state })));
+            moveTo(entry.url);
+        },
+        back() { this.go(-1); },
+        forward() { this.go(1); }
+    };
+
+    Object.assign(window, {
+        window,
+        self: window,
+        document,
+        location,
+        history,
+        windowEvents,
+        localStorage: new Storage(),
+        sessionStorage: new Storage(),
+        navigator: { userAgent: 'node', language: 'en' },
+        innerWidth: 1024,
+        innerHeight: 768,
+        scrollX: 0,
+        scrollY: 0,
+        pageXOffset: 0,
+        pageYOffset: 0,
+        devicePixelRatio: 1,
+        addEventListener: (...args) => windowEvents.addEventListener(...args),
+        removeEventListener: (...args) => windowEvents.removeEventListener(...args),
+        dispatchEvent: (event) => windowEvents.dispatchEvent(event),
+        scrollTo: () => {},
+        scrollBy: () => {},
+        getComputedStyle: (el) => el.style,
+        matchMedia: () => ({ matches: false, addEventListener() {}, removeEventListener() {} }),
+        requestAnimationFrame: (fn) => window.setTimeout(() => fn(Date.now()), 16),
+        cancelAnimationFrame: (id) => window.clearTimeout(id),
+        open: () => null,
+        alert: () => {},
+        confirm: () => true,
+        prompt: () => null,
+        Event,
+        CustomEvent: Event,
+        MouseEvent: Event,
+        KeyboardEvent: Event,
+        HashChangeEvent: Event,
+        Node,
+        Element,
+        HTMLElement: Element,
+        SVGElement: Element,
+        Text,
+        DocumentFragment
+    });
+    return document;
+}
+
+module.exports = {
+    installDom,
+    parseHtml,
+    Event,
+    EventTarget,
+    Element,
+    Document,
+    SVG_NS,
+    HTML_NS
+};
@@ -0,0 +1,91 @@
+/**
+ * event-source.js - Fake EventSource for the Headless Tests
+ * The browser end of a live data stream from the fake server. It connects
+ * on a later task, as the browser does, and then receives the events the
+ * server sends until either end closes it.
+ */
+
+'use strict';
+
+const { Event, EventTarget } = require('./dom');
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 2;
+
+/**
+ * Make the EventSource class of a page
+ * @param {Object} server - Fake server the streams connect to
+ * @param {Function} queueTask - Run a function on a later task
+ * @returns {Function} - EventSource class
+ */
+function createEventSource(server, queueTask) {
+    return class EventSource extends EventTarget {
+        /**
+         * @param {string} url - Stream URL, e.g. /api/stream?watch=ID&stats=1
+         */
+        constructor(url) {
+            super();
+            this.url = url;
+            this.readyState = CONNECTING;
+            this.onopen = null;
+            this.onerror = null;
+            queueTask(() => {
+                if (this.readyState !== CONNECTING) return;
+                if (server && server.openStream(this)) {
+                    this.readyState = OPEN;
+                    this.fire(new Event('open'), this.onopen);
+                } else {
+                    this.readyState = CLOSED;
+                    this.fire(new Event('error'), this.onerror);
+                }
+            });
+        }
+
+        close() {
+            if (this.readyState === CLOSED) return;
+            this.readyState = CLOSED;
+            if (server) {
+                server.closeStream(this);
+            }
+        }
+
+        /**
+         * Receive an event from the server
+         * @param {string} type - Event name, e.g. data or heartbeat
+         * @param {Object} payload - Event data, sent as JSON
+         */
+        receive(type, payload) {
+            if (this.readyState !== OPEN) return;
+            const event = new Event(type);
+            event.data = JSON.stringify(payload);
+            this.dispatchEvent(event);
+        }
+
+        /**
+         * Lose the connection; the browser tries to connect again, but the
+         * page closes the stream and opens a new one itself
+         */
+        drop() {
+            if (this.readyState !== OPEN) return;
+            this.readyState = CONNECTING;
+            this.fire(new Event('error'), this.onerror);
+        }
+
+        /**
+         * Call the on<type> handler, then the listeners
+         * @param {Event} event - Event
+         * @param {Function|null} handler - Handler property
+         */
+        fire(event, handler) {
+            if (handler) {
+                handler.call(this, event);
+            }
+            this.dispatchEvent(event);
+        }
+    };
+}
+
+module.exports = {
+    createEventSource
+};
@@ -0,0 +1,391 @@
+/**
+ * fake-server.js - Fake PLC Server for the Headless Tests
+ * Answers the /api requests of the static pages from fixture data with
+ * the responses the Lisp server gives: the same JSON shapes, with null
+ * for false and for empty lists as cl-json encodes them. It records every
+ * request, sends live data streams to the fake EventSource when a test
+ * asks it to, and can be taken offline to test connection handling.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+const BOOL_ADDRESS = /^(X|Y|C|SC|T|CT)[0-9]+$/;
+const WORD_ADDRESS = /^(DS|DD|DH|XD|YD|XS|YS|SD|TD|CTD)[0-9]+$/;
+const FLOAT_ADDRESS = /^DF[0-9]+$/;
+const STRING_ADDRESS = /^TXT[0-9]+$/;
+
+/**
+ * Read a fixture file
+ * @param {string} name - File name in test/js/fixtures
+ * @returns {*} - Parsed JSON
+ */
+function readFixture(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf8'));
+}
+
+/**
+ * Load the fixture program: every program-*.json file, keyed by
+ * subroutine name
+ * @returns {Object}
+ */
+function loadFixturePrograms() {
+    const programs = {};
+    fs.readdirSync(FIXTURES)
+        .filter(name => /^program-.*\.json$/.test(name))
+        .forEach(name => {
+            const program = readFixture(name);
+            programs[program.subrname] = program;
+        });
+    return programs;
+}
+
+/**
+ * Value of an address the data table has never been written to: off,
+ * zero or empty. Off is null, since cl-json encodes false as null.
+ * @param {string} address - Address
+ * @returns {*}
+ */
+function initialValue(address) {
+    if (WORD_ADDRESS.test(address) || FLOAT_ADDRESS.test(address)) return 0;
+    if (STRING_ADDRESS.test(address)) return '';
+    return null;
+}
+
+/**
+ * A value as the server sends it back
+ * @param {string} address - Address
+ * @param {*} value - Stored value
+ * @returns {*}
+ */
+function encodeValue(address, value) {
+    if (BOOL_ADDRESS.test(address)) return value ? true : null;
+    return value === undefined ? initialValue(address) : value;
+}
+
+/**
+ * Response body of a control request
+ * @param {string} action - Action name
+ * @param {boolean} success - The action was carried out
+ * @param {string} message - Message; defaults to OK or Failed
+ * @returns {Object}
+ */
+function controlResponse(action, success, message) {
+    return { action, success: success || null, message: message || (success ? 'OK' : 'Failed') };
+}
+
+/**
+ * Create a fake server
+ * @param {Object} options - Options
+ * @param {Object} options.programs - Subroutine name to /api/program
+ *     response; defaults to the fixture program
+ * @param {Object} options.values - Address to value; defaults to the
+ *     fixture data
+ * @param {Object} options.statistics - Fields that replace those of the
+ *     fixture statistics
+ * @param {Object} options.routes - Answers to requests the fake does not
+ *     model, such as program checks: 'POST /api/program/check' to a
+ *     function of (body, query) that returns the response body
+ * @returns {Object} - Server with fetch() for the page, handle() for a
+ *     decoded request, the open live data streams and the state it
+ *     answers from
+ */
+function createFakeServer(options = {}) {
+    const programs = options.programs || loadFixturePrograms();
+    const values = Object.assign({}, options.values || readFixture('data.json'));
+    const statistics = Object.assign(readFixture('statistics.json'), options.statistics || {});
+    const routes = options.routes || {};
+    const forces = new Map();
+    const breakpoints = [];
+    let nextBreakpointId = 1;
+    let online = true;
+    // Open live data streams as {source, watch, stats, addresses,
+    // lastValues, lastStats}
+    const streams = [];
+
+    const server = {
+        programs,
+        values,
+        statistics,
+        forces,
+        breakpoints,
+        // Every request as {method, path, query, body}
+        requests: [],
+        streams,
+        handle,
+        fetch,
+        setOnline,
+        requestsTo,
+        openStream,
+        closeStream,
+        pushStreams
+    };
+
+    /**
+     * Answer a request
+     * @param {string} method - HTTP method
+     * @param {string} pathname - Path, e.g. /api/data
+     * @param {URLSearchParams} query - Query parameters
+     * @param {Object|null} body - Decoded JSON body
+     * @returns {Object} - {status, body}
+     */
+    function handle(method, pathname, query, body) {
+        body = body || {};
+        const ok = (result) => ({ status: 200, body: result });
+
+        const route = routes[`${method} ${pathname}`];
+        if (route) {
+            return ok(route(body, query));
+        }
+
+        switch (`${method} ${pathname}`) {
+            case 'GET /api/statistics':
+                return ok(Object.assign({}, statistics, { 'forced-count': forces.size,
+                                                          'breakpoint-count': breakpoints.length }));
+
+            case 'POST /api/statistics/reset':
+                Object.assign(statistics, { 'total-scans': 0, 'min-scan-time': 0,
+                                            'max-scan-time': 0, 'avg-scan-time': 0 });
+                return ok(controlResponse('reset-statistics', true));
+
+            case 'GET /api/data':
+            case 'POST /api/data': {
+                const addresses = method === 'POST'
+                    ? [].concat(body.addr || [])
+                    : (query.get('addr') || '').split(',').filter(a => a);
+                if (addresses.length === 0) {
+                    return ok({ error: "Missing 'addr' parameter" });
+                }
+                const result = {};
+                addresses.forEach(addr => {
+                    const value = forces.has(addr) ? forces.get(addr) : values[addr];
+                    result[addr] = encodeValue(addr, value);
+                });
+                return ok(result);
+            }
+
+            case 'GET /api/program': {
+                const subrname = query.get('subrname') || 'main';
+                return ok(programs[subrname] || { error: `Subroutine '${subrname}' not found` });
+            }
+
+            case 'GET /api/subroutines':
+                // Sorted as Lisp string< sorts them: by character code
+                return ok({ subroutines: Object.keys(programs).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0)) });
+
+            case 'POST /api/control/start':
+                statistics.running = true;
+                return ok(controlResponse('start', true));
+
+            case 'POST /api/control/stop':
+                statistics.running = null;
+                return ok(controlResponse('stop', true));
+
+            case 'POST /api/control/step': {
+                const count = body.count === undefined ? 1 : body.count;
+                if (statistics.running) {
+                    return ok(controlResponse('step', false, 'Stop continuous mode first'));
+                }
+                if (!Number.isInteger(count) || count < 1 || count > 10000) {
+                    return ok(controlResponse('step', false, 'Scan count must be 1 to 10000'));
+                }
+                statistics['scan-count'] += count;
+                statistics['total-scans'] += count;
+                return ok(controlResponse('step', true, `Executed ${count} scan${count === 1 ? '' : 's'}`));
+            }
+
+            case 'POST /api/control/interval':
+                if (typeof body.interval !== 'number' || body.interval < 0 || body.interval > 60000) {
+                    return ok(controlResponse('interval', false, 'Scan interval must be 0 to 60000 ms'));
+                }
+                statistics['scan-interval'] = body.interval;
+                return ok(controlResponse('interval', true));
+
+            case 'POST /api/write':
+                values[body.addr] = body.value;
+                return ok(controlResponse('write', true));
+
+            case 'POST /api/force/set':
+                forces.set(body.addr, body.value);
+                return ok(controlResponse('force', true));
+
+            case 'POST /api/force/release':
+                if (body.all) {
+                    forces.clear();
+                } else {
+                    forces.delete(body.addr);
+                }
+                return ok(controlResponse('release', true));
+
+            case 'GET /api/force/list':
+                return ok({ forces: forces.size > 0
+                    ? [...forces].map(([addr, value]) => ({ addr, value: encodeValue(addr, value) }))
+                    : null });
+
+            case 'POST /api/breakpoint/set':
+                breakpoints.push({ id: nextBreakpointId++, addr: body.addr, op: body.op, value: body.value });
+                return ok(controlResponse('breakpoint', true));
+
+            case 'POST /api/breakpoint/clear':
+                if (body.all) {
+                    breakpoints.length = 0;
+                } else {
+                    const index = breakpoints.findIndex(bp => bp.id === body.id);
+                    if (index >= 0) {
+                        breakpoints.splice(index, 1);
+                    }
+                }
+                return ok(controlResponse('clear', true));
+
+            case 'GET /api/breakpoint/list':
+                return ok({ breakpoints: breakpoints.length > 0 ? breakpoints.slice() : null, hit: null });
+
+            case 'POST /api/stream/watch': {
+                const stream = streams.find(s => s.watch !== null && s.watch === body.id);
+                if (!stream) {
+                    return ok(controlResponse('watch', false, 'No open stream with that id'));
+                }
+                stream.addresses = [].concat(body.addr || []);
+                stream.lastValues = null;
+                return ok(controlResponse('watch', true));
+            }
+
+            default:
+                return { status: 404, body: `File not found: ${pathname}` };
+        }
+    }
+
+    /**
+     * fetch() for the page under test
+     * @param {string} url - Request URL
+     * @param {Object} init - fetch options
+     * @returns {Promise<Object>} - Response with ok, status, json() and text()
+     */
+    function fetch(url, init = {}) {
+        const parsed = new URL(url, 'http://localhost/');
+        const method = (init.method || 'GET').toUpperCase();
+        const body = init.body ? JSON.parse(init.body) : null;
+        server.requests.push({ method, path: parsed.pathname, query: parsed.searchParams, body });
+
+        if (!online) {
+            return Promise.reject(new TypeError('Failed to fetch'));
+        }
+
+        const result = handle(method, parsed.pathname, parsed.searchParams, body);
+        const text = typeof result.body === 'string' ? result.body : JSON.stringify(result.body);
+        return Promise.resolve({
+            ok: result.status >= 200 && result.status < 300,
+            status: result.status,
+            json: () => Promise.resolve(JSON.parse(text)),
+            text: () => Promise.resolve(text)
+        });
+    }
+
+    /**
+     * Take the server off the network or bring it back; requests fail
+     * as they do when the server cannot be reached
+     * @param {boolean} isOnline - Answer requests
+     */
+    function setOnline(isOnline) {
+        online = isOnline;
+        if (!online) {
+            streams.slice().forEach(stream => {
+                closeStream(stream.source);
+                stream.source.drop();
+            });
+        }
+    }
+
+    /**
+     * Accept a live data stream, as GET /api/stream does
+     * @param {Object} source - Fake EventSource connecting
+     * @returns {boolean} - The stream is open; false when offline
+     */
+    function openStream(source) {
+        const parsed = new URL(source.url, 'http://localhost/');
+        server.requests.push({ method: 'GET', path: parsed.pathname, query: parsed.searchParams, body: null });
+        if (!online || parsed.pathname !== '/api/stream') {
+            return false;
+        }
+        streams.push({
+            source,
+            watch: parsed.searchParams.get('watch'),
+            stats: parsed.searchParams.get('stats') === '1',
+            addresses: (parsed.searchParams.get('addr') || '').split(',').filter(a => a),
+            lastValues: null,
+            lastStats: null
+        });
+        return true;
+    }
+
+    /**
+     * Forget a live data stream whose connection has closed
+     * @param {Object} source - Fake EventSource
+     */
+    function closeStream(source) {
+        const index = streams.findIndex(stream => stream.source === source);
+        if (index >= 0) {
+            streams.splice(index, 1);
+        }
+    }
+
+    /**
+     * Check every open stream once, as the server does each poll
+     * interval: send the values that changed, every value when the
+     * address set changed, statistics when they changed, and otherwise a
+     * heartbeat
+     */
+    function pushStreams() {
+        streams.slice().forEach(stream => {
+            let sent = false;
+            if (stream.addresses.length > 0) {
+                const current = handle('POST', '/api/data', new URLSearchParams(), { addr: stream.addresses }).body;
+                const last = stream.lastValues || {};
+                const changes = {};
+                Object.keys(current).forEach(addr => {
+                    if (!(addr in last) || last[addr] !== current[addr]) {
+                        changes[addr] = current[addr];
+                    }
+                });
+                stream.lastValues = current;
+                if (Object.keys(changes).length > 0) {
+                    stream.source.receive('data', changes);
+                    sent = true;
+                }
+            }
+            if (stream.stats) {
+                const stats = handle('GET', '/api/statistics', new URLSearchParams(), null).body;
+                const statsJson = JSON.stringify(stats);
+                if (statsJson !== stream.lastStats) {
+                    stream.lastStats = statsJson;
+                    stream.source.receive('stats', stats);
+                    sent = true;
+                }
+            }
+            if (!sent) {
+                stream.source.receive('heartbeat', {});
+            }
+        });
+    }
+
+    /**
+     * Requests made to one endpoint
+     * @param {string} pathname - Path, e.g. /api/data
+     * @returns {Object[]}
+     */
+    function requestsTo(pathname) {
+        return server.requests.filter(request => request.path === pathname);
+    }
+
+    return server;
+}
+
+module.exports = {
+    createFakeServer,
+    loadFixturePrograms,
+    readFixture
+};
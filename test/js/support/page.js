@@ -0,0 +1,132 @@
+/**
+ * page.js - Headless Page Loader
+ * Runs the static scripts of a page in a fresh script context with the
+ * DOM shim, fake timers and a fake server, the way the browser would run
+ * them, so each test starts from a newly loaded page
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const { installDom, Event } = require('./dom');
+const { FakeClock, flushMicrotasks } = require('./clock');
+const { createEventSource } = require('./event-source');
+
+const STATIC = path.join(__dirname, '..', '..', '..', 'static');
+
+/**
+ * Script files of a page, in the order its script tags load them
+ * @param {string} html - Page markup
+ * @returns {string[]} - Paths relative to the static directory
+ */
+function pageScripts(html) {
+    const scripts = [];
+    const pattern = /<script\s+[^>]*src="([^"]+)"/g;
+    let match;
+    while ((match = pattern.exec(html)) !== null) {
+        scripts.push(match[1].replace(/^\//, ''));
+    }
+    return scripts;
+}
+
+/**
+ * Load a page
+ * @param {Object} options - Options
+ * @param {string} options.page - Page in the static directory, e.g.
+ *     laddermonitor.html; its markup and scripts are loaded
+ * @param {string} options.html - Markup, for a page made up by the test
+ * @param {string[]} options.scripts - Scripts to run, e.g. 'js/ladsymbols.js';
+ *     defaults to the script tags of the page
+ * @param {string} options.url - Page URL (default: http://localhost/ plus
+ *     the page name)
+ * @param {Object} options.server - Fake server answering fetch()
+ * @param {boolean} options.eventSource - Give the page an EventSource that
+ *     opens live data streams from the server; without one, pages poll
+ * @param {Object} options.storage - localStorage contents at load time
+ * @param {boolean} options.ready - Fire DOMContentLoaded and load once the
+ *     scripts have run (default: true)
+ * @returns {Object} - Page with window, document, clock, server, get()
+ *     for a global of the page, and settle() to let pending work finish
+ */
+function loadPage(options = {}) {
+    const html = options.html !== undefined
+        ? options.html
+        : fs.readFileSync(path.join(STATIC, options.page), 'utf8');
+    const scripts = options.scripts || pageScripts(html);
+    const clock = new FakeClock();
+    const server = options.server || null;
+    const errors = [];
+
+    const sandbox = {
+        console: {
+            log: () => {},
+            info: () => {},
+            debug: () => {},
+            warn: (...args) => errors.push(args),
+            error: (...args) => errors.push(args)
+        },
+        Date: clock.dateClass(),
+        setTimeout: (...args) => clock.setTimeout(...args),
+        clearTimeout: (id) => clock.clearTimeout(id),
+        setInterval: (...args) => clock.setInterval(...args),
+        clearInterval: (id) => clock.clearInterval(id),
+        queueMicrotask,
+        structuredClone,
+        URL,
+        URLSearchParams,
+        Blob,
+        AbortController,
+        TextEncoder,
+        TextDecoder,
+        fetch: (url, init) => (server
+            ? server.fetch(url, init)
+            : Promise.reject(new TypeError('Failed to fetch')))
+    };
+    if (options.eventSource) {
+        sandbox.EventSource = createEventSource(server, (fn) => clock.setTimeout(fn, 0));
+    }
+    const context = vm.createContext(sandbox);
+    const document = installDom(sandbox, {
+        html,
+        url: options.url || `http://localhost/${options.page || ''}`,
+        queueTask: (fn) => clock.setTimeout(fn, 0)
+    });
+
+    Object.entries(options.storage || {}).forEach(([key, value]) => {
+        sandbox.localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+    });
+
+    scripts.forEach(script => {
+        const file = path.join(STATIC, script);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+
+    if (options.ready !== false) {
+        document.readyState = 'interactive';
+        document.dispatchEvent(new Event('DOMContentLoaded', { bubbles: true }));
+        document.readyState = 'complete';
+        sandbox.dispatchEvent(new Event('load'));
+    }
+
+    return {
+        window: sandbox,
+        document,
+        clock,
+        server,
+        // console.warn and console.error calls of the page
+        errors,
+        get: (name) => vm.runInContext(name, context),
+        run: (code) => vm.runInContext(code, context),
+        settle: () => clock.tick(0),
+        flushMicrotasks
+    };
+}
+
+module.exports = {
+    loadPage,
+    pageScripts,
+    STATIC
+};
@@ -274,6 +274,164 @@ OUT Y1
       (is (>= (average-scan-time stats) 0))
       (is (>= (stats-max-scan-time stats) (stats-min-scan-time stats))))))
 
+;;; ============================================================
+;;; Forced Value Tests
+;;; ============================================================
+
+(test force-overrides-logic
+  "Test that forced addresses hold their value across scans"
+  (let* ((source "NETWORK 1
+STR X1
+OUT Y1
+")
+         (compiled (compile-il-string source))
+         (interp (make-plc-interpreter :program compiled)))
+    ;; Forced input drives the logic
+    (force-value interp "X1" t)
+    (step-scan interp)
+    (is (eq t (get-bool-value interp "Y1")))
+    ;; Forced output wins over the rung result
+    (force-value interp "Y1" nil)
+    (step-scan interp)
+    (is (null (get-bool-value interp "Y1")))
+    (is (equal '(("X1" . t) ("Y1")) (interpreter-forces interp)))
+    ;; Released output follows the logic again
+    (release-force interp "Y1")
+    (step-scan interp)
+    (is (eq t (get-bool-value interp "Y1")))
+    (release-all-forces interp)
+    (is (null (interpreter-forces interp)))))
+
+;;; ============================================================
+;;; Breakpoint Tests
+;;; ============================================================
+
+(test breakpoint-fires-when-condition-becomes-true
+  "Test that a breakpoint fires on the scan where its condition turns true"
+  (let ((interp (make-plc-interpreter :program (compile-il-string "NETWORK 1
+STR X1
+OUT Y1
+"))))
+    (add-breakpoint interp "Y1" "=" t)
+    (step-scan interp)
+    (is (null (interpreter-breakpoint-hit interp)))
+    (set-bool-value interp "X1" t)
+    (step-scan interp)
+    (let ((hit (interpreter-breakpoint-hit interp)))
+      (is (string= "Y1" (getf hit :address)))
+      (is (eq t (getf hit :actual)))
+      (is (= 2 (getf hit :scan))))
+    (is (eq :breakpoint (interpreter-exit-code interp)))
+    ;; Still true on the next scan, so it does not fire again
+    (step-scan interp)
+    (is (null (interpreter-breakpoint-hit interp)))))
+
+(test breakpoint-stops-continuous-run
+  "Test that a word comparison breakpoint stops RUN-CONTINUOUS"
+  (let ((interp (make-plc-interpreter :program (compile-il-string "NETWORK 1
+STR SC1
+MATHDEC DS10 0 DS10 + 1
+"))))
+    (add-breakpoint interp "DS10" ">" 5)
+    (is (eq :breakpoint (run-continuous interp :max-scans 100)))
+    (is (= 6 (get-word-value interp "DS10")))
+    (is (= 6 (getf (interpreter-breakpoint-hit interp) :scan)))))
+
+(test breakpoint-list-management
+  "Test adding, removing and clearing breakpoints"
+  (let ((interp (make-plc-interpreter :program (compile-il-string "NETWORK 1
+STR X1
+OUT Y1
+"))))
+    (let ((on-x1 (add-breakpoint interp "X1" "=" t))
+          (ds1-high (add-breakpoint interp "DS1" ">=" 10)))
+      (is (equal (list on-x1 ds1-high) (interpreter-breakpoints interp)))
+      (remove-breakpoint interp (breakpoint-id on-x1))
+      (is (equal (list ds1-high) (interpreter-breakpoints interp))))
+    (signals error (add-breakpoint interp "X1" "~" t))
+    (clear-breakpoints interp)
+    (is (null (interpreter-breakpoints interp)))))
+
+;;; ============================================================
+;;; Multi-Scan Step Tests
+;;; ============================================================
+
+(test step-scans-runs-count
+  "Test that STEP-SCANS runs the requested number of scans"
+  (let ((interp (make-plc-interpreter :program (compile-il-string "NETWORK 1
+STR SC1
+MATHDEC DS10 0 DS10 + 1
+"))))
+    (is (= 5 (step-scans interp 5)))
+    (is (= 5 (interpreter-scan-count interp)))
+    (is (= 5 (get-word-value interp "DS10")))
+    (is (= 3 (step-scans interp 3)))
+    (is (= 8 (get-word-value interp "DS10")))))
+
+(test step-scans-stops-at-breakpoint
+  "Test that STEP-SCANS stops early when a breakpoint fires"
+  (let ((interp (make-plc-interpreter :program (compile-il-string "NETWORK 1
+STR SC1
+MATHDEC DS10 0 DS10 + 1
+"))))
+    (add-breakpoint interp "DS10" ">=" 4)
+    (is (= 4 (step-scans interp 10)))
+    (is (= 4 (get-word-value interp "DS10")))
+    (is (eq :breakpoint (interpreter-exit-code interp)))
+    ;; The next batch runs in full
+    (is (= 10 (step-scans interp 10)))
+    (is (= 14 (get-word-value interp "DS10")))))
+
+(test run-continuous-keeps-scan-interval
+  "Test that RUN-CONTINUOUS uses the interpreter scan interval unless given one"
+  (let ((interp (make-plc-interpreter :program (compile-il-string "NETWORK 1
+STR SC1
+OUT Y1
+"))))
+    (is (null (interpreter-scan-interval interp)))
+    (run-continuous interp :max-scans 2 :target-scan-time 1)
+    (is (= 1 (interpreter-scan-interval interp)))
+    (run-continuous interp :max-scans 2)
+    (is (= 1 (interpreter-scan-interval interp)))))
+
+(test reset-statistics-starts-over
+  "Test that RESET-STATISTICS clears the scan statistics but not the scan count"
+  (let ((interp (make-plc-interpreter :program (compile-il-string "NETWORK 1
+STR SC1
+OUT Y1
+"))))
+    (step-scans interp 3)
+    (is (= 3 (stats-total-scans (interpreter-statistics interp))))
+    (reset-statistics interp)
+    (let ((stats (interpreter-statistics interp)))
+      (is (= 0 (stats-total-scans stats)))
+      (is (= 0 (stats-max-scan-time stats)))
+      (is (= 0 (average-scan-time stats))))
+    (is (= 3 (interpreter-scan-count interp)))
+    (step-scans interp 2)
+    (is (= 2 (stats-total-scans (interpreter-statistics interp))))))
+
+;;; ============================================================
+;;; Program Replacement Tests
+;;; ============================================================
+
+(test replace-program-keeps-data
+  "Test that a replaced program runs on the next scan with the same data table"
+  (let ((interp (make-plc-interpreter :program (compile-il-string "NETWORK 1
+STR X1
+OUT Y1
+"))))
+    (set-bool-value interp "X1" t)
+    (step-scan interp)
+    (is (eq t (get-bool-value interp "Y1")))
+    (replace-program interp (compile-il-string "NETWORK 1
+STR X1
+OUT Y2
+"))
+    (step-scan interp)
+    (is (eq t (get-bool-value interp "Y2")))
+    (is (= 2 (interpreter-scan-count interp)))))
+
 ;;; ============================================================
 ;;; Integration Test - plcprog.txt
 ;;; ============================================================
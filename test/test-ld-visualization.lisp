@@ -21,6 +21,19 @@
   "Parse IL source string and return the parsed program"
   (mblogic-cl:parse-il-string source))
 
+(defun test-rung (source)
+  "Convert the first network of IL SOURCE to a ladder rung"
+  (mblogic-cl-web::network-to-ladder-rung
+   (first (mblogic-cl:program-main-networks (parse-test-il source)))))
+
+(defun rung-positions (rung)
+  "Opcode, row and column of every cell of a rung, in IL order"
+  (mapcar (lambda (cell)
+            (list (mblogic-cl-web::ladder-cell-opcode cell)
+                  (mblogic-cl-web::ladder-cell-row cell)
+                  (mblogic-cl-web::ladder-cell-col cell)))
+          (mblogic-cl-web::ladder-rung-cells rung)))
+
 (defun make-test-instruction (opcode &rest params)
   "Create a parsed instruction for testing"
   (let ((instr-def (mblogic-cl:find-instruction opcode)))
@@ -253,6 +266,125 @@ OUT Y1 Y2
       (is (member "Y1" addrs :test #'string=))
       (is (member "Y2" addrs :test #'string=)))))
 
+;;; ============================================================
+;;; Rung Layout Tests
+;;; ============================================================
+
+(test or-branch-layout
+  "Test that an OR branch goes below its contact and joins after it"
+  (let ((rung (test-rung "NETWORK 1
+STR X1
+OR X2
+OUT Y1
+")))
+    (is (equal '(("STR" 0 0) ("OR" 1 0) ("OUT" 0 1)) (rung-positions rung)))
+    (is (= 2 (mblogic-cl-web::ladder-rung-rows rung)))
+    (is (= 2 (mblogic-cl-web::ladder-rung-cols rung)))
+    ;; Column 0 joins at the left rail, which needs no connector
+    (is (equal '((1 0 1)) (mblogic-cl-web::ladder-rung-branches rung)))
+    (is (null (mblogic-cl-web::ladder-rung-wires rung)))))
+
+(test shorter-branch-layout
+  "Test that a branch shorter than the logic beside it is wired through"
+  (let ((rung (test-rung "NETWORK 1
+STR X1
+AND X2
+OR X3
+OUT Y1
+")))
+    (is (equal '(("STR" 0 0) ("AND" 0 1) ("OR" 1 0) ("OUT" 0 2)) (rung-positions rung)))
+    (is (equal '((2 0 1)) (mblogic-cl-web::ladder-rung-branches rung)))
+    (is (equal '((1 1 1)) (mblogic-cl-web::ladder-rung-wires rung)))))
+
+(test nested-branch-layout
+  "Test branches in series and a branch inside a branch"
+  (let ((rung (test-rung "NETWORK 1
+STR X1
+OR X2
+STR X3
+OR X4
+ANDSTR
+OUT Y1
+")))
+    (is (equal '(("STR" 0 0) ("OR" 1 0) ("STR" 0 1) ("OR" 1 1) ("OUT" 0 2))
+               (rung-positions rung)))
+    (is (equal '((1 0 1) (2 0 1)) (mblogic-cl-web::ladder-rung-branches rung))))
+  (let ((rung (test-rung "NETWORK 1
+STR X1
+STR X2
+OR X3
+ANDSTR
+OR X4
+OUT Y1
+")))
+    (is (equal '(("STR" 0 0) ("STR" 0 1) ("OR" 1 1) ("OR" 2 0) ("OUT" 0 2))
+               (rung-positions rung)))
+    (is (= 3 (mblogic-cl-web::ladder-rung-rows rung)))
+    (is (equal '((1 0 1) (2 0 1) (2 0 2)) (mblogic-cl-web::ladder-rung-branches rung)))
+    (is (equal '((2 1 1)) (mblogic-cl-web::ladder-rung-wires rung)))))
+
+(test multiple-output-layout
+  "Test that outputs reading the same logic are stacked in the last column"
+  (let ((rung (test-rung "NETWORK 1
+STR X1
+OUT Y1
+SET C1
+RST C2
+")))
+    (is (equal '(("STR" 0 0) ("OUT" 0 1) ("SET" 1 1) ("RST" 2 1)) (rung-positions rung)))
+    (is (= 3 (mblogic-cl-web::ladder-rung-rows rung)))
+    (is (equal '((1 0 2)) (mblogic-cl-web::ladder-rung-branches rung)))))
+
+(test continued-output-layout
+  "Test logic that goes on after an output and feeds another"
+  (let ((rung (test-rung "NETWORK 1
+STR X1
+OUT Y1
+AND X2
+OUT Y2
+")))
+    (is (equal '(("STR" 0 0) ("OUT" 0 2) ("AND" 1 1) ("OUT" 1 2)) (rung-positions rung)))
+    (is (= 3 (mblogic-cl-web::ladder-rung-cols rung)))
+    (is (equal '((1 0 1)) (mblogic-cl-web::ladder-rung-branches rung)))
+    (is (equal '((0 1 1)) (mblogic-cl-web::ladder-rung-wires rung)))))
+
+(test block-inputs-layout
+  "Test that a block reading several inputs covers their rows"
+  (let* ((rung (test-rung "NETWORK 1
+STR X1
+STR X2
+AND X3
+CNTU CT1 10
+"))
+         (counter (fourth (mblogic-cl-web::ladder-rung-cells rung))))
+    (is (equal '(("STR" 0 0) ("STR" 1 0) ("AND" 1 1) ("CNTU" 0 2)) (rung-positions rung)))
+    (is (= 2 (mblogic-cl-web::ladder-cell-row-span counter)))
+    (is (equal '((0 1 1)) (mblogic-cl-web::ladder-rung-wires rung)))
+    (is (null (mblogic-cl-web::ladder-rung-branches rung)))))
+
+(test unconditional-output-layout
+  "Test that an output not reading the logic stack is wired from the rail"
+  (let ((rung (test-rung "NETWORK 1
+STR SC2
+FOR 10
+OUT C1
+NEXT
+")))
+    (is (equal '(("STR" 0 0) ("FOR" 0 1) ("OUT" 1 1) ("NEXT" 2 1)) (rung-positions rung)))
+    (is (equal '((1 0 1)) (mblogic-cl-web::ladder-rung-branches rung)))
+    (is (equal '((2 0 0)) (mblogic-cl-web::ladder-rung-wires rung)))))
+
+(test unsupported-logic-layout
+  "Test that logic a rung cannot show is laid out in a single row"
+  (let ((rung (test-rung "NETWORK 1
+STRN SC1
+ORSTR
+SET C47
+")))
+    (is (equal '(("STRN" 0 0) ("SET" 0 1)) (rung-positions rung)))
+    (is (= 1 (mblogic-cl-web::ladder-rung-rows rung)))
+    (is (null (mblogic-cl-web::ladder-rung-branches rung)))))
+
 ;;; ============================================================
 ;;; Program to Ladder Conversion Tests
 ;;; ============================================================
@@ -344,7 +476,20 @@ OUT Y1
     (is (= 1 (getf plist :rows)))
     (is (= 2 (getf plist :cols)))
     (is (listp (getf plist :cells)))
-    (is (= 2 (length (getf plist :cells))))))
+    (is (= 2 (length (getf plist :cells))))
+    (is (null (getf plist :branches)))))
+
+(test rung-to-plist-branches
+  "Test that branch connectors and wires are sent with the rung"
+  (let ((plist (mblogic-cl-web::rung-to-plist (test-rung "NETWORK 1
+STR X1
+AND X2
+OR X3
+OUT Y1
+"))))
+    (is (equal '((:col 2 :start-row 0 :end-row 1)) (getf plist :branches)))
+    (is (equal '((:row 1 :start-col 1 :end-col 1)) (getf plist :wires)))
+    (is (= 1 (getf (first (getf plist :cells)) :row-span)))))
 
 (test ladder-program-to-plist-conversion
   "Test converting ladder program to plist"
@@ -378,6 +523,36 @@ OUT Y1
     (let ((alist (mblogic-cl-web::plist-to-alist plist)))
       (is (listp (cdr (assoc :outer alist)))))))
 
+(test changed-values-diff
+  "Test that only changed or new address values are reported"
+  (let ((previous '(("X1" . t) ("DS1" . 5) ("Y1")))
+        (current '(("X1" . t) ("DS1" . 6) ("Y1") ("C1" . t))))
+    (is (equal '(("DS1" . 6) ("C1" . t))
+               (mblogic-cl-web::changed-values previous current))))
+  ;; With no previous values everything is reported
+  (is (equal '(("X1" . t))
+             (mblogic-cl-web::changed-values nil '(("X1" . t))))))
+
+(test statistics-plist-without-interpreter
+  "Test statistics plist when no interpreter is loaded"
+  (let ((plist (mblogic-cl-web::statistics-plist nil)))
+    (is (null (getf plist :running)))
+    (is (= 0 (getf plist :scan-count)))
+    (is (stringp (getf plist :error)))))
+
+(test coerce-address-value
+  "Test converting JSON values to data table types"
+  (is (eq t (mblogic-cl-web::coerce-address-value "X1" t)))
+  (is (null (mblogic-cl-web::coerce-address-value "X1" nil)))
+  (is (eq t (mblogic-cl-web::coerce-address-value "C1" 1)))
+  (is (null (mblogic-cl-web::coerce-address-value "C1" 0)))
+  (is (= 42 (mblogic-cl-web::coerce-address-value "DS1" 42)))
+  (is (= 42 (mblogic-cl-web::coerce-address-value "DS1" "42")))
+  (is (= 1.5 (mblogic-cl-web::coerce-address-value "DF1" 1.5)))
+  (is (string= "abc" (mblogic-cl-web::coerce-address-value "TXT1" "abc")))
+  (signals error (mblogic-cl-web::coerce-address-value "DS1" "abc"))
+  (signals error (mblogic-cl-web::coerce-address-value "BOGUS1" 1)))
+
 (test parse-address-list
   "Test parsing comma-separated address list"
   (is (equal '("X1" "Y1" "DS1")
@@ -387,6 +562,116 @@ OUT Y1
   (is (null (mblogic-cl-web::parse-address-list "")))
   (is (null (mblogic-cl-web::parse-address-list nil))))
 
+(test body-address-list
+  "Test reading posted address sets"
+  (is (equal '("X1" "Y1" "DS1")
+             (mblogic-cl-web::body-address-list '("X1" "Y1" "DS1"))))
+  (is (equal '("X1" "Y1")
+             (mblogic-cl-web::body-address-list "X1, Y1")))
+  (is (equal '("X1")
+             (mblogic-cl-web::body-address-list '("X1" "" 5))))
+  (is (null (mblogic-cl-web::body-address-list nil))))
+
+(test stream-watch-address-sets
+  "Test replacing the address set of an open stream"
+  (mblogic-cl-web::register-stream-watch "test-watch" nil)
+  (unwind-protect
+       (progn
+         (is-true (mblogic-cl-web::set-stream-watch-addresses "test-watch" '("X1" "Y1")))
+         (is (equal '("X1" "Y1") (mblogic-cl-web::stream-watch-addresses "test-watch"))))
+    (mblogic-cl-web::unregister-stream-watch "test-watch"))
+  (is-false (mblogic-cl-web::set-stream-watch-addresses "test-watch" '("X1"))))
+
+;;; ============================================================
+;;; Program Edit Tests
+;;; ============================================================
+
+(test network-il-round-trip
+  "Test that a network formatted as IL parses back to the same network"
+  (let* ((source (format nil "// Motor start~%NETWORK 1~%// Start button~%STR X1~%OR Y1~%ANDN X2~%OUT Y1~%"))
+         (network (first (mblogic-cl:program-main-networks (parse-test-il source))))
+         (reparsed (first (mblogic-cl:program-main-networks
+                           (parse-test-il (mblogic-cl-web::network-to-il network))))))
+    (is (equal '("// Start button" "STR X1" "OR Y1" "ANDN X2" "OUT Y1")
+               (mblogic-cl-web::network-il-lines network)))
+    (is (equal '("Motor start") (mblogic-cl:network-comments reparsed)))
+    (is (equal (mblogic-cl-web::network-il-lines network)
+               (mblogic-cl-web::network-il-lines reparsed)))))
+
+(test edited-network-errors
+  "Test that errors in an edited network are reported by rung line"
+  (multiple-value-bind (network errors)
+      (mblogic-cl-web::parse-edited-network
+       3 "Pump" '("// Level low" "STR X1" "BOGUS Y1" "" "OUT DS1" "OUT Y2"))
+    (is (= 3 (mblogic-cl:network-number network)))
+    (is (equal '("Pump") (mblogic-cl:network-comments network)))
+    (is (equal '("STR" "OUT")
+               (mapcar #'mblogic-cl:parsed-opcode (mblogic-cl:network-instructions network))))
+    (is (= 6 (mblogic-cl:parsed-line-number
+              (second (mblogic-cl:network-instructions network)))))
+    (is (string= "Level low" (mblogic-cl:parsed-comment
+                              (first (mblogic-cl:network-instructions network)))))
+    (is (= 2 (length errors)))
+    (is (search "Line 3" (first errors)))
+    (is (search "Line 5" (second errors)))))
+
+(test check-program-edit-replaces-networks
+  "Test that checking an edit renumbers networks and keeps the rest of the program"
+  (let ((source (parse-test-il (format nil "NETWORK 1~%STR X1~%CALL Sub1~%NETWORK 2~%STR X2~%OUT Y2~%SBR Sub1~%NETWORK 1~%STR X3~%OUT Y3~%"))))
+    (multiple-value-bind (edited rung-errors)
+        (mblogic-cl-web::check-program-edit
+         source "main"
+         '(((:comment . "New") (:il "STR X5" "OUT Y5"))
+           ((:comment) (:il "STR X6" "CALL Missing"))))
+      (is (= 2 (length (mblogic-cl:program-main-networks edited))))
+      (is (equal '(1 2) (mapcar #'mblogic-cl:network-number
+                                (mblogic-cl:program-main-networks edited))))
+      (is (null (first rung-errors)))
+      (is (search "Missing" (first (second rung-errors))))
+      (is (gethash "Sub1" (mblogic-cl:program-subroutines edited)))
+      ;; The source program is not changed
+      (is (= 2 (length (mblogic-cl:program-main-networks source)))))))
+
+;;; ============================================================
+;;; Program Download Tests
+;;; ============================================================
+
+(defun find-subroutine-diff (name diff)
+  "Find the comparison entry for subroutine NAME in a program diff"
+  (find name diff :key (lambda (entry) (getf entry :subrname)) :test #'string=))
+
+(test program-download-diff
+  "Test that a downloaded program is compared network by network"
+  (let* ((old (parse-test-il (format nil "NETWORK 1~%STR X1~%OUT Y1~%NETWORK 2~%STR X2~%OUT Y2~%SBR Old~%NETWORK 1~%RT~%")))
+         (new (parse-test-il (format nil "NETWORK 1~%STR X1~%OUT Y1~%NETWORK 2~%STR X3~%OUT Y2~%NETWORK 3~%STR X4~%OUT Y4~%SBR New~%NETWORK 1~%RT~%")))
+         (diff (mblogic-cl-web::program-diff old new))
+         (main (find-subroutine-diff "main" diff)))
+    (is (string= "changed" (getf main :status)))
+    (is (equal '(2 3) (mapcar (lambda (n) (getf n :rungnum)) (getf main :networks))))
+    (is (equal '("changed" "added") (mapcar (lambda (n) (getf n :status)) (getf main :networks))))
+    (is (equal '("STR X3" "OUT Y2") (getf (first (getf main :networks)) :new)))
+    (is (string= "removed" (getf (find-subroutine-diff "Old" diff) :status)))
+    (is (string= "added" (getf (find-subroutine-diff "New" diff) :status)))
+    ;; An identical program has no changes
+    (is (every (lambda (entry) (string= "unchanged" (getf entry :status)))
+               (mblogic-cl-web::program-diff old old)))))
+
+(test program-download-dry-run
+  "Test that a program dry run reports errors without compiling"
+  (multiple-value-bind (parsed compiled errors)
+      (mblogic-cl-web::check-program-download
+       (format nil "NETWORK 1~%STR X1~%OUT DS1~%NETWORK 2~%STR X2~%CALL Nowhere~%"))
+    (is (not (null parsed)))
+    (is (null compiled))
+    (is (= 2 (length errors)))
+    (is (search "Line 3" (first errors)))
+    (is (search "Nowhere" (second errors))))
+  (multiple-value-bind (parsed compiled errors)
+      (mblogic-cl-web::check-program-download (format nil "NETWORK 1~%STR X1~%OUT Y1~%"))
+    (declare (ignore parsed))
+    (is (null errors))
+    (is (typep compiled 'mblogic-cl:compiled-program))))
+
 ;;; ============================================================
 ;;; Integration Tests
 ;;; ============================================================
@@ -32,6 +32,22 @@
     (is (= 1 (instruction-min-params out-instr)))
     (is (= 8 (instruction-max-params out-instr)))))
 
+(test parameter-type-validation
+  "Test checking parameters against instruction parameter types"
+  (is (validate-parameter-types (find-instruction "STR") '("X1")))
+  (is (not (validate-parameter-types (find-instruction "STR") '("DS1"))))
+  ;; Extra coil addresses take the last parameter type
+  (is (validate-parameter-types (find-instruction "OUT") '("Y1" "Y2" "C3")))
+  (is (not (validate-parameter-types (find-instruction "OUT") '("Y1" "DS2"))))
+  (is (validate-parameter-types (find-instruction "TMR") '("T1" "100" "ms")))
+  (is (not (validate-parameter-types (find-instruction "TMR") '("C1" "100" "ms"))))
+  ;; Constants and expressions are not checked here
+  (is (validate-parameter-types (find-instruction "MATHDEC") '("DS1" "0" "DS2 + 1")))
+  (multiple-value-bind (valid message)
+      (validate-parameter-types (find-instruction "COPY") '("DS1" "42"))
+    (is (null valid))
+    (is (search "COPY parameter 2" message))))
+
 ;;; ============================================================
 ;;; Basic Parsing Tests
 ;;; ============================================================